@@ -0,0 +1,116 @@
+// Don't let ESLint complain if electron isn't installed locally.
+// eslint-disable-next-line import/no-unresolved
+const { ipcRenderer, webFrame } = require('electron');
+const fs = require('fs');
+const path = require('path');
+
+// The app's window does not have access to Node. This script runs before the
+// app, with access to Node, in a context of its own, and gives the app only
+// what it needs to open a local folder as a workspace and save edits back to
+// it (see `src/js/file/workspace-providers.js`). The app asks for it by
+// posting messages to the window, and is answered the same way. Only folders
+// that the user has chosen can be read or written.
+const chosenFolders = new Set();
+
+// Allow fetch() of file:// protocol.
+webFrame.registerURLSchemeAsPrivileged('file');
+
+// Returns the absolute path of a file in a chosen folder. Paths are relative
+// to the folder, with forward slashes, and cannot lead out of it.
+function getFullPath(folder, filePath) {
+  if (!chosenFolders.has(folder)) {
+    throw new Error('The folder has not been chosen.');
+  }
+
+  const fullPath = path.resolve(folder, ...filePath.split('/'));
+  if (fullPath !== folder && !fullPath.startsWith(`${folder}${path.sep}`)) {
+    throw new Error(`${filePath} is not in the folder.`);
+  }
+  return fullPath;
+}
+
+// Runs a file system method on a file in a chosen folder
+function call(method, folder, filePath, ...args) {
+  return new Promise((resolve, reject) => {
+    fs[method](getFullPath(folder, filePath), ...args, (error, result) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+// Folders are chosen in the main process (see `electron.js`), one at a time
+let folderChosen = null;
+ipcRenderer.on('folder-chosen', (event, folder) => {
+  if (folderChosen) folderChosen(folder);
+});
+
+const localFolders = {
+  /**
+   * Asks the user to choose a folder.
+   *
+   * @returns {Promise} resolved with `{ path, name }` of the folder, or
+   *          `null` if no folder was chosen
+   */
+  chooseFolder() {
+    return new Promise((resolve) => {
+      folderChosen = resolve;
+      ipcRenderer.send('choose-folder');
+    })
+    .then((folder) => {
+      folderChosen = null;
+      if (!folder) return null;
+
+      chosenFolders.add(folder);
+      return { path: folder, name: path.basename(folder) };
+    });
+  },
+
+  /**
+   * Lists a folder in a chosen folder.
+   *
+   * @returns {Promise} resolved with its entries, each `{ name, isDirectory }`
+   */
+  listDirectory(folder, filePath) {
+    return call('readdir', folder, filePath)
+      .then(names => Promise.all(names.map(name => call('stat', folder, `${filePath}${name}`)
+        .then(stats => ({ name, isDirectory: stats.isDirectory() })))));
+  },
+
+  readText(folder, filePath) {
+    return call('readFile', folder, filePath, 'utf8');
+  },
+
+  writeText(folder, filePath, contents) {
+    return call('writeFile', folder, filePath, String(contents), 'utf8');
+  },
+
+  getFileUrl(folder, filePath) {
+    const fullPath = getFullPath(folder, filePath).replace(/\\/g, '/');
+    const prefix = fullPath.startsWith('/') ? 'file://' : 'file:///';
+    return encodeURI(`${prefix}${fullPath}`);
+  },
+};
+
+// Requests are `{ localFolders: 'request', id, method, args }`, and answered
+// with `{ localFolders: 'response', id, result }` or `{ ..., error }`
+window.addEventListener('message', (event) => {
+  const request = event.data;
+  if (event.source !== window || !request || request.localFolders !== 'request') return;
+
+  const respond = response => window.postMessage(Object.assign({
+    localFolders: 'response',
+    id: request.id,
+  }, response), '*');
+
+  new Promise((resolve) => {
+    if (!Object.prototype.hasOwnProperty.call(localFolders, request.method)) {
+      throw new Error(`${request.method} is not a function of local folders.`);
+    }
+    resolve(localFolders[request.method](...request.args));
+  })
+  .then(result => respond({ result }), error => respond({ error: error.message }));
+});
@@ -1,6 +1,6 @@
 // Don't let ESLint complain if electron isn't installed locally.
 // eslint-disable-next-line import/no-unresolved
-const { app, BrowserWindow, shell, Menu } = require('electron');
+const { app, BrowserWindow, shell, Menu, dialog, ipcMain } = require('electron');
 const path = require('path');
 const url = require('url');
 
@@ -8,6 +8,13 @@ const url = require('url');
 // be closed automatically when the JavaScript object is garbage collected.
 let mainWindow;
 
+// Local folders are chosen in the main process, for `electron-preload.js`
+ipcMain.on('choose-folder', (event) => {
+  dialog.showOpenDialog(mainWindow, { properties: ['openDirectory'] }, (paths) => {
+    event.sender.send('folder-chosen', (paths && paths.length > 0) ? paths[0] : null);
+  });
+});
+
 function createWindow() {
   // Create the browser window.
   mainWindow = new BrowserWindow({
@@ -16,6 +23,13 @@ function createWindow() {
     height: 800,
     minWidth: 640,
     minHeight: 480,
+    webPreferences: {
+      // The app does not have access to Node. The preload script gives it
+      // what it needs to open local folders.
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'electron-preload.js'),
+    },
   });
 
   // and load the index.html of the app.
@@ -17,6 +17,16 @@ const paths = {
     entry: ['src/js/main.js', 'src/js/embedded.js'],
     dest: 'public/scripts',
   },
+  // Prebuilt browser scripts that are loaded separately from the app's
+  // bundle, because they cannot be bundled
+  vendor: {
+    src: [
+      'node_modules/isomorphic-git/index.umd.min.js',
+      'node_modules/isomorphic-git/http/web/index.umd.js',
+      'node_modules/@isomorphic-git/lightning-fs/dist/lightning-fs.min.js',
+    ],
+    dest: 'public/scripts/vendor',
+  },
   app: 'public/index.html',
 };
 
@@ -139,12 +149,16 @@ gulp.task('js', () => {
     .pipe(gulp.dest(paths.scripts.dest));
 });
 
+// Copy prebuilt scripts
+gulp.task('vendor', () => gulp.src(paths.vendor.src, { base: 'node_modules' })
+  .pipe(gulp.dest(paths.vendor.dest)));
+
 // Create a task that ensures the `js` task is complete
 // before reloading browsers
 gulp.task('js-watch', ['js'], browserSync.reload);
 
 // Build files, do not watch
-gulp.task('build', ['css', 'js']);
+gulp.task('build', ['css', 'js', 'vendor']);
 
 // Watch files, but do not run browsersync
 gulp.task('watch', ['build'], () => {
@@ -7,6 +7,12 @@ import FileDrop from '../file/FileDrop';
 import SignInOverlay from './SignInOverlay';
 // import ColorPalette from './ColorPalette';
 import ErrorsPanel from './ErrorsPanel';
+import OutlinePanel from './OutlinePanel';
+import ReferencesPanel from './ReferencesPanel';
+import FeatureTablePanel from './FeatureTablePanel';
+import PinnedFeaturesPanel from './PinnedFeaturesPanel';
+import LayerTracePanel from './LayerTracePanel';
+import FolderPanel from './FolderPanel';
 // todo: combine
 import ModalShield from '../modals/ModalShield';
 import ModalRoot from '../modals/ModalRoot';
@@ -54,6 +60,12 @@ export default class App extends React.Component {
             <ModalRoot />
 
             <ErrorsPanel />
+            <OutlinePanel />
+            <ReferencesPanel />
+            <FeatureTablePanel />
+            <PinnedFeaturesPanel />
+            <LayerTracePanel />
+            <FolderPanel />
             <Globey />
           </div>
         </div>
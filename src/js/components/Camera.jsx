@@ -6,7 +6,7 @@ import { takeScreenshot } from '../map/screenshot';
 import { startVideoCapture } from '../map/video';
 
 // Redux
-import { SET_APP_STATE } from '../store/actions';
+import { SET_APP_STATE, SHOW_MODAL } from '../store/actions';
 
 class Camera extends React.Component {
   constructor(props) {
@@ -18,6 +18,7 @@ class Camera extends React.Component {
     };
 
     this.onClickRecord = this.onClickRecord.bind(this);
+    this.onClickCaptureSet = this.onClickCaptureSet.bind(this);
     this.onClickClose = this.onClickClose.bind(this);
   }
 
@@ -39,6 +40,13 @@ class Camera extends React.Component {
     startVideoCapture();
   }
 
+  onClickCaptureSet() {
+    this.props.dispatch({
+      type: SHOW_MODAL,
+      modalType: 'CAPTURE_SET',
+    });
+  }
+
   onClickClose() {
     this.props.dispatch({
       type: SET_APP_STATE,
@@ -115,6 +123,13 @@ class Camera extends React.Component {
             tooltip={recordTooltip}
             disabled={recordIsDisabled}
           />
+          <IconButton
+            className="camera-capture-set-button"
+            onClick={this.onClickCaptureSet}
+            icon="bt-th"
+            tooltip="Capture and compare bookmarked views"
+            disabled={this.state.recording === true}
+          />
           <IconButton
             className="camera-close-button"
             onClick={this.onClickClose}
@@ -16,6 +16,7 @@ import {
   clearEditorContent,
   watchEditorForChanges,
   refreshEditor,
+  foldLines,
   debouncedUpdateLocalMemory,
 }
 from '../editor/editor';
@@ -31,6 +32,8 @@ class Editor extends React.PureComponent {
     // so it can be restored if page is reloaded.
     editor.on('cursorActivity', debouncedUpdateLocalMemory);
     editor.on('viewportChange', debouncedUpdateLocalMemory);
+    editor.on('fold', debouncedUpdateLocalMemory);
+    editor.on('unfold', debouncedUpdateLocalMemory);
 
     // Broadcast editor state ready to other componentClass
     EventEmitter.dispatch('editor:ready');
@@ -87,6 +90,11 @@ class Editor extends React.PureComponent {
             highlightRanges(doc, activeFile.highlightedLines);
           }
 
+          // Folds code, if provided. Buffers keep their own folds.
+          if (activeFile.foldedLines && !activeFile.buffer) {
+            foldLines(activeFile.foldedLines);
+          }
+
           // Restores the part of the document that was scrolled to, if provided.
           if (activeFile.scrollInfo) {
             const left = activeFile.scrollInfo.left || 0;
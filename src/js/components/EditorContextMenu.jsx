@@ -1,4 +1,5 @@
 import React from 'react';
+import { OPEN_IMPORT_ACTION } from '../editor/imports';
 
 export default class EditorContextMenu extends React.Component {
   constructor(props) {
@@ -14,7 +15,7 @@ export default class EditorContextMenu extends React.Component {
       <div className="editor-context-menu">
         <div className="editor-context-menu-section">
           <ul>
-            <li>Open in new tab (read-only)</li>
+            <li data-action={OPEN_IMPORT_ACTION}>Open in new tab</li>
           </ul>
         </div>
       </div>
@@ -11,6 +11,8 @@ class EditorTabBar extends React.PureComponent {
   constructor(props) {
     super(props);
     this.onClickHideEditor = this.onClickHideEditor.bind(this);
+    this.onClickToggleOutline = this.onClickToggleOutline.bind(this);
+    this.onClickToggleFolder = this.onClickToggleFolder.bind(this);
   }
 
   /**
@@ -24,6 +26,14 @@ class EditorTabBar extends React.PureComponent {
     this.props.showEditorHiddenTooltip();
   }
 
+  onClickToggleOutline(event) {
+    this.props.setOutlinePanel(!this.props.showOutlinePanel);
+  }
+
+  onClickToggleFolder(event) {
+    this.props.setFolderPanel(!this.props.showFolderPanel);
+  }
+
   render() {
     // Disable tabs in embedded mode.
     // See request https://github.com/tangrams/tangram-play/issues/620
@@ -34,9 +44,30 @@ class EditorTabBar extends React.PureComponent {
       return null;
     }
 
+    // Leave space for the folder button when a folder is open
+    const className = this.props.hasWorkspace
+      ? 'editor-tab-bar editor-tab-bar-folder'
+      : 'editor-tab-bar';
+
     return (
-      <div className="editor-tab-bar">
+      <div className={className}>
         <EditorTabs />
+        {this.props.hasWorkspace && (
+          <IconButton
+            className="editor-folder-button"
+            icon="bt-folder"
+            active={this.props.showFolderPanel}
+            tooltip="Toggle folder"
+            onClick={this.onClickToggleFolder}
+          />
+        )}
+        <IconButton
+          className="editor-outline-button"
+          icon="bt-sitemap"
+          active={this.props.showOutlinePanel}
+          tooltip="Toggle scene outline"
+          onClick={this.onClickToggleOutline}
+        />
         <IconButton
           className="editor-collapse-button"
           icon="bt-caret-right"
@@ -51,19 +82,32 @@ class EditorTabBar extends React.PureComponent {
 EditorTabBar.propTypes = {
   // Injected by `mapStateToProps`
   disabled: PropTypes.bool,
+  showOutlinePanel: PropTypes.bool,
+  hasWorkspace: PropTypes.bool,
+  showFolderPanel: PropTypes.bool,
 
   // Injected by `mapDispatchToProps`
   showEditorHiddenTooltip: PropTypes.func.isRequired,
+  setOutlinePanel: PropTypes.func.isRequired,
+  setFolderPanel: PropTypes.func.isRequired,
 };
 
 EditorTabBar.defaultProps = {
   disabled: false,
+  showOutlinePanel: false,
+  hasWorkspace: false,
+  showFolderPanel: false,
   showEditorHiddenTooltip: noop,
+  setOutlinePanel: noop,
+  setFolderPanel: noop,
 };
 
 function mapStateToProps(state) {
   return {
     disabled: !state.app.showEditorTabBar,
+    showOutlinePanel: state.app.showOutlinePanel,
+    hasWorkspace: Boolean(state.app.workspace),
+    showFolderPanel: state.app.showFolderPanel,
   };
 }
 
@@ -75,6 +119,18 @@ function mapDispatchToProps(dispatch) {
         showEditorHiddenTooltip: true,
       });
     },
+    setOutlinePanel: (show) => {
+      dispatch({
+        type: SET_APP_STATE,
+        showOutlinePanel: show,
+      });
+    },
+    setFolderPanel: (show) => {
+      dispatch({
+        type: SET_APP_STATE,
+        showFolderPanel: show,
+      });
+    },
   };
 }
 
@@ -3,38 +3,16 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 import Icon from './Icon';
-import {
-  SET_ACTIVE_FILE,
-  REMOVE_FILE,
-  CLOSE_SCENE,
-  SET_FILE_METADATA,
-  STASH_DOCUMENT,
-} from '../store/actions';
-import { editor } from '../editor/editor';
-import { checkSaveStateOfDocumentThen } from '../editor/io';
-import { getAllHighlightedLines } from '../editor/highlight';
+import { REMOVE_FILE, CLOSE_SCENE } from '../store/actions';
+import { setActiveFile } from '../editor/editor';
+import { checkSaveStateOfDocumentThen } from '../editor/save-state';
 
 class EditorTabs extends React.PureComponent {
   setActiveTab(index, event) {
     // Only switch tabs if the clicked tab is not the current tab.
     // If the tab is already active, don't do anything.
     if (this.props.activeTab !== index) {
-      // Stash the current doc in store
-      const currentIndex = this.props.activeTab;
-      const currentDoc = editor.getDoc();
-      this.props.stashDoc(currentIndex, currentDoc);
-
-      // Stash things we want to restore: cursor, selections, highlighted lines,
-      // and scroll position.
-      this.props.setFileMetadata(currentIndex, {
-        cursor: currentDoc.getCursor(),
-        scrollInfo: editor.getScrollInfo(),
-        highlightedLines: getAllHighlightedLines(currentDoc),
-        selections: currentDoc.listSelections(),
-      });
-
-      // Sets the next active tab
-      this.props.setActiveFile(index);
+      setActiveFile(index);
     }
   }
 
@@ -129,11 +107,8 @@ EditorTabs.propTypes = {
   saved: PropTypes.bool.isRequired,
 
   // Injected by `mapDispatchToProps`
-  setActiveFile: PropTypes.func.isRequired,
   removeFile: PropTypes.func.isRequired,
   closeScene: PropTypes.func.isRequired,
-  setFileMetadata: PropTypes.func.isRequired,
-  stashDoc: PropTypes.func.isRequired,
 };
 
 EditorTabs.defaultProps = {
@@ -154,12 +129,6 @@ function mapStateToProps(state) {
 
 function mapDispatchToProps(dispatch) {
   return {
-    setActiveFile: (index) => {
-      dispatch({
-        type: SET_ACTIVE_FILE,
-        index,
-      });
-    },
     removeFile: (index) => {
       dispatch({
         type: REMOVE_FILE,
@@ -169,22 +138,6 @@ function mapDispatchToProps(dispatch) {
     closeScene: (index) => {
       dispatch({ type: CLOSE_SCENE });
     },
-    setFileMetadata: (index, data) => {
-      dispatch({
-        ...data,
-        type: SET_FILE_METADATA,
-        fileIndex: index,
-      });
-    },
-    stashDoc: (index, buffer) => {
-      dispatch({
-        type: STASH_DOCUMENT,
-        index,
-        // We are also updating contents, which seems to lag behind otherwise
-        contents: buffer.getValue(),
-        buffer,
-      });
-    },
   };
 }
 
@@ -6,6 +6,7 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 import Draggable from 'react-draggable';
+import { applyErrorFix } from '../editor/errors';
 
 class ErrorsPanel extends React.Component {
   constructor(props) {
@@ -71,12 +72,30 @@ class ErrorsPanel extends React.Component {
                   );
                 }
 
+                let fixButtons;
+                if (error.fixes && error.fixes.length > 0) {
+                  fixButtons = (
+                    <div className="errors-panel-fixes">
+                      {error.fixes.map(fix => (
+                        <button
+                          key={fix.label}
+                          className="error-fix-button"
+                          onClick={() => { applyErrorFix(error, fix); }}
+                        >
+                          {fix.label}
+                        </button>
+                      ))}
+                    </div>
+                  );
+                }
+
                 return (
                   <div key={index} className="errors-panel-item">
                     <div className={iconTypeClass} />
                     <div className="errors-panel-text">
                       {displayText}
                       {' '}{moreLink}
+                      {fixButtons}
                     </div>
                   </div>
                 );
@@ -0,0 +1,295 @@
+/* eslint-disable jsx-a11y/no-static-element-interactions */
+/**
+ * A floating panel with a table of the features in tiles that the map has
+ * loaded, for one source layer at a time. Columns can be sorted and
+ * filtered. Clicking on a feature highlights it on the map, and highlights
+ * the layer of the scene that it is in in the editor.
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import Draggable from 'react-draggable';
+import EventEmitter from './event-emitter';
+import Icon from './Icon';
+import { editor } from '../editor/editor';
+import { getNodeAtKeyAddress } from '../editor/yaml-ast';
+import { highlightNode } from '../editor/highlight';
+import { getMatchingLayers } from '../editor/filters';
+import { getFeatures, getFilterContext } from '../map/tile-features';
+import { getFeatureColumns, filterFeatures, sortFeatures } from '../map/feature-table';
+import { highlightFeaturesOnMap, clearMapHighlight } from '../map/highlight';
+
+// Redux
+import { SET_APP_STATE } from '../store/actions';
+
+// Only this many rows are displayed, to keep the table responsive
+const MAX_ROWS = 500;
+
+// Identifies the source layer that a feature is in. Features of sources
+// without layers have no `source_layer`.
+function getSourceLayerKey(feature) {
+  return [feature.source_name, feature.source_layer].filter(Boolean).join('/');
+}
+
+// Returns the source layers that features are in, as `{ key, label }`
+// objects, sorted by label
+function getSourceLayerOptions(features) {
+  const options = {};
+  features.forEach((feature) => {
+    const key = getSourceLayerKey(feature);
+    if (!options[key]) {
+      options[key] = feature.source_layer
+        ? `${feature.source_layer} (${feature.source_name})`
+        : feature.source_name;
+    }
+  });
+
+  return Object.keys(options)
+    .map(key => ({ key, label: options[key] }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+// Finds the most specific layer of the scene that a feature is in, i.e. the
+// deepest sublayer. Tangram lists the layers of features that are
+// inspected; for other features, the layers are worked out from filters.
+function findFeatureLayerNode(feature) {
+  const ast = editor.getDoc().yamlNodes;
+  const addresses = feature.layers
+    ? feature.layers.map(name => `layers:${name}`)
+    : getMatchingLayers(ast, feature, getFilterContext());
+
+  return addresses
+    .sort((a, b) => b.split(':').length - a.split(':').length)
+    .map(address => getNodeAtKeyAddress(ast, address))
+    .find(Boolean);
+}
+
+class FeatureTablePanel extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      features: [],
+      sourceLayer: null,
+      sortColumn: null,
+      descending: false,
+      filters: {},
+      selected: null,
+    };
+
+    this.onClickClose = this.onClickClose.bind(this);
+    this.onChangeSourceLayer = this.onChangeSourceLayer.bind(this);
+    this.onNewScene = this.onNewScene.bind(this);
+    this.updateFeatures = this.updateFeatures.bind(this);
+  }
+
+  componentDidMount() {
+    EventEmitter.subscribe('tangram:featuresupdate', this.updateFeatures);
+    EventEmitter.subscribe('tangram:sceneload', this.onNewScene);
+  }
+
+  componentDidUpdate(prevProps) {
+    // Features are not updated while the panel is hidden
+    if (this.props.show && !prevProps.show) {
+      this.updateFeatures();
+    }
+  }
+
+  componentWillUnmount() {
+    EventEmitter.unsubscribe('tangram:featuresupdate', this.updateFeatures);
+    EventEmitter.unsubscribe('tangram:sceneload', this.onNewScene);
+  }
+
+  onClickClose() {
+    clearMapHighlight();
+    this.setState({ selected: null });
+
+    this.props.dispatch({
+      type: SET_APP_STATE,
+      showFeatureTable: false,
+    });
+  }
+
+  onChangeSourceLayer(event) {
+    clearMapHighlight();
+    this.setState({
+      sourceLayer: event.target.value,
+      sortColumn: null,
+      filters: {},
+      selected: null,
+    });
+  }
+
+  onClickColumn(column) {
+    this.setState({
+      sortColumn: column,
+      descending: (column === this.state.sortColumn) ? !this.state.descending : false,
+    });
+  }
+
+  onChangeColumnFilter(column, event) {
+    this.setState({
+      filters: {
+        ...this.state.filters,
+        [column]: event.target.value,
+      },
+    });
+  }
+
+  onClickFeature(feature) {
+    this.setState({ selected: feature });
+    highlightFeaturesOnMap([feature], true);
+
+    const node = findFeatureLayerNode(feature);
+    if (node) {
+      highlightNode(node);
+    }
+  }
+
+  onNewScene() {
+    clearMapHighlight();
+    this.setState({ features: [], selected: null });
+  }
+
+  updateFeatures() {
+    if (!this.props.show) return;
+
+    const features = getFeatures();
+    const options = getSourceLayerOptions(features);
+    const keys = options.map(option => option.key);
+
+    // Keep the source layer, if it still has features
+    let sourceLayer = this.state.sourceLayer;
+    if (keys.indexOf(sourceLayer) === -1) {
+      sourceLayer = keys.length > 0 ? keys[0] : null;
+    }
+
+    this.setState({ features, sourceLayer });
+  }
+
+  renderTable(features, columns) {
+    const { sortColumn, descending, filters, selected } = this.state;
+    const rows = features.slice(0, MAX_ROWS);
+
+    return (
+      <table className="feature-table">
+        <thead>
+          <tr>
+            {columns.map(column => (
+              <th key={column} onClick={() => { this.onClickColumn(column); }}>
+                {column}
+                {(column === sortColumn)
+                  ? <Icon type={descending ? 'bt-caret-down' : 'bt-caret-up'} />
+                  : null}
+              </th>
+            ))}
+          </tr>
+          <tr className="feature-table-filters">
+            {columns.map(column => (
+              <th key={column}>
+                <input
+                  type="text"
+                  placeholder="Filter"
+                  spellCheck="false"
+                  value={filters[column] || ''}
+                  onChange={(event) => { this.onChangeColumnFilter(column, event); }}
+                />
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((feature, index) => (
+            <tr
+              // Features have no id of their own
+              key={index} // eslint-disable-line react/no-array-index-key
+              className={feature === selected ? 'feature-table-selected' : ''}
+              onClick={() => { this.onClickFeature(feature); }}
+            >
+              {columns.map((column) => {
+                const value = feature.properties[column];
+                // Cast values to strings, especially true/false values
+                return <td key={column}>{value === undefined ? '' : String(value)}</td>;
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  }
+
+  render() {
+    const displayStyle = { display: this.props.show ? 'block' : 'none' };
+    const { sourceLayer, sortColumn, descending, filters } = this.state;
+    const options = getSourceLayerOptions(this.state.features);
+
+    const layerFeatures = this.state.features
+      .filter(feature => getSourceLayerKey(feature) === sourceLayer);
+    const columns = getFeatureColumns(layerFeatures);
+    let features = filterFeatures(layerFeatures, filters);
+    if (sortColumn) {
+      features = sortFeatures(features, sortColumn, descending);
+    }
+
+    let content;
+    let status;
+    if (options.length === 0) {
+      content = (
+        <div className="feature-table-panel-empty">
+          No features have been found yet. Features are found as tiles are
+          loaded, or as they are inspected on the map.
+        </div>
+      );
+    } else {
+      content = this.renderTable(features, columns);
+      status = (features.length > MAX_ROWS)
+        ? `Showing ${MAX_ROWS} of ${features.length} features. Filter columns to see others.`
+        : `${features.length} of ${layerFeatures.length} features`;
+    }
+
+    return (
+      <Draggable
+        bounds="#draggable-container"
+        handle=".floating-panel-drag"
+      >
+        <div className="feature-table-panel modal" style={displayStyle}>
+          <div className="floating-panel-topbar">
+            <div className="floating-panel-drag">Features</div>
+            <button className="floating-panel-close" onClick={this.onClickClose}>×</button>
+          </div>
+          <div className="feature-table-panel-toolbar">
+            <select value={sourceLayer || ''} onChange={this.onChangeSourceLayer}>
+              {options.map(option => (
+                <option key={option.key} value={option.key}>{option.label}</option>
+              ))}
+            </select>
+            <button title="Refresh" onClick={this.updateFeatures}>
+              <Icon type="bt-sync" />
+            </button>
+          </div>
+          <div className="feature-table-panel-viewport">
+            {content}
+          </div>
+          {status ? <div className="feature-table-panel-status">{status}</div> : null}
+        </div>
+      </Draggable>
+    );
+  }
+}
+
+FeatureTablePanel.propTypes = {
+  dispatch: PropTypes.func.isRequired,
+  show: PropTypes.bool,
+};
+
+FeatureTablePanel.defaultProps = {
+  show: false,
+};
+
+function mapStateToProps(state) {
+  return {
+    show: state.app.showFeatureTable,
+  };
+}
+
+export default connect(mapStateToProps)(FeatureTablePanel);
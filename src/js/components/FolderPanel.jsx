@@ -0,0 +1,175 @@
+/* eslint-disable jsx-a11y/no-static-element-interactions */
+/**
+ * A floating panel with the files of the local folder that is open as a
+ * workspace (see `file/workspace.js`). Clicking on a scene file opens it in
+ * the editor, and any scene file can be made the main scene file.
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import Draggable from 'react-draggable';
+import Icon from './Icon';
+import { checkSaveStateThen } from '../editor/io';
+import { YAML_EXTENSION_PATTERN } from '../file/bundle';
+import { getFileTree } from '../file/workspace-providers';
+import { openWorkspaceFile, openWorkspaceScene } from '../file/workspace';
+
+// Redux
+import { SET_APP_STATE } from '../store/actions';
+
+function onClickMakeMain(item, event) {
+  // Prevent bubbling of event to clicking on item
+  event.stopPropagation();
+
+  checkSaveStateThen(() => {
+    openWorkspaceScene(item.path);
+  });
+}
+
+class FolderPanel extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      // Paths of folders that are expanded
+      expanded: {},
+    };
+
+    this.onClickClose = this.onClickClose.bind(this);
+  }
+
+  onClickClose() {
+    this.props.dispatch({
+      type: SET_APP_STATE,
+      showFolderPanel: false,
+    });
+  }
+
+  onClickFolder(item) {
+    this.setState({
+      expanded: {
+        ...this.state.expanded,
+        [item.path]: !this.state.expanded[item.path],
+      },
+    });
+  }
+
+  renderItems(items) {
+    return (
+      <ul className="folder-panel-list">
+        {items.map((item) => {
+          if (item.children) {
+            const expanded = this.state.expanded[item.path];
+            return (
+              <li key={item.path}>
+                <div className="folder-panel-item" onClick={() => { this.onClickFolder(item); }}>
+                  <span className={`folder-panel-toggle btm bt-caret-${expanded ? 'down' : 'right'}`} />
+                  {item.name}
+                </div>
+                {expanded ? this.renderItems(item.children) : null}
+              </li>
+            );
+          }
+
+          // Only scene files can be opened in the editor
+          if (!YAML_EXTENSION_PATTERN.test(item.path)) {
+            return (
+              <li key={item.path}>
+                <div className="folder-panel-item folder-panel-item-resource">{item.name}</div>
+              </li>
+            );
+          }
+
+          let classes = 'folder-panel-item folder-panel-item-scene';
+          if (item.path === this.props.activePath) {
+            classes += ' folder-panel-item-active';
+          }
+
+          return (
+            <li key={item.path}>
+              <div className={classes} onClick={() => { openWorkspaceFile(item.path); }}>
+                {item.name}
+                {(item.path === this.props.rootPath)
+                  ? <span className="folder-panel-main">main</span>
+                  : (
+                    <button
+                      className="folder-panel-make-main"
+                      title="Open as the main scene file"
+                      onClick={(event) => { onClickMakeMain(item, event); }}
+                    >
+                      <Icon type="bt-map" />
+                    </button>
+                  )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    );
+  }
+
+  render() {
+    if (!this.props.workspace) return null;
+
+    const displayStyle = { display: this.props.show ? 'block' : 'none' };
+    const { name, writable } = this.props.workspace;
+
+    return (
+      <Draggable
+        bounds="#draggable-container"
+        handle=".floating-panel-drag"
+      >
+        <div className="folder-panel modal" style={displayStyle}>
+          <div className="floating-panel-topbar">
+            <div className="floating-panel-drag">
+              <Icon type="bt-folder" /> {name}
+            </div>
+            <button className="floating-panel-close" onClick={this.onClickClose}>×</button>
+          </div>
+          {!writable && (
+            <div className="folder-panel-notice">
+              This browser cannot save to the folder. Saved files are downloaded instead.
+            </div>
+          )}
+          <div className="folder-panel-viewport">
+            {this.renderItems(getFileTree(this.props.workspace.paths))}
+          </div>
+        </div>
+      </Draggable>
+    );
+  }
+}
+
+FolderPanel.propTypes = {
+  dispatch: PropTypes.func.isRequired,
+  show: PropTypes.bool,
+  workspace: PropTypes.shape({
+    name: PropTypes.string,
+    paths: PropTypes.arrayOf(PropTypes.string),
+    writable: PropTypes.bool,
+  }),
+  activePath: PropTypes.string,
+  rootPath: PropTypes.string,
+};
+
+FolderPanel.defaultProps = {
+  show: false,
+  workspace: null,
+  activePath: null,
+  rootPath: null,
+};
+
+function mapStateToProps(state) {
+  const { files, activeFileIndex, rootFileIndex } = state.scene;
+  const activeFile = files[activeFileIndex];
+  const rootFile = files[rootFileIndex];
+
+  return {
+    show: state.app.showFolderPanel,
+    workspace: state.app.workspace,
+    activePath: (activeFile && activeFile.bundlePath) || null,
+    rootPath: (rootFile && rootFile.bundlePath) || null,
+  };
+}
+
+export default connect(mapStateToProps)(FolderPanel);
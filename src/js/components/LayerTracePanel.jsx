@@ -0,0 +1,224 @@
+/* eslint-disable jsx-a11y/no-static-element-interactions */
+/**
+ * A floating panel that explains why a feature inspected on the map is
+ * drawn the way it is: which layers and sublayers it is in, the condition
+ * of the filter it fails for layers it is not in, and the combined `draw`
+ * parameters of the layers it is in (see `editor/layer-trace.js`). Clicking
+ * on a layer or parameter highlights it in the editor.
+ */
+import { debounce } from 'lodash';
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import Draggable from 'react-draggable';
+import EventEmitter from './event-emitter';
+import Icon from './Icon';
+import { editor } from '../editor/editor';
+import { getNodeAtKeyAddress } from '../editor/yaml-ast';
+import { highlightNode } from '../editor/highlight';
+import { traceLayers } from '../editor/layer-trace';
+
+// Redux
+import { SET_APP_STATE } from '../store/actions';
+
+const TRACE_UPDATE_DEBOUNCE = 300;
+
+// Highlights the block at a key address in the editor
+function highlightAddress(address) {
+  const node = getNodeAtKeyAddress(editor.getDoc().yamlNodes, address);
+  if (node) {
+    highlightNode(node);
+  }
+}
+
+// Returns the text of a parameter's value, and the line it is on
+function describeParameter(item) {
+  const doc = editor.getDoc();
+  const mapping = getNodeAtKeyAddress(doc.yamlNodes, item.address);
+  const line = mapping ? doc.posFromIndex(mapping.startPosition).line + 1 : null;
+
+  let value = '';
+  if (item.node && typeof item.node.value === 'string') {
+    value = item.node.value;
+  } else if (item.node) {
+    value = doc.getRange(doc.posFromIndex(item.node.startPosition),
+      doc.posFromIndex(item.node.endPosition));
+  }
+
+  return { value, line };
+}
+
+function getLayerIcon(layer) {
+  if (!layer.evaluated) return 'bt-question-circle';
+  return layer.matched ? 'bt-check' : 'bt-times';
+}
+
+// Lists the combined draw parameters, by draw group
+function renderDraw(draw) {
+  if (draw.length === 0) {
+    return <div className="layer-trace-empty">No draw parameters.</div>;
+  }
+
+  return (
+    <table className="layer-trace-draw">
+      <tbody>
+        {draw.map((item) => {
+          const { value, line } = describeParameter(item);
+          return (
+            <tr
+              key={`${item.group}:${item.parameter}`}
+              onClick={() => { highlightAddress(item.address); }}
+            >
+              <td className="layer-trace-group">{item.group}</td>
+              <td>{item.parameter}</td>
+              <td className="layer-trace-value">{value}</td>
+              <td className="layer-trace-line">{line ? `line ${line}` : ''}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+class LayerTracePanel extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.onClickClose = this.onClickClose.bind(this);
+    this.addEditorListeners = this.addEditorListeners.bind(this);
+    this.debouncedUpdate = debounce(() => { this.forceUpdate(); }, TRACE_UPDATE_DEBOUNCE);
+  }
+
+  componentDidMount() {
+    // The trace follows changes in the editor
+    if (editor) {
+      this.addEditorListeners();
+    } else {
+      EventEmitter.subscribe('editor:ready', this.addEditorListeners);
+    }
+  }
+
+  componentWillUnmount() {
+    if (editor) {
+      editor.off('changes', this.debouncedUpdate);
+      editor.off('swapDoc', this.debouncedUpdate);
+    }
+  }
+
+  onClickClose() {
+    this.props.dispatch({
+      type: SET_APP_STATE,
+      layerTrace: null,
+    });
+  }
+
+  addEditorListeners() {
+    editor.on('changes', this.debouncedUpdate);
+    editor.on('swapDoc', this.debouncedUpdate);
+  }
+
+  // Describes the value of a property or filter keyword of the feature
+  describeValue(property) {
+    const { feature, context } = this.props.trace;
+    const value = (property.charAt(0) === '$') ? context[property] : feature.properties[property];
+    return (value === undefined) ? 'missing' : JSON.stringify(value);
+  }
+
+  renderLayers(layers) {
+    return (
+      <ul className="layer-trace-list">
+        {layers.map(layer => (
+          <li key={layer.address}>
+            <div
+              className={`layer-trace-layer layer-trace-${layer.matched ? 'matched' : 'unmatched'}`}
+              onClick={() => { highlightAddress(layer.address); }}
+            >
+              <Icon type={getLayerIcon(layer)} />
+              {layer.name}
+            </div>
+            {(!layer.evaluated)
+              ? (
+                <div className="layer-trace-failing">
+                  Not evaluated: its filter is a function, which is not run here
+                </div>
+              )
+              : null}
+            {(layer.failing)
+              ? (
+                <div className="layer-trace-failing">
+                  Fails <code>{layer.failing.condition}</code>
+                  {(layer.failing.property)
+                    ? ` (${layer.failing.property} is ${this.describeValue(layer.failing.property)})`
+                    : null}
+                </div>
+              )
+              : null}
+            {layer.children.length > 0 ? this.renderLayers(layer.children) : null}
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  render() {
+    const trace = this.props.trace;
+    const displayStyle = { display: trace ? 'block' : 'none' };
+
+    let content = null;
+    if (trace && editor) {
+      const result = traceLayers(editor.getDoc().yamlNodes, trace.feature, trace.context);
+      content = (result.layers.length > 0)
+        ? (
+          <div>
+            <div className="layer-trace-label">Layers</div>
+            {this.renderLayers(result.layers)}
+            <div className="layer-trace-label">Draw</div>
+            {renderDraw(result.draw)}
+          </div>
+        )
+        : (
+          <div className="layer-trace-empty">
+            No layers in this file use the data this feature is in.
+          </div>
+        );
+    }
+
+    return (
+      <Draggable
+        bounds="#draggable-container"
+        handle=".floating-panel-drag"
+      >
+        <div className="layer-trace-panel modal" style={displayStyle}>
+          <div className="floating-panel-topbar">
+            <div className="floating-panel-drag">Why is this drawn like this?</div>
+            <button className="floating-panel-close" onClick={this.onClickClose}>×</button>
+          </div>
+          <div className="layer-trace-panel-viewport">
+            {content}
+          </div>
+        </div>
+      </Draggable>
+    );
+  }
+}
+
+LayerTracePanel.propTypes = {
+  dispatch: PropTypes.func.isRequired,
+  trace: PropTypes.shape({
+    feature: PropTypes.object,
+    context: PropTypes.object,
+  }),
+};
+
+LayerTracePanel.defaultProps = {
+  trace: null,
+};
+
+function mapStateToProps(state) {
+  return {
+    trace: state.app.layerTrace,
+  };
+}
+
+export default connect(mapStateToProps)(LayerTracePanel);
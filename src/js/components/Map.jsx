@@ -6,6 +6,7 @@ import MapPanel from './MapPanel';
 import Camera from './Camera';
 import SceneLoading from '../map/SceneLoading';
 import { initMap, loadScene, destroyScene, refreshMap } from '../map/map';
+import { createSceneBlobUrl, releaseVirtualFiles } from '../file/virtual-files';
 
 class Map extends React.Component {
   constructor(props) {
@@ -28,6 +29,7 @@ class Map extends React.Component {
     if (this.props.app.initialized &&
       (nextProps.scene.files.length === 0 || this.props.app.mapNotLoaded === true)) {
       destroyScene();
+      releaseVirtualFiles();
 
       // Bail from `componentWillUpdate`, we're done here
       return;
@@ -39,8 +41,7 @@ class Map extends React.Component {
     // to user edits.
     if (nextProps.scene.counter > this.props.scene.counter) {
       const { scene } = nextProps;
-      const rootFile = scene.rootFileIndex;
-      const url = URL.createObjectURL(new Blob([scene.files[rootFile].contents]));
+      const url = createSceneBlobUrl();
 
       loadScene(url, {
         reset: true,
@@ -33,6 +33,8 @@ class MapPanel extends React.Component {
     this.toggleMapPanel = this.toggleMapPanel.bind(this);
     this.onClickGeolocator = this.onClickGeolocator.bind(this);
     this.onClickCamera = this.onClickCamera.bind(this);
+    this.onClickFeatureTable = this.onClickFeatureTable.bind(this);
+    this.onClickCursorLayer = this.onClickCursorLayer.bind(this);
     this.onGeolocateSuccess = this.onGeolocateSuccess.bind(this);
   }
 
@@ -168,6 +170,20 @@ class MapPanel extends React.Component {
     });
   }
 
+  onClickFeatureTable() {
+    this.props.dispatch({
+      type: SET_APP_STATE,
+      showFeatureTable: !this.props.showFeatureTable,
+    });
+  }
+
+  onClickCursorLayer() {
+    this.props.dispatch({
+      type: SET_APP_STATE,
+      highlightCursorLayer: !this.props.highlightCursorLayer,
+    });
+  }
+
   /**
    * Toggle the panel so it is visible or not visible
    */
@@ -216,6 +232,26 @@ class MapPanel extends React.Component {
               />
             </ButtonGroup>
 
+            {/* Feature table */}
+            <ButtonGroup className="buttons-toggle">
+              <IconButton
+                icon="bt-table"
+                tooltip="Toggle feature table"
+                onClick={this.onClickFeatureTable}
+                active={this.props.showFeatureTable}
+              />
+            </ButtonGroup>
+
+            {/* Layer at the editor cursor */}
+            <ButtonGroup className="buttons-toggle">
+              <IconButton
+                icon="bt-eye"
+                tooltip="Show features of the layer at the editor cursor"
+                onClick={this.onClickCursorLayer}
+                active={this.props.highlightCursorLayer}
+              />
+            </ButtonGroup>
+
             {/* Toggle map panel to show it */}
             <ButtonGroup className="buttons-toggle">
               <IconButton
@@ -252,12 +288,16 @@ MapPanel.propTypes = {
   // Whether panel should be open or not
   open: PropTypes.bool,
   cameraToolsVisible: PropTypes.bool,
+  showFeatureTable: PropTypes.bool,
+  highlightCursorLayer: PropTypes.bool,
 };
 
 MapPanel.defaultProps = {
   disabled: false,
   open: true,
   cameraToolsVisible: false,
+  showFeatureTable: false,
+  highlightCursorLayer: false,
 };
 
 function mapStateToProps(state) {
@@ -265,6 +305,8 @@ function mapStateToProps(state) {
     disabled: state.app.disableMapToolbar,
     open: state.persistence.mapToolbarDisplay,
     cameraToolsVisible: state.app.cameraToolsVisible,
+    showFeatureTable: state.app.showFeatureTable,
+    highlightCursorLayer: state.app.highlightCursorLayer,
   };
 }
 
@@ -1,4 +1,6 @@
 import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
 import OverlayTrigger from 'react-bootstrap/lib/OverlayTrigger';
 import Tooltip from 'react-bootstrap/lib/Tooltip';
 import DropdownButton from 'react-bootstrap/lib/DropdownButton';
@@ -6,14 +8,55 @@ import MenuItem from 'react-bootstrap/lib/MenuItem';
 import Icon from './Icon';
 import { showConfirmDialogModal } from '../modals/ConfirmDialogModal';
 
-import { getLocationBookmarks, clearLocationBookmarks, deleteLocationBookmark } from '../map/bookmarks';
+import {
+  getLocationBookmarks,
+  clearLocationBookmarks,
+  deleteLocationBookmark,
+  getBookmarkFolders,
+} from '../map/bookmarks';
 import { map } from '../map/map';
 import EventEmitter from './event-emitter';
+import { SHOW_MODAL } from '../store/actions';
+
+// Formats a bookmark's coordinates and zoom for the bookmarks list
+function formatBookmark(bookmark, id) {
+  const fractionalZoom = Math.floor(bookmark.zoom * 10) / 10;
+
+  return {
+    id,
+    timestamp: bookmark.timestamp,
+    label: bookmark.label,
+    folder: bookmark.folder,
+    coordinates: { lat: bookmark.lat, lng: bookmark.lng },
+    zoom: bookmark.zoom,
+    text: `${bookmark.lat.toFixed(4)}, ${bookmark.lng.toFixed(4)}, z${fractionalZoom.toFixed(1)}`,
+  };
+}
+
+/**
+ * Fires when a user clicks on a bookmark from bookmark list.
+ * Causes map and search panel to re-render to go to the location on the bookmark
+ *
+ * @param bookmark - a bookmark in the bookmark list, see `formatBookmark()`
+ */
+function goToBookmark(bookmark) {
+  const coordinates = bookmark.coordinates;
+  const zoom = bookmark.zoom;
+
+  if (!coordinates || !zoom) {
+    return;
+  }
+
+  map.setView(coordinates, zoom);
+
+  // Activates highlighted state on the location bar
+  EventEmitter.dispatch('bookmarks:active');
+}
 
 /**
  * Represents the search bar and bookmarks button on the map panel
  */
-export default class MapPanelBookmarks extends React.Component {
+class MapPanelBookmarks extends React.Component {
   /**
    * Used to setup the state of the component. Regular ES6 classes do not
    * automatically bind 'this' to the instance, therefore this is the best
@@ -34,6 +77,7 @@ export default class MapPanelBookmarks extends React.Component {
 
     this.onClickDeleteBookmarks = this.onClickDeleteBookmarks.bind(this);
     this.onClickConfirmClearAllBookmarks = this.onClickConfirmClearAllBookmarks.bind(this);
+    this.onClickManageBookmarks = this.onClickManageBookmarks.bind(this);
     this.updateBookmarks = this.updateBookmarks.bind(this);
     this.shouldDropdownToggle = this.shouldDropdownToggle.bind(this);
   }
@@ -59,29 +103,6 @@ export default class MapPanelBookmarks extends React.Component {
     this.overrideBookmarkClose = false;
   }
 
-  /**
-   * Fires when a user clicks on a bookmark from bookmark list.
-   * Causes map and search panel to re-render to go to the location on the bookmark
-   *
-   * @param key - each bookmark in the bookmark list identified by a unique
-   *      key
-   */
-  onClickGoToBookmark(key) {
-    const bookmark = this.state.bookmarks[key];
-
-    const coordinates = { lat: bookmark.lat, lng: bookmark.lng };
-    const zoom = bookmark.zoom;
-
-    if (!coordinates || !zoom) {
-      return;
-    }
-
-    map.setView(coordinates, zoom);
-
-    // Activates highlighted state on the location bar
-    EventEmitter.dispatch('bookmarks:active');
-  }
-
   /**
    * Delete a single bookmark. Use a guaranteed unique ID to find the correct
    * bookmark to delete. Using React's key position from the render loop
@@ -120,6 +141,17 @@ export default class MapPanelBookmarks extends React.Component {
     showConfirmDialogModal(message, this.onClickConfirmClearAllBookmarks);
   }
 
+  /**
+   * Opens the bookmarks manager, to organize bookmarks in folders, import
+   * and export them, and keep them in the scene.
+   */
+  onClickManageBookmarks() {
+    this.props.dispatch({
+      type: SHOW_MODAL,
+      modalType: 'BOOKMARKS',
+    });
+  }
+
   /**
    * Callback called when dropdown button wants to change state from open to closed
    *
@@ -138,29 +170,52 @@ export default class MapPanelBookmarks extends React.Component {
    * trigger a re-render of bookmarks list.
    */
   updateBookmarks(bookmarks) {
-    const newBookmarks = [];
-
-    for (let i = 0; i < bookmarks.length; i++) {
-      const bookmark = bookmarks[i];
-      const fractionalZoom = Math.floor(bookmark.zoom * 10) / 10;
-
-      newBookmarks.push({
-        id: i,
-        timestamp: bookmark.timestamp,
-        label: bookmark.label,
-        lat: bookmark.lat.toFixed(4),
-        lng: bookmark.lng.toFixed(4),
-        zoom: fractionalZoom.toFixed(1),
-        onClick: this.onClickGoToBookmark.bind(this),
-        active: '',
-      });
-    }
-
     this.setState({
-      bookmarks: newBookmarks,
+      bookmarks: bookmarks.map(formatBookmark),
     });
   }
 
+  /**
+   * Renders a bookmark in the bookmarks list. Bookmarks kept in the scene
+   * cannot be deleted from here.
+   *
+   * @param bookmark - see `formatBookmark()`
+   * @param key - unique key in the list
+   * @param deletable - whether the bookmark has a delete button
+   */
+  renderBookmark(bookmark, key, deletable = true) {
+    return (
+      <MenuItem key={key}>
+        <div
+          className="bookmark-dropdown-info"
+          onClick={() => goToBookmark(bookmark)}
+        >
+          <div className="bookmark-dropdown-icon">
+            <Icon type="bt-map-marker" />
+          </div>
+          <div>
+            {bookmark.label}
+            <br />
+            <span className="bookmark-dropdown-text">
+              {bookmark.text}
+            </span>
+          </div>
+        </div>
+        {(() => {
+          if (!deletable) return null;
+          return (
+            <div
+              className="bookmark-dropdown-delete"
+              onClick={() => this.onClickDeleteSingleBookmark(bookmark.timestamp)}
+            >
+              <Icon type="bt-times" />
+            </div>
+          );
+        })()}
+      </MenuItem>
+    );
+  }
+
   render() {
     return (
       <OverlayTrigger
@@ -193,41 +248,58 @@ export default class MapPanelBookmarks extends React.Component {
               return null;
             }
 
+            const bookmarks = this.state.bookmarks;
+            const sceneBookmarks = this.props.sceneBookmarks;
+
+            // Opens the bookmarks manager, e.g. to import bookmarks
+            const manageButton = (
+              <MenuItem
+                key="manage"
+                onSelect={this.onClickManageBookmarks}
+                className="bookmark-dropdown-center bookmark-dropdown-clear"
+              >
+                Manage bookmarks…
+              </MenuItem>
+            );
+
             // If no bookmarks, then display a no bookmarks message
-            if (this.state.bookmarks.length === 0) {
-              bookmarkDropdownList = (
+            if (bookmarks.length === 0 && sceneBookmarks.length === 0) {
+              bookmarkDropdownList = [
                 <MenuItem key="none" className="bookmark-dropdown-center">
                   No locations bookmarked!
-                </MenuItem>
-              );
+                </MenuItem>,
+                manageButton,
+              ];
             } else {
               // If there are bookmarks
-              // Create the bookmarks list
-              const list = this.state.bookmarks.map((result, i) => (
-                <MenuItem key={i}>
-                  <div
-                    className="bookmark-dropdown-info"
-                    onClick={() => this.onClickGoToBookmark(i)}
-                  >
-                    <div className="bookmark-dropdown-icon">
-                      <Icon type="bt-map-marker" />
-                    </div>
-                    <div>
-                      {result.label}
-                      <br />
-                      <span className="bookmark-dropdown-text">
-                        {result.lat}, {result.lng}, z{result.zoom}
-                      </span>
-                    </div>
-                  </div>
-                  <div
-                    className="bookmark-dropdown-delete"
-                    onClick={() => this.onClickDeleteSingleBookmark(result.timestamp)}
-                  >
-                    <Icon type="bt-times" />
-                  </div>
-                </MenuItem>
-              ));
+              // Create the bookmarks list. Bookmarks that are not in a folder
+              // come first, then each folder under a heading.
+              const list = bookmarks.filter(bookmark => !bookmark.folder)
+                .map(bookmark => this.renderBookmark(bookmark, bookmark.timestamp));
+
+              getBookmarkFolders(bookmarks).forEach((folder) => {
+                list.push(
+                  <MenuItem header key={`folder-${folder}`} className="bookmark-dropdown-header">
+                    <Icon type="bt-folder" /> {folder}
+                  </MenuItem>
+                );
+                bookmarks.filter(bookmark => bookmark.folder === folder)
+                  .forEach((bookmark) => {
+                    list.push(this.renderBookmark(bookmark, bookmark.timestamp));
+                  });
+              });
+
+              // Bookmarks kept in the scene, for everyone who opens it
+              if (sceneBookmarks.length > 0) {
+                list.push(
+                  <MenuItem header key="scene" className="bookmark-dropdown-header">
+                    <Icon type="bt-file" /> In this scene
+                  </MenuItem>
+                );
+                sceneBookmarks.forEach((bookmark, i) => {
+                  list.push(this.renderBookmark(formatBookmark(bookmark, i), `scene-${i}`, false));
+                });
+              }
 
               // Add a delete button at the end
               const deletebutton = (
@@ -241,7 +313,10 @@ export default class MapPanelBookmarks extends React.Component {
               );
 
               // In React we have to use arrays if we want to concatenate two JSX fragments
-              bookmarkDropdownList = [list, deletebutton];
+              bookmarkDropdownList = [list, manageButton];
+              if (bookmarks.length > 0) {
+                bookmarkDropdownList.push(deletebutton);
+              }
             }
 
             return bookmarkDropdownList;
@@ -251,3 +326,16 @@ export default class MapPanelBookmarks extends React.Component {
     );
   }
 }
+
+MapPanelBookmarks.propTypes = {
+  dispatch: PropTypes.func.isRequired,
+  sceneBookmarks: PropTypes.arrayOf(PropTypes.object).isRequired,
+};
+
+function mapStateToProps(state) {
+  return {
+    sceneBookmarks: state.app.sceneBookmarks,
+  };
+}
+
+export default connect(mapStateToProps)(MapPanelBookmarks);
@@ -1,5 +1,5 @@
 /* eslint-disable react/sort-comp */
-import { throttle } from 'lodash';
+import { escapeRegExp, throttle } from 'lodash';
 import React from 'react';
 import PropTypes from 'prop-types';
 import Autosuggest from 'react-autosuggest';
@@ -9,7 +9,9 @@ import Icon from './Icon';
 
 import EventEmitter from './event-emitter';
 import { map } from '../map/map';
-import config from '../config';
+import { getGeocoder, makePlace } from '../map/geocoders';
+import { parseLocation, getLocationLabel } from '../map/locations';
+import { highlightTileOnMap, clearTileHighlight } from '../map/highlight';
 import { saveLocationBookmark } from '../map/bookmarks';
 
 import store from '../store';
@@ -17,6 +19,20 @@ import { UPDATE_MAP_LABEL } from '../store/actions';
 
 const MAP_UPDATE_DELTA = 0.002;
 
+/**
+ * Returns a place to go to, if the user typed coordinates or a tile address
+ * (see `locations.js`), with the zoom and tile, if any, in its properties.
+ */
+function getPlaceForLocation(query) {
+  const location = parseLocation(query);
+  if (!location) return null;
+
+  const place = makePlace(getLocationLabel(location), location.lat, location.lng);
+  place.properties.zoom = location.zoom;
+  place.properties.tile = location.tile;
+  return place;
+}
+
 /**
  * Returns delta change between current position of the map and distance moved
  * by the user
@@ -288,8 +304,14 @@ export default class MapPanelLocationBar extends React.Component {
    * @param value - value to search for
    */
   onSuggestionsFetchRequested({ value }) {
-    // Only call autocomplete if user has typed more than 1 character
-    if (value.length >= 2) {
+    // Coordinates and tile addresses are suggested as they are
+    const place = getPlaceForLocation(value);
+    if (place) {
+      this.setState({
+        suggestions: [place],
+      });
+    } else if (value.length >= 2) {
+      // Only call autocomplete if user has typed more than 1 character
       this.autocomplete(value);
     }
   }
@@ -314,18 +336,14 @@ export default class MapPanelLocationBar extends React.Component {
    * @returns {Promise} - resolves with a new state object
    */
   unthrottledReverseGeocode(latlng) {
-    const lat = latlng.lat;
-    const lng = latlng.lng;
-    // eslint-disable-next-line max-len
-    const endpoint = `https://${config.SEARCH.HOST}/v1/reverse?point.lat=${lat}&point.lon=${lng}&size=1&layers=coarse&api_key=${config.MAPZEN_API_KEY}`;
-
-    return window.fetch(endpoint)
-      .then(response => response.json())
-      .then((response) => {
+    return getGeocoder().reverse(latlng)
+      // Without a connection, or a geocoder, the location is unknown
+      .catch(() => null)
+      .then((place) => {
         const state = {};
 
         // TODO: Much more clever viewport/zoom based determination of current location
-        if (!response.features || response.features.length === 0) {
+        if (!place) {
           // Sometimes reverse geocoding returns no results
           state.placeholder = 'Unknown location';
           // Very first time we load the bar we don't want a value, we want a placeholder
@@ -333,10 +351,10 @@ export default class MapPanelLocationBar extends React.Component {
             state.value = 'Unknown location';
           }
         } else {
-          state.placeholder = response.features[0].properties.label;
+          state.placeholder = place.properties.label;
           // Very first time we load the bar we don't want a value, we want a placeholder
           if (this.state.value !== '') {
-            state.value = response.features[0].properties.label;
+            state.value = place.properties.label;
           }
         }
 
@@ -349,41 +367,49 @@ export default class MapPanelLocationBar extends React.Component {
   }
 
   /**
-   * Makes an autocomplete request to API based on what user has typed
+   * Makes an autocomplete request to the geocoder based on what user has
+   * typed, if it can autocomplete
    * @param query - value to search for
    */
   autocomplete(query) {
-    const center = map.getCenter();
-    // eslint-disable-next-line max-len
-    const endpoint = `https://${config.SEARCH.HOST}/v1/autocomplete?text=${query}&focus.point.lat=${center.lat}&focus.point.lon=${center.lng}&layers=coarse&api_key=${config.MAPZEN_API_KEY}`;
+    const geocoder = getGeocoder();
+    if (!geocoder.autocomplete) return;
 
-    this.makeRequest(endpoint);
+    this.makeRequest(geocoder.autocomplete(query, map.getCenter()));
   }
 
   /**
-   * Makes an search request to API when user presses ENTER
+   * Makes an search request to the geocoder when user presses ENTER
    * @param query - value to search for
    */
   search(query) {
-    const center = map.getCenter();
-    // eslint-disable-next-line max-len
-    const endpoint = `https://${config.SEARCH.HOST}/v1/search?text=${query}&focus.point.lat=${center.lat}&focus.point.lon=${center.lng}&layers=coarse&api_key=${config.MAPZEN_API_KEY}`;
+    // Go straight to coordinates and tile addresses
+    const place = getPlaceForLocation(query);
+    if (place) {
+      this.setState({ suggestions: [] });
+      this.goToPlace(place);
+      return;
+    }
 
-    this.makeRequest(endpoint);
+    this.makeRequest(getGeocoder().search(query, map.getCenter()));
   }
 
   /**
-   * Makes a request to Mapzen API
-   * @param endpoint - the address or connection point to the web service
+   * Shows the places found by a request to the geocoder
+   * @param request - a Promise resolved with places
    */
-  makeRequest(endpoint) {
-    window.fetch(endpoint)
-      .then(response => response.json())
-      .then((results) => {
+  makeRequest(request) {
+    request
+      .then((places) => {
         // Stores a new set of autocomplete suggestions in 'suggestions'
         // data causing the search list to re-render
         this.setState({
-          suggestions: results.features,
+          suggestions: places,
+        });
+      })
+      .catch(() => {
+        this.setState({
+          suggestions: [],
         });
       });
   }
@@ -395,18 +421,35 @@ export default class MapPanelLocationBar extends React.Component {
    *      suggestions list
    */
   onSuggestionSelected(event, { suggestion }) {
-    const lat = suggestion.geometry.coordinates[1];
-    const lng = suggestion.geometry.coordinates[0];
+    this.goToPlace(suggestion);
+  }
+
+  /**
+   * Moves the map to a place, and shows the boundaries of its tile, if it is
+   * a tile address
+   * @param place - a place, see `geocoders.js`
+   */
+  goToPlace(place) {
+    const lat = place.geometry.coordinates[1];
+    const lng = place.geometry.coordinates[0];
+    const { zoom, tile } = place.properties;
 
     // Set a boolean that we will use to know if we should update our value
     // once the map moves. If the map moves because of a suggestion being
     // selected, we do NOT need to update our value in the 'leaflet:moveend'
     // event listener
     this.relocatingMap = true;
-    map.setView({ lat, lng });
+    map.setView({ lat, lng }, zoom);
+
+    if (tile) {
+      highlightTileOnMap(tile);
+    } else {
+      clearTileHighlight();
+    }
+
     this.setState({
       bookmarkActive: false,
-      placeholder: suggestion.properties.label,
+      placeholder: place.properties.label,
       latlng: {
         lat,
         lng,
@@ -426,7 +469,7 @@ export default class MapPanelLocationBar extends React.Component {
     const label = suggestion.properties.label;
 
     // Highlight the input query
-    const r = new RegExp(`(${query})`, 'gi');
+    const r = new RegExp(`(${escapeRegExp(query)})`, 'gi');
     const parts = label.split(r);
     for (let i = 0; i < parts.length; i++) {
       if (parts[i].toLowerCase() === query.toLowerCase()) {
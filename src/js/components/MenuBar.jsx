@@ -13,10 +13,19 @@ import Icon from './Icon';
 import EventEmitter from './event-emitter';
 import { trackGAEvent } from '../tools/analytics';
 
-import { checkSaveStateThen, openLocalFile, newScene, exportSceneFile } from '../editor/io';
+import {
+  checkSaveStateThen,
+  openLocalFile,
+  newScene,
+  exportSceneFile,
+  showCredentialsWarningIfNecessary,
+} from '../editor/io';
 import MenuFullscreen from './MenuFullscreen';
 import { showConfirmDialogModal } from '../modals/ConfirmDialogModal';
 import { showErrorModal } from '../modals/ErrorModal';
+import { chooseWorkspaceFolder } from '../file/workspace-providers';
+import { openWorkspace, saveWorkspaceFiles } from '../file/workspace';
+import { getStorageProvider } from '../storage/providers';
 import { setGlobalIntrospection } from '../map/inspection';
 import { requestUserSignInState } from '../user/sign-in';
 import { openSignInWindow } from '../user/sign-in-window';
@@ -57,6 +66,24 @@ function clickOpenFile() {
   openLocalFile();
 }
 
+function clickOpenFolder() {
+  checkSaveStateThen(() => {
+    chooseWorkspaceFolder()
+      .then((provider) => {
+        if (provider) openWorkspace(provider);
+      })
+      .catch((error) => {
+        showErrorModal(`Unable to open the folder: ${error.message}`);
+      });
+  });
+}
+
+function clickOpenGitRepository() {
+  checkSaveStateThen(() => {
+    showModal('OPEN_GIT_REPOSITORY');
+  });
+}
+
 function clickOpenGist() {
   checkSaveStateThen(() => {
     showModal('OPEN_GIST');
@@ -69,6 +96,10 @@ function clickOpenURL() {
   });
 }
 
+function clickOpenHistory() {
+  showModal('SCENE_HISTORY');
+}
+
 function clickOpenExample() {
   checkSaveStateThen(() => {
     showModal('OPEN_EXAMPLE');
@@ -79,6 +110,18 @@ function clickSaveFile() {
   exportSceneFile();
 }
 
+function clickSaveToFolder() {
+  saveWorkspaceFiles();
+}
+
+function clickCommitToRepository() {
+  showModal('GIT_COMMIT');
+}
+
+function clickSaveBundle() {
+  showModal('SAVE_BUNDLE');
+}
+
 function clearSignInCallbackMethod() {
   store.dispatch({
     type: 'SET_SIGN_IN_CALLBACK_METHOD',
@@ -86,7 +129,21 @@ function clearSignInCallbackMethod() {
   });
 }
 
-function clickSaveAsToCloud() {
+/**
+ * Calls `callback` if the scene storage provider can be used. If the provider
+ * requires the user to sign in to Mapzen, this checks that they are signed in
+ * first; if not, asks them to sign in, and remembers `method` to do after
+ * they sign in (see `doSignInCallbackMethod()`).
+ *
+ * @param {string} method - what the user was doing, e.g. 'SAVE_TO_CLOUD'
+ * @param {Function} callback - called if the storage provider can be used
+ */
+function whenStorageIsAvailable(method, callback) {
+  if (!getStorageProvider().requiresSignIn) {
+    callback();
+    return;
+  }
+
   if (checkUserAuthAvailability() === false) return;
 
   clearSignInCallbackMethod();
@@ -98,78 +155,53 @@ function clickSaveAsToCloud() {
       }
 
       if (data.id) {
-        showModal('SAVE_TO_CLOUD');
+        callback();
       } else {
         const message = 'You are not signed in! Please sign in now.';
         showConfirmDialogModal(message, openSignInWindow, clearSignInCallbackMethod);
         store.dispatch({
           type: 'SET_SIGN_IN_CALLBACK_METHOD',
-          method: 'SAVE_TO_CLOUD',
+          method,
         });
       }
     });
 }
 
+function clickSaveAsToCloud() {
+  whenStorageIsAvailable('SAVE_TO_CLOUD', () => {
+    showModal('SAVE_TO_CLOUD');
+  });
+}
+
+// Whether the scene was saved with the scene storage provider, and can be
+// saved over.
+function isSavedToCloud() {
+  const scene = store.getState().scene;
+  return scene.saveLocation === getStorageProvider().id &&
+    Boolean(scene.sourceData && scene.sourceData.id);
+}
+
 /**
- * Check whether the scene is already saved to Mapzen and if so, confirm overwrite.
- * Otherwise, use the Save As function.
+ * Check whether the scene is already saved to the scene storage provider and
+ * if so, confirm overwrite. Otherwise, use the Save As function.
  */
 function clickSaveToCloud() {
-  const scene = store.getState().scene;
-  if (scene.saveLocation === 'MAPZEN' && scene.sourceData && scene.sourceData.id) {
-    // Duplicating some functionality from clickSaveAsToCloud()
-    // todo refactor
-    if (checkUserAuthAvailability() === false) return;
-
-    clearSignInCallbackMethod();
-    requestUserSignInState()
-      .then((data) => {
-        if (!data) {
-          showErrorModal('ERROR 12B: Unable to sign you in. The authentication service could not be reached.');
-          return;
-        }
-
-        if (data.id) {
-          // TODO: Check scene belongs to user
-          showModal('SAVE_EXISTING_TO_CLOUD');
-        } else {
-          const message = 'You are not signed in! Please sign in now.';
-          showConfirmDialogModal(message, openSignInWindow, clearSignInCallbackMethod);
-          store.dispatch({
-            type: 'SET_SIGN_IN_CALLBACK_METHOD',
-            method: 'SAVE_EXISTING_TO_CLOUD',
-          });
-        }
-      });
+  if (isSavedToCloud()) {
+    whenStorageIsAvailable('SAVE_EXISTING_TO_CLOUD', () => {
+      // TODO: Check scene belongs to user
+      showModal('SAVE_EXISTING_TO_CLOUD');
+    });
   } else {
     clickSaveAsToCloud();
   }
 }
 
 function clickOpenFromCloud() {
-  if (checkUserAuthAvailability() === false) return;
-
-  clearSignInCallbackMethod();
-  requestUserSignInState()
-    .then((data) => {
-      if (!data) {
-        showErrorModal('ERROR 12B: Unable to sign you in. The authentication service could not be reached.');
-        return;
-      }
-
-      if (data.id) {
-        checkSaveStateThen(() => {
-          showModal('OPEN_FROM_CLOUD');
-        });
-      } else {
-        const message = 'You are not signed in! Please sign in now.';
-        showConfirmDialogModal(message, openSignInWindow, clearSignInCallbackMethod);
-        store.dispatch({
-          type: 'SET_SIGN_IN_CALLBACK_METHOD',
-          method: 'OPEN_FROM_CLOUD',
-        });
-      }
+  whenStorageIsAvailable('OPEN_FROM_CLOUD', () => {
+    checkSaveStateThen(() => {
+      showModal('OPEN_FROM_CLOUD');
     });
+  });
 }
 
 function doSignInCallbackMethod() {
@@ -191,26 +223,34 @@ function doSignInCallbackMethod() {
 }
 
 function onClickShare() {
-  const scene = store.getState().scene;
-  if (scene.saveLocation === 'MAPZEN' && scene.sourceData && scene.sourceData.id) {
+  showCredentialsWarningIfNecessary();
+
+  if (isSavedToCloud()) {
     store.dispatch({
       type: SHOW_MODAL,
       modalType: 'SHARE_HOSTED_MAP',
     });
   } else {
-    showConfirmDialogModal('You can share a map hosted on Mapzen if you save your scene to your Mapzen account. Do you want to do this now?', () => {
+    const name = getStorageProvider().name;
+    showConfirmDialogModal(`You can share a hosted map if you save your scene to your ${name}. Do you want to do this now?`, () => {
       clickSaveToCloud();
     });
   }
 }
 
 function onClickEmbed() {
+  showCredentialsWarningIfNecessary();
+
   store.dispatch({
     type: SHOW_MODAL,
     modalType: 'SHOW_CODE_SNIPPET',
   });
 }
 
+function clickCredentials() {
+  showModal('CREDENTIALS');
+}
+
 function clickAbout() {
   showModal('ABOUT');
 }
@@ -275,7 +315,7 @@ class MenuBar extends React.Component {
 
   render() {
     let signInRequiredMsg = null;
-    if (this.props.system.mapzen) {
+    if (this.props.system.mapzen && this.props.storageRequiresSignIn) {
       if (!this.props.system.ssl) {
         signInRequiredMsg = <div className="menu-item-note">Sign-in unavailable</div>;
       } else if (this.props.userSignedIn === false) {
@@ -333,11 +373,17 @@ class MenuBar extends React.Component {
                 <MenuItem onClick={clickOpenFile}>
                   <Icon type="bt-folder" />Open scene…
                 </MenuItem>
+                <MenuItem onClick={clickOpenFolder}>
+                  <Icon type="bt-folder" />Open folder…
+                </MenuItem>
+                <MenuItem onClick={clickOpenGitRepository}>
+                  <Icon type="bt-code" />Open from git repository…
+                </MenuItem>
                 {(() => {
-                  if (this.props.isMapzenHosted) {
+                  if (this.props.storageName) {
                     return (
                       <MenuItem onClick={clickOpenFromCloud}>
-                        <Icon type="bt-cloud-download" />Open scene from Mapzen account…
+                        <Icon type="bt-cloud-download" />Open scene from {this.props.storageName}…
                         {signInRequiredMsg}
                       </MenuItem>
                     );
@@ -357,6 +403,9 @@ class MenuBar extends React.Component {
                 <MenuItem onClick={clickOpenURL}>
                   <Icon type="bt-link" />Open from URL…
                 </MenuItem>
+                <MenuItem onClick={clickOpenHistory}>
+                  <Icon type="bt-clock" />Open an earlier version…
+                </MenuItem>
               </NavDropdown>
             </OverlayTrigger>
 
@@ -371,14 +420,37 @@ class MenuBar extends React.Component {
                 title={<span><Icon type="bt-download" />Save</span>}
                 id="save-dropdown"
               >
+                {(() => {
+                  if (this.props.workspace) {
+                    return (
+                      <MenuItem onClick={clickSaveToFolder}>
+                        <Icon type="bt-folder" />Save to {this.props.workspace.name}
+                      </MenuItem>
+                    );
+                  }
+                  return null;
+                })()}
+                {(() => {
+                  if (this.props.workspace && this.props.workspace.repository) {
+                    return (
+                      <MenuItem onClick={clickCommitToRepository}>
+                        <Icon type="bt-upload" />Commit and push…
+                      </MenuItem>
+                    );
+                  }
+                  return null;
+                })()}
                 <MenuItem onClick={clickSaveFile}>
                   <Icon type="bt-download" />Download
                 </MenuItem>
+                <MenuItem onClick={clickSaveBundle}>
+                  <Icon type="bt-download" />Download as bundle…
+                </MenuItem>
                 {(() => {
-                  if (this.props.isMapzenHosted) {
+                  if (this.props.storageName) {
                     return (
                       <MenuItem onClick={clickSaveToCloud}>
-                        <Icon type="bt-cloud-upload" />Save to Mapzen account…
+                        <Icon type="bt-cloud-upload" />Save to {this.props.storageName}…
                         {signInRequiredMsg}
                       </MenuItem>
                     );
@@ -386,7 +458,7 @@ class MenuBar extends React.Component {
                   return null;
                 })()}
                 {(() => {
-                  if (this.props.isMapzenHosted) {
+                  if (this.props.storageName) {
                     return (
                       <MenuItem onClick={clickSaveAsToCloud}>
                         <Icon type="bt-cloud-upload" />Save as…
@@ -411,7 +483,7 @@ class MenuBar extends React.Component {
                 id="share-dropdown"
               >
                 {(() => {
-                  if (this.props.isMapzenHosted) {
+                  if (this.props.storageName) {
                     return (
                       <MenuItem onClick={onClickShare}>
                         <Icon type="bt-link" />Get sharable link to your map…
@@ -423,6 +495,9 @@ class MenuBar extends React.Component {
                 <MenuItem onClick={onClickEmbed}>
                   <Icon type="bt-code" />Get code snippet…
                 </MenuItem>
+                <MenuItem onClick={clickCredentials}>
+                  <Icon type="bt-key" />API keys and tokens…
+                </MenuItem>
               </NavDropdown>
             </OverlayTrigger>
 
@@ -493,23 +568,35 @@ class MenuBar extends React.Component {
 }
 
 MenuBar.propTypes = {
-  isMapzenHosted: PropTypes.bool,
+  storageName: PropTypes.string,
+  storageRequiresSignIn: PropTypes.bool,
   userSignedIn: PropTypes.bool.isRequired,
   system: PropTypes.shape({
     mapzen: PropTypes.bool,
     ssl: PropTypes.bool,
   }).isRequired,
+  workspace: PropTypes.shape({
+    name: PropTypes.string,
+    repository: PropTypes.object,
+  }),
 };
 
 MenuBar.defaultProps = {
-  isMapzenHosted: false,
+  storageName: null,
+  storageRequiresSignIn: false,
+  workspace: null,
 };
 
 function mapStateToProps(state) {
+  // Scenes can be saved to "the cloud" if the storage provider is available
+  const storage = getStorageProvider();
+
   return {
-    isMapzenHosted: state.system.mapzen,
+    storageName: storage.isAvailable(state) ? storage.name : null,
+    storageRequiresSignIn: storage.requiresSignIn,
     userSignedIn: state.user.signedIn,
     system: state.system,
+    workspace: state.app.workspace,
   };
 }
 
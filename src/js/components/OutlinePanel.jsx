@@ -0,0 +1,228 @@
+/* eslint-disable jsx-a11y/no-static-element-interactions */
+/**
+ * A floating panel with an outline of the scene file in the editor. Clicking
+ * on an item in the outline jumps to it in the editor, and the item at the
+ * cursor is highlighted as the cursor moves.
+ */
+import { debounce } from 'lodash';
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import Draggable from 'react-draggable';
+import EventEmitter from './event-emitter';
+import { editor } from '../editor/editor';
+import { jumpToLine } from '../editor/codemirror/tools';
+import { getSceneOutline, filterOutline, getOutlineItemAtIndex } from '../editor/outline';
+
+// Redux
+import { SET_APP_STATE } from '../store/actions';
+
+const OUTLINE_UPDATE_DEBOUNCE = 300;
+
+// Moves the editor cursor to an outline item and scrolls it into view.
+function jumpToOutlineItem(item) {
+  const doc = editor.getDoc();
+  const pos = doc.posFromIndex(item.startPosition);
+
+  jumpToLine(editor, pos.line);
+  doc.setCursor(pos);
+  editor.focus();
+}
+
+class OutlinePanel extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      outline: [],
+      filter: '',
+      activeAddress: null,
+      // Key addresses of items that are collapsed
+      collapsed: {},
+    };
+
+    this.onClickClose = this.onClickClose.bind(this);
+    this.onChangeFilter = this.onChangeFilter.bind(this);
+    this.onEditorCursorActivity = this.onEditorCursorActivity.bind(this);
+    this.updateOutline = this.updateOutline.bind(this);
+    this.debouncedUpdateOutline = debounce(this.updateOutline, OUTLINE_UPDATE_DEBOUNCE);
+    this.addEditorListeners = this.addEditorListeners.bind(this);
+  }
+
+  componentDidMount() {
+    // Respond to changes in the editor. If the editor is not present
+    // at the time of mounting, add a event listener to listen for readiness.
+    if (editor) {
+      this.addEditorListeners();
+    } else {
+      EventEmitter.subscribe('editor:ready', this.addEditorListeners);
+    }
+  }
+
+  componentDidUpdate(prevProps) {
+    // The outline is not updated while the panel is hidden
+    if (this.props.show && !prevProps.show) {
+      this.updateOutline();
+    }
+  }
+
+  componentWillUnmount() {
+    if (editor) {
+      editor.off('changes', this.debouncedUpdateOutline);
+      editor.off('swapDoc', this.updateOutline);
+      editor.off('cursorActivity', this.onEditorCursorActivity);
+    }
+  }
+
+  onClickClose() {
+    this.props.dispatch({
+      type: SET_APP_STATE,
+      showOutlinePanel: false,
+    });
+  }
+
+  onChangeFilter(event) {
+    this.setState({ filter: event.target.value });
+  }
+
+  onClickToggle(item, event) {
+    // Prevent bubbling of event to clicking on item
+    event.stopPropagation();
+
+    this.setState({
+      collapsed: {
+        ...this.state.collapsed,
+        [item.address]: !this.state.collapsed[item.address],
+      },
+    });
+  }
+
+  onEditorCursorActivity(cm) {
+    if (!this.props.show) return;
+
+    const doc = cm.getDoc();
+    const index = doc.indexFromPos(doc.getCursor());
+    const item = getOutlineItemAtIndex(this.state.outline, index);
+    const activeAddress = item ? item.address : null;
+
+    if (activeAddress !== this.state.activeAddress) {
+      this.setState({ activeAddress });
+    }
+  }
+
+  addEditorListeners() {
+    editor.on('changes', this.debouncedUpdateOutline);
+    editor.on('swapDoc', this.updateOutline);
+    editor.on('cursorActivity', this.onEditorCursorActivity);
+    this.updateOutline();
+  }
+
+  // Uses the syntax tree parsed by the editor, which parses documents on
+  // the same events before this is called.
+  updateOutline() {
+    if (!this.props.show) return;
+
+    const outline = getSceneOutline(editor.getDoc().yamlNodes);
+    this.setState({ outline }, () => {
+      this.onEditorCursorActivity(editor);
+    });
+  }
+
+  renderItems(items, filtering) {
+    return (
+      <ul className="outline-panel-list">
+        {items.map((item) => {
+          const collapsed = !filtering && this.state.collapsed[item.address];
+          const hasChildren = item.children.length > 0;
+
+          let classes = `outline-panel-item outline-panel-item-${item.section}`;
+          if (item.address === this.state.activeAddress) {
+            classes += ' outline-panel-item-active';
+          }
+
+          let toggle;
+          if (hasChildren) {
+            toggle = (
+              <span
+                className={`outline-panel-toggle btm bt-caret-${collapsed ? 'right' : 'down'}`}
+                onClick={(e) => { this.onClickToggle(item, e); }}
+              />
+            );
+          }
+
+          return (
+            <li key={item.address}>
+              <div className={classes} onClick={() => { jumpToOutlineItem(item); }}>
+                {toggle}
+                {item.name}
+              </div>
+              {(hasChildren && !collapsed) ? this.renderItems(item.children, filtering) : null}
+            </li>
+          );
+        })}
+      </ul>
+    );
+  }
+
+  render() {
+    const displayStyle = { display: this.props.show ? 'block' : 'none' };
+    const filtering = this.state.filter.trim().length > 0;
+    const items = filterOutline(this.state.outline, this.state.filter);
+
+    let content;
+    if (items.length > 0) {
+      content = this.renderItems(items, filtering);
+    } else if (filtering) {
+      content = <div className="outline-panel-empty">Nothing matches this filter.</div>;
+    } else {
+      content = (
+        <div className="outline-panel-empty">
+          This file has no sources, layers, styles, lights or cameras.
+        </div>
+      );
+    }
+
+    return (
+      <Draggable
+        bounds="#draggable-container"
+        handle=".floating-panel-drag"
+      >
+        <div className="outline-panel modal" style={displayStyle}>
+          <div className="floating-panel-topbar">
+            <div className="floating-panel-drag">Scene outline</div>
+            <button className="floating-panel-close" onClick={this.onClickClose}>×</button>
+          </div>
+          <div className="outline-panel-filter">
+            <input
+              type="text"
+              placeholder="Filter by name"
+              spellCheck="false"
+              value={this.state.filter}
+              onChange={this.onChangeFilter}
+            />
+          </div>
+          <div className="outline-panel-viewport">
+            {content}
+          </div>
+        </div>
+      </Draggable>
+    );
+  }
+}
+
+OutlinePanel.propTypes = {
+  dispatch: PropTypes.func.isRequired,
+  show: PropTypes.bool,
+};
+
+OutlinePanel.defaultProps = {
+  show: false,
+};
+
+function mapStateToProps(state) {
+  return {
+    show: state.app.showOutlinePanel,
+  };
+}
+
+export default connect(mapStateToProps)(OutlinePanel);
@@ -0,0 +1,203 @@
+/* eslint-disable jsx-a11y/no-static-element-interactions */
+/**
+ * A floating panel that compares features pinned from the inspection popup
+ * side by side: the values of their properties, with values that differ
+ * highlighted, and the layers of the scene that each of them is in.
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import Draggable from 'react-draggable';
+import Checkbox from 'react-bootstrap/lib/Checkbox';
+import Icon from './Icon';
+import { editor } from '../editor/editor';
+import { getNodeAtKeyAddress } from '../editor/yaml-ast';
+import { highlightNode } from '../editor/highlight';
+import { TangramInspectionHeader } from '../map/inspection';
+import { compareFeatureProperties, getLayerTree, getDifferentLayers } from '../map/compare-features';
+import { highlightFeaturesOnMap, clearMapHighlight } from '../map/highlight';
+
+// Redux
+import { UNPIN_FEATURE, CLEAR_PINNED_FEATURES } from '../store/actions';
+
+function formatValue(value) {
+  // Cast values to strings, especially true/false values
+  return (value === undefined) ? '' : String(value);
+}
+
+class PinnedFeaturesPanel extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      onlyDifferences: false,
+    };
+
+    this.onClickClose = this.onClickClose.bind(this);
+    this.onChangeOnlyDifferences = this.onChangeOnlyDifferences.bind(this);
+  }
+
+  componentDidUpdate(prevProps) {
+    // Pinned features are marked on the map
+    if (this.props.features !== prevProps.features) {
+      if (this.props.features.length > 0) {
+        highlightFeaturesOnMap(this.props.features);
+      } else {
+        clearMapHighlight();
+      }
+    }
+  }
+
+  onClickClose() {
+    this.props.dispatch({ type: CLEAR_PINNED_FEATURES });
+  }
+
+  onClickUnpin(feature) {
+    this.props.dispatch({
+      type: UNPIN_FEATURE,
+      id: feature.id,
+    });
+  }
+
+  onChangeOnlyDifferences(event) {
+    this.setState({ onlyDifferences: event.target.checked });
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  onClickFeature(feature) {
+    highlightFeaturesOnMap([feature], true);
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  onClickLayer(item) {
+    const node = getNodeAtKeyAddress(editor.getDoc().yamlNodes, item.address);
+    if (node) {
+      highlightNode(node);
+    }
+  }
+
+  renderLayers(items, different) {
+    return (
+      <ul className="pinned-features-layers">
+        {items.map((item) => {
+          const name = item.address.replace(/^layers:/, '');
+          const className = (different.indexOf(name) > -1)
+            ? 'pinned-features-layer pinned-features-different'
+            : 'pinned-features-layer';
+
+          return (
+            <li key={item.address}>
+              <div className={className} onClick={() => { this.onClickLayer(item); }}>
+                {item.name}
+              </div>
+              {item.children.length > 0 ? this.renderLayers(item.children, different) : null}
+            </li>
+          );
+        })}
+      </ul>
+    );
+  }
+
+  render() {
+    const features = this.props.features;
+    const displayStyle = { display: features.length > 0 ? 'block' : 'none' };
+
+    let rows = compareFeatureProperties(features);
+    if (this.state.onlyDifferences) {
+      rows = rows.filter(row => row.differs);
+    }
+    const differentLayers = getDifferentLayers(features);
+
+    return (
+      <Draggable
+        bounds="#draggable-container"
+        handle=".floating-panel-drag"
+      >
+        <div className="pinned-features-panel modal" style={displayStyle}>
+          <div className="floating-panel-topbar">
+            <div className="floating-panel-drag">Pinned features</div>
+            <button className="floating-panel-close" onClick={this.onClickClose}>×</button>
+          </div>
+          <div className="pinned-features-panel-toolbar">
+            <Checkbox
+              checked={this.state.onlyDifferences}
+              onChange={this.onChangeOnlyDifferences}
+            >
+              Only show differences
+            </Checkbox>
+          </div>
+          <div className="pinned-features-panel-viewport">
+            <table className="pinned-features-table">
+              <thead>
+                <tr>
+                  <th />
+                  {features.map(feature => (
+                    <th key={feature.id}>
+                      <div
+                        className="pinned-features-feature"
+                        title="Show on map"
+                        onClick={() => { this.onClickFeature(feature); }}
+                      >
+                        <TangramInspectionHeader feature={feature} />
+                      </div>
+                      <button
+                        className="pinned-features-unpin"
+                        title="Unpin"
+                        onClick={() => { this.onClickUnpin(feature); }}
+                      >
+                        <Icon type="bt-times" />
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                <tr className="pinned-features-section">
+                  <td>Layers</td>
+                  {features.map(feature => (
+                    <td key={feature.id}>
+                      {this.renderLayers(getLayerTree(feature.layers || []), differentLayers)}
+                    </td>
+                  ))}
+                </tr>
+                <tr className="pinned-features-section">
+                  <td>Source</td>
+                  {features.map(feature => (
+                    <td key={feature.id}>
+                      {[feature.source_name, feature.source_layer].filter(Boolean).join(' / ')}
+                    </td>
+                  ))}
+                </tr>
+                {rows.map(row => (
+                  <tr key={row.key} className={row.differs ? 'pinned-features-different' : ''}>
+                    <td>{row.key}</td>
+                    {row.values.map((value, index) => (
+                      <td key={features[index].id}>{formatValue(value)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </Draggable>
+    );
+  }
+}
+
+PinnedFeaturesPanel.propTypes = {
+  dispatch: PropTypes.func.isRequired,
+  features: PropTypes.arrayOf(PropTypes.object),
+};
+
+PinnedFeaturesPanel.defaultProps = {
+  features: [],
+};
+
+function mapStateToProps(state) {
+  return {
+    features: state.pinned.features,
+  };
+}
+
+export default connect(mapStateToProps)(PinnedFeaturesPanel);
@@ -0,0 +1,92 @@
+/* eslint-disable jsx-a11y/no-static-element-interactions */
+/**
+ * A floating panel listing references to a style, source or global property
+ * in all files of the scene (see `findReferences()` in `editor/imports.js`).
+ * Clicking on a reference goes to it in the editor.
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import Draggable from 'react-draggable';
+import { goToSceneLocation } from '../editor/imports';
+
+// Redux
+import { SET_APP_STATE } from '../store/actions';
+
+class ReferencesPanel extends React.PureComponent {
+  constructor(props) {
+    super(props);
+
+    this.onClickClose = this.onClickClose.bind(this);
+  }
+
+  onClickClose() {
+    this.props.dispatch({
+      type: SET_APP_STATE,
+      references: null,
+    });
+  }
+
+  render() {
+    const references = this.props.references;
+    const displayStyle = { display: references ? 'block' : 'none' };
+    const items = references ? references.items : [];
+
+    let content;
+    if (items.length > 0) {
+      content = (
+        <ul className="references-panel-list">
+          {items.map(item => (
+            <li key={`${item.fileIndex}-${item.url}-${item.startPosition}`}>
+              <div className="references-panel-item" onClick={() => { goToSceneLocation(item); }}>
+                <div className="references-panel-location">
+                  {item.filename || 'untitled'}:{item.line + 1}
+                </div>
+                <div className="references-panel-text">{item.text}</div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      );
+    } else {
+      content = <div className="references-panel-empty">No references found.</div>;
+    }
+
+    return (
+      <Draggable
+        bounds="#draggable-container"
+        handle=".floating-panel-drag"
+      >
+        <div className="references-panel modal" style={displayStyle}>
+          <div className="floating-panel-topbar">
+            <div className="floating-panel-drag">{references ? references.title : ''}</div>
+            <button className="floating-panel-close" onClick={this.onClickClose}>×</button>
+          </div>
+          <div className="references-panel-viewport">
+            {content}
+          </div>
+        </div>
+      </Draggable>
+    );
+  }
+}
+
+ReferencesPanel.propTypes = {
+  dispatch: PropTypes.func.isRequired,
+  references: PropTypes.shape({
+    title: PropTypes.string,
+    items: PropTypes.arrayOf(PropTypes.object),
+  }),
+};
+
+ReferencesPanel.defaultProps = {
+  references: null,
+};
+
+function mapStateToProps(state) {
+  return {
+    references: state.app.references,
+  };
+}
+
+export default connect(mapStateToProps)(ReferencesPanel);
@@ -0,0 +1,294 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import Icon from '../../Icon';
+import { GROUP_KEYS } from '../../../editor/filters';
+
+// Descriptions of groups of filters, by their key. A list of filters is a
+// group too: any of them must match.
+const GROUP_LABELS = {
+  all: 'All of',
+  any: 'Any of',
+  none: 'None of',
+  not: 'Not',
+};
+
+const OPERATORS = [
+  { value: 'is', label: 'is' },
+  { value: 'oneOf', label: 'is one of' },
+  { value: 'range', label: 'is between' },
+  { value: 'exists', label: 'exists' },
+  { value: 'missing', label: 'does not exist' },
+];
+
+function isGroup(key) {
+  return GROUP_KEYS.indexOf(key) > -1 || key === 'not';
+}
+
+function getOperator(value) {
+  if (value === true) return 'exists';
+  if (value === false) return 'missing';
+  if (Array.isArray(value)) return 'oneOf';
+  if (value && typeof value === 'object') return 'range';
+  return 'is';
+}
+
+// Converts a value to work with a different operator, keeping as much of
+// it as possible
+function convertValue(value, operator) {
+  const values = [].concat(getOperator(value) === 'is' || Array.isArray(value) ? value : []);
+
+  switch (operator) {
+    case 'exists':
+      return true;
+    case 'missing':
+      return false;
+    case 'oneOf':
+      return values;
+    case 'range':
+      return {};
+    default:
+      return values.length > 0 ? values[0] : '';
+  }
+}
+
+// Values typed as numbers are numbers. Anything else, including text that
+// only becomes a number as more is typed (e.g. `1.`), is a string.
+function parseValue(text) {
+  return (text !== '' && String(Number(text)) === text) ? Number(text) : text;
+}
+
+function formatValue(value) {
+  return (value === null || value === undefined) ? '' : String(value);
+}
+
+// Replaces a key of an object, keeping the order of keys
+function renameKey(object, oldKey, newKey) {
+  return Object.keys(object).reduce((result, key) => {
+    result[key === oldKey ? newKey : key] = object[key]; // eslint-disable-line no-param-reassign
+    return result;
+  }, {});
+}
+
+function withoutKey(object, oldKey) {
+  return Object.keys(object).reduce((result, key) => {
+    if (key !== oldKey) result[key] = object[key]; // eslint-disable-line no-param-reassign
+    return result;
+  }, {});
+}
+
+// Returns a key that is not in an object yet, e.g. for a new group
+function getUnusedKey(object, keys) {
+  return keys.find(key => !{}.hasOwnProperty.call(object, key));
+}
+
+/**
+ * A condition on a feature property, or a filter keyword like `$zoom`
+ */
+function Condition(props) {
+  const { name, value, onChangeName, onChange, onRemove } = props;
+  const operator = getOperator(value);
+
+  let input = null;
+  if (operator === 'is') {
+    input = (
+      <input
+        type="text"
+        spellCheck="false"
+        value={formatValue(value)}
+        onChange={(event) => { onChange(parseValue(event.target.value)); }}
+      />
+    );
+  } else if (operator === 'oneOf') {
+    input = (
+      <input
+        type="text"
+        spellCheck="false"
+        placeholder="a, b, c"
+        value={value.map(formatValue).join(', ')}
+        onChange={(event) => {
+          onChange(event.target.value.split(',').map(item => parseValue(item.trim())));
+        }}
+      />
+    );
+  } else if (operator === 'range') {
+    const onChangeLimit = (limit, text) => {
+      const range = withoutKey(value, limit);
+      if (text !== '') range[limit] = parseValue(text);
+      onChange(range);
+    };
+
+    input = (
+      <span className="filter-editor-range">
+        <input
+          type="text"
+          placeholder="min"
+          value={formatValue(value.min)}
+          onChange={(event) => { onChangeLimit('min', event.target.value); }}
+        />
+        <span>and</span>
+        <input
+          type="text"
+          placeholder="max"
+          value={formatValue(value.max)}
+          onChange={(event) => { onChangeLimit('max', event.target.value); }}
+        />
+      </span>
+    );
+  }
+
+  return (
+    <div className="filter-editor-condition">
+      <input
+        className="filter-editor-property"
+        type="text"
+        spellCheck="false"
+        placeholder="property"
+        value={name}
+        onChange={(event) => { onChangeName(event.target.value); }}
+      />
+      <select
+        value={operator}
+        onChange={(event) => { onChange(convertValue(value, event.target.value)); }}
+      >
+        {OPERATORS.map(item => <option key={item.value} value={item.value}>{item.label}</option>)}
+      </select>
+      {input}
+      <button className="filter-editor-remove" title="Remove" onClick={onRemove}>
+        <Icon type="bt-times" />
+      </button>
+    </div>
+  );
+}
+
+Condition.propTypes = {
+  name: PropTypes.string.isRequired,
+  value: PropTypes.any, // eslint-disable-line react/forbid-prop-types
+  onChangeName: PropTypes.func.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+};
+
+Condition.defaultProps = {
+  value: null,
+};
+
+/**
+ * A structured editor for a layer filter (see `editor/filters.js`). Changes
+ * are passed to `onChange` as a new filter; the filter passed in is never
+ * changed.
+ */
+export default function FilterEditor(props) {
+  const { filter, onChange } = props;
+
+  // A list of filters: any of them must match
+  if (Array.isArray(filter)) {
+    return (
+      <div className="filter-editor-list">
+        {filter.map((item, index) => (
+          // Filters in a list have nothing to identify them by but their place
+          // eslint-disable-next-line react/no-array-index-key
+          <div className="filter-editor-list-item" key={index}>
+            <FilterEditor
+              filter={item}
+              onChange={(value) => {
+                onChange(filter.map((other, i) => (i === index ? value : other)));
+              }}
+            />
+            <button
+              className="filter-editor-remove"
+              title="Remove"
+              onClick={() => { onChange(filter.filter((other, i) => i !== index)); }}
+            >
+              <Icon type="bt-times" />
+            </button>
+          </div>
+        ))}
+        <button className="filter-editor-add" onClick={() => { onChange([...filter, {}]); }}>
+          <Icon type="bt-plus" /> Filter
+        </button>
+      </div>
+    );
+  }
+
+  if (!filter || typeof filter !== 'object') {
+    return (
+      <div className="filter-editor-function">
+        <pre>{formatValue(filter)}</pre>
+        <p>This filter can only be changed in the editor.</p>
+      </div>
+    );
+  }
+
+  // A map of conditions: all of them must match
+  const keys = Object.keys(filter);
+  const onChangeKey = (key, value) => { onChange({ ...filter, [key]: value }); };
+  const onRemoveKey = (key) => { onChange(withoutKey(filter, key)); };
+
+  const onAddCondition = () => {
+    const key = getUnusedKey(filter, ['', 'property']);
+    if (key !== undefined) onChange({ ...filter, [key]: '' });
+  };
+  const onAddGroup = () => {
+    const key = getUnusedKey(filter, ['any', 'all', 'none', 'not']);
+    if (key) onChange({ ...filter, [key]: key === 'not' ? {} : [{}] });
+  };
+
+  return (
+    <div className="filter-editor-conditions">
+      {/* Renaming a condition changes its key but not its place, so
+          conditions are identified by their place, to keep focus while a new
+          name is typed */}
+      {keys.map((key, index) => {
+        if (isGroup(key)) {
+          return (
+            // eslint-disable-next-line react/no-array-index-key
+            <div className="filter-editor-group" key={index}>
+              <div className="filter-editor-group-label">
+                {GROUP_LABELS[key]}
+                <button
+                  className="filter-editor-remove"
+                  title="Remove"
+                  onClick={() => { onRemoveKey(key); }}
+                >
+                  <Icon type="bt-times" />
+                </button>
+              </div>
+              <FilterEditor
+                filter={filter[key]}
+                onChange={(value) => { onChangeKey(key, value); }}
+              />
+            </div>
+          );
+        }
+
+        return (
+          <Condition
+            key={index} // eslint-disable-line react/no-array-index-key
+            name={key}
+            value={filter[key]}
+            onChangeName={(name) => { onChange(renameKey(filter, key, name)); }}
+            onChange={(value) => { onChangeKey(key, value); }}
+            onRemove={() => { onRemoveKey(key); }}
+          />
+        );
+      })}
+      <div className="filter-editor-buttons">
+        <button className="filter-editor-add" onClick={onAddCondition}>
+          <Icon type="bt-plus" /> Condition
+        </button>
+        <button className="filter-editor-add" onClick={onAddGroup}>
+          <Icon type="bt-plus" /> Group
+        </button>
+      </div>
+    </div>
+  );
+}
+
+FilterEditor.propTypes = {
+  filter: PropTypes.any, // eslint-disable-line react/forbid-prop-types
+  onChange: PropTypes.func.isRequired,
+};
+
+FilterEditor.defaultProps = {
+  filter: null,
+};
@@ -0,0 +1,220 @@
+import PropTypes from 'prop-types';
+/* eslint-disable jsx-a11y/no-static-element-interactions */
+import React from 'react';
+import YAML from 'yaml-ast-parser';
+import Button from 'react-bootstrap/lib/Button';
+import FloatingPanel from '../../FloatingPanel';
+import Icon from '../../Icon';
+import FilterEditor from './FilterEditor';
+
+import { editor, setCursor } from '../../../editor/editor';
+import {
+  getFilterValue,
+  validateFilter,
+  countMatchingFeatures,
+  getFilterMappingsInRange,
+  getLayerData,
+  getLayerFeatures,
+  hasFilterFunction,
+  stringifyFilter,
+} from '../../../editor/filters';
+import { getFeatures, getFilterContext } from '../../../map/tile-features';
+
+// Filters from the panel are checked as they would be written
+function validate(filter) {
+  return validateFilter(YAML.safeLoad(stringifyFilter(filter)));
+}
+
+/**
+ * Represents a text marker for the `filter` of a layer. It opens a panel
+ * to edit the filter, which shows mistakes in it, and how many features in
+ * tiles that the map has loaded it matches.
+ */
+export default class FilterMarker extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      showPanel: false,
+      filter: null,
+      isFunction: false,
+      problems: [],
+      features: [],
+      parentHasFunction: false,
+    };
+
+    this.x = 0;
+    this.y = 0;
+
+    // TODO: Don't hardcode this.
+    this.width = 380;
+    this.height = 360;
+
+    this.onClickTextMarker = this.onClickTextMarker.bind(this);
+    this.onClickClose = this.onClickClose.bind(this);
+    this.onClickApply = this.onClickApply.bind(this);
+    this.onChange = this.onChange.bind(this);
+  }
+
+  /**
+   * Reads the filter from the editor, and opens the panel
+   */
+  onClickTextMarker() {
+    const found = this.findFilter();
+    if (!found) return;
+
+    const pos = this.props.marker.find();
+    setCursor(pos.line, pos.ch);
+
+    const markerRect = this.markerEl.getBoundingClientRect();
+    this.x = markerRect.left;
+    this.y = markerRect.bottom;
+
+    // The filter applies to features of its layer's data which match the
+    // filters of the layers it is in
+    const context = getFilterContext();
+    const layerData = getLayerData(editor.getDoc().yamlNodes, found.address);
+    const features = getLayerFeatures(getFeatures(layerData.source), layerData, context);
+
+    const filter = getFilterValue(found.mapping.value);
+    const isFunction = typeof filter === 'string';
+
+    this.setState({
+      showPanel: true,
+      filter,
+      isFunction,
+      problems: isFunction ? validateFilter(found.mapping.value) : validate(filter),
+      features,
+      parentHasFunction: layerData.parentFilters.some(hasFilterFunction),
+    });
+  }
+
+  onClickClose() {
+    this.setState({ showPanel: false });
+  }
+
+  /**
+   * Writes the filter back to the editor. The marker is replaced when its
+   * line changes, so the panel is closed.
+   */
+  onClickApply() {
+    const found = this.findFilter();
+    if (!found) return;
+
+    const doc = editor.getDoc();
+    const node = found.mapping.value;
+    const from = doc.posFromIndex(node.startPosition);
+    const to = doc.posFromIndex(node.endPosition);
+    doc.replaceRange(stringifyFilter(this.state.filter), from, to, '+value_change');
+
+    this.setState({ showPanel: false });
+    editor.focus();
+  }
+
+  onChange(filter) {
+    this.setState({
+      filter,
+      problems: validate(filter),
+    });
+  }
+
+  // Finds the filter node that the marker is attached to, in the most
+  // recently parsed syntax tree
+  findFilter() {
+    const pos = this.props.marker.find();
+    if (!pos) return null;
+
+    const doc = editor.getDoc();
+    const from = doc.indexFromPos({ line: pos.line, ch: 0 });
+    const to = doc.indexFromPos({ line: pos.line, ch: doc.getLine(pos.line).length });
+    const found = getFilterMappingsInRange(doc.yamlNodes, from, to);
+    return (found.length > 0 && found[0].mapping.value) ? found[0] : null;
+  }
+
+  renderMatches() {
+    // Filter functions are not run here, see `editor/filters.js`
+    if (this.state.parentHasFunction || hasFilterFunction(this.state.filter)) {
+      return (
+        <div className="filter-marker-matches">
+          Features are not counted for filters with functions, which are not run here.
+        </div>
+      );
+    }
+
+    const features = this.state.features;
+    if (features.length === 0) {
+      return (
+        <div className="filter-marker-matches">
+          No features of this layer have been loaded yet.
+        </div>
+      );
+    }
+
+    const counts = countMatchingFeatures(this.state.filter, features, getFilterContext());
+    const unchecked = counts.total - counts.checked;
+
+    return (
+      <div className="filter-marker-matches">
+        {counts.matched} of {counts.total} loaded features of this layer match.
+        {unchecked > 0 ? ` ${unchecked} could not be checked.` : ''}
+      </div>
+    );
+  }
+
+  render() {
+    return (
+      <div>
+        <div
+          className="textmarker textmarker-filter"
+          title="Edit filter"
+          ref={(ref) => { this.markerEl = ref; }}
+          onClick={this.onClickTextMarker}
+        >
+          <Icon type="bt-search" />
+        </div>
+
+        <FloatingPanel
+          x={this.x}
+          y={this.y}
+          width={this.width}
+          height={this.height}
+          show={this.state.showPanel}
+          onClickClose={this.onClickClose}
+          title="filter"
+        >
+          {this.state.showPanel &&
+            <div className="filter-marker-panel">
+              <div className="filter-marker-editor">
+                <FilterEditor filter={this.state.filter} onChange={this.onChange} />
+              </div>
+              <ul className="filter-marker-problems">
+                {this.state.problems.map((problem, index) => (
+                  // eslint-disable-next-line react/no-array-index-key
+                  <li key={index} className={`filter-marker-problem-${problem.type}`}>
+                    {problem.message}
+                  </li>
+                ))}
+              </ul>
+              {this.renderMatches()}
+              <div className="filter-marker-buttons">
+                <Button
+                  className="button-confirm"
+                  disabled={this.state.isFunction}
+                  onClick={this.onClickApply}
+                >
+                  <Icon type="bt-check" /> Apply
+                </Button>
+              </div>
+            </div>
+          }
+        </FloatingPanel>
+      </div>
+    );
+  }
+}
+
+FilterMarker.propTypes = {
+  marker: PropTypes.shape({
+    find: PropTypes.func,
+  }).isRequired,
+};
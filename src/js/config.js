@@ -21,9 +21,52 @@ const config = {
         'vector-tiles-JUsa0Gc', // Patricio's sandbox
       ],
     },
+    // API keys and access tokens for other tile services, injected into
+    // scenes that use them (see `editor/credentials.js`), e.g.
+    // { name: 'Nextzen', pattern: 'tile\\.nextzen\\.org', param: 'api_key', value: '...' }
+    CREDENTIALS: [],
   },
   SEARCH: {
-    HOST: 'search.mapzen.com',
+    // What the location bar searches for places with. One of the geocoders
+    // in `map/geocoders.js`: 'PELIAS', 'NOMINATIM' or 'GAZETTEER'.
+    GEOCODER: 'NOMINATIM',
+    PELIAS: {
+      // URL of a Pelias-compatible API, e.g. 'https://example.com/v1/', and
+      // its API key, if it needs one. Mapzen Search, which was the default,
+      // has shut down, so there is none to use without configuring one.
+      URL: '',
+      API_KEY: '',
+    },
+    NOMINATIM: {
+      // URL of a Nominatim-compatible API
+      URL: 'https://nominatim.openstreetmap.org/',
+    },
+    GAZETTEER: {
+      // URL of a GeoJSON file of named points, or of a CSV file with name,
+      // lat and lng columns. This can be a file served with Tangram Play, so
+      // that searching works offline.
+      URL: 'data/places.geojson',
+    },
+  },
+  STORAGE: {
+    // Where scenes are saved to and opened from "the cloud". One of the
+    // storage providers in `storage/providers.js`: 'MAPZEN' or 'WEBDAV'.
+    PROVIDER: 'MAPZEN',
+    WEBDAV: {
+      // URL of a WebDAV folder to keep scenes in, with a trailing slash,
+      // e.g. 'https://example.com/dav/scenes/'. Each scene is a folder in it.
+      URL: '',
+      // Passed to fetch(), e.g. to send cookies to another origin
+      CREDENTIALS: 'include',
+    },
+    GIT: {
+      // Scenes in git repositories are cloned and pushed through this proxy,
+      // since most git hosts do not allow requests from other origins. See
+      // https://github.com/isomorphic-git/cors-proxy to run one. Usernames,
+      // passwords and tokens are sent through it, so it should be one you
+      // host yourself. Repositories can't be opened until it is set.
+      CORS_PROXY: '',
+    },
   },
 };
 
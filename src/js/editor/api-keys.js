@@ -10,8 +10,13 @@
  *
  * Extensions include both vector and raster tile services.
  */
+import { getNodeAtKeyAddress, YAML_MAP, YAML_SCALAR } from './yaml-ast';
+
 const URL_PATTERN = /((https?:)?\/\/(vector|tile).mapzen.com([a-z]|[A-Z]|[0-9]|\/|\{|\}|\.|\||:)+(topojson|geojson|mvt|png|tif|gz))/;
 
+// Inserted by the "add an API key" fix, and selected so that it can be typed over.
+const API_KEY_PLACEHOLDER = 'your-mapzen-api-key';
+
 /**
  * A basic check to see if an api key string looks like a valid key. Not *is* a
  * valid key, just *looks like* one. Note: legacy API keys may have 5 or 6
@@ -107,3 +112,47 @@ export function suppressAPIKeys(content, suppressedKeys) {
   const re = new RegExp(`${URL_PATTERN.source}\\?api_key\\=(${escapedKeys})`, 'gm');
   return content.replace(re, '$1');
 }
+
+/**
+ * Finds sources in a scene file that use a Mapzen tile service without an API
+ * key, and creates a fix for each that adds an `api_key` parameter to the
+ * source URL. The key itself is a placeholder for the user to replace with
+ * their own key. See `validateScene()` in `validation.js` for the signature
+ * of a fix; these also have a `selection` to make after the fix is applied.
+ *
+ * @param {YAMLNode} ast - the parsed syntax tree of a scene file
+ * @returns {Array} fixes, one for each source without an API key
+ */
+export function getAPIKeyFixes(ast) {
+  const sources = getNodeAtKeyAddress(ast, 'sources');
+  if (!sources || !sources.value || sources.value.kind !== YAML_MAP) return [];
+
+  const fixes = [];
+  sources.value.mappings.forEach((source) => {
+    if (!source || !source.key) return;
+
+    const name = source.key.value;
+    const url = getNodeAtKeyAddress(ast, `sources:${name}:url`);
+    const apiKey = getNodeAtKeyAddress(ast, `sources:${name}:url_params:api_key`);
+    if (!url || !url.value || url.value.kind !== YAML_SCALAR || apiKey) return;
+
+    const value = url.value.value;
+    if (!URL_PATTERN.test(value) || /(\?|&)api_key=/.test(value)) return;
+
+    // Insert inside the closing quote of quoted values
+    const isQuoted = url.value.doubleQuoted || url.value.singleQuoted;
+    const position = isQuoted ? url.value.endPosition - 1 : url.value.endPosition;
+    const text = `${(value.indexOf('?') > -1) ? '&' : '?'}api_key=${API_KEY_PLACEHOLDER}`;
+
+    fixes.push({
+      label: `Add an API key to "${name}"`,
+      changes: [{ from: position, to: position, text }],
+      selection: {
+        from: (position + text.length) - API_KEY_PLACEHOLDER.length,
+        to: position + text.length,
+      },
+    });
+  });
+
+  return fixes;
+}
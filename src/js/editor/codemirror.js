@@ -31,6 +31,10 @@ import 'codemirror/addon/selection/active-line';
 // Import Codemirror keymap
 import 'codemirror/keymap/sublime';
 
+// Import CodeMirror merge addon, which needs its diff library to be set up first
+import './codemirror/diff-match-patch';
+import 'codemirror/addon/merge/merge'; // eslint-disable-line import/first
+
 // Import Tangram custom modes
 import './codemirror/yaml-tangram';
 import './codemirror/hint-tangram';
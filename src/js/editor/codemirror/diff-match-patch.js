@@ -0,0 +1,8 @@
+// CodeMirror's merge addon expects the diff library, and its constants, as
+// globals. Import this before the addon.
+import DiffMatchPatch from 'diff-match-patch';
+
+window.diff_match_patch = DiffMatchPatch;
+window.DIFF_DELETE = DiffMatchPatch.DIFF_DELETE;
+window.DIFF_INSERT = DiffMatchPatch.DIFF_INSERT;
+window.DIFF_EQUAL = DiffMatchPatch.DIFF_EQUAL;
@@ -0,0 +1,181 @@
+/**
+ * Tile service credentials
+ *
+ * Like the Mapzen API key (see `api-keys.js`), API keys and access tokens
+ * for other tile services can be managed by Tangram Play, so that they do not
+ * need to be written in scene files. Each is registered for the URLs of a
+ * tile service, and is injected into the `url_params` of sources with those
+ * URLs when a scene is loaded. Managed values are masked in the editor, and
+ * left out of scenes that are saved or exported, and the user is warned if
+ * one is written in the scene.
+ *
+ * Credentials are objects of the signature:
+ *
+ *    {
+ *      name,    // String - shown in the UI, e.g. "Nextzen"
+ *      pattern, // String - a regular expression that URLs of the tile
+ *               // service match, e.g. "tile\\.nextzen\\.org"
+ *      param,   // String - the URL parameter for the value, e.g. "api_key"
+ *      value,   // String - the key or token
+ *    }
+ *
+ * Credentials are registered in `config.js` (`TILES.CREDENTIALS`), or by the
+ * user, in which case they are remembered in the browser.
+ */
+import { escapeRegExp } from 'lodash';
+import localforage from 'localforage';
+
+import config from '../config';
+
+const STORAGE_CREDENTIALS_KEY = 'credentials';
+
+// Credentials registered by the user
+let savedCredentials = [];
+
+/**
+ * Returns the regular expression for the URLs that a credential is for.
+ *
+ * @param {Object} credential
+ * @returns {RegExp|null} the expression, or null if the pattern is not valid
+ */
+export function getCredentialPattern(credential) {
+  try {
+    return new RegExp(credential.pattern);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Returns the credential that a URL should use: the first one registered for
+ * it, if any.
+ *
+ * @param {string} url - a tile source URL
+ * @param {Array} credentials - registered credentials
+ * @returns {Object|undefined} the credential
+ */
+export function findCredentialForUrl(url, credentials) {
+  return credentials.find((credential) => {
+    const pattern = getCredentialPattern(credential);
+    return Boolean(credential.value && pattern && pattern.test(url));
+  });
+}
+
+/**
+ * Injects credentials into the sources of a Tangram scene config object,
+ * where their URLs match a credential but do not have a value for its
+ * parameter already, either in `url_params` or in the URL query string.
+ *
+ * Like `injectAPIKey()`, this mutates the original `sceneConfig` object.
+ *
+ * @param {Object} sceneConfig - Tangram scene config object
+ * @param {Array} credentials - registered credentials
+ * @returns {Array} names of the sources that a credential was injected into
+ */
+export function injectCredentials(sceneConfig, credentials) {
+  const injected = [];
+
+  Object.keys(sceneConfig.sources || {}).forEach((name) => {
+    const source = sceneConfig.sources[name];
+    if (!source || typeof source.url !== 'string') return;
+
+    const credential = findCredentialForUrl(source.url, credentials);
+    if (!credential) return;
+
+    const { param } = credential;
+    const hasParam = (source.url_params && source.url_params[param]) ||
+      new RegExp(`[?&]${escapeRegExp(param)}=`).test(source.url);
+    if (hasParam) return;
+
+    // Mutate the original on purpose.
+    // eslint-disable-next-line no-param-reassign
+    sceneConfig.sources[name].url_params = Object.assign({}, source.url_params, {
+      [param]: credential.value,
+    });
+    injected.push(name);
+  });
+
+  return injected;
+}
+
+/**
+ * Removes the values of credentials from Tangram YAML content, before it is
+ * displayed in the editor: from URL query strings, and from `url_params`.
+ * As they are injected again when the scene is loaded, the scene still works.
+ *
+ * @param {string} content - Tangram YAML content, possibly with credentials
+ * @param {Array} credentials - registered credentials
+ * @returns {string} content - Tangram YAML with credentials masked
+ */
+export function suppressCredentials(content, credentials) {
+  return credentials.reduce((result, { param, value }) => {
+    if (!param || !value) return result;
+
+    const assignment = `${escapeRegExp(param)}=${escapeRegExp(value)}`;
+    const mapping = `^[ \\t]*${escapeRegExp(param)}:[ \\t]*(['"]?)${escapeRegExp(value)}\\1[ \\t]*(\\r?\\n|$)`;
+
+    return result
+      // The first parameter of a query string, followed by others
+      .replace(new RegExp(`\\?${assignment}&`, 'g'), '?')
+      // Any other parameter of a query string
+      .replace(new RegExp(`[?&]${assignment}(?![^\\s'"&#])`, 'g'), '')
+      .replace(new RegExp(mapping, 'gm'), '');
+  }, content);
+}
+
+/**
+ * Finds the credentials whose values are written in Tangram YAML content.
+ *
+ * @param {string} content - Tangram YAML content
+ * @param {Array} credentials - registered credentials
+ * @returns {Array} the credentials found
+ */
+export function findEmbeddedCredentials(content, credentials) {
+  return credentials.filter(credential =>
+    credential.value && content.indexOf(credential.value) > -1);
+}
+
+/**
+ * Returns all registered credentials, those in `config.js` first.
+ *
+ * @returns {Array} credentials
+ */
+export function getCredentials() {
+  return [...config.TILES.CREDENTIALS, ...savedCredentials];
+}
+
+/**
+ * Returns the credentials registered by the user.
+ *
+ * @returns {Array} credentials
+ */
+export function getSavedCredentials() {
+  return savedCredentials;
+}
+
+/**
+ * Reads the credentials registered by the user from the browser. This should
+ * be done before a scene is loaded, so that they can be injected.
+ *
+ * @returns {Promise} resolved when they are read
+ */
+export function loadSavedCredentials() {
+  return localforage.getItem(STORAGE_CREDENTIALS_KEY)
+    .then((credentials) => {
+      savedCredentials = credentials || [];
+    })
+    // Scenes can be loaded without them
+    .catch(() => {});
+}
+
+/**
+ * Replaces the credentials registered by the user, and remembers them in
+ * the browser.
+ *
+ * @param {Array} credentials
+ * @returns {Promise} resolved when they are remembered
+ */
+export function saveCredentials(credentials) {
+  savedCredentials = credentials;
+  return localforage.setItem(STORAGE_CREDENTIALS_KEY, credentials);
+}
@@ -1,4 +1,4 @@
-import { debounce, throttle } from 'lodash';
+import { debounce, throttle, omit } from 'lodash';
 import CodeMirror from 'codemirror';
 import localforage from 'localforage';
 
@@ -6,6 +6,7 @@ import config from '../config';
 import { initCodeMirror } from './codemirror';
 import { getNodeAtIndex } from './yaml-ast';
 import { suppressAPIKeys } from './api-keys';
+import { suppressCredentials, getCredentials } from './credentials';
 import {
   highlightOnEditorGutterClick,
   highlightOnEditorChanges,
@@ -13,14 +14,22 @@ import {
 } from './highlight';
 import { replaceHistoryState } from '../tools/url-state';
 import { loadScene } from '../map/map';
+import { createSceneBlobUrl } from '../file/virtual-files';
 import {
   clearTextMarkers,
   insertTextMarkers,
   insertTextMarkersInViewport,
 } from '../editor/textmarkers';
+import { takeSnapshotWhileEditing } from './snapshots';
 
 import store from '../store';
-import { MARK_FILE_DIRTY, MARK_FILE_CLEAN } from '../store/actions';
+import {
+  MARK_FILE_DIRTY,
+  MARK_FILE_CLEAN,
+  STASH_DOCUMENT,
+  SET_FILE_METADATA,
+  SET_ACTIVE_FILE,
+} from '../store/actions';
 
 const STORAGE_LAST_EDITOR_STATE = 'last-scene';
 const EDITOR_REFRESH_THROTTLE = 20;
@@ -98,6 +107,25 @@ export function getEditorContent() {
   return editor.getDoc().getValue();
 }
 
+/**
+ * Returns the current text content of a file in the scene. The active file's
+ * content is in the editor itself. Other files may have a stashed editor
+ * buffer, otherwise their `contents` property is up to date.
+ *
+ * @public
+ * @param {Number} index - index of the file in the store's `scene.files`
+ * @return {string} content
+ */
+export function getFileContents(index) {
+  const scene = store.getState().scene;
+  const file = scene.files[index];
+
+  if (index === scene.activeFileIndex && editor) {
+    return getEditorContent();
+  }
+  return file.buffer ? file.buffer.getValue() : file.contents;
+}
+
 /**
  * Creates a new CodeMirror document instance from a text string of file content,
  * scrubbing API keys if necessary.
@@ -107,8 +135,10 @@ export function getEditorContent() {
  * @returns {CodeMirror.Doc} doc - a CodeMirror document instance
  */
 export function createCodeMirrorDoc(content) {
-  // Remove any instances of Tangram Play's default API key
-  const scrubbedContent = suppressAPIKeys(content, config.TILES.API_KEYS.SUPPRESSED);
+  // Remove any instances of Tangram Play's default API key, and of other
+  // keys and tokens that are injected when the scene is loaded
+  const scrubbedContent = suppressCredentials(
+    suppressAPIKeys(content, config.TILES.API_KEYS.SUPPRESSED), getCredentials());
 
   // Create a new instance of a CodeMirror document
   return new CodeMirror.Doc(scrubbedContent, 'yaml-tangram');
@@ -147,15 +177,90 @@ export function clearEditorContent() {
   setEditorContent(clearedDoc, false);
 }
 
-// If editor is updated, send it to the map.
-function updateContent(content) {
-  const url = URL.createObjectURL(new Blob([content]));
-  loadScene(url);
+/**
+ * Returns the lines of a document that code is folded at.
+ *
+ * @public
+ * @param {CodeMirror.Doc} doc - a CodeMirror document instance
+ * @returns {Array} line numbers, starting from 0
+ */
+export function getFoldedLines(doc) {
+  // Folded code is hidden with collapsed text markers
+  return doc.getAllMarks()
+    .filter(mark => mark.collapsed)
+    .map(mark => mark.find())
+    .filter(Boolean)
+    .map(range => range.from.line);
+}
+
+/**
+ * Folds code at lines of the document in the editor, e.g. to restore folds
+ * from `getFoldedLines()`.
+ *
+ * @public
+ * @param {Array} lines - line numbers, starting from 0
+ */
+export function foldLines(lines) {
+  lines.forEach((line) => {
+    editor.foldCode(CodeMirror.Pos(line, 0), CodeMirror.fold.indent, 'fold');
+  });
+}
+
+/**
+ * Switches the editor to another file in the scene. The current document is
+ * stashed in the store, along with things to restore when switching back to
+ * it: cursor, selections, highlighted lines, and scroll position.
+ *
+ * The editor swaps in the new document when the store is updated, so the
+ * document may not be in the editor yet when this returns.
+ *
+ * @public
+ * @param {Number} index - index of the file in `scene.files`
+ */
+export function setActiveFile(index) {
+  const currentIndex = store.getState().scene.activeFileIndex;
+  if (index === currentIndex) return;
+
+  const currentDoc = editor.getDoc();
+  store.dispatch({
+    type: STASH_DOCUMENT,
+    index: currentIndex,
+    // We are also updating contents, which seems to lag behind otherwise
+    contents: currentDoc.getValue(),
+    buffer: currentDoc,
+  });
+
+  store.dispatch({
+    type: SET_FILE_METADATA,
+    fileIndex: currentIndex,
+    cursor: currentDoc.getCursor(),
+    scrollInfo: editor.getScrollInfo(),
+    highlightedLines: getAllHighlightedLines(currentDoc),
+    selections: currentDoc.listSelections(),
+    foldedLines: getFoldedLines(currentDoc),
+  });
+
+  store.dispatch({
+    type: SET_ACTIVE_FILE,
+    index,
+  });
+}
+
+// If editor is updated, send it to the map. The edited file may be an
+// imported file, so the map always loads the root scene file, with the
+// current content of every edited file.
+function updateContent() {
+  const files = store.getState().scene.files;
+  const url = createSceneBlobUrl(file => getFileContents(files.indexOf(file)));
+  if (url) {
+    loadScene(url);
+  }
 }
 
 // Wrap updateContent() in a debounce function to prevent rapid series of
-// changes from continuously updating the map.
-const debouncedUpdateContent = debounce(updateContent, 500);
+// changes from continuously updating the map. This is exported for changes to
+// files that are not in the editor.
+export const debouncedUpdateContent = debounce(updateContent, 500);
 
 /**
  * Saves editor content and state to local memory which can be recovered in a
@@ -172,28 +277,35 @@ export function updateLocalMemory() {
   // Bail if embedded
   if (store.getState().app.isEmbedded === true) return;
 
-  // Creates a clone of existing data
-  const scene = Object.assign({}, store.getState().scene);
+  const state = store.getState().scene;
+  const activeFile = state.activeFileIndex;
+
+  // Every file is stored with its current contents, so that unsaved edits
+  // to files that are not in the editor can be recovered too. Currently
+  // CodeMirror buffers are stashed in store. This is not a good idea because
+  // they are non-serializable (have circular references) so they are left
+  // out. The state of files that are not in the editor was stashed when the
+  // editor switched away from them (see `setActiveFile()`).
+  const files = state.files.map((file, index) => ({
+    ...omit(file, 'buffer'),
+    contents: getFileContents(index),
+  }));
 
   // Updates the data for currently visible file
-  const activeFile = scene.activeFileIndex;
-  const doc = editor.getDoc();
-  scene.files[activeFile].contents = getEditorContent();
-  scene.files[activeFile].isClean = doc.isClean();
-  scene.files[activeFile].scrollInfo = editor.getScrollInfo();
-  scene.files[activeFile].cursor = doc.getCursor();
-  scene.files[activeFile].highlightedLines = getAllHighlightedLines(doc);
-
-  // Currently CodeMirror buffers are stashed in store. This is not a good idea
-  // because they are non-serializable (have circular references) so for the
-  // moment we just delete them from the object if present.
-  scene.files.forEach((item) => {
-    // eslint-disable-next-line no-param-reassign
-    delete item.buffer;
-  });
+  if (files[activeFile]) {
+    const doc = editor.getDoc();
+    Object.assign(files[activeFile], {
+      isClean: doc.isClean(),
+      scrollInfo: editor.getScrollInfo(),
+      cursor: doc.getCursor(),
+      selections: doc.listSelections(),
+      highlightedLines: getAllHighlightedLines(doc),
+      foldedLines: getFoldedLines(doc),
+    });
+  }
 
   // Store in local memory
-  localforage.setItem(STORAGE_LAST_EDITOR_STATE, scene);
+  localforage.setItem(STORAGE_LAST_EDITOR_STATE, { ...state, files });
 }
 
 /**
@@ -204,11 +316,52 @@ export function updateLocalMemory() {
  */
 export const debouncedUpdateLocalMemory = debounce(updateLocalMemory, 500);
 
+/**
+ * Replaces the contents of a file in the scene, e.g. to restore an earlier
+ * version of it. The change can be undone if the file has been in the editor.
+ *
+ * @public
+ * @param {Number} index - index of the file in the store's `scene.files`
+ * @param {string} contents - the new contents
+ */
+export function setFileContents(index, contents) {
+  const scene = store.getState().scene;
+
+  // Changes to the file in the editor are picked up by the editor's change
+  // handler, which marks the file as dirty and updates the map.
+  if (index === scene.activeFileIndex) {
+    const doc = editor.getDoc();
+    doc.replaceRange(contents, doc.posFromIndex(0), doc.posFromIndex(doc.getValue().length));
+    return;
+  }
+
+  const doc = scene.files[index].buffer;
+  if (doc) {
+    doc.setValue(contents);
+  }
+
+  store.dispatch({
+    type: STASH_DOCUMENT,
+    index,
+    contents,
+    buffer: doc,
+  });
+  store.dispatch({
+    type: MARK_FILE_DIRTY,
+    fileIndex: index,
+  });
+
+  debouncedUpdateContent();
+  debouncedUpdateLocalMemory();
+}
+
 export function watchEditorForChanges(cm, changes) {
-  const content = getEditorContent();
   const doc = cm.getDoc();
   const isClean = doc.isClean();
-  const previousCleanState = store.getState().scene.files[0].isClean; // TODO: replace with current file
+  const fileIndex = store.getState().scene.activeFileIndex;
+
+  // Files that have not been marked either way are clean
+  const previousCleanState = store.getState().scene.files[fileIndex].isClean !== false;
 
   // Update all the properties of the active file in local memory.
   // Localforage is async so it cannot be relied on to do this on the
@@ -218,8 +371,11 @@ export function watchEditorForChanges(cm, changes) {
   window.clearTimeout(localMemorySaveTimer);
   localMemorySaveTimer = window.setTimeout(debouncedUpdateLocalMemory, 250);
 
+  // Keep a version of the scene every so often, to go back to
+  takeSnapshotWhileEditing();
+
   // Send scene data to Tangram
-  debouncedUpdateContent(content);
+  debouncedUpdateContent();
 
   // Update the page URL. When editor contents changes by user input
   // and the the editor state is not clean), we erase the ?scene= state
@@ -236,12 +392,12 @@ export function watchEditorForChanges(cm, changes) {
     // TODO: These checks do not have to be debounced for Tangram.
     store.dispatch({
       type: MARK_FILE_DIRTY,
-      fileIndex: 0, // TODO: replace with current file
+      fileIndex,
     });
   } else if (previousCleanState === false && isClean === true) {
     store.dispatch({
       type: MARK_FILE_CLEAN,
-      fileIndex: 0, // TODO: replace with current file
+      fileIndex,
     });
   }
 }
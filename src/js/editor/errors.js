@@ -1,5 +1,11 @@
-import { editor } from './editor';
+import { debounce } from 'lodash';
+import YAML from 'yaml-ast-parser';
+import { editor, getFileContents } from './editor';
 import { getPositionsForNode, getNodeAtKeyAddress } from './yaml-ast';
+import { collectDefinedKeys, validateScene } from './validation';
+import { getAPIKeyFixes } from './api-keys';
+import { findImportedFile } from '../file/virtual-files';
+import { getImportValues } from '../file/references';
 import { tangramLayer } from '../map/map';
 
 // Redux
@@ -18,13 +24,99 @@ const SCENE_ERRORS = {
   },
 };
 
+// Functions that find fixes for errors in `SCENE_ERRORS`, given the parsed
+// syntax tree of the root scene file.
+const SCENE_ERROR_FIXES = {
+  MAPZEN_API_KEY_MISSING: getAPIKeyFixes,
+};
+
+/**
+ * Returns the CodeMirror document of a file in the scene. This is the
+ * document in the editor if it's the current document, otherwise it's the
+ * file's buffer in the scene, if it has one.
+ *
+ * @param {Number} fileIndex - index of the file. Optional; by default, this
+ *          is the root scene file.
+ * @returns {CodeMirror.Doc|undefined} the document
+ */
+function getErrorDoc(fileIndex) {
+  const scene = store.getState().scene;
+  const index = (typeof fileIndex === 'number') ? fileIndex : scene.rootFileIndex;
+
+  if (scene.activeFileIndex === index) {
+    return editor.getDoc();
+  } else if (scene.files[index]) {
+    // Note; adding lineWidgets to a buffer doc doesn't get restored.
+    return scene.files[index].buffer;
+  }
+  return undefined;
+}
+
+/**
+ * Records the current version of a document in each fix for an error, so
+ * that fixes are not applied after the document has changed.
+ *
+ * @param {Array} fixes - fixes for an error in the document
+ * @param {CodeMirror.Doc} doc - the document
+ * @returns {Array} new fix objects
+ */
+function prepareFixes(fixes, doc) {
+  const generation = doc.changeGeneration();
+  return fixes.map(fix => ({ ...fix, generation }));
+}
+
+/**
+ * Applies a fix offered by an error. Each fix is an object of the signature
+ *    {
+ *      label: // {string} describes the fix, e.g. 'Rename to "url"'
+ *      changes: // {Array} `{ from, to, text }` objects, where text between
+ *               // positions `from` and `to` is replaced by `text`
+ *      selection: // {Object} `{ from, to }` positions to select after the
+ *                 // changes are made. optional.
+ *      generation: // {number} version of the document the fix is for
+ *    }
+ *
+ * @param {Object} error - the error object (see `addError()`)
+ * @param {Object} fix - the fix to apply, one of the error's `fixes`
+ * @returns {Boolean} whether the fix was applied. It is not applied if the
+ *          document has changed since the fix was made.
+ */
+export function applyErrorFix(error, fix) {
+  const doc = getErrorDoc(error.fileIndex);
+  if (!doc || !doc.isClean(fix.generation)) return false;
+
+  // Make changes from the end of the document, so that positions of earlier
+  // changes stay valid.
+  const changes = fix.changes.slice().sort((a, b) => b.from - a.from);
+  const applyChanges = () => {
+    changes.forEach((change) => {
+      doc.replaceRange(change.text, doc.posFromIndex(change.from), doc.posFromIndex(change.to));
+    });
+
+    if (fix.selection) {
+      doc.setSelection(doc.posFromIndex(fix.selection.from), doc.posFromIndex(fix.selection.to));
+    }
+  };
+
+  if (doc === editor.getDoc()) {
+    editor.operation(applyChanges);
+    editor.focus();
+  } else {
+    applyChanges();
+  }
+
+  return true;
+}
+
 /**
  * Creates DOM element to be injected into the editor and display as an error.
  *
- * @param {string} type - either 'error' or 'warning'
- * @param {string} message - the string to display in the error
+ * @param {Object} error - the error object to display (see `addError()`).
+ *          Any fixes it has are displayed as buttons.
  */
-function createErrorLineElement(type, message) {
+function createErrorLineElement(error) {
+  const { type, message, fixes = [] } = error;
+
   let iconTypeClass;
   if (type === 'error') {
     iconTypeClass = 'btm bt-exclamation-triangle error-icon';
@@ -46,42 +138,46 @@ function createErrorLineElement(type, message) {
   node.appendChild(icon);
   node.appendChild(document.createTextNode(displayText));
 
+  fixes.forEach((fix) => {
+    const button = document.createElement('button');
+    button.className = 'error-fix-button';
+    button.textContent = fix.label;
+    button.addEventListener('click', () => {
+      applyErrorFix(error, fix);
+    });
+
+    node.appendChild(button);
+  });
+
   return node;
 }
 
 /**
  * Creates CodeMirror line widget to display an error below a line.
  *
- * @param {string} type - either 'error' or 'warning'
- * @param {Number} line - the line number to display under
- * @param {string} message - the string to display in the error
+ * @param {Object} error - the error object to display (see `addError()`).
+ *          It must have a line number.
  */
-function createLineWidget(type, line, message) {
-  const node = createErrorLineElement(type, message);
+function createLineWidget(error) {
+  const doc = getErrorDoc(error.fileIndex);
+  if (!doc) return;
 
   // Do not add line widgets that already exist
   for (let i = 0, j = lineWidgets.length; i < j; i++) {
     const lineNo = lineWidgets[i].line.lineNo();
-    const textContent = lineWidgets[i].node.textContent;
-    if (line === lineNo && message === textContent) return;
+    const widgetError = lineWidgets[i].error;
+    if (doc === lineWidgets[i].doc && error.line === lineNo &&
+      error.message === widgetError.message) return;
   }
 
-  // Get the root document, if it's not the current document in editor.
-  // If it's not the current document, get it from the scene buffer.
-  const scene = store.getState().scene;
-  let doc;
-  if (scene.activeFileIndex === scene.rootFileIndex) {
-    doc = editor.getDoc();
-  } else {
-    // Note; adding lineWidgets to a buffer doc doesn't get restored.
-    doc = scene.files[scene.rootFileIndex].buffer;
-  }
-
-  const lineWidget = doc.addLineWidget(line, node, {
+  const node = createErrorLineElement(error);
+  const lineWidget = doc.addLineWidget(error.line, node, {
     coverGutter: false,
     noHScroll: true,
   });
 
+  // Remember which error the widget displays
+  lineWidget.error = error;
   lineWidgets.push(lineWidget);
 }
 
@@ -111,6 +207,10 @@ export function clearAllErrors() {
  *            message: // {string} The message to display
  *            link: // {string} a URL for a "learn more" link.
  *            line: // {number} A line number, if known.
+ *            fileIndex: // {number} Index of the file with the error, if
+ *                       // it's not the root scene file. optional.
+ *            fixes: // {Array} fixes that can be applied to the document,
+ *                   // see `applyErrorFix()`. optional.
  *          }
  *          This can also be a string, e.g. "MAPZEN_API_KEY_MISSING" which
  *          will look up the error object from a central `SCENE_ERRORS` object.
@@ -121,6 +221,15 @@ export function addError(error) {
     errorObj = error;
   } else if (typeof error === 'string') {
     errorObj = SCENE_ERRORS[error];
+
+    const doc = getErrorDoc();
+    if (errorObj && SCENE_ERROR_FIXES[error] && doc) {
+      const ast = doc.yamlNodes || YAML.safeLoad(doc.getValue());
+      errorObj = {
+        ...errorObj,
+        fixes: prepareFixes(SCENE_ERROR_FIXES[error](ast), doc),
+      };
+    }
   }
   if (errorObj) {
     store.dispatch({
@@ -199,6 +308,34 @@ function addTangramError(errorObj) {
   addError(error);
 }
 
+/**
+ * Finds a statement in a shader that is missing a semicolon at the end, for
+ * a syntax error. The error is usually reported on the line after the
+ * statement, but may be reported on the statement itself.
+ *
+ * @param {CodeMirror.Doc} doc - the document with the shader
+ * @param {Number} line - the line the error is reported on
+ * @returns {Array} a fix to add the semicolon, or no fixes if there is no
+ *          statement that looks like it is missing one.
+ */
+function getMissingSemicolonFixes(doc, line) {
+  // Returns the code on a line, without comments or trailing whitespace
+  const getCode = i => doc.getLine(i).replace(/\/\/.*$/, '').replace(/\s+$/, '');
+
+  const statementLine = [line - 1, line].find((i) => {
+    if (i < 0 || i >= doc.lineCount()) return false;
+    const code = getCode(i).trim();
+    return code.charAt(0) !== '#' && /[\w)\]]$/.test(code);
+  });
+  if (statementLine === undefined) return [];
+
+  const position = doc.indexFromPos({ line: statementLine, ch: getCode(statementLine).length });
+  return [{
+    label: 'Add missing semicolon',
+    changes: [{ from: position, to: position, text: ';' }],
+  }];
+}
+
 /**
  * Handles a shader error with a known block
  *
@@ -230,6 +367,10 @@ function handleShaderErrorWithBlock(error, errorObj) {
 
   if (node) {
     blockErrors.add(JSON.stringify(block)); // track unique errors
+
+    if (/syntax error/i.test(error.message)) {
+      data.fixes = prepareFixes(getMissingSemicolonFixes(doc, data.line), doc);
+    }
   }
 
   addError(data);
@@ -292,14 +433,66 @@ function addTangramWarning(errorObj) {
   }
 }
 
+/**
+ * Collects the keys defined in every open file of the scene, so that the
+ * file in the editor can be validated against the whole scene.
+ *
+ * @param {Object} scene - the scene state from the store
+ * @param {CodeMirror.Doc} doc - the document in the editor
+ * @returns {Object|undefined} defined keys (see `collectDefinedKeys()`), or
+ *          `undefined` if the scene imports a file that is not open, since
+ *          what it defines is not known.
+ */
+function getSceneDefinedKeys(scene, doc) {
+  const definedKeys = {};
+
+  const isComplete = scene.files.every((file, index) => {
+    const ast = (index === scene.activeFileIndex)
+      ? doc.yamlNodes
+      : YAML.safeLoad(getFileContents(index));
+
+    collectDefinedKeys(ast, definedKeys);
+    return getImportValues(ast).every(value => findImportedFile(file, value, scene));
+  });
+
+  return isComplete ? definedKeys : undefined;
+}
+
+/**
+ * Validates the file in the editor against the scene schema, and adds an
+ * error for each problem found. (Errors are cleared when the document is
+ * edited.)
+ */
+function validateActiveFile() {
+  const scene = store.getState().scene;
+  const doc = editor.getDoc();
+  if (!doc.yamlNodes || !scene.files[scene.activeFileIndex]) return;
+
+  const problems = validateScene(doc.yamlNodes, getSceneDefinedKeys(scene, doc));
+  problems.forEach((problem) => {
+    addError({
+      type: problem.type,
+      message: problem.message,
+      line: doc.posFromIndex(problem.startPosition).line,
+      fileIndex: scene.activeFileIndex,
+      fixes: prepareFixes(problem.fixes, doc),
+    });
+  });
+}
+
+const debouncedValidateActiveFile = debounce(validateActiveFile, 500);
+
 /**
  * Depends on CodeMirror editor and Tangram layer being present.
  */
 export function initErrorsManager() {
   editor.on('changes', (cm, changes) => {
     clearAllErrors();
+    debouncedValidateActiveFile();
   });
 
+  editor.on('swapDoc', debouncedValidateActiveFile);
+
   // Subscribe to error events from Tangram
   // See documentation: https://mapzen.com/documentation/tangram/Javascript-API/#error-and-warning
   tangramLayer.scene.subscribe({
@@ -319,7 +512,7 @@ export function initErrorsManager() {
     errors.forEach((item) => {
       // Do not check for falsy values; 0 is a valid line number.
       if (typeof item.line === 'number') {
-        createLineWidget(item.type, item.line, item.message);
+        createLineWidget(item);
       }
     });
   });
@@ -0,0 +1,614 @@
+/**
+ * Layer filters
+ *
+ * A layer's `filter` picks the features of its data that the layer applies
+ * to. A filter is a map of conditions that must all be true, a list of
+ * filters of which any must be true, or a JavaScript function. Conditions
+ * test a feature's properties, or keywords like `$zoom` and `$geometry`, and
+ * can be grouped with `all`, `any`, `none` and `not`.
+ * See https://mapzen.com/documentation/tangram/Filters-Overview/
+ *
+ * This reads filters from a scene file's syntax tree, checks them for
+ * mistakes, matches features against them the way Tangram does, and writes
+ * them back as YAML for the filter editor (see `FilterMarker`).
+ *
+ * Filter functions are code from the scene file, and are not run in the
+ * page: filters that have one are not evaluated (see `hasFilterFunction()`).
+ */
+import { YAML_SCALAR, YAML_MAP, YAML_SEQUENCE, getNodeAtKeyAddress } from './yaml-ast';
+import { LAYER_PARAMETERS } from './outline';
+
+export const FILTER_KEYWORDS = ['$zoom', '$geometry', '$layer', '$source', '$meters_per_pixel'];
+export const GEOMETRY_TYPES = ['point', 'line', 'polygon'];
+export const GROUP_KEYS = ['all', 'any', 'none'];
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+// Keywords that are numbers, which can be compared with ranges
+const NUMBER_KEYWORDS = ['$zoom', '$meters_per_pixel'];
+
+// Geometry types of features from Tangram (GeoJSON), by filter keyword
+const GEOMETRY_TYPE_NAMES = {
+  Point: 'point',
+  MultiPoint: 'point',
+  LineString: 'line',
+  MultiLineString: 'line',
+  Polygon: 'polygon',
+  MultiPolygon: 'polygon',
+};
+
+function isFunction(value) {
+  return typeof value === 'string' && /^\s*function\s*\(/.test(value);
+}
+
+/**
+ * Whether a filter is a function, or has one in its groups. Such filters are
+ * not evaluated: `matchFilter()` returns `null` for them.
+ *
+ * @param {*} filter - the filter, see `getFilterValue()`
+ * @returns {Boolean}
+ */
+export function hasFilterFunction(filter) {
+  if (isFunction(filter)) return true;
+  if (Array.isArray(filter)) return filter.some(hasFilterFunction);
+  if (!filter || typeof filter !== 'object') return false;
+
+  return Object.keys(filter).some(key =>
+    (GROUP_KEYS.indexOf(key) > -1 || key === 'not') && hasFilterFunction(filter[key]));
+}
+
+/**
+ * Reads a filter (or any other value) from a scene file's syntax tree, as a
+ * JavaScript value. Scalars are strings in the syntax tree; unquoted scalars
+ * that look like numbers, booleans or null are converted, as YAML does.
+ *
+ * @param {YAMLNode} node - the node of the value
+ * @returns {*} the value
+ */
+export function getFilterValue(node) {
+  if (!node) return null;
+
+  switch (node.kind) {
+    case YAML_MAP: {
+      const value = {};
+      node.mappings.forEach((mapping) => {
+        if (mapping && mapping.key) {
+          value[mapping.key.value] = getFilterValue(mapping.value);
+        }
+      });
+      return value;
+    }
+    case YAML_SEQUENCE:
+      return node.items.filter(Boolean).map(getFilterValue);
+    case YAML_SCALAR: {
+      const value = node.value;
+      if (node.doubleQuoted || node.singleQuoted) return value;
+      if (/^(true|false)$/.test(value)) return value === 'true';
+      if (NUMBER_PATTERN.test(value)) return Number(value);
+      if (/^(null|~)?$/.test(value)) return null;
+      return value;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks a filter for mistakes that Tangram would ignore or fail on.
+ *
+ * @param {YAMLNode} node - the node of the filter's value
+ * @returns {Array} problems, each an object of the signature
+ *          `{ type, message, node }`, where `type` is 'error' or 'warning'
+ *          and `node` is the node that has the problem
+ */
+export function validateFilter(node) {
+  const problems = [];
+
+  function report(type, message, problemNode) {
+    problems.push({ type, message, node: problemNode });
+  }
+
+  function getMappings(mapNode) {
+    return mapNode.mappings.filter(mapping => mapping && mapping.key);
+  }
+
+  // eslint-disable-next-line no-use-before-define
+  const checkFilter = filterNode => checkAnyFilter(filterNode);
+
+  function checkRange(key, rangeNode) {
+    getMappings(rangeNode).forEach((mapping) => {
+      const name = mapping.key.value;
+      if (name !== 'min' && name !== 'max') {
+        report('warning', `Unknown parameter "${name}" in the range for "${key}". Ranges have a "min", a "max", or both.`, mapping.key);
+      } else if (typeof getFilterValue(mapping.value) !== 'number') {
+        const value = mapping.value ? mapping.value.value : '';
+        report('warning', `"${value}" is not a valid value for "${name}": expected a number.`, mapping.value || mapping.key);
+      }
+    });
+
+    const range = getFilterValue(rangeNode);
+    if (typeof range.min === 'number' && typeof range.max === 'number' && range.min >= range.max) {
+      report('warning', `The range for "${key}" is empty: "min" must be less than "max".`, rangeNode);
+    }
+  }
+
+  function checkCondition(mapping) {
+    const key = mapping.key.value;
+    const valueNode = mapping.value;
+    const kind = valueNode ? valueNode.kind : null;
+
+    if (GROUP_KEYS.indexOf(key) > -1 || key === 'not') {
+      if (kind === YAML_MAP || kind === YAML_SEQUENCE) {
+        checkFilter(valueNode);
+      } else {
+        report('error', `"${key}" must be a list of filters, or a map of conditions.`, mapping.key);
+      }
+      return;
+    }
+
+    if (key.charAt(0) === '$' && FILTER_KEYWORDS.indexOf(key) === -1) {
+      report('warning', `Unknown filter keyword "${key}". Valid keywords are: ${FILTER_KEYWORDS.join(', ')}.`, mapping.key);
+      return;
+    }
+
+    if (!valueNode || (kind === YAML_SCALAR && valueNode.value === '')) {
+      report('error', `The condition on "${key}" has no value.`, mapping.key);
+      return;
+    }
+
+    if (kind === YAML_MAP) {
+      checkRange(key, valueNode);
+      return;
+    }
+
+    const items = (kind === YAML_SEQUENCE) ? valueNode.items.filter(Boolean) : [valueNode];
+    if (kind === YAML_SEQUENCE && items.length === 0) {
+      report('warning', `The list of values for "${key}" is empty, so no features match it.`, valueNode);
+    }
+
+    items.forEach((item) => {
+      if (item.kind !== YAML_SCALAR) {
+        report('error', `Values for "${key}" must be single values, not lists or maps.`, item);
+        return;
+      }
+
+      const value = getFilterValue(item);
+      if (key === '$geometry' && GEOMETRY_TYPES.indexOf(value) === -1) {
+        report('error', `"${item.value}" is not a valid value for "$geometry". Valid values are: ${GEOMETRY_TYPES.join(', ')}.`, item);
+      } else if (NUMBER_KEYWORDS.indexOf(key) > -1 && typeof value !== 'number') {
+        report('warning', `"${item.value}" is not a valid value for "${key}": expected a number.`, item);
+      }
+    });
+  }
+
+  function checkAnyFilter(filterNode) {
+    if (!filterNode) return;
+
+    if (filterNode.kind === YAML_MAP) {
+      getMappings(filterNode).forEach(checkCondition);
+    } else if (filterNode.kind === YAML_SEQUENCE) {
+      filterNode.items.filter(Boolean).forEach(checkFilter);
+    } else if (filterNode.kind === YAML_SCALAR && isFunction(filterNode.value)) {
+      // Functions are not checked, since that would mean running them.
+      // Tangram reports errors in them when the scene is loaded.
+    } else {
+      report('error', 'A filter must be a map of conditions, a list of filters, or a function.', filterNode);
+    }
+  }
+
+  checkFilter(node);
+  return problems;
+}
+
+/**
+ * Whether a feature matches a filter.
+ *
+ * @param {*} filter - the filter, see `getFilterValue()`
+ * @param {Object} properties - the feature's properties
+ * @param {Object} context - values of filter keywords for the feature, e.g.
+ *          `{ $zoom: 16, $geometry: 'line' }`
+ * @returns {Boolean|null} `null` if the filter has a function, which is not
+ *          evaluated (see `hasFilterFunction()`)
+ */
+export function matchFilter(filter, properties, context = {}) {
+  if (filter === null || filter === undefined) return true;
+  if (hasFilterFunction(filter)) return null;
+
+  // A list of filters matches if any of them match
+  if (Array.isArray(filter)) {
+    return filter.some(item => matchFilter(item, properties, context));
+  }
+
+  if (typeof filter !== 'object') return false;
+
+  // eslint-disable-next-line no-use-before-define
+  return Object.keys(filter).every(key => matchCondition(key, filter[key], properties, context));
+}
+
+// Matches each filter in a group, which is a list of filters or a map of
+// conditions
+function matchGroup(group, properties, context) {
+  if (Array.isArray(group)) {
+    return group.map(item => matchFilter(item, properties, context));
+  }
+  // eslint-disable-next-line no-use-before-define
+  return Object.keys(group || {}).map(key => matchCondition(key, group[key], properties, context));
+}
+
+function matchCondition(key, value, properties, context) {
+  switch (key) {
+    case 'all':
+      return matchGroup(value, properties, context).every(Boolean);
+    case 'any':
+      return matchGroup(value, properties, context).some(Boolean);
+    case 'none':
+      return !matchGroup(value, properties, context).some(Boolean);
+    case 'not':
+      return !matchFilter(value, properties, context);
+    default:
+      break;
+  }
+
+  const actual = (key.charAt(0) === '$') ? context[key] : properties[key];
+
+  // `true` and `false` test whether a feature has a property at all
+  if (typeof value === 'boolean') {
+    return value === (actual !== undefined && actual !== null);
+  }
+
+  if (Array.isArray(value)) {
+    return value.indexOf(actual) > -1;
+  }
+
+  // Ranges include their minimum, but not their maximum
+  if (value && typeof value === 'object') {
+    if (typeof actual !== 'number') return false;
+    return (typeof value.min !== 'number' || actual >= value.min) &&
+      (typeof value.max !== 'number' || actual < value.max);
+  }
+
+  return actual === value;
+}
+
+/**
+ * Adds the values of filter keywords that are known about a feature to
+ * values that are the same for every feature.
+ *
+ * @param {Object} feature - the feature, see `countMatchingFeatures()`
+ * @param {Object} context - values of filter keywords that are the same for
+ *          every feature, see `countMatchingFeatures()`
+ * @returns {Object} values of filter keywords for the feature
+ */
+export function getFeatureContext(feature, context) {
+  return {
+    ...context,
+    $layer: feature.source_layer,
+    $source: feature.source_name,
+    $geometry: feature.geometry ? GEOMETRY_TYPE_NAMES[feature.geometry.type] : undefined,
+  };
+}
+
+/**
+ * Returns the filter keywords that a filter tests, e.g. `['$geometry']`.
+ *
+ * @param {*} filter - the filter, see `getFilterValue()`
+ * @returns {Array} keywords
+ */
+export function getFilterKeywords(filter) {
+  if (isFunction(filter)) {
+    return FILTER_KEYWORDS.filter(keyword => filter.indexOf(keyword) > -1);
+  }
+
+  const keywords = [];
+  if (filter && typeof filter === 'object') {
+    Object.keys(filter).forEach((key) => {
+      const found = (FILTER_KEYWORDS.indexOf(key) > -1) ? [key] : [];
+      const nested = (GROUP_KEYS.indexOf(key) > -1 || key === 'not' || Array.isArray(filter))
+        ? getFilterKeywords(filter[key])
+        : [];
+
+      [...found, ...nested].forEach((keyword) => {
+        if (keywords.indexOf(keyword) === -1) keywords.push(keyword);
+      });
+    });
+  }
+
+  return keywords;
+}
+
+/**
+ * Counts the features that match a filter.
+ *
+ * @param {*} filter - the filter, see `getFilterValue()`
+ * @param {Array} features - features of the layer, from tiles that the map
+ *          has loaded: `{ properties, source_name, source_layer, geometry }`
+ * @param {Object} context - values of filter keywords that are the same for
+ *          every feature, e.g. `{ $zoom: 16 }`
+ * @returns {Object} counts of the signature `{ matched, checked, total }`.
+ *          Features are not checked if the filter tests something that is
+ *          not known about them, e.g. `$geometry` if there is no geometry,
+ *          and none are checked if the filter has a function.
+ */
+export function countMatchingFeatures(filter, features, context = {}) {
+  const keywords = getFilterKeywords(filter);
+  let matched = 0;
+  let checked = 0;
+
+  if (hasFilterFunction(filter)) {
+    return { matched, checked, total: features.length };
+  }
+
+  features.forEach((feature) => {
+    const featureContext = getFeatureContext(feature, context);
+    if (keywords.some(keyword => featureContext[keyword] === undefined)) return;
+
+    checked += 1;
+    if (matchFilter(filter, feature.properties || {}, featureContext)) {
+      matched += 1;
+    }
+  });
+
+  return { matched, checked, total: features.length };
+}
+
+/**
+ * Finds the filters of layers whose `filter` key is in a range of a scene
+ * file, e.g. to add text markers to them.
+ *
+ * @param {YAMLNode} ast - the parsed syntax tree of the scene file
+ * @param {Number} fromIndex - a position index at start of range
+ * @param {Number} toIndex - a position index at end of range
+ * @returns {Array} filters found, each an object of the signature
+ *          `{ address, mapping }`, where `mapping` is the node of the
+ *          `filter` key and its value
+ */
+export function getFilterMappingsInRange(ast, fromIndex, toIndex) {
+  const found = [];
+
+  function search(node, address) {
+    if (!node || node.kind !== YAML_MAP) return;
+    if (node.endPosition < fromIndex || node.startPosition > toIndex) return;
+
+    node.mappings.forEach((mapping) => {
+      if (!mapping || !mapping.key) return;
+
+      const key = mapping.key.value;
+      const keyAddress = address ? `${address}:${key}` : key;
+      if (key === 'filter' && address.indexOf('layers:') === 0) {
+        if (mapping.key.startPosition <= toIndex && mapping.key.endPosition >= fromIndex) {
+          found.push({ address: keyAddress, mapping });
+        }
+      } else if (keyAddress === 'layers' || address.indexOf('layers') === 0) {
+        search(mapping.value, keyAddress);
+      }
+    });
+  }
+
+  search(ast, '');
+  return found;
+}
+
+/**
+ * Finds which features the layer of a filter is for, before its filter is
+ * applied: the data source and source layers of its top-level layer, and the
+ * filters of the layers it is nested in.
+ *
+ * @param {YAMLNode} ast - the parsed syntax tree of the scene file
+ * @param {string} address - key address of the filter, e.g.
+ *          'layers:roads:highway:filter'
+ * @returns {Object} an object of the signature
+ *          `{ source, layers, parentFilters }`. `source` is null if the
+ *          layer's data is not in this file.
+ */
+export function getLayerData(ast, address) {
+  const keys = address.split(':').slice(0, -1);
+  const getValue = (keyAddress) => {
+    const mapping = getNodeAtKeyAddress(ast, keyAddress);
+    return mapping ? getFilterValue(mapping.value) : null;
+  };
+
+  // Source layers are named after the layer, unless they are named in data
+  const data = getValue(`${keys.slice(0, 2).join(':')}:data`) || {};
+  const layers = data.layer ? [].concat(data.layer) : [keys[1]];
+
+  const parentFilters = [];
+  for (let i = 2; i < keys.length; i++) {
+    const filter = getValue(`${keys.slice(0, i).join(':')}:filter`);
+    if (filter !== null) parentFilters.push(filter);
+  }
+
+  return { source: data.source || null, layers, parentFilters };
+}
+
+/**
+ * Returns the features that a layer's filter applies to (see `getLayerData()`).
+ * If a parent layer's filter has a function, no features are known to be in
+ * it.
+ *
+ * @param {Array} features - features from tiles, see `countMatchingFeatures()`
+ * @param {Object} layerData - the layer's data, from `getLayerData()`
+ * @param {Object} context - values of filter keywords that are the same for
+ *          every feature, see `countMatchingFeatures()`
+ * @returns {Array} features
+ */
+export function getLayerFeatures(features, layerData, context = {}) {
+  return features.filter((feature) => {
+    if (layerData.source && feature.source_name !== layerData.source) return false;
+    if (layerData.layers.indexOf(feature.source_layer) === -1) return false;
+
+    const featureContext = getFeatureContext(feature, context);
+    return layerData.parentFilters
+      .every(filter => matchFilter(filter, feature.properties || {}, featureContext));
+  });
+}
+
+/**
+ * Finds the layers of a scene file that a feature is in, by matching it
+ * against the data and filters of each layer and sublayer. Layers whose
+ * filter has a function are left out, since it is not evaluated.
+ *
+ * @param {YAMLNode} ast - the parsed syntax tree of the scene file
+ * @param {Object} feature - the feature, see `countMatchingFeatures()`
+ * @param {Object} context - values of filter keywords that are the same for
+ *          every feature, see `countMatchingFeatures()`
+ * @returns {Array} key addresses of the layers, e.g.
+ *          `['layers:roads', 'layers:roads:highway']`, with each layer
+ *          before its sublayers
+ */
+export function getMatchingLayers(ast, feature, context = {}) {
+  const properties = feature.properties || {};
+  const featureContext = getFeatureContext(feature, context);
+  const found = [];
+
+  function getSublayers(node) {
+    if (!node || node.kind !== YAML_MAP) return [];
+    return node.mappings.filter(mapping => mapping && mapping.key && mapping.value &&
+      mapping.value.kind === YAML_MAP && LAYER_PARAMETERS.indexOf(mapping.key.value) === -1);
+  }
+
+  function visit(mapping, address) {
+    const filterMapping = getNodeAtKeyAddress(mapping.value, 'filter');
+    if (filterMapping && filterMapping.value &&
+      !matchFilter(getFilterValue(filterMapping.value), properties, featureContext)) return;
+
+    found.push(address);
+    getSublayers(mapping.value).forEach((sublayer) => {
+      visit(sublayer, `${address}:${sublayer.key.value}`);
+    });
+  }
+
+  const layers = getNodeAtKeyAddress(ast, 'layers');
+  getSublayers(layers ? layers.value : null).forEach((layer) => {
+    const address = `layers:${layer.key.value}`;
+    const data = getLayerData(ast, `${address}:filter`);
+    if ((!data.source || data.source === feature.source_name) &&
+      data.layers.indexOf(feature.source_layer) > -1) {
+      visit(layer, address);
+    }
+  });
+
+  return found;
+}
+
+// Strings that YAML would read as something else, or that have characters
+// with special meanings, are quoted.
+function stringifyScalar(value) {
+  if (typeof value !== 'string') return String(value);
+
+  const isPlain = /^[\w$][\w$ ./-]*$/.test(value) && !/\s$/.test(value) &&
+    !/^(true|false|null|~)$/.test(value) && !NUMBER_PATTERN.test(value);
+
+  // YAML double-quoted strings are a superset of JSON strings
+  return isPlain ? value : JSON.stringify(value);
+}
+
+/**
+ * Writes a filter as YAML, in flow style, e.g. `{ kind: [major_road, minor_road] }`.
+ *
+ * @param {*} filter - the filter, see `getFilterValue()`
+ * @returns {string}
+ */
+export function stringifyFilter(filter) {
+  if (Array.isArray(filter)) {
+    return `[${filter.map(stringifyFilter).join(', ')}]`;
+  }
+
+  if (filter && typeof filter === 'object') {
+    const keys = Object.keys(filter);
+    if (keys.length === 0) return '{}';
+
+    const conditions = keys.map(key => `${stringifyScalar(key)}: ${stringifyFilter(filter[key])}`);
+    return `{ ${conditions.join(', ')} }`;
+  }
+
+  return stringifyScalar(filter);
+}
+
+/**
+ * Finds the condition of a filter that a feature fails. Conditions are
+ * looked for in `all` groups, too; other groups, lists of filters and
+ * filters with functions fail as a whole.
+ *
+ * @param {*} filter - the filter, see `getFilterValue()`
+ * @param {Object} properties - the feature's properties
+ * @param {Object} context - values of filter keywords for the feature, see
+ *          `matchFilter()`
+ * @returns {Object} `null` if the feature matches the filter, or an object
+ *          of the signature `{ condition, property }`, where `condition` is
+ *          the condition as YAML, e.g. 'kind: major_road', and `property`
+ *          is the property or keyword it tests, if it tests only one.
+ */
+export function getFailingCondition(filter, properties, context = {}) {
+  if (matchFilter(filter, properties, context)) return null;
+
+  if (hasFilterFunction(filter) || !filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    return {
+      condition: isFunction(filter) ? filter.trim() : stringifyFilter(filter),
+      property: null,
+    };
+  }
+
+  const key = Object.keys(filter)
+    .find(name => !matchCondition(name, filter[name], properties, context));
+  const value = filter[key];
+
+  if (key === 'all') {
+    const failing = Array.isArray(value)
+      ? value.find(item => !matchFilter(item, properties, context))
+      : value;
+    return getFailingCondition(failing, properties, context);
+  }
+
+  return {
+    condition: `${stringifyScalar(key)}: ${stringifyFilter(value)}`,
+    property: (GROUP_KEYS.indexOf(key) > -1 || key === 'not') ? null : key,
+  };
+}
+
+/**
+ * Returns the key address of the layer or sublayer that a key address is
+ * in, e.g. `'layers:roads:highway'` for
+ * `'layers:roads:highway:draw:lines:color'`.
+ *
+ * @param {string} address - a key address
+ * @returns {string|null} the key address of the layer, or `null` if the key
+ *          address is not in a layer
+ */
+export function getLayerAddress(address) {
+  const keys = (address || '').split(':');
+  if (keys[0] !== 'layers' || keys.length < 2 || !keys[1]) return null;
+
+  let end = 2;
+  while (end < keys.length && LAYER_PARAMETERS.indexOf(keys[end]) === -1) {
+    end += 1;
+  }
+
+  return keys.slice(0, end).join(':');
+}
+
+/**
+ * Returns the features that are in a layer or sublayer: the features its
+ * data and filters (and those of its parent layers) select. If Tangram has
+ * listed the `layers` that a feature is in, those are used instead; if not,
+ * no features are known to be in layers whose filters have functions.
+ *
+ * @param {YAMLNode} ast - the parsed syntax tree of the scene file
+ * @param {string} address - the key address of the layer
+ * @param {Array} features - features from tiles, see `countMatchingFeatures()`
+ * @param {Object} context - values of filter keywords that are the same for
+ *          every feature, see `countMatchingFeatures()`
+ * @returns {Array} features
+ */
+export function getFeaturesInLayer(ast, address, features, context = {}) {
+  const name = address.replace(/^layers:/, '');
+  const filterMapping = getNodeAtKeyAddress(ast, `${address}:filter`);
+  const filter = (filterMapping && filterMapping.value)
+    ? getFilterValue(filterMapping.value)
+    : null;
+
+  return getLayerFeatures(features, getLayerData(ast, `${address}:filter`), context)
+    .filter((feature) => {
+      if (feature.layers) return feature.layers.indexOf(name) > -1;
+      return matchFilter(filter, feature.properties || {}, getFeatureContext(feature, context));
+    });
+}
@@ -1,12 +1,34 @@
-import { editor } from './editor';
-import { clickIsAtCursorPosition } from './codemirror/tools';
+import YAML from 'yaml-ast-parser';
+import { editor, getFileContents, setActiveFile } from './editor';
+import { clickIsAtCursorPosition, jumpToLine } from './codemirror/tools';
 import { isAbsoluteUrl, splitUrlIntoFilenameAndBasePath } from '../tools/helpers';
 import { addError } from './errors';
+import { resolveBundlePath } from '../file/bundle';
+import { getImportValues, resolveUrl } from '../file/references';
+import { getFileBasePath } from '../file/virtual-files';
+import { openWorkspaceFile } from '../file/workspace';
+import { getWorkspaceFile } from '../file/workspace-files';
 import { getKeyAddressForNode, getNodeAtIndex } from './yaml-ast';
+import {
+  getSceneSymbols,
+  getSymbolAtIndex,
+  findSymbolDefinition,
+  findSymbolReferences,
+  describeSymbol,
+} from './symbols';
 
 // Redux
 import store from '../store';
-import { ADD_FILE } from '../store/actions';
+import { ADD_FILE, SET_APP_STATE } from '../store/actions';
+
+// Identifies the context menu item that opens an import (see
+// `EditorContextMenu`), rather than matching on its label
+export const OPEN_IMPORT_ACTION = 'open-import';
+
+function isOpenImportItem(element) {
+  return Boolean(element && element.getAttribute &&
+    element.getAttribute('data-action') === OPEN_IMPORT_ACTION);
+}
 
 /**
  * Is the provided scalar value node an import?
@@ -61,6 +83,25 @@ function handleImportValue(node, doc, incomingCursorPos) {
 
 function openLink(event) {
   // TODO: url strings that are passed in as globals
+  const scene = store.getState().scene;
+  const activeFile = scene.files[scene.activeFileIndex];
+
+  // Files in a scene bundle are all opened when the bundle is opened, so
+  // there is nothing to fetch. Bundle files use their path inside the
+  // bundle as their key. Files in a workspace are opened from the folder.
+  if (activeFile.bundlePath && isAbsoluteUrl(urlString) === false) {
+    const bundlePath = resolveBundlePath(urlString, activeFile.bundlePath);
+    if (isAlreadyOpened(bundlePath) === false && getWorkspaceFile(bundlePath)) {
+      openWorkspaceFile(bundlePath);
+    } else if (isAlreadyOpened(bundlePath) === false) {
+      addError({
+        type: 'error',
+        line: cursorPos.line,
+        message: `Could not open ${urlString}: it is not in the scene bundle.`,
+      });
+    }
+    return;
+  }
 
   // Attach the file's base path if it looks like a relative URL!
   // Relative paths must be resolved in relationship to current FILE,
@@ -69,9 +110,6 @@ function openLink(event) {
   // path will break it.
   if (isAbsoluteUrl(urlString) === false) {
     // Get the files's base path if present
-    const scene = store.getState().scene;
-
-    const activeFile = scene.files[scene.activeFileIndex];
     const basePath = activeFile.basePath || scene.originalBasePath;
     const intermediaryUrlResolver = new window.URL(urlString, basePath);
     urlString = intermediaryUrlResolver.href;
@@ -101,7 +139,6 @@ function openLink(event) {
         basePath: urlParts[0],
         filename: urlParts[1],
         contents,
-        readOnly: true,
       };
       store.dispatch({
         type: ADD_FILE,
@@ -122,9 +159,243 @@ function openLink(event) {
     });
 }
 
+// Imported files that are not open, but were fetched to search for symbols,
+// by URL. These are opened if the user goes to a result in one of them.
+let fetchedFiles = {};
+
+/**
+ * Collects every file in the scene to search for symbols, starting with the
+ * file in the editor. Imported files that are not open are fetched, unless
+ * the editor can only have one file open.
+ *
+ * @returns {Promise} resolved with an array of objects of the signature
+ *          `{ fileIndex, url, filename, contents, ast }`. Open files have a
+ *          `fileIndex`, and fetched files have a `url`.
+ */
+function getSceneFilesForSearch() {
+  const scene = store.getState().scene;
+  const doc = editor.getDoc();
+
+  const openFiles = scene.files.map((file, index) => {
+    const contents = getFileContents(index);
+    return {
+      fileIndex: index,
+      filename: file.filename,
+      contents,
+      ast: (index === scene.activeFileIndex) ? doc.yamlNodes : YAML.safeLoad(contents),
+    };
+  });
+
+  // Search the file in the editor first
+  openFiles.unshift(...openFiles.splice(scene.activeFileIndex, 1));
+
+  if (store.getState().app.disableMultiFile === true) {
+    return Promise.resolve(openFiles);
+  }
+
+  const searchFiles = [...openFiles];
+  const visited = scene.files.map(file => file.key).filter(Boolean);
+  fetchedFiles = {};
+
+  // Resolves an imported path to a URL to fetch, if it is not already open
+  function getImportUrl(item, value) {
+    let basePath = item.basePath;
+    if (typeof item.fileIndex === 'number') {
+      const file = scene.files[item.fileIndex];
+
+      // Files in a scene bundle are all open already.
+      if (file.bundlePath) return null;
+      basePath = getFileBasePath(file, scene);
+    }
+
+    if (isAbsoluteUrl(value)) return value;
+    return basePath ? resolveUrl(value, basePath) : null;
+  }
+
+  function fetchImports(item) {
+    const urls = getImportValues(item.ast)
+      .map(value => getImportUrl(item, value))
+      .filter(url => url && visited.indexOf(url) === -1);
+    visited.push(...urls);
+
+    return Promise.all(urls.map(url =>
+      window.fetch(url)
+        .then(response => (response.ok ? response.text() : null))
+        // Files that cannot be fetched are not searched
+        .catch(() => null)
+        .then((contents) => {
+          if (contents === null) return null;
+
+          const urlParts = splitUrlIntoFilenameAndBasePath(url);
+          const fetched = {
+            url,
+            basePath: urlParts[0],
+            filename: urlParts[1],
+            contents,
+            ast: YAML.safeLoad(contents),
+          };
+          fetchedFiles[url] = fetched;
+          searchFiles.push(fetched);
+
+          return fetchImports(fetched);
+        })));
+  }
+
+  return Promise.all(openFiles.map(fetchImports)).then(() => searchFiles);
+}
+
+/**
+ * Shows a range of text in a file of the scene, switching to the file if it
+ * is not in the editor. Files that were fetched to search them are opened.
+ *
+ * @param {Object} location - `{ fileIndex, url, startPosition, endPosition }`
+ *          where `fileIndex` is the index of an open file, or `url` is the URL
+ *          of a fetched file.
+ */
+export function goToSceneLocation(location) {
+  const scene = store.getState().scene;
+  let fileIndex = location.fileIndex;
+
+  if (typeof fileIndex !== 'number') {
+    fileIndex = scene.files.findIndex(file => file.key === location.url);
+  }
+
+  if (fileIndex === -1) {
+    const fetched = fetchedFiles[location.url];
+    if (!fetched) return;
+
+    store.dispatch({
+      type: ADD_FILE,
+      file: {
+        key: fetched.url,
+        basePath: fetched.basePath,
+        filename: fetched.filename,
+        contents: fetched.contents,
+      },
+    });
+    fileIndex = store.getState().scene.files.length - 1;
+  }
+
+  setActiveFile(fileIndex);
+
+  // The editor swaps in the document of another file when the store is
+  // updated, which may not happen until after the current event.
+  window.setTimeout(() => {
+    const doc = editor.getDoc();
+    const from = doc.posFromIndex(location.startPosition);
+    const to = doc.posFromIndex(location.endPosition);
+
+    jumpToLine(editor, from.line);
+    doc.setSelection(from, to);
+    editor.focus();
+  }, 0);
+}
+
+/**
+ * Returns the style, source, global property or layer at the cursor in the
+ * editor, if any.
+ *
+ * @returns {Object|undefined} a symbol, see `getSceneSymbols()`
+ */
+export function getSymbolAtCursor() {
+  const doc = editor.getDoc();
+  const symbols = getSceneSymbols(doc.yamlNodes, doc.getValue());
+  return getSymbolAtIndex(symbols, doc.indexFromPos(doc.getCursor()));
+}
+
+/**
+ * Goes to where the style, source or global property at the cursor is
+ * defined. The definition may be in another file of the scene.
+ *
+ * @returns {Promise} resolved when done
+ */
+export function goToDefinition() {
+  const symbol = getSymbolAtCursor();
+  if (!symbol) return Promise.resolve();
+
+  const line = editor.getDoc().getCursor().line;
+
+  return getSceneFilesForSearch().then((files) => {
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      const symbols = getSceneSymbols(file.ast, file.contents);
+      const definition = findSymbolDefinition(symbols, symbol);
+
+      if (definition) {
+        goToSceneLocation({
+          fileIndex: file.fileIndex,
+          url: file.url,
+          startPosition: definition.startPosition,
+          endPosition: definition.endPosition,
+        });
+        return;
+      }
+    }
+
+    addError({
+      type: 'warning',
+      line,
+      message: `Could not find where ${describeSymbol(symbol)} is defined.`,
+    });
+  });
+}
+
+/**
+ * Finds every reference to the style, source or global property at the
+ * cursor, in all files of the scene, and shows them in the references panel.
+ *
+ * @returns {Promise} resolved when done
+ */
+export function findReferences() {
+  const symbol = getSymbolAtCursor();
+  if (!symbol) return Promise.resolve();
+
+  return getSceneFilesForSearch().then((files) => {
+    const references = [];
+
+    files.forEach((file) => {
+      const symbols = getSceneSymbols(file.ast, file.contents);
+      const lines = file.contents.split('\n');
+
+      findSymbolReferences(symbols, symbol).forEach((reference) => {
+        const line = file.contents.slice(0, reference.startPosition).split('\n').length - 1;
+        references.push({
+          fileIndex: file.fileIndex,
+          url: file.url,
+          filename: file.filename,
+          line,
+          text: lines[line].trim(),
+          startPosition: reference.startPosition,
+          endPosition: reference.endPosition,
+        });
+      });
+    });
+
+    store.dispatch({
+      type: SET_APP_STATE,
+      references: {
+        title: `References to ${describeSymbol(symbol)}`,
+        items: references,
+      },
+    });
+  });
+}
+
 // Let's work on finding scene imports.
 // TODO: This is not a final API; this is just for testing purposes.
 export function initContextSensitiveClickEvents() {
+  // Ctrl-click (Cmd-click on Mac) goes to the definition of a style, source
+  // or global property. This replaces CodeMirror's own handling of the click,
+  // which would add another cursor.
+  editor.on('mousedown', (cm, event) => {
+    if (!(event.ctrlKey || event.metaKey)) return;
+
+    event.preventDefault();
+    const pos = cm.coordsChar({ left: event.clientX, top: event.clientY }, 'window');
+    cm.getDoc().setCursor(pos);
+    goToDefinition();
+  });
+
   // Bail if disableMultiFile mode is on
   if (store.getState().app.disableMultiFile === true) return;
 
@@ -153,13 +424,13 @@ export function initContextSensitiveClickEvents() {
   });
 
   // listener for links
-  const contextLink = document.querySelector('.editor-context-menu li');
+  const contextLink = document.querySelector(`.editor-context-menu [data-action="${OPEN_IMPORT_ACTION}"]`);
   contextLink.addEventListener('click', openLink, true);
 
   // Shut down the context menu on other interactions
   // todo: move elsewhere, react flow
   window.addEventListener('mousedown', (event) => {
-    if (event.target.textContent !== 'Open in new tab (read-only)') {
+    if (!isOpenImportItem(event.target)) {
       const el = document.querySelector('.editor-context-menu');
       el.style.display = 'none';
     }
@@ -7,8 +7,12 @@ import { saveAs } from 'file-saver';
 import { showConfirmDialogModal } from '../modals/ConfirmDialogModal';
 import { showErrorModal } from '../modals/ErrorModal';
 import { load } from '../tangram-play';
+import { isZipFile, packSceneBundle } from '../file/bundle';
+import { isAbsoluteUrl } from '../tools/helpers';
 import { addError, removeError } from './errors';
-import { editor, getEditorContent } from './editor';
+import { editor, getFileContents } from './editor';
+import { findEmbeddedCredentials, suppressCredentials, getCredentials } from './credentials';
+import { takeSnapshot } from './snapshots';
 import store from '../store';
 import { MARK_FILE_CLEAN, SAVE_SCENE } from '../store/actions';
 
@@ -16,27 +20,8 @@ const NEW_SCENE_PATH = 'data/scenes/blank.yaml';
 
 // TODO: this probably doesn't belong here.
 export function checkSaveStateThen(callback = noop) {
-  if (editor.doc.isClean()) {
-    callback();
-  } else {
-    showConfirmDialogModal('Your scene has not been saved. Continue?', callback);
-  }
-}
-
-/**
- * Checks the whether a particular file in the scene file list needs to be
- * saved before executing `callback`. The file may have the `isClean` property
- * set to false if it has been edited. As a shortcut, files with `readOnly`
- * property set to true is assumed to not have been edited.
- *
- * @param {number} doc - index of file in store
- * @param {function} callback - callback function to run if document is clean
- *          or confirmation is given
- * @todo - this probably doesn't belong here.
- */
-export function checkSaveStateOfDocumentThen(index, callback = noop) {
-  const file = store.getState().scene.files[index];
-  if (file.readOnly === true || file.isClean === true) {
+  const files = store.getState().scene.files;
+  if (editor.doc.isClean() && files.every(file => file.isClean !== false)) {
     callback();
   } else {
     showConfirmDialogModal('Your scene has not been saved. Continue?', callback);
@@ -60,8 +45,8 @@ export function readBlobAsText(blob) {
       return;
     }
 
-    if (blob.type && blob.type.startsWith('application/zip')) {
-      reject('Tangram Play does not support zipped scene bundles right now.');
+    if (isZipFile(blob)) {
+      reject('Unable to read your file as text: it is a zipped scene bundle.');
       return;
     }
 
@@ -86,9 +71,14 @@ export function readBlobAsText(blob) {
 }
 
 /**
- * Wrap FileReader in a Promise and returns it.
+ * Wrap FileReader in a Promise and returns it. Zipped scene bundles are
+ * passed on to be unpacked instead of being read as text.
  */
 export function loadContentFromFile(file) {
+  if (isZipFile(file)) {
+    return load({ bundle: file });
+  }
+
   return readBlobAsText(file)
     .then((contents) => {
       load({
@@ -128,7 +118,7 @@ export function handleFileList(fileList) {
 function constructInvisibleFileInputElement() {
   const fileSelector = document.createElement('input');
   fileSelector.setAttribute('type', 'file');
-  fileSelector.setAttribute('accept', 'text/x-yaml');
+  fileSelector.setAttribute('accept', 'text/x-yaml,.yaml,.yml,application/zip,.zip');
   fileSelector.style.display = 'none';
   fileSelector.addEventListener('change', (event) => {
     handleFileList(event.target.files);
@@ -165,31 +155,173 @@ export function removeApiKeyWarning() {
   removeError('MAPZEN_API_KEY_MISSING');
 }
 
-export function markSceneSaved(saveDispatch) {
-  editor.doc.markClean();
+/**
+ * Warns the user if any file in the scene has the value of a managed API key
+ * or access token written in it (see `credentials.js`), since anyone the
+ * scene is shared with could see and use it.
+ */
+export function showCredentialsWarningIfNecessary() {
+  const files = store.getState().scene.files;
+  const names = [];
+
+  files.forEach((file, index) => {
+    findEmbeddedCredentials(getFileContents(index) || '', getCredentials())
+      .forEach((credential) => {
+        if (names.indexOf(credential.name) === -1) names.push(credential.name);
+      });
+  });
 
-  // Marked "saved" state in UI
-  store.dispatch({
-    type: MARK_FILE_CLEAN,
-    fileIndex: 0, // TODO: replace with current file
+  removeError('CREDENTIALS_EMBEDDED');
+  if (names.length > 0) {
+    addError({
+      type: 'warning',
+      name: 'CREDENTIALS_EMBEDDED',
+      message: `This scene has an API key or access token for ${names.join(', ')} written in it. It is left out when the scene is saved or exported, so that others can't see it, and Tangram Play adds it again when the scene is loaded. You can remove it from the scene.`,
+    });
+  }
+}
+
+/**
+ * Returns the contents of a file in the scene for saving or exporting it,
+ * without the values of managed API keys or access tokens (see
+ * `credentials.js`) that are written in it. The editor only masks them in
+ * what it displays, and they should not leave the browser.
+ *
+ * @param {Number} index - index of the file in `scene.files`
+ * @returns {string} contents of the file
+ */
+export function getFileContentsForExport(index) {
+  return suppressCredentials(getFileContents(index) || '', getCredentials());
+}
+
+/**
+ * Marks files as saved, in both the editor and the store, and records where
+ * the scene was saved.
+ *
+ * @param {Object} saveDispatch - action to dispatch to record the save
+ * @param {Array} fileIndexes - indexes of the files that were saved. By
+ *          default, only the root scene file.
+ */
+export function markSceneSaved(saveDispatch, fileIndexes) {
+  const scene = store.getState().scene;
+  const indexes = fileIndexes || [scene.rootFileIndex];
+
+  indexes.forEach((index) => {
+    if (index === scene.activeFileIndex) {
+      editor.doc.markClean();
+    } else if (scene.files[index].buffer) {
+      scene.files[index].buffer.markClean();
+    }
+
+    // Marked "saved" state in UI
+    store.dispatch({
+      type: MARK_FILE_CLEAN,
+      fileIndex: index,
+    });
   });
 
   store.dispatch(saveDispatch);
   showApiKeyWarningIfNecessary();
+  showCredentialsWarningIfNecessary();
+
+  // Keep the saved version in the scene's history
+  takeSnapshot('save');
 }
 
+/**
+ * Returns the files in the scene, other than the root scene file, that have
+ * been edited since they were opened or saved.
+ *
+ * @returns {Array} file objects from `scene.files`
+ */
+export function getEditedImportedFiles() {
+  const scene = store.getState().scene;
+  return scene.files.filter((file, index) =>
+    index !== scene.rootFileIndex && file.isClean === false);
+}
+
+/**
+ * Downloads the scene. If only the root scene file may have changed, it is
+ * downloaded on its own. If other files in the scene have been edited too,
+ * the whole scene is downloaded as one scene bundle instead (see
+ * `exportSceneBundle()`), so that the files are kept together.
+ *
+ * @returns {Promise} resolved when the scene has been saved
+ */
 export function exportSceneFile() {
-  const typedArray = getEditorContent();
-  const blob = new Blob([typedArray], { type: 'text/plain;charset=utf-8' });
-  const filename = getRootFileName();
+  const scene = store.getState().scene;
+
+  if (getEditedImportedFiles().length > 0) {
+    // eslint-disable-next-line no-use-before-define
+    return exportSceneBundle()
+      .catch((error) => {
+        showErrorModal(`Uh oh! We tried to save your scene bundle but something went wrong. ${error.message}`);
+      });
+  }
+
+  const contents = getFileContentsForExport(scene.rootFileIndex);
+  const blob = new Blob([contents], { type: 'text/plain;charset=utf-8' });
 
   // Use FileSaver implementation, pass `true` as third parameter
   // to prevent auto-prepending a Byte-Order Mark (BOM)
-  saveAs(blob, filename, true);
+  saveAs(blob, getRootFileName(), true);
 
   markSceneSaved({
     type: SAVE_SCENE,
     location: 'FILE',
     timestamp: new Date().toISOString(),
+  }, [scene.rootFileIndex]);
+
+  return Promise.resolve();
+}
+
+/**
+ * Collects every file in the scene for saving as a bundle, with the current
+ * contents of each file in the editor.
+ *
+ * @returns {Array} objects describing each file, see `packSceneBundle()`
+ */
+function getSceneFilesForBundle() {
+  const scene = store.getState().scene;
+
+  return scene.files.map((file, index) => {
+    // Imported files use their URL as their key. The root file's URL is
+    // the URL that the scene was opened from.
+    let url = null;
+    if (index === scene.rootFileIndex) {
+      url = scene.originalUrl;
+    } else if (file.key) {
+      url = file.key;
+    }
+
+    return {
+      contents: getFileContents(index),
+      filename: file.filename,
+      root: index === scene.rootFileIndex,
+      bundlePath: file.bundlePath,
+      url: (url && isAbsoluteUrl(url)) ? url : null,
+    };
   });
 }
+
+/**
+ * Saves all files in the scene as a zipped scene bundle.
+ *
+ * @param {Object} options - passed to `packSceneBundle()`
+ * @returns {Promise} resolved when the bundle has been saved
+ */
+export function exportSceneBundle(options) {
+  const filename = `${getRootFileName().replace(/\.ya?ml$/i, '')}.zip`;
+  const files = getSceneFilesForBundle();
+
+  return packSceneBundle(files, { ...options, credentials: getCredentials() })
+    .then((blob) => {
+      saveAs(blob, filename);
+
+      markSceneSaved({
+        type: SAVE_SCENE,
+        location: 'FILE',
+        timestamp: new Date().toISOString(),
+      }, files.map((file, index) => index));
+    });
+}
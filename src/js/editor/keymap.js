@@ -1,6 +1,8 @@
 import CodeMirror from 'codemirror';
 import { unfoldAll, foldByLevel } from './codemirror/tools';
 import { takeScreenshot } from '../map/screenshot';
+import { goToDefinition, findReferences } from './imports';
+import { renameSymbolAtCursor } from './rename';
 import { increaseEditorFontSize, decreaseEditorFontSize } from '../store/actions/settings';
 
 /**
@@ -34,6 +36,15 @@ export function getExtraKeyMap() {
     'Alt-P': (cm) => {
       takeScreenshot();
     },
+    F12: (cm) => {
+      goToDefinition();
+    },
+    'Shift-F12': (cm) => {
+      findReferences();
+    },
+    F2: (cm) => {
+      renameSymbolAtCursor();
+    },
     'Ctrl-0': (cm) => {
       unfoldAll(cm);
     },
@@ -0,0 +1,136 @@
+/**
+ * Layer trace
+ *
+ * Explains how a feature is drawn: which layers and sublayers of a scene
+ * file it is in, which it is not in (with the condition of their filter
+ * that it fails), and the `draw` parameters that the layers it is in are
+ * combined into. Like Tangram, parameters of sublayers replace the same
+ * parameters of the layers they are in.
+ */
+import { YAML_MAP, getNodeAtKeyAddress } from './yaml-ast';
+import { LAYER_PARAMETERS } from './outline';
+import {
+  getFilterValue,
+  getLayerData,
+  getFeatureContext,
+  matchFilter,
+  hasFilterFunction,
+  getFailingCondition,
+} from './filters';
+
+// Returns the key-value pairs of a map node. Mappings can be `null`, or
+// without a key, if the document has errors.
+function getMappings(node) {
+  if (!node || node.kind !== YAML_MAP) return [];
+  return node.mappings.filter(mapping => mapping && mapping.key);
+}
+
+function getSublayers(node) {
+  return getMappings(node).filter(mapping => mapping.value &&
+    mapping.value.kind === YAML_MAP && LAYER_PARAMETERS.indexOf(mapping.key.value) === -1);
+}
+
+// Collects the parameters of a layer's draw groups, by draw group and
+// parameter. Parameters with maps as values (e.g. `outline`) are collected
+// one by one, e.g. 'outline:color'.
+function collectDrawParameters(layerNode, address, parameters) {
+  function collect(node, path, keyAddress) {
+    if (node && node.kind === YAML_MAP) {
+      getMappings(node).forEach((mapping) => {
+        const key = mapping.key.value;
+        collect(mapping.value, [...path, key], `${keyAddress}:${key}`);
+      });
+    } else if (path.length > 1) {
+      // eslint-disable-next-line no-param-reassign
+      parameters[path.join(':')] = {
+        group: path[0],
+        parameter: path.slice(1).join(':'),
+        address: keyAddress,
+        layer: address,
+        node,
+      };
+    }
+  }
+
+  const draw = getNodeAtKeyAddress(layerNode, 'draw');
+  getMappings(draw ? draw.value : null).forEach((group) => {
+    collect(group.value, [group.key.value], `${address}:draw:${group.key.value}`);
+  });
+}
+
+/**
+ * Traces the layers of a scene file for a feature.
+ *
+ * @param {YAMLNode} ast - the parsed syntax tree of the scene file
+ * @param {Object} feature - the feature, of the signature
+ *          `{ properties, source_name, source_layer, layers }`. If Tangram
+ *          has listed the `layers` that it is in, those are the layers
+ *          that match; otherwise matches are worked out from filters.
+ * @param {Object} context - values of filter keywords that are the same for
+ *          every feature, e.g. `{ $zoom }`
+ * @returns {Object} an object of the signature
+ *          {
+ *            layers: // {Array} layers whose data has the feature, each
+ *                    // an object of the signature `{ name, address,
+ *                    // matched, evaluated, failing, children }`, where
+ *                    // `evaluated` is false if the layer's filter has a
+ *                    // function, which is not evaluated (so the layer is
+ *                    // not matched), `failing` is the condition of the
+ *                    // layer's filter that the feature fails (see
+ *                    // `getFailingCondition()`), and `children` are
+ *                    // sublayers, if the layer matched
+ *            draw: // {Array} combined draw parameters, each an object of
+ *                  // the signature `{ group, parameter, address, layer,
+ *                  // node }`, where `address` is the key address of the
+ *                  // parameter and `layer` of the layer it comes from
+ *          }
+ */
+export function traceLayers(ast, feature, context = {}) {
+  const properties = feature.properties || {};
+  const featureContext = getFeatureContext(feature, context);
+  const parameters = {};
+
+  function trace(mapping, address) {
+    const filterMapping = getNodeAtKeyAddress(mapping.value, 'filter');
+    const filter = (filterMapping && filterMapping.value)
+      ? getFilterValue(filterMapping.value)
+      : null;
+
+    const evaluated = Boolean(feature.layers) || !hasFilterFunction(filter);
+    const matched = feature.layers
+      ? feature.layers.indexOf(address.replace(/^layers:/, '')) > -1
+      : matchFilter(filter, properties, featureContext) === true;
+
+    if (matched) {
+      collectDrawParameters(mapping.value, address, parameters);
+    }
+
+    return {
+      name: mapping.key.value,
+      address,
+      matched,
+      evaluated,
+      failing: (matched || !evaluated)
+        ? null
+        : getFailingCondition(filter, properties, featureContext),
+      children: matched
+        ? getSublayers(mapping.value).map(sublayer =>
+            trace(sublayer, `${address}:${sublayer.key.value}`))
+        : [],
+    };
+  }
+
+  const layersMapping = getNodeAtKeyAddress(ast, 'layers');
+  const layers = getSublayers(layersMapping ? layersMapping.value : null)
+    .filter((layer) => {
+      const data = getLayerData(ast, `layers:${layer.key.value}:filter`);
+      return (!data.source || data.source === feature.source_name) &&
+        data.layers.indexOf(feature.source_layer) > -1;
+    })
+    .map(layer => trace(layer, `layers:${layer.key.value}`));
+
+  return {
+    layers,
+    draw: Object.keys(parameters).map(key => parameters[key]),
+  };
+}
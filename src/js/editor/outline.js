@@ -0,0 +1,118 @@
+/**
+ * Scene outline
+ *
+ * Builds a navigable overview of the structure of a scene file from its
+ * parsed syntax tree: its sources, layers (with nested sublayers), styles,
+ * lights and cameras.
+ */
+import { YAML_MAP } from './yaml-ast';
+
+// Top-level blocks that appear in the outline, in this order
+const OUTLINE_SECTIONS = ['sources', 'layers', 'styles', 'lights', 'cameras'];
+
+// Keys of a layer that are its own parameters. All other keys with a
+// mapping as a value are sublayers.
+export const LAYER_PARAMETERS = ['data', 'filter', 'draw', 'visible', 'enabled', 'priority', 'exclusive'];
+
+// Returns the mappings (key-value pairs) of a node if it is a map. Mappings
+// can be `null` if the document has errors.
+function getMappings(node) {
+  if (!node || node.kind !== YAML_MAP) return [];
+  return node.mappings.filter(mapping => mapping && mapping.key && mapping.key.value);
+}
+
+/**
+ * Creates an outline item for a key-value pair in the scene file.
+ *
+ * @param {YAMLNode} mapping - a mapping node
+ * @param {string} section - name of the section this item belongs to
+ * @param {string} parentAddress - key address of the parent item, if any
+ * @returns {Object} an outline item: `{ name, section, address,
+ *          startPosition, endPosition, children }`
+ */
+function createOutlineItem(mapping, section, parentAddress) {
+  const name = mapping.key.value;
+  const address = parentAddress ? `${parentAddress}:${name}` : name;
+
+  let children = [];
+  if (section === 'layers' && parentAddress) {
+    children = getMappings(mapping.value)
+      .filter(child => LAYER_PARAMETERS.indexOf(child.key.value) === -1 &&
+        child.value && child.value.kind === YAML_MAP)
+      .map(child => createOutlineItem(child, section, address));
+  } else if (!parentAddress) {
+    children = getMappings(mapping.value)
+      .map(child => createOutlineItem(child, section, address));
+  }
+
+  return {
+    name,
+    section,
+    address,
+    startPosition: mapping.startPosition,
+    endPosition: mapping.endPosition,
+    children,
+  };
+}
+
+/**
+ * Builds the outline of a scene file. Each section of the scene is an item
+ * at the top level of the outline, and its children are the named sources,
+ * layers, styles, etc. within it. Layers have their sublayers as children.
+ *
+ * @param {YAMLNode} ast - the parsed syntax tree of the scene file
+ * @returns {Array} an array of outline items
+ */
+export function getSceneOutline(ast) {
+  const sections = getMappings(ast)
+    .filter(mapping => OUTLINE_SECTIONS.indexOf(mapping.key.value) > -1)
+    .map(mapping => createOutlineItem(mapping, mapping.key.value));
+
+  return sections.sort((a, b) =>
+    OUTLINE_SECTIONS.indexOf(a.section) - OUTLINE_SECTIONS.indexOf(b.section));
+}
+
+/**
+ * Filters an outline by name. Items are kept if their name contains the
+ * query (ignoring case), along with all of their children, or if any of
+ * their descendants match.
+ *
+ * @param {Array} items - an array of outline items
+ * @param {string} query - text to find in item names
+ * @returns {Array} a new, filtered array of outline items
+ */
+export function filterOutline(items, query) {
+  const search = query.trim().toLowerCase();
+  if (!search) return items;
+
+  return items.reduce((filtered, item) => {
+    if (item.name.toLowerCase().indexOf(search) > -1) {
+      filtered.push(item);
+    } else {
+      const children = filterOutline(item.children, query);
+      if (children.length > 0) {
+        filtered.push({ ...item, children });
+      }
+    }
+    return filtered;
+  }, []);
+}
+
+/**
+ * Finds the most deeply nested outline item at a position in the document,
+ * e.g. the position of the cursor.
+ *
+ * @param {Array} items - an array of outline items
+ * @param {Number} index - a position index in the document
+ * @returns {Object|null} the outline item, or `null` if there is none
+ */
+export function getOutlineItemAtIndex(items, index) {
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    if (index >= item.startPosition && index <= item.endPosition) {
+      return getOutlineItemAtIndex(item.children, index) || item;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,206 @@
+/**
+ * Rename
+ *
+ * Renames a style, source, global property or layer, along with every
+ * reference to it, in all of the open files of the scene. Changes are shown
+ * in a preview before they are made (see `RenameSymbolModal`).
+ */
+import YAML from 'yaml-ast-parser';
+import {
+  editor,
+  getFileContents,
+  debouncedUpdateContent,
+  debouncedUpdateLocalMemory,
+} from './editor';
+import { addError } from './errors';
+import { getSymbolAtCursor } from './imports';
+import {
+  getSceneSymbols,
+  findSymbolDefinition,
+  describeSymbol,
+  checkNewSymbolKey,
+  getRenameChanges,
+} from './symbols';
+
+// Redux
+import store from '../store';
+import { SHOW_MODAL, STASH_DOCUMENT, MARK_FILE_DIRTY } from '../store/actions';
+
+// Returns the symbols in every open file that can be edited
+function getOpenFileSymbols() {
+  const scene = store.getState().scene;
+
+  return scene.files
+    .map((file, index) => {
+      const contents = getFileContents(index);
+      const ast = (index === scene.activeFileIndex)
+        ? editor.getDoc().yamlNodes
+        : YAML.safeLoad(contents);
+
+      return {
+        fileIndex: index,
+        filename: file.filename,
+        readOnly: file.readOnly,
+        contents,
+        symbols: getSceneSymbols(ast, contents),
+      };
+    })
+    .filter(file => !file.readOnly);
+}
+
+// Makes changes (see `getRenameChanges()`) to a string of text
+function applyChangesToText(text, changes) {
+  return changes.slice()
+    .sort((a, b) => b.from - a.from)
+    .reduce((result, change) =>
+      result.slice(0, change.from) + change.text + result.slice(change.to), text);
+}
+
+/**
+ * Works out the changes to rename a symbol in every open file, without
+ * making them.
+ *
+ * @param {Object} target - a `{ type, name }` object of the symbol to rename
+ * @param {string} newKey - the new key of its definition
+ * @returns {Object} an object of the signature
+ *          {
+ *            error: // {string} why it cannot be renamed, if it cannot
+ *            files: // {Array} files with changes, each an object of the
+ *                   // signature `{ fileIndex, filename, changes, lines }`,
+ *                   // where `lines` are `{ line, before, after }` objects
+ *                   // of each changed line, to preview the changes
+ *          }
+ */
+export function getRenamePlan(target, newKey) {
+  const files = getOpenFileSymbols();
+  const symbols = files.reduce((all, file) => all.concat(file.symbols), []);
+
+  const error = checkNewSymbolKey(symbols, target, newKey);
+  if (error) return { error, files: [] };
+
+  const plan = files.map((file) => {
+    const changes = getRenameChanges(file.symbols, file.contents, target, newKey);
+
+    // Names cannot contain line breaks, so lines are in the same place after
+    // the changes are made.
+    const before = file.contents.split('\n');
+    const after = applyChangesToText(file.contents, changes).split('\n');
+    const lines = [];
+    changes.forEach((change) => {
+      const line = file.contents.slice(0, change.from).split('\n').length - 1;
+      if (lines.length === 0 || lines[lines.length - 1].line !== line) {
+        lines.push({ line, before: before[line], after: after[line] });
+      }
+    });
+
+    return {
+      fileIndex: file.fileIndex,
+      filename: file.filename,
+      changes,
+      lines,
+    };
+  });
+
+  return { files: plan.filter(file => file.changes.length > 0) };
+}
+
+/**
+ * Makes the changes to rename a symbol (see `getRenamePlan()`). Each file is
+ * changed in a single operation, so that it can be undone in one step.
+ *
+ * @param {Object} plan - the changes to make, from `getRenamePlan()`
+ */
+export function applyRenamePlan(plan) {
+  const scene = store.getState().scene;
+
+  plan.files.forEach(({ fileIndex, changes }) => {
+    // Make changes from the end of the document, so that positions of
+    // earlier changes stay valid.
+    const sorted = changes.slice().sort((a, b) => b.from - a.from);
+
+    // Changes to the file in the editor are picked up by the editor's change
+    // handler, which marks the file as dirty and updates the map.
+    if (fileIndex === scene.activeFileIndex) {
+      const doc = editor.getDoc();
+      editor.operation(() => {
+        sorted.forEach((change) => {
+          doc.replaceRange(change.text, doc.posFromIndex(change.from), doc.posFromIndex(change.to));
+        });
+      });
+      return;
+    }
+
+    // Files that have not been in the editor have no document yet
+    const file = scene.files[fileIndex];
+    const doc = file.buffer;
+    if (!doc) {
+      store.dispatch({
+        type: STASH_DOCUMENT,
+        index: fileIndex,
+        contents: applyChangesToText(file.contents, changes),
+      });
+    } else {
+      // Other documents are not attached to an editor, so their changes
+      // cannot be grouped in an operation. Instead, the whole range from the
+      // first change to the last is replaced at once.
+      const start = sorted[sorted.length - 1].from;
+      const from = doc.posFromIndex(start);
+      const to = doc.posFromIndex(sorted[0].to);
+      const text = applyChangesToText(doc.getRange(from, to), sorted.map(change => ({
+        from: change.from - start,
+        to: change.to - start,
+        text: change.text,
+      })));
+      doc.replaceRange(text, from, to);
+
+      store.dispatch({
+        type: STASH_DOCUMENT,
+        index: fileIndex,
+        contents: doc.getValue(),
+        buffer: doc,
+      });
+    }
+
+    store.dispatch({
+      type: MARK_FILE_DIRTY,
+      fileIndex,
+    });
+  });
+
+  debouncedUpdateContent();
+  debouncedUpdateLocalMemory();
+  editor.focus();
+}
+
+/**
+ * Asks for a new name for the style, source, global property or layer at
+ * the cursor, and shows a preview of the changes to rename it.
+ */
+export function renameSymbolAtCursor() {
+  const symbol = getSymbolAtCursor();
+  if (!symbol) return;
+
+  const symbols = getOpenFileSymbols()
+    .reduce((all, file) => all.concat(file.symbols), []);
+  const definition = findSymbolDefinition(symbols, symbol);
+
+  if (!definition) {
+    addError({
+      type: 'warning',
+      line: editor.getDoc().getCursor().line,
+      message: `Could not rename ${describeSymbol(symbol)}: it is not defined in an open file that can be edited.`,
+    });
+    return;
+  }
+
+  store.dispatch({
+    type: SHOW_MODAL,
+    modalType: 'RENAME_SYMBOL',
+    modalProps: {
+      target: {
+        type: definition.type,
+        name: definition.name,
+      },
+    },
+  });
+}
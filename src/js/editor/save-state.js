@@ -0,0 +1,27 @@
+/**
+ * Save state of files in the scene
+ */
+import { noop } from 'lodash';
+
+import { showConfirmDialogModal } from '../modals/ConfirmDialogModal';
+import store from '../store';
+
+/**
+ * Checks whether a particular file in the scene file list needs to be saved
+ * before executing `callback`. The file has the `isClean` property set to
+ * false if it has been edited. Files that have not been marked either way,
+ * like imported files that were opened in a tab and not edited, are
+ * considered clean (see the scene reducer).
+ *
+ * @param {number} index - index of file in store
+ * @param {function} callback - callback function to run if document is clean
+ *          or confirmation is given
+ */
+export function checkSaveStateOfDocumentThen(index, callback = noop) {
+  const file = store.getState().scene.files[index];
+  if (file.isClean !== false) {
+    callback();
+  } else {
+    showConfirmDialogModal('Your scene has not been saved. Continue?', callback);
+  }
+}
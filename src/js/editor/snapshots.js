@@ -0,0 +1,108 @@
+/**
+ * Scene version history
+ *
+ * Takes snapshots of the scene that is open (see `storage/snapshots.js`):
+ * when it is loaded, when it is saved, and every few minutes while it is
+ * being edited. Snapshots can be restored in whole, or file by file.
+ */
+import { getFileContents, setFileContents } from './editor';
+import { saveSnapshot } from '../storage/snapshots';
+
+import store from '../store';
+
+// Time between snapshots taken while the scene is edited, in milliseconds
+const EDIT_SNAPSHOT_INTERVAL = 5 * 60 * 1000;
+
+let lastSnapshotTime = 0;
+
+/**
+ * Takes a snapshot of the scene.
+ *
+ * @public
+ * @param {string} reason - why the snapshot is taken: "load", "save", "edit"
+ *          or "discard" (for unsaved changes that were not recovered)
+ * @param {Array} files - Optional. Files to take a snapshot of, in the
+ *          signature of `scene.files` in the store, if their contents are
+ *          not in the store yet (e.g. while a scene is loaded). By default,
+ *          the files of the scene that is open.
+ * @returns {Promise} - resolved when the snapshot is saved
+ */
+export function takeSnapshot(reason, files) {
+  const state = store.getState();
+
+  // Bail if embedded
+  if (state.app.isEmbedded === true) return Promise.resolve();
+
+  const snapshotFiles = (files || state.scene.files).map((file, index) => ({
+    filename: file.filename || null,
+    contents: (files ? file.contents : getFileContents(index)) || '',
+  }));
+  if (snapshotFiles.length === 0) return Promise.resolve();
+
+  lastSnapshotTime = Date.now();
+
+  return saveSnapshot({
+    timestamp: new Date().toISOString(),
+    reason,
+    name: (files ? null : state.scene.name) || snapshotFiles[0].filename || 'untitled',
+    files: snapshotFiles,
+  })
+  // Snapshots are a convenience. Don't let errors in local memory fall
+  // through and interrupt editing.
+  .catch(() => {});
+}
+
+/**
+ * Takes a snapshot of the scene if it has been edited for a while since the
+ * last snapshot. Call this when the scene is edited.
+ *
+ * @public
+ */
+export function takeSnapshotWhileEditing() {
+  if (Date.now() - lastSnapshotTime >= EDIT_SNAPSHOT_INTERVAL) {
+    takeSnapshot('edit');
+  }
+}
+
+/**
+ * Returns the index of the file in the scene that is open that matches a
+ * file in a snapshot: the file with the same name, or the file in the same
+ * place if the names are unknown.
+ *
+ * @public
+ * @param {Object} snapshot - a snapshot
+ * @param {Number} index - index of the file in the snapshot
+ * @returns {Number} index of the file in `scene.files`, or -1 if there is
+ *          no such file
+ */
+export function getSceneFileIndex(snapshot, index) {
+  const files = store.getState().scene.files;
+  const filename = snapshot.files[index].filename;
+
+  const byName = files.findIndex(file => filename && file.filename === filename);
+  if (byName > -1) return byName;
+
+  return (!filename && files[index] && !files[index].filename) ? index : -1;
+}
+
+/**
+ * Restores the contents of every file in a snapshot that is also a file of
+ * the scene that is open (see `getSceneFileIndex()`).
+ *
+ * @public
+ * @param {Object} snapshot - a snapshot
+ * @returns {Number} the number of files restored
+ */
+export function restoreSnapshot(snapshot) {
+  let restored = 0;
+
+  snapshot.files.forEach((file, index) => {
+    const fileIndex = getSceneFileIndex(snapshot, index);
+    if (fileIndex > -1 && getFileContents(fileIndex) !== file.contents) {
+      setFileContents(fileIndex, file.contents);
+      restored += 1;
+    }
+  });
+
+  return restored;
+}
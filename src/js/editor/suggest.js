@@ -1,12 +1,15 @@
+import { isPlainObject } from 'lodash';
 import CodeMirror from 'codemirror';
 import 'codemirror/addon/hint/show-hint';
 
 import TANGRAM_API from '../tangram-api.json';
+import TANGRAM_DOCS from '../tangram-docs.json';
 import { editor } from './editor';
 import { getIndexAtCursor } from './codemirror/tools';
 import { getNodeLevel, getNodeAtIndex, getKeyAddressForNode, getKeyNameForNode } from './yaml-ast';
 import { getCompiledValueByAddress } from '../editor/codemirror/yaml-tangram';
 import { tangramLayer } from '../map/map';
+import { getSourceLayers } from '../map/tile-features';
 import EventEmitter from '../components/event-emitter';
 
 const keySuggestions = [];
@@ -23,6 +26,101 @@ function regexEscape(text) {
   return text.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, '\\$&');
 }
 
+// Suggestions that are not in the scene itself, by the name given to them
+// with the `list` property in `tangram-api.json`.
+const LISTS = {
+  // Names of layers in the tiles of a layer's data source
+  sourceLayers(scene, node) {
+    const source = getCompiledValueByAddress(scene, node.address.replace(/:layer$/, ':source'));
+    return getSourceLayers(typeof source === 'string' ? source : null);
+  },
+};
+
+/**
+ * Returns references to every global property in a compiled scene, including
+ * nested properties, e.g. `global.sdk`, `global.sdk.language`.
+ *
+ * @param {Tangram.Scene} scene - the scene in the map
+ * @returns {Array} references, in the form `global.name`
+ */
+function getGlobalReferences(scene) {
+  const references = [];
+
+  function collect(obj, path) {
+    Object.keys(obj).forEach((key) => {
+      const reference = `${path}.${key}`;
+      references.push(reference);
+      if (isPlainObject(obj[key])) {
+        collect(obj[key], reference);
+      }
+    });
+  }
+
+  const globals = getCompiledValueByAddress(scene, 'global');
+  if (isPlainObject(globals)) {
+    collect(globals, 'global');
+  }
+
+  return references;
+}
+
+/**
+ * Finds the documentation for an address in `tangram-docs.json`.
+ *
+ * @param {string} address - in the form of 'key1:key2:key3'
+ * @returns {Object|undefined} the documentation, if there is any
+ */
+function getDocumentation(address) {
+  const keys = address.split(':');
+  let tree = TANGRAM_DOCS.keys;
+  let documentation;
+
+  for (let i = 0; i < keys.length; i++) {
+    const partialAddress = keys.slice(0, i + 1).join(':');
+    documentation = (tree || []).find(item => RegExp(item.address).test(partialAddress));
+    if (!documentation) return undefined;
+    tree = documentation.children;
+  }
+
+  return documentation;
+}
+
+/**
+ * Describes a suggestion in the hint dropdown. A reference to a global
+ * property is described by its value. Otherwise, its description comes
+ * from `tangram-docs.json`: keys and values that become keys are described
+ * by their own documentation, and other values by the documentation of the
+ * parameter they are a value of.
+ *
+ * @param {string} address - the address of the node being completed
+ * @param {string} completion - the suggestion
+ * @returns {string} description, or an empty string
+ */
+function describeCompletion(address, completion) {
+  if (completion.indexOf('global.') === 0) {
+    const value = getCompiledValueByAddress(tangramLayer.scene, completion.replace(/\./g, ':'));
+    return (typeof value === 'object') ? JSON.stringify(value) : String(value);
+  }
+
+  const documentation = getDocumentation(`${address}:${completion}`) || getDocumentation(address);
+  return (documentation && documentation.description) || '';
+}
+
+// Renders a suggestion in the hint dropdown, with its description, if any
+function renderCompletion(element, self, data) {
+  const text = document.createElement('span');
+  text.className = 'hint-tangram-text';
+  text.textContent = data.text;
+  element.appendChild(text);
+
+  if (data.description) {
+    const description = document.createElement('div');
+    description.className = 'hint-tangram-description';
+    description.textContent = data.description;
+    element.appendChild(description);
+  }
+}
+
 class Suggestion {
   constructor(datum) {
     if (datum.address) {
@@ -45,6 +143,10 @@ class Suggestion {
       this.source = datum.source;
     }
 
+    if (datum.list) {
+      this.list = LISTS[datum.list];
+    }
+
     if (datum.defaultValue) {
       this.defaultValue = datum.defaultValue;
     }
@@ -85,6 +187,11 @@ class Suggestion {
       Array.prototype.push.apply(list, keyFromSource);
     }
 
+    // Add suggestions from elsewhere
+    if (this.list) {
+      Array.prototype.push.apply(list, this.list(scene, node));
+    }
+
     // Take out present keys
     const obj = getCompiledValueByAddress(scene, node.address);
     presentNodes = obj ? Object.keys(obj) : [];
@@ -207,12 +314,17 @@ export function hint(cm, options) {
     // Things we need to know to match address
     node.address = getKeyAddressForNode(node);
 
-    // use value suggestion
-    for (const datum of valueSuggestions) {
-      // todo: rewrite the check
-      if (datum.check(node)) {
-        list.push(...datum.getList(node));
-        break;
+    if (/^global(\.|$)/.test(node.value)) {
+      // Any value can refer to a global property
+      list.push(...getGlobalReferences(tangramLayer.scene));
+    } else {
+      // use value suggestion
+      for (const datum of valueSuggestions) {
+        // todo: rewrite the check
+        if (datum.check(node)) {
+          list.push(...datum.getList(node));
+          break;
+        }
       }
     }
   } else if (node.kind === 1) {
@@ -252,18 +364,24 @@ export function hint(cm, options) {
     list = matchedList;
   }
 
-  const result = { list, from, to };
   const address = getKeyAddressForNode(node);
+  const completions = list.map(text => ({
+    text,
+    description: describeCompletion(address, text),
+    render: renderCompletion,
+  }));
+
+  const result = { list: completions, from, to };
   CodeMirror.on(result, 'pick', (completion) => {
     // If we are autocompleting a key, also put in the default value
     if (isKey) {
-      const defaultValue = getDefaultValue(address, completion);
+      const defaultValue = getDefaultValue(address, completion.text);
       cm.replaceRange(`: ${defaultValue}`, {
         line: result.to.line,
-        ch: result.to.ch + completion.length,
+        ch: result.to.ch + completion.text.length,
       }, {
         line: result.to.line,
-        ch: result.to.ch + completion.length + 1,
+        ch: result.to.ch + completion.text.length + 1,
       }, 'autocomplete');
     }
   });
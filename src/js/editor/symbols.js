@@ -0,0 +1,317 @@
+/**
+ * Scene symbols
+ *
+ * Styles, data sources and global properties are defined by name in a scene
+ * file, and referred to by name elsewhere in the scene: e.g. a draw group
+ * `draw: { mystyle: ... }` refers to `styles:mystyle`, a layer's
+ * `data: { source: x }` refers to `sources:x`, and a value `global.foo`
+ * refers to `global:foo`. Layers are defined by name too, and may be defined
+ * in more than one file, which are merged. This finds definitions and
+ * references of these symbols in a parsed scene file.
+ */
+import { YAML_SCALAR, YAML_MAP, YAML_SEQUENCE } from './yaml-ast';
+import { LAYER_ADDRESS } from './validation';
+
+const DEFINITION_PATTERNS = {
+  source: /^sources:([^:]+)$/,
+  style: /^styles:([^:]+)$/,
+  global: /^global:(.+)$/,
+};
+
+// Layers and sublayers are named by their key. Sublayers are named like
+// nested global properties, e.g. 'roads.highway' for `layers:roads:highway`.
+const LAYER_PATTERN = new RegExp(`^${LAYER_ADDRESS}$`);
+
+// Key addresses of values that refer to a style or a source by name
+const REFERENCE_PATTERNS = {
+  source: new RegExp(`^${LAYER_ADDRESS}:data:source$`),
+  style: new RegExp(`^(${LAYER_ADDRESS}:draw:[^:]+(:outline)?:style|styles:[^:]+:(base|mix))$`),
+};
+
+// Styles that are built in to Tangram, rather than defined in a scene
+const BUILT_IN_STYLES = ['points', 'lines', 'polygons', 'text', 'raster'];
+
+// The name of a draw group refers to a style, unless it names a style with
+// its `style` parameter.
+const DRAW_GROUP_PATTERN = new RegExp(`^${LAYER_ADDRESS}:draw:[^:]+$`);
+
+// References to global properties can be anywhere in a value, e.g. inside a
+// JavaScript function. Nested properties are referred to with dot notation.
+const GLOBAL_REFERENCE_PATTERN = /(^|[^\w.$])global\.([\w-]+(?:\.[\w-]+)*)/g;
+
+/**
+ * Finds all definitions and references of styles, sources, global
+ * properties and layers in a scene file.
+ *
+ * @param {YAMLNode} ast - the parsed syntax tree of the scene file
+ * @param {string} text - the text content of the scene file
+ * @returns {Array} symbols, in document order, each an object of the signature
+ *          {
+ *            type: // {string} 'style', 'source', 'global' or 'layer'
+ *            name: // {string} e.g. 'mystyle', or 'foo.bar' for `global:foo:bar`
+ *            definition: // {Boolean} whether this defines the symbol
+ *            startPosition: // {Number} start of the name in the document
+ *            endPosition: // {Number} end of the name in the document
+ *          }
+ */
+export function getSceneSymbols(ast, text) {
+  const symbols = [];
+
+  function add(type, name, definition, startPosition, endPosition) {
+    symbols.push({ type, name, definition, startPosition, endPosition });
+  }
+
+  function visitKey(mapping, address) {
+    const key = mapping.key;
+
+    Object.keys(DEFINITION_PATTERNS).forEach((type) => {
+      const match = address.match(DEFINITION_PATTERNS[type]);
+      if (match) {
+        add(type, match[1].replace(/:/g, '.'), true, key.startPosition, key.endPosition);
+      }
+    });
+
+    if (LAYER_PATTERN.test(address)) {
+      const name = address.replace(/^layers:/, '').replace(/:/g, '.');
+      add('layer', name, true, key.startPosition, key.endPosition);
+    }
+
+    if (DRAW_GROUP_PATTERN.test(address)) {
+      const group = mapping.value;
+      const hasStyle = group && group.kind === YAML_MAP &&
+        group.mappings.some(item => item && item.key && item.key.value === 'style');
+      if (!hasStyle) {
+        add('style', key.value, false, key.startPosition, key.endPosition);
+      }
+    }
+  }
+
+  function visitValue(node, address) {
+    if (typeof node.value !== 'string') return;
+
+    // Names can be substituted with a global property, which is found below
+    let isName = !/^global\./.test(node.value);
+
+    // A style based on a built-in style does not refer to another style
+    if (/:base$/.test(address) && BUILT_IN_STYLES.indexOf(node.value) > -1) {
+      isName = false;
+    }
+
+    Object.keys(REFERENCE_PATTERNS).forEach((type) => {
+      if (isName && REFERENCE_PATTERNS[type].test(address)) {
+        add(type, node.value, false, node.startPosition, node.endPosition);
+      }
+    });
+
+    // Search the text of the value as written, since it may be quoted, or a
+    // block of code. Positions of matches are then positions in the document.
+    const raw = text.slice(node.startPosition, node.endPosition);
+    GLOBAL_REFERENCE_PATTERN.lastIndex = 0;
+    let match = GLOBAL_REFERENCE_PATTERN.exec(raw);
+    while (match) {
+      const start = node.startPosition + match.index + match[1].length;
+      add('global', match[2], false, start, start + 'global.'.length + match[2].length);
+      match = GLOBAL_REFERENCE_PATTERN.exec(raw);
+    }
+  }
+
+  function visit(node, address) {
+    if (!node) return;
+
+    if (node.kind === YAML_MAP) {
+      node.mappings.forEach((mapping) => {
+        if (!mapping || !mapping.key) return;
+
+        const childAddress = address ? `${address}:${mapping.key.value}` : mapping.key.value;
+        visitKey(mapping, childAddress);
+        visit(mapping.value, childAddress);
+      });
+    } else if (node.kind === YAML_SEQUENCE) {
+      node.items.forEach(item => visit(item, address));
+    } else if (node.kind === YAML_SCALAR) {
+      visitValue(node, address);
+    }
+  }
+
+  visit(ast, '');
+  return symbols;
+}
+
+/**
+ * Finds the symbol at a position in a scene file.
+ *
+ * @param {Array} symbols - symbols in the scene file, see `getSceneSymbols()`
+ * @param {Number} index - a position index in the document
+ * @returns {Object|undefined} the symbol at the position
+ */
+export function getSymbolAtIndex(symbols, index) {
+  return symbols.find(symbol =>
+    index >= symbol.startPosition && index <= symbol.endPosition);
+}
+
+/**
+ * Whether a symbol refers to (or defines) the same thing as another symbol.
+ * A reference to a nested global property, e.g. `global.foo.bar`, is also a
+ * reference to its parent property, `global.foo`.
+ *
+ * @param {Object} symbol - a symbol, see `getSceneSymbols()`
+ * @param {Object} target - a symbol (or `{ type, name }` object) to compare to
+ * @returns {Boolean}
+ */
+export function isSameSymbol(symbol, target) {
+  if (symbol.type !== target.type) return false;
+  if (symbol.name === target.name) return true;
+  return symbol.type === 'global' && symbol.name.indexOf(`${target.name}.`) === 0;
+}
+
+/**
+ * Finds the definition of a symbol. For nested global properties that are
+ * not defined themselves, e.g. when `global.foo` is a JavaScript object, the
+ * definition of the closest parent property is found.
+ *
+ * @param {Array} symbols - symbols in the scene file, see `getSceneSymbols()`
+ * @param {Object} target - a `{ type, name }` object of the symbol to find
+ * @returns {Object|undefined} the symbol that defines it
+ */
+export function findSymbolDefinition(symbols, target) {
+  const names = target.name.split('.').map((part, index, parts) =>
+    parts.slice(0, index + 1).join('.'));
+
+  // Only global properties can be nested
+  const candidates = (target.type === 'global') ? names.reverse() : [target.name];
+
+  for (let i = 0; i < candidates.length; i++) {
+    const name = candidates[i];
+    const definition = symbols.find(symbol =>
+      symbol.definition && symbol.type === target.type && symbol.name === name);
+    if (definition) return definition;
+  }
+
+  return undefined;
+}
+
+/**
+ * Finds all references to a symbol.
+ *
+ * @param {Array} symbols - symbols in the scene file, see `getSceneSymbols()`
+ * @param {Object} target - a `{ type, name }` object of the symbol to find
+ * @returns {Array} symbols that refer to it
+ */
+export function findSymbolReferences(symbols, target) {
+  return symbols.filter(symbol => !symbol.definition && isSameSymbol(symbol, target));
+}
+
+/**
+ * Describes a symbol in messages, e.g. 'style "dashed"' or '"global.foo"'.
+ *
+ * @param {Object} symbol - a `{ type, name }` object
+ * @returns {string}
+ */
+export function describeSymbol(symbol) {
+  if (symbol.type === 'global') return `"global.${symbol.name}"`;
+  return `${symbol.type} "${symbol.name}"`;
+}
+
+// Only global properties and layers can be nested
+function isNestedType(type) {
+  return type === 'global' || type === 'layer';
+}
+
+/**
+ * Returns the key that defines a symbol. Global properties and layers can be
+ * nested, and only the last part of their name is their key, e.g. the key of
+ * 'foo.bar' for `global:foo:bar` is 'bar'.
+ *
+ * @param {Object} symbol - a `{ type, name }` object
+ * @returns {string}
+ */
+export function getSymbolKey(symbol) {
+  if (!isNestedType(symbol.type)) return symbol.name;
+  return symbol.name.split('.').pop();
+}
+
+/**
+ * Returns the name a symbol would have if its key is renamed, e.g. renaming
+ * `global:foo:bar` to `baz` names it 'foo.baz'.
+ *
+ * @param {Object} target - a `{ type, name }` object of the symbol to rename
+ * @param {string} newKey - the new key of its definition
+ * @returns {string}
+ */
+export function getRenamedSymbolName(target, newKey) {
+  if (!isNestedType(target.type)) return newKey;
+
+  const parts = target.name.split('.');
+  parts[parts.length - 1] = newKey;
+  return parts.join('.');
+}
+
+/**
+ * Checks whether a symbol can be renamed to a new key. Keys are limited to
+ * characters that do not need to be quoted in YAML or in JavaScript, since
+ * global properties can be referred to in JavaScript functions.
+ *
+ * @param {Array} symbols - symbols in all files to rename in
+ * @param {Object} target - a `{ type, name }` object of the symbol to rename
+ * @param {string} newKey - the new key of its definition
+ * @returns {string|undefined} a message explaining why it cannot be renamed
+ */
+export function checkNewSymbolKey(symbols, target, newKey) {
+  if (!/^[\w-]+$/.test(newKey)) {
+    return 'Names can only contain letters, numbers, underscores and dashes.';
+  }
+
+  const newName = getRenamedSymbolName(target, newKey);
+  const exists = symbols.some(symbol =>
+    symbol.definition && symbol.type === target.type && symbol.name === newName);
+  if (newName !== target.name && exists) {
+    return `${describeSymbol({ type: target.type, name: newName })} already exists.`;
+  }
+
+  return undefined;
+}
+
+/**
+ * Finds the changes to make to a scene file to rename a symbol: its
+ * definitions, and every reference to it.
+ *
+ * @param {Array} symbols - symbols in the scene file, see `getSceneSymbols()`
+ * @param {string} text - the text content of the scene file
+ * @param {Object} target - a `{ type, name }` object of the symbol to rename
+ * @param {string} newKey - the new key of its definition
+ * @returns {Array} changes in document order, each an object of the
+ *          signature `{ from, to, text }`, where `from` and `to` are
+ *          position indexes in the document
+ */
+export function getRenameChanges(symbols, text, target, newKey) {
+  const newName = getRenamedSymbolName(target, newKey);
+  const changes = [];
+
+  symbols.forEach((symbol) => {
+    if (symbol.definition) {
+      if (symbol.type !== target.type || symbol.name !== target.name) return;
+    } else if (!isSameSymbol(symbol, target)) {
+      return;
+    }
+
+    // References to global properties are part of a value: only the name
+    // after `global.` is changed, and only as far as the renamed property.
+    if (symbol.type === 'global' && !symbol.definition) {
+      const from = symbol.startPosition + 'global.'.length;
+      changes.push({ from, to: from + target.name.length, text: newName });
+      return;
+    }
+
+    // Keep quotes around keys and values
+    let from = symbol.startPosition;
+    let to = symbol.endPosition;
+    if (/^["']/.test(text.charAt(from)) && text.charAt(to - 1) === text.charAt(from)) {
+      from += 1;
+      to -= 1;
+    }
+
+    changes.push({ from, to, text: (symbol.definition) ? newKey : newName });
+  });
+
+  return changes;
+}
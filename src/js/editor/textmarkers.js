@@ -5,6 +5,7 @@ import ColorMarker from '../components/textmarkers/color/ColorMarker';
 import DropdownMarker from '../components/textmarkers/DropdownMarker';
 // import VectorPicker from '../components/textmarkers/vector/VectorPicker';
 import BooleanMarker from '../components/textmarkers/BooleanMarker';
+import FilterMarker from '../components/textmarkers/filter/FilterMarker';
 import EventEmitter from '../components/event-emitter';
 import { editor } from './editor';
 import { indexesFromLineRange } from './codemirror/tools';
@@ -14,6 +15,7 @@ import {
   getValuesFromSequenceNode,
   getKeyAddressForNode,
 } from './yaml-ast';
+import { getFilterMappingsInRange } from './filters';
 import { applySyntaxHighlighting } from './imports';
 import TANGRAM_API from '../tangram-api.json';
 
@@ -152,10 +154,12 @@ function createTextMarkerRootElement() {
  * @param {CodeMirror} cm - instance of CodeMirror editor
  * @param {YAMLNode} node - YAML abstract syntax tree root node
  * @param {Object} mark - information about the text marker to add
+ * @param {Object} markerPos - Optional. Position { line, ch } of the marker.
+ *          If not provided, the marker is placed at the end of the node.
  */
-function createAndRenderTextMarker(doc, node, mark) {
+function createAndRenderTextMarker(doc, node, mark,
+  markerPos = doc.posFromIndex(node.endPosition)) {
   const markerRootEl = createTextMarkerRootElement();
-  const markerPos = doc.posFromIndex(node.endPosition);
   const marker = doc.setBookmark(markerPos, {
     widget: markerRootEl, // a DOM element inserted at marker position
     insertLeft: true,
@@ -195,6 +199,9 @@ function createAndRenderTextMarker(doc, node, mark) {
     case 'boolean':
       markerEl = <BooleanMarker marker={marker} value={node.value} />;
       break;
+    case 'filter':
+      markerEl = <FilterMarker marker={marker} />;
+      break;
     // Disabling vector for now
     // case 'vector':
     //   markerEl = <VectorPicker marker={marker} />;
@@ -242,6 +249,19 @@ export function insertTextMarkers(cm, ast, fromLine, toLine) {
       }
     }
   }
+
+  // Filters are maps or lists rather than single values, so their markers
+  // are found separately, and go after the `filter` key.
+  if (readOnly) return;
+  for (const { mapping } of getFilterMappingsInRange(ast, range.start, range.end)) {
+    const keyPos = doc.posFromIndex(mapping.key.endPosition);
+    const colon = doc.getLine(keyPos.line).indexOf(':', keyPos.ch);
+    const pos = { line: keyPos.line, ch: colon + 1 };
+    if (mapping.value && colon > -1 &&
+      isTextMarkerAlreadyInDocument(doc, pos) === false && cm.isFolded(pos) !== true) {
+      createAndRenderTextMarker(doc, mapping.value, { type: 'filter' }, pos);
+    }
+  }
 }
 
 /**
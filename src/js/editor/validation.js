@@ -0,0 +1,248 @@
+/**
+ * Scene validation
+ *
+ * Checks a parsed scene file against the schema in `tangram-schema.json`,
+ * without having to load it into Tangram. Blocks in the schema list the
+ * parameters that are allowed (and required) at a key address; values list
+ * the type, valid options, or the kind of definition (e.g. a style or a
+ * data source) that the value at a key address must refer to.
+ */
+import { YAML_SCALAR, YAML_MAP, YAML_SEQUENCE } from './yaml-ast';
+import { LAYER_PARAMETERS } from './outline';
+import { validateFilter } from './filters';
+import { getEditDistance } from '../tools/helpers';
+import TANGRAM_SCHEMA from '../tangram-schema.json';
+
+// Addresses in the schema use `{layer}` for the address of a layer or any of
+// its sublayers, which can be nested to any depth. Names of layer parameters
+// are excluded so that e.g. `layers:roads:draw:lines` is not a sublayer.
+export const LAYER_ADDRESS = `layers(?::(?!(?:${LAYER_PARAMETERS.join('|')})(?::|$))[^:]+)+`;
+
+function compileRules(rules) {
+  return rules.map(rule => ({
+    ...rule,
+    pattern: new RegExp(rule.address.replace('{layer}', LAYER_ADDRESS)),
+  }));
+}
+
+const BLOCK_RULES = compileRules(TANGRAM_SCHEMA.blocks);
+const VALUE_RULES = compileRules(TANGRAM_SCHEMA.values);
+
+// Filters have a syntax of their own (see `filters.js`)
+const FILTER_PATTERN = new RegExp(`^${LAYER_ADDRESS}:filter$`);
+
+// What definitions are called in messages, by the top-level block they are in
+const DEFINITION_NAMES = {
+  styles: 'Style',
+  sources: 'Source',
+};
+
+// Values can be JavaScript functions, or refer to a value in the `global`
+// block. These cannot be checked until the scene is loaded.
+function isDynamicValue(value) {
+  return /^\s*function\s*\(/.test(value) || /^global\./.test(value);
+}
+
+const TYPE_TESTS = {
+  boolean: value => /^(true|false)$/i.test(value),
+  number: value => /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value),
+};
+
+function findRule(rules, address) {
+  return rules.find(rule => rule.pattern.test(address));
+}
+
+// Returns the key-value pairs of a map node. Mappings can be `null`, or
+// without a key, if the document has errors.
+function getMappings(node) {
+  return node.mappings.filter(mapping => mapping && mapping.key);
+}
+
+function getKeyName(address) {
+  return address.split(':').pop();
+}
+
+/**
+ * Finds the valid key that is most likely to be what a misspelled key was
+ * meant to be, if there is one that is close enough.
+ *
+ * @param {string} key - an unknown key
+ * @param {Array} validKeys - keys to choose from
+ * @returns {string|undefined} the closest valid key
+ */
+export function findClosestKey(key, validKeys) {
+  // Allow about one edit for every three characters, e.g. `maxzoom` for
+  // `max_zoom` or `tyep` for `type`, but not `size` for `style`.
+  const maxDistance = Math.ceil(key.length / 3);
+
+  let closest;
+  let closestDistance = maxDistance + 1;
+  validKeys.forEach((validKey) => {
+    const distance = getEditDistance(key.toLowerCase(), validKey);
+    if (distance < closestDistance) {
+      closest = validKey;
+      closestDistance = distance;
+    }
+  });
+
+  return closest;
+}
+
+/**
+ * Records the keys of every block in a scene file by key address, e.g.
+ * `{ sources: ['mapzen'], 'sources:mapzen': ['type', 'url'], ... }`. Scene
+ * files are merged with the files they import, so this can be called on
+ * every file in a scene to collect all of its definitions.
+ *
+ * @param {YAMLNode} ast - the parsed syntax tree of a scene file
+ * @param {Object} definedKeys - defined keys to add to. Optional.
+ * @returns {Object} defined keys, by key address
+ */
+export function collectDefinedKeys(ast, definedKeys = {}) {
+  function collect(node, address) {
+    if (!node || node.kind !== YAML_MAP) return;
+
+    const keys = definedKeys[address] || [];
+    getMappings(node).forEach((mapping) => {
+      const key = mapping.key.value;
+      if (keys.indexOf(key) === -1) keys.push(key);
+      collect(mapping.value, address ? `${address}:${key}` : key);
+    });
+    definedKeys[address] = keys; // eslint-disable-line no-param-reassign
+  }
+
+  collect(ast, '');
+  return definedKeys;
+}
+
+/**
+ * Validates a scene file.
+ *
+ * Missing required parameters, and references to styles or data sources,
+ * can only be checked if every file in the scene is known, since they may
+ * be defined in a file that is imported by (or imports) this one.
+ *
+ * @param {YAMLNode} ast - the parsed syntax tree of the scene file
+ * @param {Object} definedKeys - keys defined in the whole scene, see
+ *          `collectDefinedKeys()`. If this is not provided, problems that
+ *          depend on other files are not reported.
+ * @returns {Array} problems found, each an object of the signature
+ *          {
+ *            type: // {string} 'error' or 'warning'
+ *            message: // {string} description of the problem
+ *            address: // {string} key address of the problem
+ *            startPosition: // {Number} position in the document
+ *            fixes: // {Array} changes that fix the problem, if any. Each
+ *                   // is an object of the signature `{ label, changes }`,
+ *                   // where `changes` is an array of `{ from, to, text }`
+ *                   // replacements, by position in the document.
+ *          }
+ */
+export function validateScene(ast, definedKeys) {
+  const problems = [];
+
+  function report(type, message, address, node, fixes = []) {
+    problems.push({ type, message, address, startPosition: node.startPosition, fixes });
+  }
+
+  // Checks that a value refers to a definition (or built-in option)
+  function checkReference(rule, value, address, node) {
+    if (!definedKeys || isDynamicValue(value)) return;
+
+    const defined = definedKeys[rule.source] || [];
+    const options = rule.options || [];
+    if (defined.indexOf(value) === -1 && options.indexOf(value) === -1) {
+      report('warning', `${DEFINITION_NAMES[rule.source]} "${value}" is not defined.`, address, node);
+    }
+  }
+
+  function checkValue(node, address) {
+    const rule = findRule(VALUE_RULES, address);
+    const value = node.value;
+    if (!rule || typeof value !== 'string' || value === '' || isDynamicValue(value)) return;
+
+    const key = getKeyName(address);
+    if (rule.source) {
+      checkReference(rule, value, address, node);
+    } else if (rule.options && rule.options.indexOf(value) === -1) {
+      report('error', `"${value}" is not a valid value for "${key}". Valid values are: ${rule.options.join(', ')}.`, address, node);
+    } else if (TYPE_TESTS[rule.type] && !TYPE_TESTS[rule.type](value)) {
+      report('warning', `"${value}" is not a valid value for "${key}": expected a ${rule.type}.`, address, node);
+    }
+  }
+
+  function checkBlock(node, address, keyNode) {
+    const rule = findRule(BLOCK_RULES, address);
+    if (!rule) return;
+
+    const mappings = getMappings(node);
+    const keys = mappings.map(mapping => mapping.key.value);
+
+    mappings.forEach((mapping) => {
+      const key = mapping.key;
+      if (rule.keys.indexOf(key.value) > -1) return;
+
+      // Offer to rename a misspelled key, unless the block already has a
+      // key with that name.
+      const fixes = [];
+      const validKeys = rule.keys.filter(validKey => keys.indexOf(validKey) === -1);
+      const closest = findClosestKey(key.value, validKeys);
+      if (closest) {
+        fixes.push({
+          label: `Rename to "${closest}"`,
+          changes: [{ from: key.startPosition, to: key.endPosition, text: closest }],
+        });
+      }
+
+      const where = address ? ` in "${address}"` : '';
+      report('warning', `Unknown parameter "${key.value}"${where}.`, address, key, fixes);
+    });
+
+    if (!definedKeys || !keyNode) return;
+
+    const sceneKeys = definedKeys[address] || keys;
+    (rule.required || []).forEach((key) => {
+      if (sceneKeys.indexOf(key) === -1) {
+        report('error', `"${address}" is missing the required parameter "${key}".`, address, keyNode);
+      }
+    });
+
+    // A block's name can itself refer to a definition, e.g. the name of a
+    // draw group is its style, unless a style is named explicitly.
+    if (rule.name && sceneKeys.indexOf(rule.name.overriddenBy) === -1) {
+      checkReference(rule.name, keyNode.value, address, keyNode);
+    }
+  }
+
+  function validateNode(node, address, keyNode) {
+    if (!node) return;
+
+    if (FILTER_PATTERN.test(address)) {
+      validateFilter(node).forEach((problem) => {
+        report(problem.type, problem.message, address, problem.node);
+      });
+    } else if (node.kind === YAML_MAP) {
+      checkBlock(node, address, keyNode);
+      getMappings(node).forEach((mapping) => {
+        const key = mapping.key.value;
+        validateNode(mapping.value, address ? `${address}:${key}` : key, mapping.key);
+      });
+    } else if (node.kind === YAML_SCALAR) {
+      checkValue(node, address);
+    } else if (node.kind === YAML_SEQUENCE) {
+      // Only lists of references are checked, e.g. `mix: [a, b]`. Other
+      // lists of values are usually zoom stops.
+      const rule = findRule(VALUE_RULES, address);
+      if (rule && rule.source) {
+        node.items.forEach((item) => {
+          if (item && item.kind === YAML_SCALAR && typeof item.value === 'string') {
+            checkReference(rule, item.value, address, item);
+          }
+        });
+      }
+    }
+  }
+
+  validateNode(ast, '', null);
+  return problems;
+}
@@ -0,0 +1,477 @@
+/**
+ * Zipped scene bundles.
+ *
+ * A scene bundle is a .zip file containing a root scene file and any other
+ * resources it refers to: imported scene files, textures, fonts, etc.
+ * Tangram Play unpacks bundles in the browser. Every YAML file in the bundle
+ * is opened as a file in the editor, and all other resources are kept in
+ * memory and served to Tangram from Blob URLs (see `virtual-files.js`).
+ * Scenes can also be packed into bundles, so that multi-file scenes can be
+ * saved as a single file.
+ */
+import JSZip from 'jszip';
+import YAML from 'yaml-ast-parser';
+
+import { YAML_MAP, getScalarNodesInRange } from '../editor/yaml-ast';
+import { isAbsoluteUrl, getBasePathFromUrl, getFilenameFromUrl } from '../tools/helpers';
+import { getReferenceType, resolveUrl, replaceNodeValues } from './references';
+import { suppressCredentials } from '../editor/credentials';
+
+export const YAML_EXTENSION_PATTERN = /\.ya?ml$/i;
+
+// A scene file has at least one of these top-level keys
+const SCENE_FILE_KEYS = ['sources', 'layers', 'import'];
+
+// Content-types for binary resources, by file extension. Blobs created from
+// zip entries do not know their own type, and some resources (e.g. SVG
+// images) will not be interpreted correctly by the browser without one.
+const RESOURCE_CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  svg: 'image/svg+xml',
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  json: 'application/json',
+  geojson: 'application/json',
+  topojson: 'application/json',
+};
+
+// Blob URLs of binary resources in the currently open bundle, keyed by
+// their path inside the bundle.
+let bundleResources = {};
+
+/**
+ * Checks whether a File, Blob, or content-type string looks like a zip file.
+ *
+ * @param {File|Blob|string} file - the file (or its content-type) to check
+ * @returns {Boolean}
+ */
+export function isZipFile(file) {
+  if (typeof file === 'string') {
+    return file.startsWith('application/zip') || file.startsWith('application/x-zip');
+  }
+
+  if (file.type && isZipFile(file.type)) return true;
+
+  // Some operating systems do not report a type for zip files, so fall back
+  // to checking the file extension.
+  return Boolean(file.name && file.name.toLowerCase().endsWith('.zip'));
+}
+
+/**
+ * Resolves a path relative to another file inside a bundle. Bundle paths do
+ * not have a leading slash, e.g. `scene.yaml` or `textures/icons.png`.
+ * Returns `null` if the path cannot be a path inside the bundle, e.g. it is
+ * an absolute URL, or it goes above the root of the bundle.
+ *
+ * @param {string} path - the path to resolve, e.g. `../textures/icons.png`
+ * @param {string} fromPath - path of the file containing the reference,
+ *          e.g. `layers/roads.yaml`
+ * @returns {string|null} resolved path, e.g. `textures/icons.png`
+ */
+export function resolveBundlePath(path, fromPath = '') {
+  if (typeof path !== 'string' || path.length === 0) return null;
+  if (isAbsoluteUrl(path) || path.search(/^(data|blob):/) === 0) return null;
+
+  // Strip query strings and hash fragments
+  const cleanPath = path.split('#')[0].split('?')[0];
+
+  // A leading slash refers to the root of the bundle. Otherwise, start
+  // from the directory of the referring file.
+  const segments = cleanPath.startsWith('/') ? [] : fromPath.split('/').slice(0, -1);
+
+  const parts = cleanPath.split('/');
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    if (part === '..') {
+      if (segments.length === 0) return null;
+      segments.pop();
+    } else if (part !== '.' && part !== '') {
+      segments.push(part);
+    }
+  }
+
+  return segments.join('/') || null;
+}
+
+// Of the paths of possible root scene files, returns the shallowest, in
+// alphabetical order, or only `scene.yaml` if it is one of them
+function getRootSceneCandidates(paths) {
+  if (paths.length === 0) return [];
+
+  const depth = path => path.split('/').length;
+  const minDepth = Math.min(...paths.map(depth));
+  const candidates = paths.filter(path => depth(path) === minDepth).sort();
+
+  const preferred = candidates.find(path => /(^|\/)scene\.ya?ml$/i.test(path));
+  return preferred ? [preferred] : candidates;
+}
+
+/**
+ * Given a list of paths in a bundle, determine which one is the root scene
+ * file. Like Tangram, we expect this to be a YAML file at the top level of
+ * the bundle. Bundles are often made by zipping a whole directory, in which
+ * case everything is inside a single folder, so we look for the shallowest
+ * YAML file instead. If there are several candidates, prefer `scene.yaml`,
+ * otherwise pick the first one in alphabetical order.
+ *
+ * @param {Array} paths - an array of file paths in a bundle
+ * @returns {string|null} path of the root scene file, or `null` if the
+ *          bundle does not contain any YAML files.
+ */
+export function findRootScenePath(paths) {
+  const yamlPaths = paths.filter(path => YAML_EXTENSION_PATTERN.test(path));
+  return getRootSceneCandidates(yamlPaths)[0] || null;
+}
+
+// Whether the text of a YAML file looks like a Tangram scene file
+function isSceneFileContents(contents) {
+  const ast = YAML.safeLoad(contents);
+  if (!ast || ast.kind !== YAML_MAP) return false;
+
+  return ast.mappings.some(mapping => mapping && mapping.key &&
+    SCENE_FILE_KEYS.indexOf(mapping.key.value) > -1);
+}
+
+/**
+ * Finds the scene files in a folder that could be its root scene file.
+ * Unlike bundles, folders often have YAML files that are not scene files,
+ * e.g. settings for other tools, so only YAML files with a top-level key
+ * that scene files have (`sources`, `layers` or `import`) are candidates.
+ * Of those, the shallowest are returned, or only `scene.yaml` if it is one.
+ *
+ * @param {Array} files - YAML files in the folder, each an object of the
+ *          signature `{ path, contents }`
+ * @returns {Array} paths of the candidates, in alphabetical order. If there
+ *          is more than one, the user should choose.
+ */
+export function findSceneFilePaths(files) {
+  const scenePaths = files
+    .filter(file => YAML_EXTENSION_PATTERN.test(file.path) && isSceneFileContents(file.contents))
+    .map(file => file.path);
+
+  return getRootSceneCandidates(scenePaths);
+}
+
+function getContentTypeForPath(path) {
+  const extension = path.split('.').pop().toLowerCase();
+  return RESOURCE_CONTENT_TYPES[extension] || '';
+}
+
+/**
+ * Releases all binary resources of the currently open bundle.
+ */
+export function releaseSceneBundle() {
+  Object.keys(bundleResources).forEach((path) => {
+    URL.revokeObjectURL(bundleResources[path]);
+  });
+  bundleResources = {};
+}
+
+/**
+ * Returns the Blob URL of a binary resource in the currently open bundle.
+ *
+ * @param {string} path - path of the resource inside the bundle
+ * @returns {string|undefined} a Blob URL, if the resource exists
+ */
+export function getBundleResourceUrl(path) {
+  return bundleResources[path];
+}
+
+/**
+ * Unpacks a zipped scene bundle. YAML files are read as text, and turned into
+ * file objects for the `scene.files` array in the Redux store (see the scene
+ * reducer for what these look like). The root scene file is always first.
+ * All other files become Blob URLs that replace the resources of any
+ * previously opened bundle.
+ *
+ * @param {ArrayBuffer|Blob} data - contents of the zip file
+ * @returns {Promise} resolved with an array of file objects
+ */
+export function unpackSceneBundle(data) {
+  return JSZip.loadAsync(data)
+    .catch(() => {
+      throw new Error('Unable to open the scene bundle. It does not appear to be a valid zip file.');
+    })
+    .then((zip) => {
+      const entries = [];
+      zip.forEach((path, entry) => {
+        // Skip directories, and metadata that some operating systems
+        // add to zip files (e.g. `__MACOSX/` or `.DS_Store`)
+        if (entry.dir || /(^|\/)(__MACOSX\/|\.)/.test(path)) return;
+        entries.push(entry);
+      });
+
+      const rootPath = findRootScenePath(entries.map(entry => entry.name));
+      if (!rootPath) {
+        throw new Error('The scene bundle does not contain a scene file.');
+      }
+
+      return Promise.all(entries.map((entry) => {
+        if (YAML_EXTENSION_PATTERN.test(entry.name)) {
+          return entry.async('string').then(contents => ({ path: entry.name, contents }));
+        }
+
+        return entry.async('arraybuffer').then(buffer => ({
+          path: entry.name,
+          blob: new Blob([buffer], { type: getContentTypeForPath(entry.name) }),
+        }));
+      }))
+      .then((unpacked) => {
+        releaseSceneBundle();
+
+        const files = [];
+        unpacked.forEach((item) => {
+          if (item.blob) {
+            bundleResources[item.path] = URL.createObjectURL(item.blob);
+            return;
+          }
+
+          const file = {
+            key: item.path,
+            bundlePath: item.path,
+            filename: item.path.split('/').pop(),
+            contents: item.contents,
+          };
+
+          if (item.path === rootPath) {
+            file.root = true;
+            files.unshift(file);
+          } else {
+            files.push(file);
+          }
+        });
+
+        return files;
+      });
+    });
+}
+
+/**
+ * Returns a path inside a bundle relative to the directory of another file
+ * in the bundle. This is the opposite of `resolveBundlePath()`.
+ *
+ * @param {string} path - the path to make relative, e.g. `textures/icons.png`
+ * @param {string} fromPath - path of the file that will contain the reference,
+ *          e.g. `layers/roads.yaml`
+ * @returns {string} relative path, e.g. `../textures/icons.png`
+ */
+export function getRelativeBundlePath(path, fromPath) {
+  const fromDirectories = fromPath.split('/').slice(0, -1);
+  const parts = path.split('/');
+
+  let common = 0;
+  while (common < fromDirectories.length && common < parts.length - 1 &&
+    fromDirectories[common] === parts[common]) {
+    common += 1;
+  }
+
+  const parents = fromDirectories.slice(common).map(() => '..');
+  return [...parents, ...parts.slice(common)].join('/');
+}
+
+function fetchFile(url, type) {
+  return window.fetch(url)
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`HTTP error code ${response.status}: Could not fetch ${url}`);
+      }
+      return (type === 'text') ? response.text() : response.blob();
+    });
+}
+
+/**
+ * Packs scene files into a zipped scene bundle that can be opened again with
+ * `unpackSceneBundle()`.
+ *
+ * Files that were loaded from URLs are placed in the bundle relative to the
+ * root scene file, if they were located below it, or in an `imports/`
+ * directory if they were not. References between files in the bundle are
+ * rewritten as relative paths. Imported scene files that are not opened in
+ * the editor are fetched and added as well. Any other relative references
+ * are made absolute, so that the bundle still works when it is opened
+ * somewhere else.
+ *
+ * @param {Array} files - an array of objects describing each scene file, with
+ *          the properties `contents`, `filename`, `root` and, if present,
+ *          `bundlePath` (for files from a bundle) or `url` (for files that
+ *          were loaded from a URL)
+ * @param {Object} options
+ * @param {Boolean} options.includeResources - if true, textures and fonts
+ *          referred to by URL are fetched and added to the bundle as well.
+ * @param {Array} options.credentials - registered credentials (see
+ *          `credentials.js`), whose values are left out of every scene file
+ *          in the bundle, including fetched ones.
+ * @returns {Promise} resolved with a Blob of the zip file
+ */
+export function packSceneBundle(files, { includeResources = false, credentials = [] } = {}) {
+  const root = files.find(file => file.root) || files[0];
+  const rootBaseUrl = (!root.bundlePath && root.url) ? getBasePathFromUrl(root.url) : null;
+  const rootPath = root.bundlePath || root.filename || 'scene.yaml';
+  const rootDirectory = rootPath.split('/').slice(0, -1).map(part => `${part}/`).join('');
+
+  const entries = [];
+  const entriesByPath = {};
+  const pathsByUrl = {};
+  const resources = {};
+  const outputs = {};
+
+  // Promises resolved with the path in the bundle of the file at a URL once
+  // it has been added, or with null if it could not be. Every reference to
+  // a URL waits for the same promise, so that a file is only fetched once.
+  const addedByUrl = {};
+
+  // Assigns a unique path in the bundle to a file loaded from a URL.
+  function assignPath(url, directory) {
+    if (pathsByUrl[url]) return pathsByUrl[url];
+
+    let path;
+    if (rootBaseUrl && url.startsWith(rootBaseUrl)) {
+      path = resolveBundlePath(url.slice(rootBaseUrl.length), rootPath);
+    }
+    if (!path || entriesByPath[path] || resources[path]) {
+      const filename = getFilenameFromUrl(url) || 'file';
+      const extensionIndex = filename.lastIndexOf('.');
+      const name = (extensionIndex > 0) ? filename.slice(0, extensionIndex) : filename;
+      const extension = (extensionIndex > 0) ? filename.slice(extensionIndex) : '';
+
+      path = `${rootDirectory}${directory}/${filename}`;
+      for (let i = 2; entriesByPath[path] || resources[path]; i++) {
+        path = `${rootDirectory}${directory}/${name}-${i}${extension}`;
+      }
+    }
+
+    pathsByUrl[url] = path;
+    return path;
+  }
+
+  function addEntry(entry) {
+    entries.push(entry);
+    entriesByPath[entry.path] = entry;
+    if (entry.url) {
+      pathsByUrl[entry.url] = entry.path;
+      addedByUrl[entry.url] = Promise.resolve(entry.path);
+    }
+  }
+
+  // Gives up the path of a file that could not be fetched
+  function forgetUrl(url, path) {
+    delete pathsByUrl[url];
+    delete resources[path];
+    return null;
+  }
+
+  // Finds (or fetches) the file that a scalar node refers to, and resolves
+  // with the value it should be replaced with, if any.
+  function resolveReference(entry, node, type) {
+    const value = node.value;
+
+    if (entry.bundlePath && !isAbsoluteUrl(value)) {
+      const path = resolveBundlePath(value, entry.bundlePath);
+      if (path && (entriesByPath[path] || resources[path])) {
+        return Promise.resolve(getRelativeBundlePath(path, entry.path));
+      }
+    }
+
+    let url = null;
+    if (entry.url) {
+      url = resolveUrl(value, entry.url);
+    } else if (isAbsoluteUrl(value)) {
+      url = value;
+    }
+    if (!url) return Promise.resolve(null);
+
+    // References that cannot be added to the bundle are left as absolute URLs
+    const absolute = (url !== value) ? url : null;
+    const getValue = path => (path ? getRelativeBundlePath(path, entry.path) : absolute);
+
+    if (addedByUrl[url]) {
+      return addedByUrl[url].then(getValue);
+    }
+
+    if (type === 'import') {
+      const path = assignPath(url, 'imports');
+      const fetched = fetchFile(url, 'text')
+        .then((contents) => {
+          const imported = { path, url, contents };
+          addEntry(imported);
+          return imported;
+        });
+      addedByUrl[url] = fetched.then(() => path, () => forgetUrl(url, path));
+
+      // The first reference to an import also waits for the references in
+      // it to be rewritten. Others only wait for it to be added, so that
+      // files which import each other do not wait for each other forever.
+      return fetched
+        // eslint-disable-next-line no-use-before-define
+        .then(processEntry)
+        .then(() => getValue(path), () => absolute);
+    }
+
+    if (type === 'resource' && includeResources) {
+      const path = assignPath(url, 'resources');
+      resources[path] = fetchFile(url, 'blob');
+      addedByUrl[url] = resources[path].then(() => path, () => forgetUrl(url, path));
+      return addedByUrl[url].then(getValue);
+    }
+
+    return Promise.resolve(absolute);
+  }
+
+  // Rewrites all references in a scene file.
+  function processEntry(entry) {
+    const ast = YAML.safeLoad(entry.contents);
+    const nodes = getScalarNodesInRange(ast, 0, entry.contents.length);
+
+    return Promise.all(nodes.map((node) => {
+      const type = getReferenceType(node);
+      if (!type) return null;
+      return resolveReference(entry, node, type).then(value => value && { node, value });
+    }))
+    .then((replacements) => {
+      outputs[entry.path] = replaceNodeValues(entry.contents, replacements.filter(Boolean));
+    });
+  }
+
+  // Files in the scene itself come first, so that imports that are already
+  // open in the editor are not fetched again.
+  files.forEach((file) => {
+    let path = file.bundlePath;
+    if (!path) {
+      path = (file === root) ? rootPath : assignPath(file.url || file.filename, 'imports');
+    }
+    addEntry({
+      path,
+      url: file.bundlePath ? null : file.url,
+      bundlePath: file.bundlePath,
+      contents: file.contents || '',
+    });
+  });
+
+  // Resources of the open bundle are always included
+  if (root.bundlePath) {
+    Object.keys(bundleResources).forEach((path) => {
+      resources[path] = fetchFile(bundleResources[path], 'blob');
+    });
+  }
+
+  return Promise.all(entries.slice().map(processEntry))
+    .then(() => {
+      const paths = Object.keys(resources);
+      return Promise.all(paths.map(path => resources[path]))
+        .then((blobs) => {
+          const zip = new JSZip();
+          entries.forEach((entry) => {
+            zip.file(entry.path, suppressCredentials(outputs[entry.path], credentials));
+          });
+          paths.forEach((path, index) => {
+            zip.file(path, blobs[index]);
+          });
+          return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+        });
+    });
+}
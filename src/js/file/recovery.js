@@ -0,0 +1,55 @@
+/**
+ * Recovering unsaved changes
+ *
+ * The scene that was open when Tangram Play was last closed is kept in local
+ * memory. If it had unsaved changes, the user is asked whether to restore
+ * them or to discard them (see `RecoverSceneModal`).
+ */
+import { showRecoverSceneModal } from '../modals/RecoverSceneModal';
+import store from '../store';
+
+/**
+ * Opens the scene that was kept in local memory, after asking the user
+ * whether to restore its unsaved changes, if it has any. Discarded changes
+ * are kept in the history of the scene, and the scene is opened again from
+ * where it came from. If it can't be, the default scene is opened instead.
+ *
+ * @public
+ * @param {Object} sceneState - the scene state object that was kept
+ * @param {Object} options - how to open scenes:
+ *          `loadScene(sceneState)` opens a scene state object,
+ *          `loadSceneFromUrl(url)` opens a scene from a URL, and
+ *          `defaultSceneUrl` is the URL of the default scene. Both functions
+ *          return Promises. `keepDiscardedChanges(files)` is called with the
+ *          files of the scene when its changes are discarded.
+ * @returns {Promise} - resolved when the scene is opened
+ */
+export function recoverScene(sceneState, options) {
+  const { loadScene, loadSceneFromUrl, defaultSceneUrl, keepDiscardedChanges } = options;
+  const unsavedFiles = sceneState.files.filter(file => file.isClean === false);
+  if (unsavedFiles.length === 0 || store.getState().app.isEmbedded === true) {
+    return loadScene(sceneState);
+  }
+
+  return new Promise((resolve) => {
+    showRecoverSceneModal(sceneState, unsavedFiles,
+      () => {
+        resolve(Promise.resolve(sceneState).then(loadScene));
+      },
+      () => {
+        keepDiscardedChanges(sceneState.files);
+
+        // Open the scene from where it came from, if it can be, otherwise
+        // the default scene
+        const url = (sceneState.originalUrl && !sceneState.originalUrl.startsWith('blob:'))
+          ? sceneState.originalUrl
+          : defaultSceneUrl;
+
+        resolve(Promise.resolve(url).then(loadSceneFromUrl)
+          .catch((error) => {
+            if (url === defaultSceneUrl) throw error;
+            return loadSceneFromUrl(defaultSceneUrl);
+          }));
+      });
+  });
+}
@@ -0,0 +1,100 @@
+/**
+ * References between scene files.
+ *
+ * Scene files refer to other files by URL or path: imported scene files,
+ * data sources, textures and fonts. These helpers find those references in
+ * a parsed scene file, and rewrite them.
+ */
+import {
+  getKeyAddressForNode,
+  getNodeAtKeyAddress,
+  getValuesFromSequenceNode,
+  YAML_SCALAR,
+} from '../editor/yaml-ast';
+
+// Key addresses of values that refer to other files. Imports and data source
+// URLs always do; other values only do if they look like a texture or font
+// file, since e.g. `styles:*:texture` can also be the name of a texture.
+const IMPORT_ADDRESS = 'import';
+const SOURCE_URL_ADDRESS_PATTERN = /^sources:[^:]+:url$/;
+const RESOURCE_ADDRESS_PATTERN = /^(textures:[^:]+:url|fonts:.+:url|styles:.+:(texture|uniforms:.+))$/;
+const RESOURCE_EXTENSION_PATTERN = /\.(png|jpe?g|gif|svg|ttf|otf|woff2?)$/i;
+
+/**
+ * Determines what kind of file a scalar node in a scene file refers to.
+ *
+ * @param {YAMLNode} node - a scalar value node
+ * @returns {string|null} `import`, `source`, `resource`, or `null` if the
+ *          value does not refer to a file.
+ */
+export function getReferenceType(node) {
+  if (typeof node.value !== 'string' || node.value.length === 0) return null;
+
+  const address = getKeyAddressForNode(node);
+  if (address === IMPORT_ADDRESS) return 'import';
+  if (SOURCE_URL_ADDRESS_PATTERN.test(address)) return 'source';
+  if (RESOURCE_ADDRESS_PATTERN.test(address) &&
+    RESOURCE_EXTENSION_PATTERN.test(node.value.split('#')[0].split('?')[0])) {
+    return 'resource';
+  }
+
+  return null;
+}
+
+/**
+ * Resolves a relative URL against the URL (or base path) of the file that
+ * refers to it. Curly braces appear in tile URL templates, e.g.
+ * `{z}/{x}/{y}.mvt`, and are not percent-encoded.
+ *
+ * @param {string} url - a relative or absolute URL
+ * @param {string} baseUrl - URL or base path to resolve from
+ * @returns {string} an absolute URL
+ */
+export function resolveUrl(url, baseUrl) {
+  return new window.URL(url, baseUrl).href.replace(/%7B/gi, '{').replace(/%7D/gi, '}');
+}
+
+// Formats a value to replace a scalar node with, keeping the node's original
+// quotes. Other values are quoted if they cannot be plain scalars, e.g. URL
+// templates like `{z}/{x}/{y}.mvt` inside a flow mapping.
+function formatScalarValue(value, node, contents) {
+  const quote = contents.charAt(node.startPosition);
+  if (quote === '"' || quote === '\'') return `${quote}${value}${quote}`;
+  if (/[{}[\],]|: | #/.test(value)) return `"${value}"`;
+  return value;
+}
+
+/**
+ * Replaces the values of scalar nodes in the text of a scene file.
+ *
+ * @param {string} contents - text content of the scene file
+ * @param {Array} replacements - an array of `{ node, value }` objects, where
+ *          `node` is a scalar node parsed from `contents`.
+ * @returns {string} the new text content
+ */
+export function replaceNodeValues(contents, replacements) {
+  // Replace from the end of the document, so that earlier positions stay valid.
+  const sorted = replacements.slice().sort((a, b) => b.node.startPosition - a.node.startPosition);
+
+  let replaced = contents;
+  sorted.forEach(({ node, value }) => {
+    const formatted = formatScalarValue(value, node, replaced);
+    replaced = replaced.slice(0, node.startPosition) + formatted +
+      replaced.slice(node.endPosition);
+  });
+
+  return replaced;
+}
+
+/**
+ * Returns the paths or URLs of the files that a scene file imports.
+ *
+ * @param {YAMLNode} ast - the parsed syntax tree of the scene file
+ * @returns {Array} imported paths or URLs, as written in the file
+ */
+export function getImportValues(ast) {
+  const mapping = getNodeAtKeyAddress(ast, IMPORT_ADDRESS);
+  if (!mapping || !mapping.value) return [];
+  if (mapping.value.kind === YAML_SCALAR) return [mapping.value.value];
+  return getValuesFromSequenceNode(mapping.value);
+}
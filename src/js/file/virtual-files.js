@@ -0,0 +1,203 @@
+/**
+ * Virtual file system for scenes loaded into Tangram.
+ *
+ * Tangram loads a scene from a URL, and fetches imported scene files and
+ * other resources by URL by itself. But the files open in Tangram Play may
+ * only exist in memory (e.g. files from a scene bundle), or have edits in
+ * editor tabs that have not been saved anywhere. So that the map reflects
+ * what is in the editor, every open file is mapped to a Blob URL of its
+ * current contents, and references between files are rewritten to point at
+ * those Blob URLs instead.
+ */
+import YAML from 'yaml-ast-parser';
+
+import { getScalarNodesInRange } from '../editor/yaml-ast';
+import { isAbsoluteUrl } from '../tools/helpers';
+import { resolveBundlePath, getBundleResourceUrl } from './bundle';
+import { getWorkspaceFile, getWorkspaceResourceUrl } from './workspace-files';
+import { getReferenceType, resolveUrl, replaceNodeValues } from './references';
+import store from '../store';
+
+// Blob URLs created for each version of the scene, oldest first. Tangram
+// may still be loading files from a version when the next one is created,
+// so they are only released once a newer version has loaded.
+let virtualFileUrls = [];
+
+function createVirtualFileUrl(contents) {
+  const url = URL.createObjectURL(new Blob([contents]));
+  virtualFileUrls[virtualFileUrls.length - 1].push(url);
+  return url;
+}
+
+function revokeUrls(urls) {
+  urls.forEach((url) => {
+    URL.revokeObjectURL(url);
+  });
+}
+
+/**
+ * Releases the Blob URLs created for versions of the scene before the
+ * latest. Call this when a scene has loaded, so they are no longer needed.
+ */
+export function releasePreviousVirtualFiles() {
+  virtualFileUrls.slice(0, -1).forEach(revokeUrls);
+  virtualFileUrls = virtualFileUrls.slice(-1);
+}
+
+/**
+ * Releases all Blob URLs created for the scene.
+ */
+export function releaseVirtualFiles() {
+  virtualFileUrls.forEach(revokeUrls);
+  virtualFileUrls = [];
+}
+
+// Returns the current text content of a file object from `scene.files`.
+// If the file has been stashed, its editor buffer may have newer content.
+function getStoredContents(file) {
+  return file.buffer ? file.buffer.getValue() : file.contents;
+}
+
+/**
+ * Returns the base path that relative references in a file are resolved
+ * from. This is the same as when following a link to an import in the
+ * editor (see `openLink()` in `imports.js`): files opened from a URL have
+ * their own base path, otherwise it is the base path of the scene.
+ *
+ * @param {Object} file - a file object from `scene.files`
+ * @param {Object} scene - the scene state from the store
+ * @returns {string|null} base path
+ */
+export function getFileBasePath(file, scene) {
+  const basePath = file.basePath || scene.originalBasePath;
+  return (basePath && isAbsoluteUrl(basePath)) ? basePath : null;
+}
+
+// Open files are found by their path in a bundle, or by their URL.
+function findOpenFile(scene, key) {
+  return scene.files.find(item =>
+    item.bundlePath === key || (!item.bundlePath && item.key === key));
+}
+
+// Files in a bundle or workspace are found whether they are open or not.
+// Files in a workspace do not have to be open to be imported.
+function findBundleFile(scene, bundlePath) {
+  return findOpenFile(scene, bundlePath) || getWorkspaceFile(bundlePath);
+}
+
+// Resources in a bundle or workspace, e.g. textures, are loaded from URLs
+// made for them when they were opened.
+function getResourceUrl(bundlePath) {
+  return getBundleResourceUrl(bundlePath) || getWorkspaceResourceUrl(bundlePath);
+}
+
+/**
+ * Finds the open file that an `import` value in a scene file refers to, or
+ * the file in the open workspace (see `workspace.js`).
+ *
+ * @param {Object} file - the file object from `scene.files` with the import
+ * @param {string} value - the imported path or URL
+ * @param {Object} scene - the scene state from the store
+ * @returns {Object|undefined} the imported file object, or `undefined` if it
+ *          is not open
+ */
+export function findImportedFile(file, value, scene) {
+  if (file.bundlePath) {
+    const bundlePath = resolveBundlePath(value, file.bundlePath);
+    return bundlePath ? findBundleFile(scene, bundlePath) : undefined;
+  }
+
+  const basePath = getFileBasePath(file, scene);
+  if (isAbsoluteUrl(value)) return findOpenFile(scene, value);
+  if (basePath) return findOpenFile(scene, resolveUrl(value, basePath));
+  return undefined;
+}
+
+/**
+ * Rewrites the references in a scene file to other open files, recursively.
+ *
+ * @param {Object} file - a file object from `scene.files`
+ * @param {Object} context - `{ scene, getContents }`, where `getContents`
+ *          returns the current text content of a file object
+ * @param {Array} visited - files already being processed, to prevent
+ *          circular imports from recursing forever
+ * @returns {string} the text content to load into Tangram
+ */
+function resolveFile(file, context, visited) {
+  const { scene, getContents } = context;
+  // Files in a workspace that are not open have their contents with them
+  const contents = (scene.files.indexOf(file) > -1) ? getContents(file) : file.contents;
+  const basePath = getFileBasePath(file, scene);
+  const ast = YAML.safeLoad(contents);
+  const nodes = getScalarNodesInRange(ast, 0, contents.length);
+  const replacements = [];
+
+  nodes.forEach((node) => {
+    // Only values that refer to other files, not e.g. labels that happen to
+    // be the same as a path
+    const type = getReferenceType(node);
+    if (!type) return;
+
+    let value;
+
+    // Files in a bundle refer to each other by relative paths, which
+    // Tangram cannot resolve from a Blob URL.
+    const bundlePath = file.bundlePath && resolveBundlePath(node.value, file.bundlePath);
+    const bundleFile = (type === 'import') && bundlePath && findBundleFile(scene, bundlePath);
+
+    if (bundleFile && !visited.some(item => item.bundlePath === bundlePath)) {
+      value = createVirtualFileUrl(resolveFile(bundleFile, context, [...visited, file]));
+    } else if (bundlePath && getResourceUrl(bundlePath)) {
+      value = getResourceUrl(bundlePath);
+    } else if (!bundlePath) {
+      let url = null;
+      if (isAbsoluteUrl(node.value)) {
+        url = node.value;
+      } else if (basePath) {
+        url = resolveUrl(node.value, basePath);
+      }
+      if (!url) return;
+
+      const importedFile = (type === 'import') && findOpenFile(scene, url);
+      if (importedFile && visited.indexOf(importedFile) === -1) {
+        value = createVirtualFileUrl(resolveFile(importedFile, context, [...visited, file]));
+      } else if (file !== scene.files[scene.rootFileIndex] && url !== node.value) {
+        // Imported files are loaded from a Blob URL, so other relative
+        // references in them must be absolute. (The root scene file is
+        // loaded with its original base path.)
+        value = url;
+      }
+    }
+
+    if (value) {
+      replacements.push({ node, value });
+    }
+  });
+
+  return replaceNodeValues(contents, replacements);
+}
+
+/**
+ * Creates a Blob URL for the root scene file that Tangram can load. Every
+ * open file that the scene imports is replaced with a Blob URL of its current
+ * contents, as are any resources in a scene bundle. Files and resources in a
+ * workspace are found in the folder. Blob URLs created for the previous
+ * version of the scene are kept until this one has loaded (see
+ * `releasePreviousVirtualFiles()`).
+ *
+ * @param {Function} getContents - returns the current text content of a file
+ *          object from `scene.files`. By default, this is the file's stashed
+ *          editor buffer, if it has one, or its `contents`. The editor
+ *          provides its own, since the active file's buffer is in the editor.
+ * @returns {string|null} a Blob URL, or `null` if no scene is open
+ */
+export function createSceneBlobUrl(getContents = getStoredContents) {
+  const scene = store.getState().scene;
+  const rootFile = scene.files[scene.rootFileIndex];
+  if (!rootFile) return null;
+
+  virtualFileUrls.push([]);
+
+  const contents = resolveFile(rootFile, { scene, getContents }, []);
+  return createVirtualFileUrl(contents);
+}
@@ -0,0 +1,88 @@
+/**
+ * Files of the open workspace.
+ *
+ * The text content of the scene files in the open workspace (see
+ * `workspace.js`), and URLs of its other files, by their path in the folder.
+ * They are kept here, apart from opening and saving workspaces, so that
+ * loading a scene into Tangram (see `virtual-files.js`) can find them.
+ */
+
+// Text content of the scene files in the workspace, as of when they were
+// read or saved, by path
+let workspaceTexts = {};
+
+// URLs of all other files in the workspace, by path
+let workspaceResourceUrls = {};
+
+/**
+ * Forgets the files of the workspace, and releases their URLs.
+ */
+export function clearWorkspaceFiles() {
+  Object.keys(workspaceResourceUrls).forEach((path) => {
+    if (workspaceResourceUrls[path].startsWith('blob:')) {
+      URL.revokeObjectURL(workspaceResourceUrls[path]);
+    }
+  });
+
+  workspaceTexts = {};
+  workspaceResourceUrls = {};
+}
+
+/**
+ * Replaces the files of the workspace.
+ *
+ * @param {Array} files - each an object of the signature `{ path, contents }`
+ *          for scene files, or `{ path, url }` for other files
+ */
+export function setWorkspaceFiles(files) {
+  clearWorkspaceFiles();
+
+  files.forEach((item) => {
+    if (typeof item.contents === 'string') {
+      workspaceTexts[item.path] = item.contents;
+    } else {
+      workspaceResourceUrls[item.path] = item.url;
+    }
+  });
+}
+
+/**
+ * Updates the text content of a scene file in the workspace, e.g. after it
+ * is saved.
+ *
+ * @param {string} path - path of the file in the workspace
+ * @param {string} contents - its text content
+ */
+export function setWorkspaceText(path, contents) {
+  workspaceTexts[path] = contents;
+}
+
+/**
+ * Returns a file object for the `scene.files` array in the Redux store (see
+ * the scene reducer) for a scene file in the open workspace, with its
+ * contents as it was read or last saved.
+ *
+ * @param {string} path - path of the file in the workspace
+ * @returns {Object|undefined} a file object, if the scene file exists
+ */
+export function getWorkspaceFile(path) {
+  if (typeof workspaceTexts[path] !== 'string') return undefined;
+
+  return {
+    key: path,
+    bundlePath: path,
+    filename: path.split('/').pop(),
+    contents: workspaceTexts[path],
+  };
+}
+
+/**
+ * Returns a URL that Tangram can load a file in the open workspace from,
+ * e.g. a texture or a font.
+ *
+ * @param {string} path - path of the file in the workspace
+ * @returns {string|undefined} a URL, if the file exists
+ */
+export function getWorkspaceResourceUrl(path) {
+  return workspaceResourceUrls[path];
+}
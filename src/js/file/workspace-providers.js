@@ -0,0 +1,307 @@
+/**
+ * Workspace providers
+ *
+ * A workspace is a folder on the user's computer, e.g. a git checkout of a
+ * scene (see `workspace.js`). How its files are read and written depends on
+ * where Tangram Play runs, so each way is a provider, an object of the
+ * signature:
+ *
+ *    {
+ *      name,      // String - name of the folder
+ *      writable,  // Boolean - whether files can be saved back to the folder
+ *      listFiles, // Function - returns a Promise resolved with the paths of
+ *                 // all files in the folder, e.g. `layers/roads.yaml`
+ *      readText,  // Function(path) - returns a Promise resolved with the
+ *                 // text content of a file
+ *      getResourceUrl, // Function(path) - returns a Promise resolved with a
+ *                 // URL that Tangram can load a file from
+ *      writeText, // Function(path, contents) - returns a Promise resolved
+ *                 // when a file is saved. Only if `writable`.
+ *      repository, // Object - Optional. `{ url, branch }` of the git
+ *                 // repository that the folder is a clone of, if it was
+ *                 // cloned in the browser (see `storage/git.js`).
+ *    }
+ *
+ * Paths do not have a leading slash, like paths in scene bundles.
+ */
+
+// Folders that are not part of a scene, and could be very large
+const IGNORED_NAMES = ['node_modules'];
+
+/**
+ * Whether a file or folder is left out of a workspace: hidden files and
+ * folders (e.g. `.git`), and folders that are not part of a scene.
+ *
+ * @param {string} path - a path in the workspace
+ * @returns {Boolean}
+ */
+export function isIgnoredPath(path) {
+  return path.split('/').some(name => name.startsWith('.') || IGNORED_NAMES.indexOf(name) > -1);
+}
+
+/**
+ * Arranges the paths of files in a workspace as a tree of folders and files.
+ * Folders are listed before files, and each in alphabetical order.
+ *
+ * @param {Array} paths - paths of files in the workspace
+ * @returns {Array} items of the signature `{ name, path, children }`, where
+ *          `children` is an array of items for folders, and `null` for files
+ */
+export function getFileTree(paths) {
+  const root = { children: [] };
+
+  paths.forEach((path) => {
+    let parent = root;
+    path.split('/').forEach((name, index, names) => {
+      const isFile = (index === names.length - 1);
+      let item = parent.children.find(child => child.name === name && !child.children === isFile);
+      if (!item) {
+        item = {
+          name,
+          path: names.slice(0, index + 1).join('/'),
+          children: isFile ? null : [],
+        };
+        parent.children.push(item);
+      }
+      parent = item;
+    });
+  });
+
+  function sort(items) {
+    items.sort((a, b) => {
+      if (Boolean(a.children) !== Boolean(b.children)) return a.children ? -1 : 1;
+      return a.name.localeCompare(b.name);
+    });
+    items.forEach((item) => {
+      if (item.children) sort(item.children);
+    });
+    return items;
+  }
+
+  return sort(root.children);
+}
+
+/**
+ * Creates a provider for a folder opened with the File System Access API.
+ *
+ * @param {FileSystemDirectoryHandle} directory - the folder
+ * @returns {Object} a provider
+ */
+export function createFileSystemAccessProvider(directory) {
+  // File handles, by path, found when the folder is listed
+  const handles = {};
+
+  function listDirectory(handle, prefix) {
+    const iterator = handle.values();
+
+    const next = () => iterator.next().then(({ done, value }) => {
+      if (done) return undefined;
+
+      const path = `${prefix}${value.name}`;
+      if (isIgnoredPath(path)) return next();
+
+      if (value.kind === 'directory') {
+        return listDirectory(value, `${path}/`).then(next);
+      }
+
+      handles[path] = value;
+      return next();
+    });
+
+    return next();
+  }
+
+  function getFile(path) {
+    if (!handles[path]) {
+      return Promise.reject(new Error(`${path} is not in the folder.`));
+    }
+    return handles[path].getFile();
+  }
+
+  return {
+    name: directory.name,
+    writable: true,
+    listFiles() {
+      return listDirectory(directory, '').then(() => Object.keys(handles));
+    },
+    readText(path) {
+      return getFile(path).then(file => file.text());
+    },
+    getResourceUrl(path) {
+      // Files are Blobs, which are only read when they are loaded
+      return getFile(path).then(file => URL.createObjectURL(file));
+    },
+    writeText(path, contents) {
+      if (!handles[path]) {
+        return Promise.reject(new Error(`${path} is not in the folder.`));
+      }
+      return handles[path].createWritable()
+        .then(writable => writable.write(contents).then(() => writable.close()));
+    },
+  };
+}
+
+// Requests to `electron-preload.js` that have not been answered yet, by id
+const localFolderRequests = {};
+let lastLocalFolderRequest = 0;
+
+function onLocalFolderResponse(event) {
+  const response = event.data;
+  if (event.source !== window || !response || response.localFolders !== 'response') return;
+
+  const request = localFolderRequests[response.id];
+  if (!request) return;
+
+  delete localFolderRequests[response.id];
+  if (response.error) {
+    request.reject(new Error(response.error));
+  } else {
+    request.resolve(response.result);
+  }
+}
+
+/**
+ * Calls a function that `electron-preload.js` provides to open local
+ * folders, when Tangram Play runs in Electron. The app does not have access
+ * to Node, and the preload script runs in a context of its own, so they talk
+ * by posting messages to the window.
+ *
+ * @param {string} method - name of the function, e.g. "readText"
+ * @param {...*} args - its arguments
+ * @returns {Promise} resolved with its result
+ */
+function callLocalFolders(method, ...args) {
+  if (lastLocalFolderRequest === 0) {
+    window.addEventListener('message', onLocalFolderResponse);
+  }
+
+  lastLocalFolderRequest += 1;
+  const id = lastLocalFolderRequest;
+
+  return new Promise((resolve, reject) => {
+    localFolderRequests[id] = { resolve, reject };
+    window.postMessage({ localFolders: 'request', id, method, args }, '*');
+  });
+}
+
+/**
+ * Creates a provider for a local folder, when Tangram Play runs in Electron.
+ * Files are read and written by `electron-preload.js` (see
+ * `callLocalFolders()`).
+ *
+ * @param {Object} folder - `{ path, name }` of a folder that the user has
+ *          chosen, from the preload script's `chooseFolder()`
+ * @returns {Object} a provider
+ */
+export function createNodeFileSystemProvider(folder) {
+  function listDirectory(prefix) {
+    return callLocalFolders('listDirectory', folder.path, prefix)
+      .then(entries => Promise.all(entries.map((entry) => {
+        const path = `${prefix}${entry.name}`;
+        if (isIgnoredPath(path)) return [];
+
+        return entry.isDirectory ? listDirectory(`${path}/`) : [path];
+      })))
+      .then(lists => [].concat(...lists));
+  }
+
+  return {
+    name: folder.name,
+    writable: true,
+    listFiles() {
+      return listDirectory('');
+    },
+    readText(path) {
+      return callLocalFolders('readText', folder.path, path);
+    },
+    getResourceUrl(path) {
+      return callLocalFolders('getFileUrl', folder.path, path);
+    },
+    writeText(path, contents) {
+      return callLocalFolders('writeText', folder.path, path, contents);
+    },
+  };
+}
+
+/**
+ * Creates a provider for the files of a folder chosen with a file input, in
+ * browsers without the File System Access API. Files cannot be saved back to
+ * the folder, so they are downloaded instead.
+ *
+ * @param {FileList} fileList - the files, from `<input webkitdirectory>`
+ * @returns {Object} a provider
+ */
+export function createFileListProvider(fileList) {
+  const files = {};
+  let name = '';
+
+  Array.prototype.forEach.call(fileList, (file) => {
+    // Relative paths start with the name of the folder
+    const parts = file.webkitRelativePath.split('/');
+    name = parts[0];
+
+    const path = parts.slice(1).join('/');
+    if (!isIgnoredPath(path)) {
+      files[path] = file;
+    }
+  });
+
+  function getFile(path) {
+    if (!files[path]) {
+      return Promise.reject(new Error(`${path} is not in the folder.`));
+    }
+    return Promise.resolve(files[path]);
+  }
+
+  return {
+    name,
+    writable: false,
+    listFiles() {
+      return Promise.resolve(Object.keys(files));
+    },
+    readText(path) {
+      return getFile(path).then(file => new window.Response(file).text());
+    },
+    getResourceUrl(path) {
+      return getFile(path).then(file => URL.createObjectURL(file));
+    },
+  };
+}
+
+// Whether Tangram Play runs in Electron, with access to local folders
+function isElectron() {
+  return /\bElectron\//.test(window.navigator.userAgent);
+}
+
+/**
+ * Asks the user to choose a folder, with the best way available.
+ *
+ * @returns {Promise} resolved with a provider for the folder, or `null` if
+ *          no folder was chosen
+ */
+export function chooseWorkspaceFolder() {
+  if (isElectron()) {
+    return callLocalFolders('chooseFolder')
+      .then(folder => (folder ? createNodeFileSystemProvider(folder) : null));
+  }
+
+  if (window.showDirectoryPicker) {
+    return window.showDirectoryPicker({ mode: 'readwrite' })
+      .then(createFileSystemAccessProvider)
+      // The picker rejects if it is canceled
+      .catch(error => (error.name === 'AbortError' ? null : Promise.reject(error)));
+  }
+
+  // Otherwise, the files of the folder can only be read. Like opening a
+  // file, this uses an invisible file input element (see `io.js`).
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.setAttribute('type', 'file');
+    input.setAttribute('webkitdirectory', '');
+    input.style.display = 'none';
+    input.addEventListener('change', (event) => {
+      resolve(event.target.files.length > 0 ? createFileListProvider(event.target.files) : null);
+    });
+    input.click();
+  });
+}
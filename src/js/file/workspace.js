@@ -0,0 +1,219 @@
+/**
+ * Local folder workspaces.
+ *
+ * A workspace is a folder on the user's computer that a scene is edited in,
+ * e.g. a git checkout. Its files are listed in the folder panel, and any
+ * of them can be opened in the editor. Like files in a scene bundle (see
+ * `bundle.js`), files in a workspace use their path in the folder as their
+ * `bundlePath`, so relative imports and textures are resolved from the
+ * folder, whether or not the imported files are open. Edited files are saved
+ * back to the folder, where the browser allows it (see
+ * `workspace-providers.js`).
+ */
+import { findSceneFilePaths, releaseSceneBundle, YAML_EXTENSION_PATTERN } from './bundle';
+import {
+  clearWorkspaceFiles,
+  setWorkspaceFiles,
+  setWorkspaceText,
+  getWorkspaceFile,
+} from './workspace-files';
+import { load } from '../tangram-play';
+import { setActiveFile } from '../editor/editor';
+import { markSceneSaved, exportSceneFile, getFileContentsForExport } from '../editor/io';
+import { showErrorModal } from '../modals/ErrorModal';
+
+import store from '../store';
+import { ADD_FILE, SET_APP_STATE, SAVE_SCENE, SHOW_MODAL } from '../store/actions';
+
+// Where scenes opened from a workspace are saved (see the scene reducer)
+export const WORKSPACE_SAVE_LOCATION = 'FOLDER';
+
+// The provider of the open workspace, if any
+let provider = null;
+
+/**
+ * Closes the open workspace, if any, and releases its resources.
+ */
+export function closeWorkspace() {
+  if (!provider) return;
+
+  clearWorkspaceFiles();
+  provider = null;
+
+  store.dispatch({
+    type: SET_APP_STATE,
+    workspace: null,
+    showFolderPanel: false,
+  });
+}
+
+/**
+ * Opens a scene file in the workspace as the main scene file. Other files in
+ * the workspace are opened when they are needed.
+ *
+ * @param {string} path - path of the scene file in the workspace
+ * @returns {Promise} resolved when the scene is loaded
+ */
+export function openWorkspaceScene(path) {
+  const file = getWorkspaceFile(path);
+  if (!file) return Promise.resolve();
+
+  return load({
+    files: [{ ...file, root: true }],
+    saveLocation: WORKSPACE_SAVE_LOCATION,
+  });
+}
+
+/**
+ * Opens a folder as the workspace, replacing any workspace that is open, and
+ * opens the scene in it. Scene files are read as text, like the files in a
+ * scene bundle, and all other files are given URLs. If the folder has
+ * several scene files that could be the scene, the user chooses one.
+ *
+ * @param {Object} folderProvider - a provider for the folder, see
+ *          `workspace-providers.js`
+ * @returns {Promise} resolved when the scene is loaded
+ */
+export function openWorkspace(folderProvider) {
+  return folderProvider.listFiles()
+    .then(paths => Promise.all(paths.map((path) => {
+      if (YAML_EXTENSION_PATTERN.test(path)) {
+        return folderProvider.readText(path).then(contents => ({ path, contents }));
+      }
+      return folderProvider.getResourceUrl(path).then(url => ({ path, url }));
+    })))
+    .then((files) => {
+      const scenePaths = findSceneFilePaths(files.filter(item => typeof item.contents === 'string'));
+      if (scenePaths.length === 0) {
+        throw new Error(`The folder ${folderProvider.name} does not contain a scene file.`);
+      }
+
+      closeWorkspace();
+
+      // Resources of a bundle would take the place of files in the folder
+      releaseSceneBundle();
+
+      provider = folderProvider;
+      setWorkspaceFiles(files);
+
+      store.dispatch({
+        type: SET_APP_STATE,
+        workspace: {
+          name: provider.name,
+          paths: files.map(item => item.path).sort(),
+          writable: provider.writable,
+          // Only for clones of git repositories (see `storage/git.js`)
+          repository: provider.repository || null,
+        },
+        showFolderPanel: true,
+      });
+
+      if (scenePaths.length > 1) {
+        store.dispatch({
+          type: SHOW_MODAL,
+          modalType: 'CHOOSE_SCENE_FILE',
+          modalProps: { paths: scenePaths },
+        });
+        return null;
+      }
+
+      return openWorkspaceScene(scenePaths[0]);
+    })
+    .catch((error) => {
+      showErrorModal(error.message);
+    });
+}
+
+/**
+ * Shows a scene file of the workspace in the editor, opening it if it is not
+ * open already.
+ *
+ * @param {string} path - path of the scene file in the workspace
+ */
+export function openWorkspaceFile(path) {
+  const files = store.getState().scene.files;
+  const index = files.findIndex(file => file.bundlePath === path);
+
+  if (index > -1) {
+    setActiveFile(index);
+    return;
+  }
+
+  const file = getWorkspaceFile(path);
+  if (!file) return;
+
+  store.dispatch({
+    type: ADD_FILE,
+    file,
+  });
+  setActiveFile(files.length);
+}
+
+/**
+ * Writes every edited file of the workspace back to the folder, and marks
+ * those that were written as saved.
+ *
+ * @returns {Promise} resolved when the files are written, or rejected, naming
+ *          the files that could not be written, if any
+ */
+export function writeWorkspaceFiles() {
+  if (!provider || !provider.writable) {
+    return Promise.reject(new Error('The folder cannot be written to.'));
+  }
+
+  const files = store.getState().scene.files;
+  const fileIndexes = [];
+  files.forEach((file, index) => {
+    if (file.isClean === false && getWorkspaceFile(file.bundlePath)) {
+      fileIndexes.push(index);
+    }
+  });
+
+  // Each write succeeds or fails on its own, so that files which were
+  // written are marked as saved even if others were not
+  return Promise.all(fileIndexes.map((index) => {
+    const path = files[index].bundlePath;
+    const contents = getFileContentsForExport(index);
+
+    return provider.writeText(path, contents)
+      .then(() => {
+        setWorkspaceText(path, contents);
+        return { index, path };
+      }, error => ({ index, path, error }));
+  }))
+  .then((results) => {
+    const written = results.filter(result => !result.error);
+    const failed = results.filter(result => result.error);
+
+    if (written.length > 0 || failed.length === 0) {
+      markSceneSaved({
+        type: SAVE_SCENE,
+        location: WORKSPACE_SAVE_LOCATION,
+        timestamp: new Date().toISOString(),
+      }, written.map(result => result.index));
+    }
+
+    if (failed.length > 0) {
+      const reasons = failed.map(result => `${result.path} (${result.error.message})`);
+      throw new Error(`These files could not be written: ${reasons.join(', ')}.`);
+    }
+  });
+}
+
+/**
+ * Saves every edited file of the workspace back to the folder. If the folder
+ * cannot be written to, the scene is downloaded instead (see
+ * `exportSceneFile()`).
+ *
+ * @returns {Promise} resolved when the files are saved
+ */
+export function saveWorkspaceFiles() {
+  if (!provider || !provider.writable) {
+    return exportSceneFile();
+  }
+
+  return writeWorkspaceFiles()
+    .catch((error) => {
+      showErrorModal(`Unable to save to the folder ${provider.name}: ${error.message}`);
+    });
+}
@@ -29,12 +29,6 @@ import {
 import { getURLSearchParam } from './tools/url-state';
 import { migrateLocalStorageToForage } from './storage/migrate';
 
-// For Electron: allow fetch() of file:// protocol.
-if (window.process && window.process.versions.electron && window.require) {
-  const { webFrame } = window.require('electron');
-  webFrame.registerURLSchemeAsPrivileged('file');
-}
-
 // Error tracking
 // Load this before all other modules. Only load when run in production.
 // Requires `loose-envify` package in build process to set the correct `NODE_ENV`.
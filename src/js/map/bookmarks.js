@@ -1,8 +1,63 @@
+/**
+ * Location bookmarks
+ *
+ * Bookmarks are kept in this browser, and can be exported to and imported
+ * from GeoJSON files or JSON lists. Each is an object of the signature:
+ *
+ *    {
+ *      label,     // String - name of the location
+ *      lat,       // Number - latitude
+ *      lng,       // Number - longitude
+ *      zoom,      // Number - zoom level
+ *      folder,    // String - Optional. Name of the folder it is in
+ *      timestamp, // String - date string, which identifies it
+ *    }
+ *
+ * A set of bookmarks can also be kept in a scene file, so that everyone who
+ * opens the scene has the same locations to look at. These are under the
+ * `meta` block, which Tangram ignores:
+ *
+ *    meta:
+ *        bookmarks:
+ *            - { label: "Downtown", lat: 40.7128, lng: -74.006, zoom: 14 }
+ */
 import localforage from 'localforage';
-import { uniqWith, isEqualWith, reject } from 'lodash';
+import { uniqWith, isEqualWith, reject, uniq, omit } from 'lodash';
+import YAML from 'yaml-ast-parser';
+import { getNodeAtKeyAddress, YAML_MAP } from '../editor/yaml-ast';
 
 const STORAGE_BOOKMARKS_KEY = 'bookmarks';
 
+// Key addresses of bookmarks in a scene file
+const SCENE_META_ADDRESS = 'meta';
+const SCENE_BOOKMARKS_KEY = 'bookmarks';
+
+// Zoom of imported bookmarks that do not have one
+const DEFAULT_BOOKMARK_ZOOM = 14;
+
+// Indentation of bookmarks added to a scene file, see `INDENT_UNIT` in
+// `codemirror.js`
+const SCENE_INDENT = '    ';
+
+// In case we try to add a bookmark that already exists, we dedupe bookmarks
+// by performing a equality comparison between the properities `label`, `lat`,
+// `lng` and `zoom` of each object. (Don't compare by unique id like
+// `timestamp` which defeats the purpose)
+function dedupeBookmarks(bookmarks) {
+  function eqWithCustomizer(objectValue, otherValue) {
+    return (objectValue.label === otherValue.label &&
+      objectValue.lat === otherValue.lat &&
+      objectValue.lng === otherValue.lng &&
+      objectValue.zoom === otherValue.zoom);
+  }
+
+  function uniqWithComparator(objectValue, otherValue) {
+    return isEqualWith(objectValue, otherValue, eqWithCustomizer);
+  }
+
+  return uniqWith(bookmarks, uniqWithComparator);
+}
+
 /**
  * Gets location bookmarks.
  * This is asynchronous and returns a Promise.
@@ -26,6 +81,7 @@ export function getLocationBookmarks() {
             lat,   // Number - latitude
             lng,   // Number - longitude
             zoom,  // Number - zoom level
+            folder, // String - Optional. Name of a folder
             timestamp, // String - date string
         }
  * @returns {Promise} - resolved value is current bookmarks content after save
@@ -34,25 +90,7 @@ export function saveLocationBookmark(newBookmark) {
   return getLocationBookmarks()
     .then((bookmarks) => {
       bookmarks.push(newBookmark);
-
-      // In case we try to add a bookmark that already exists, we
-      // dedupe this array by performing a equality comparison between
-      // the properities `label`, `lat`, `lng` and `zoom` of each object.
-      // (Don't compare by unique id like `timestamp` which defeats the purpose)
-      function eqWithCustomizer(objectValue, otherValue) {
-        return (objectValue.label === otherValue.label &&
-          objectValue.lat === otherValue.lat &&
-          objectValue.lng === otherValue.lng &&
-          objectValue.zoom === otherValue.zoom);
-      }
-
-      function uniqWithComparator(objectValue, otherValue) {
-        return isEqualWith(objectValue, otherValue, eqWithCustomizer);
-      }
-
-      const uniqueBookmarks = uniqWith(bookmarks, uniqWithComparator);
-
-      return localforage.setItem(STORAGE_BOOKMARKS_KEY, uniqueBookmarks);
+      return localforage.setItem(STORAGE_BOOKMARKS_KEY, dedupeBookmarks(bookmarks));
     });
 }
 
@@ -82,3 +120,261 @@ export function deleteLocationBookmark(uid) {
 export function clearLocationBookmarks() {
   return localforage.setItem(STORAGE_BOOKMARKS_KEY, []);
 }
+
+/**
+ * Changes a bookmark, e.g. to rename it or move it to another folder.
+ *
+ * @param {string} uid - unique identifier (`timestamp`) of the bookmark
+ * @param {Object} changes - properties to change
+ * @returns {Promise} - resolved value is current bookmarks content after update
+ */
+export function updateLocationBookmark(uid, changes) {
+  return getLocationBookmarks()
+    .then((bookmarks) => {
+      const updatedBookmarks = bookmarks.map((bookmark) => {
+        if (bookmark.timestamp !== uid) return bookmark;
+
+        const updated = { ...bookmark, ...changes };
+        if (!updated.folder) delete updated.folder;
+        return updated;
+      });
+
+      return localforage.setItem(STORAGE_BOOKMARKS_KEY, updatedBookmarks);
+    });
+}
+
+/**
+ * Adds bookmarks to the list of bookmarks, e.g. from an imported file.
+ * Bookmarks that already exist are not added again.
+ *
+ * @param {Array} newBookmarks - bookmarks, see `parseBookmarks()`
+ * @returns {Promise} - resolved value is current bookmarks content after save
+ */
+export function importLocationBookmarks(newBookmarks) {
+  return getLocationBookmarks()
+    .then((bookmarks) => {
+      const timestamps = bookmarks.map(bookmark => bookmark.timestamp);
+
+      // Timestamps identify bookmarks, so imported bookmarks get new ones if
+      // theirs are missing or already taken
+      const now = Date.now();
+      const imported = newBookmarks.map((bookmark, index) => {
+        if (bookmark.timestamp && timestamps.indexOf(bookmark.timestamp) === -1) {
+          return bookmark;
+        }
+        return { ...bookmark, timestamp: new Date(now + index).toJSON() };
+      });
+
+      const updatedBookmarks = dedupeBookmarks([...bookmarks, ...imported]);
+      return localforage.setItem(STORAGE_BOOKMARKS_KEY, updatedBookmarks);
+    });
+}
+
+/**
+ * Makes a bookmark from an object that may have come from anywhere, like an
+ * imported file or a scene. Coordinates may be numbers or numeric strings.
+ *
+ * @param {Object} item - `{ label, lat, lng, zoom, folder, timestamp }`;
+ *          `lon` is read as `lng`, and `name` as `label`
+ * @returns {Object|null} a bookmark, or null if the item has no valid
+ *          coordinates
+ */
+export function normalizeBookmark(item) {
+  if (!item || typeof item !== 'object') return null;
+
+  const lat = parseFloat(item.lat);
+  const lng = parseFloat(item.lng !== undefined ? item.lng : item.lon);
+  const zoom = parseFloat(item.zoom);
+  if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return null;
+  }
+
+  const bookmark = {
+    label: String(item.label || item.name || `${lat.toFixed(4)}, ${lng.toFixed(4)}`),
+    lat,
+    lng,
+    zoom: isNaN(zoom) ? DEFAULT_BOOKMARK_ZOOM : zoom,
+  };
+
+  if (item.folder) {
+    bookmark.folder = String(item.folder);
+  }
+  if (item.timestamp) {
+    bookmark.timestamp = String(item.timestamp);
+  }
+
+  return bookmark;
+}
+
+/**
+ * Reads bookmarks from the contents of an imported file: either a GeoJSON
+ * feature collection of points, like the one made by `bookmarksToGeoJSON()`,
+ * or a JSON list of bookmarks, like the one made by `bookmarksToJSON()`.
+ * Items that are not locations are skipped.
+ *
+ * @param {string} text - contents of the file
+ * @returns {Array} bookmarks
+ */
+export function parseBookmarks(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON or GeoJSON.');
+  }
+
+  let items;
+  if (Array.isArray(data)) {
+    items = data;
+  } else if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+    items = data.features
+      .filter(feature => feature && feature.geometry && feature.geometry.type === 'Point')
+      .map((feature) => {
+        const [lng, lat] = feature.geometry.coordinates;
+        return { ...feature.properties, lat, lng };
+      });
+  } else {
+    throw new Error('The file must be a GeoJSON feature collection or a list of bookmarks.');
+  }
+
+  return items.map(normalizeBookmark).filter(Boolean);
+}
+
+/**
+ * Exports bookmarks as a GeoJSON feature collection of points.
+ *
+ * @param {Array} bookmarks
+ * @returns {string} GeoJSON
+ */
+export function bookmarksToGeoJSON(bookmarks) {
+  const geojson = {
+    type: 'FeatureCollection',
+    features: bookmarks.map(bookmark => ({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: [bookmark.lng, bookmark.lat],
+      },
+      properties: omit(bookmark, ['lat', 'lng']),
+    })),
+  };
+
+  return JSON.stringify(geojson, null, 2);
+}
+
+/**
+ * Exports bookmarks as a JSON list.
+ *
+ * @param {Array} bookmarks
+ * @returns {string} JSON
+ */
+export function bookmarksToJSON(bookmarks) {
+  return JSON.stringify(bookmarks, null, 2);
+}
+
+/**
+ * Returns the names of the folders that bookmarks are in.
+ *
+ * @param {Array} bookmarks
+ * @returns {Array} folder names, sorted
+ */
+export function getBookmarkFolders(bookmarks) {
+  return uniq(bookmarks.map(bookmark => bookmark.folder).filter(Boolean)).sort();
+}
+
+/**
+ * Reads the bookmarks kept in a scene, from the scene config object that
+ * Tangram loaded.
+ *
+ * @param {Object} sceneConfig - Tangram scene config object
+ * @returns {Array} bookmarks, without timestamps
+ */
+export function getSceneBookmarks(sceneConfig) {
+  const meta = sceneConfig && sceneConfig[SCENE_META_ADDRESS];
+  const items = meta && meta[SCENE_BOOKMARKS_KEY];
+  if (!Array.isArray(items)) return [];
+
+  return items.map(normalizeBookmark).filter(Boolean)
+    .map(bookmark => omit(bookmark, 'timestamp'));
+}
+
+// Writes a bookmark on one line of YAML, as a flow mapping. Coordinates are
+// rounded to about ten centimeters.
+function bookmarkToYAML(bookmark) {
+  const values = [
+    `label: ${JSON.stringify(bookmark.label)}`,
+    `lat: ${Number(bookmark.lat.toFixed(6))}`,
+    `lng: ${Number(bookmark.lng.toFixed(6))}`,
+    `zoom: ${Number(bookmark.zoom.toFixed(2))}`,
+  ];
+  if (bookmark.folder) {
+    values.push(`folder: ${JSON.stringify(bookmark.folder)}`);
+  }
+  return `{ ${values.join(', ')} }`;
+}
+
+// Writes the `bookmarks` block of a scene file, indented to a given depth
+function bookmarksBlockToYAML(bookmarks, indent) {
+  if (bookmarks.length === 0) {
+    return `${indent}${SCENE_BOOKMARKS_KEY}: []`;
+  }
+
+  const items = bookmarks.map(bookmark => `${indent}${SCENE_INDENT}- ${bookmarkToYAML(bookmark)}`);
+  return [`${indent}${SCENE_BOOKMARKS_KEY}:`, ...items].join('\n');
+}
+
+// Returns the position of the start of the line that a position is on
+function getLineStart(content, position) {
+  return content.lastIndexOf('\n', position - 1) + 1;
+}
+
+/**
+ * Finds how to keep a set of bookmarks in a scene file: replacing the
+ * bookmarks already in it, or adding them to its `meta` block, which is
+ * added to the end of the file if there isn't one.
+ *
+ * @param {string} content - contents of the scene file
+ * @param {Array} bookmarks - bookmarks to keep in the scene
+ * @returns {Object} a change of the signature `{ from, to, text }`, where
+ *          `from` and `to` are positions in the content to replace with the
+ *          text
+ */
+export function getSceneBookmarksChange(content, bookmarks) {
+  const ast = YAML.load(content);
+  const meta = ast ? getNodeAtKeyAddress(ast, SCENE_META_ADDRESS) : null;
+
+  // No `meta` block yet
+  if (!meta || !meta.key || meta.key.value !== SCENE_META_ADDRESS) {
+    const separator = (content === '' || content.endsWith('\n')) ? '' : '\n';
+    const text = `${separator}\n${SCENE_META_ADDRESS}:\n${bookmarksBlockToYAML(bookmarks, SCENE_INDENT)}\n`;
+    return { from: content.length, to: content.length, text };
+  }
+
+  const metaStart = getLineStart(content, meta.startPosition);
+  const metaIndent = content.slice(metaStart, meta.startPosition);
+  const mappings = (meta.value && meta.value.kind === YAML_MAP)
+    ? meta.value.mappings.filter(mapping => mapping && mapping.key)
+    : [];
+
+  // An empty `meta` block, or one that is not a map, is replaced
+  if (mappings.length === 0) {
+    const text = `${metaIndent}${SCENE_META_ADDRESS}:\n${bookmarksBlockToYAML(bookmarks, metaIndent + SCENE_INDENT)}`;
+    return { from: metaStart, to: meta.endPosition, text };
+  }
+
+  const existing = mappings.find(mapping => mapping.key.value === SCENE_BOOKMARKS_KEY);
+  const target = existing || mappings[0];
+  const from = getLineStart(content, target.startPosition);
+  const indent = content.slice(from, target.startPosition);
+
+  // Replace the bookmarks already in the scene. Blocks end where the next key
+  // begins, so whitespace after them is kept.
+  if (existing) {
+    let to = existing.endPosition;
+    while (to > existing.startPosition && /\s/.test(content[to - 1])) to -= 1;
+    return { from, to, text: bookmarksBlockToYAML(bookmarks, indent) };
+  }
+
+  // Or add them as the first key of the `meta` block
+  return { from, to: from, text: `${bookmarksBlockToYAML(bookmarks, indent)}\n` };
+}
@@ -0,0 +1,234 @@
+/**
+ * Capture sets
+ *
+ * Screenshots of the scene at a set of bookmarked views, to review changes to
+ * a scene at the same places every time. One set is kept in this browser as
+ * the baseline. After the scene is edited, the same views are captured again
+ * and compared with the baseline pixel by pixel (see `image-diff.js`).
+ *
+ * Each view in a capture set is an object of the signature:
+ *
+ *    {
+ *      key,       // String - identifies the view, see `getViewKey()`
+ *      label,     // String - name of the location
+ *      lat,       // Number - latitude
+ *      lng,       // Number - longitude
+ *      zoom,      // Number - zoom level
+ *      threshold, // Number - percentage of pixels that may change before
+ *                 // the view is shown as changed
+ *      blob,      // Blob - the screenshot, a PNG image
+ *    }
+ */
+import localforage from 'localforage';
+import { map, tangramScene } from './map';
+import { getScreenshotData } from './screenshot';
+import { diffPixels } from './image-diff';
+
+const STORAGE_CAPTURE_SET_KEY = 'capture-set';
+
+// Views are captured once Tangram has finished loading and drawing the tiles
+// in view, which it signals with a `view_complete` event. It does not do so
+// if the view did not change, so after this long, in milliseconds, the
+// view is captured anyway.
+const VIEW_COMPLETE_TIMEOUT = 5000;
+
+/**
+ * Identifies a view by its location, so that views can be matched between
+ * capture sets even if a bookmark was renamed.
+ *
+ * @param {Object} view - `{ lat, lng, zoom }`
+ * @returns {string}
+ */
+export function getViewKey(view) {
+  return `${view.lat.toFixed(6)},${view.lng.toFixed(6)},${view.zoom.toFixed(2)}`;
+}
+
+/**
+ * Gets the baseline capture set.
+ * This is asynchronous and returns a Promise.
+ *
+ * @returns {Promise} - resolved value is the capture set, an object of the
+ *          signature `{ timestamp, views }`, or null if there isn't one
+ */
+export function getBaselineCaptureSet() {
+  return localforage.getItem(STORAGE_CAPTURE_SET_KEY);
+}
+
+/**
+ * Saves captured views as the baseline capture set, replacing the previous
+ * one.
+ *
+ * @param {Array} views - captured views, see `captureViews()`
+ * @returns {Promise} - resolved value is the capture set
+ */
+export function saveBaselineCaptureSet(views) {
+  return localforage.setItem(STORAGE_CAPTURE_SET_KEY, {
+    timestamp: new Date().toJSON(),
+    views,
+  });
+}
+
+/**
+ * Changes views in the baseline capture set, e.g. to change how much they
+ * may change, or to accept a new capture of them as the baseline.
+ *
+ * @param {Object} changes - properties to change, by key of the view
+ * @returns {Promise} - resolved value is the capture set after the update
+ */
+export function updateBaselineViews(changes) {
+  return getBaselineCaptureSet()
+    .then((captureSet) => {
+      if (!captureSet) return null;
+
+      const views = captureSet.views.map(view =>
+        (changes[view.key] ? { ...view, ...changes[view.key] } : view));
+      return localforage.setItem(STORAGE_CAPTURE_SET_KEY, { ...captureSet, views });
+    });
+}
+
+// Resolves when Tangram has finished drawing the view, or after a timeout
+function waitForViewComplete(move) {
+  return new Promise((resolve) => {
+    let timeout;
+    const subscriber = {};
+
+    function done() {
+      window.clearTimeout(timeout);
+      tangramScene.unsubscribe(subscriber);
+      resolve();
+    }
+
+    // Subscribe before moving, so that the event cannot be missed
+    // eslint-disable-next-line camelcase
+    subscriber.view_complete = done;
+    tangramScene.subscribe(subscriber);
+    timeout = window.setTimeout(done, VIEW_COMPLETE_TIMEOUT);
+
+    move();
+  });
+}
+
+/**
+ * Takes a screenshot of the map at each of a list of views, one after the
+ * other, and then returns the map to where it was. Screenshots are taken the
+ * same way as `takeScreenshot()` in `screenshot.js`.
+ *
+ * @param {Array} views - views to capture, e.g. bookmarks. Each is an object
+ *          with `label`, `lat`, `lng`, `zoom` and, optionally, `threshold`.
+ * @param {Function} onProgress - Optional. Called with the number of views
+ *          captured so far, after each.
+ * @returns {Promise} - resolved value is the captured views
+ */
+export function captureViews(views, onProgress = () => {}) {
+  const center = map.getCenter();
+  const zoom = map.getZoom();
+  const captured = [];
+
+  const captureAll = views.reduce((promise, view) => promise
+    .then(() => waitForViewComplete(() => {
+      map.setView({ lat: view.lat, lng: view.lng }, view.zoom, { animate: false });
+    }))
+    .then(getScreenshotData)
+    .then((screenshot) => {
+      captured.push({
+        key: getViewKey(view),
+        label: view.label,
+        lat: view.lat,
+        lng: view.lng,
+        zoom: view.zoom,
+        threshold: view.threshold || 0,
+        blob: screenshot.blob,
+      });
+      onProgress(captured.length);
+    }), Promise.resolve());
+
+  function restoreView() {
+    map.setView(center, zoom, { animate: false });
+  }
+
+  return captureAll
+    .then(() => {
+      restoreView();
+      return captured;
+    })
+    .catch((error) => {
+      restoreView();
+      throw error;
+    });
+}
+
+// Reads the pixels of an image
+function loadImageData(blob) {
+  return new Promise((resolve, reject) => {
+    const url = window.URL.createObjectURL(blob);
+    const image = new Image();
+
+    image.addEventListener('load', () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.naturalWidth;
+      canvas.height = image.naturalHeight;
+
+      const context = canvas.getContext('2d');
+      context.drawImage(image, 0, 0);
+      window.URL.revokeObjectURL(url);
+      resolve(context.getImageData(0, 0, canvas.width, canvas.height));
+    });
+    image.addEventListener('error', () => {
+      window.URL.revokeObjectURL(url);
+      reject(new Error('Unable to read a screenshot.'));
+    });
+    image.src = url;
+  });
+}
+
+// Makes a PNG image from pixels
+function createImageBlob(pixels, width, height) {
+  return new Promise((resolve) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+    canvas.toBlob(resolve, 'image/png');
+  });
+}
+
+/**
+ * Compares a new capture of a view with its baseline.
+ *
+ * @param {Object} baseline - the view in the baseline capture set
+ * @param {Object} capture - the new capture of the view
+ * @returns {Promise} - resolved value is an object of the signature
+ *          {
+ *            key, label, threshold, // of the baseline view
+ *            before,      // {Blob} the baseline screenshot
+ *            after,       // {Blob} the new screenshot
+ *            diff,        // {Blob} an image of the difference, or null if
+ *                         // the screenshots are different sizes
+ *            percent,     // {Number} the percentage of pixels that changed
+ *            sizeChanged, // {Boolean} whether the screenshots are different
+ *                         // sizes, e.g. because the map was resized
+ *          }
+ */
+export function compareCapture(baseline, capture) {
+  const result = {
+    key: baseline.key,
+    label: baseline.label,
+    threshold: baseline.threshold,
+    before: baseline.blob,
+    after: capture.blob,
+    diff: null,
+    percent: 100,
+    sizeChanged: false,
+  };
+
+  return Promise.all([loadImageData(baseline.blob), loadImageData(capture.blob)])
+    .then(([before, after]) => {
+      if (before.width !== after.width || before.height !== after.height) {
+        return { ...result, sizeChanged: true };
+      }
+
+      const { percent, pixels } = diffPixels(before.data, after.data);
+      return createImageBlob(pixels, before.width, before.height)
+        .then(diff => ({ ...result, diff, percent }));
+    });
+}
@@ -0,0 +1,77 @@
+/**
+ * Compare features
+ *
+ * Lines up the properties and layers of features that are pinned from the
+ * inspection popup, to show how they differ (see `PinnedFeaturesPanel`).
+ */
+import { isEqual } from 'lodash';
+
+/**
+ * Lines up the values of each property of features.
+ *
+ * @param {Array} features - features, each with `properties`
+ * @returns {Array} a row for each property that any of the features have,
+ *          sorted by name. Each is an object of the signature
+ *          `{ key, values, differs }`, where `values` has the value of the
+ *          property for each feature (`undefined` if it does not have it).
+ */
+export function compareFeatureProperties(features) {
+  const keys = {};
+  features.forEach((feature) => {
+    Object.keys(feature.properties || {}).forEach((key) => {
+      keys[key] = true;
+    });
+  });
+
+  return Object.keys(keys).sort().map((key) => {
+    const values = features.map(feature => (feature.properties || {})[key]);
+    const differs = values.some(value => !isEqual(value, values[0]));
+    return { key, values, differs };
+  });
+}
+
+/**
+ * Arranges the names of layers that a feature is in as a tree, with
+ * sublayers nested in their layers.
+ *
+ * @param {Array} layers - names of layers, as Tangram reports them, e.g.
+ *          `['roads', 'roads:highway']`
+ * @returns {Array} top-level layers, each an object of the signature
+ *          `{ name, address, children }`, where `address` is the key
+ *          address of the layer, e.g. 'layers:roads:highway'
+ */
+export function getLayerTree(layers) {
+  const tree = [];
+
+  layers.slice().sort().forEach((layer) => {
+    let items = tree;
+    const names = layer.split(':');
+
+    names.forEach((name, index) => {
+      let item = items.find(child => child.name === name);
+      if (!item) {
+        item = {
+          name,
+          address: `layers:${names.slice(0, index + 1).join(':')}`,
+          children: [],
+        };
+        items.push(item);
+      }
+      items = item.children;
+    });
+  });
+
+  return tree;
+}
+
+/**
+ * Returns the layers that some, but not all, of the features are in.
+ *
+ * @param {Array} features - features, each with `layers`
+ * @returns {Array} names of layers
+ */
+export function getDifferentLayers(features) {
+  const all = features.reduce((names, feature) => names.concat(feature.layers || []), []);
+  return all.filter((name, index) => all.indexOf(name) === index &&
+    features.some(feature => (feature.layers || []).indexOf(name) === -1));
+}
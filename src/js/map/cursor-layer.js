@@ -0,0 +1,92 @@
+/**
+ * Cursor layer highlight
+ *
+ * While it is turned on (the `highlightCursorLayer` app state), the features
+ * of the layer that the cursor is in, in the editor, are emphasized on the
+ * map. This shows what a block of the scene file affects. Only features in
+ * tiles that are loaded can be shown (see `tile-features.js`), and none are
+ * shown for layers whose filters have functions, which are not run here.
+ */
+import { debounce } from 'lodash';
+import EventEmitter from '../components/event-emitter';
+import { editor } from '../editor/editor';
+import { getNodeAtIndex, getKeyAddressForNode } from '../editor/yaml-ast';
+import { getLayerAddress, getFeaturesInLayer } from '../editor/filters';
+import { getFeatures, getFilterContext } from './tile-features';
+import { highlightLayerOnMap, clearLayerHighlight } from './highlight';
+
+// Redux
+import store from '../store';
+
+const CURSOR_LAYER_DEBOUNCE = 200;
+
+// Key address of the layer that is highlighted, if any
+let highlightedLayer = null;
+
+function isEnabled() {
+  return store.getState().app.highlightCursorLayer === true;
+}
+
+// Returns the key address of the layer at the cursor, if any
+function getLayerAtCursor() {
+  if (!editor) return null;
+
+  const doc = editor.getDoc();
+  const node = getNodeAtIndex(doc.yamlNodes, doc.indexFromPos(doc.getCursor()));
+  return node ? getLayerAddress(getKeyAddressForNode(node)) : null;
+}
+
+/**
+ * Highlights the features of the layer at the cursor, if it is a different
+ * layer than before.
+ *
+ * @param {Boolean} force - Optional. Whether to highlight the layer again
+ *          even if it has not changed, e.g. when different features are
+ *          loaded.
+ */
+function updateCursorLayer(force = false) {
+  const address = isEnabled() ? getLayerAtCursor() : null;
+  if (address === highlightedLayer && !force) return;
+
+  highlightedLayer = address;
+  if (address) {
+    const features = getFeaturesInLayer(editor.getDoc().yamlNodes, address,
+      getFeatures(), getFilterContext());
+    highlightLayerOnMap(features);
+  } else {
+    clearLayerHighlight();
+  }
+}
+
+const onCursorActivity = debounce(() => { updateCursorLayer(); }, CURSOR_LAYER_DEBOUNCE);
+const onEditorChanges = debounce(() => { updateCursorLayer(true); }, CURSOR_LAYER_DEBOUNCE);
+
+/**
+ * Starts following the cursor in the editor. The highlight follows changes
+ * of the cursor, the app state, the editor's contents and loaded features.
+ */
+export function initCursorLayerHighlight() {
+  const addEditorListeners = () => {
+    editor.on('cursorActivity', onCursorActivity);
+    editor.on('changes', onEditorChanges);
+    editor.on('swapDoc', onEditorChanges);
+  };
+
+  if (editor) {
+    addEditorListeners();
+  } else {
+    EventEmitter.subscribe('editor:ready', addEditorListeners);
+  }
+
+  let enabled = isEnabled();
+  store.subscribe(() => {
+    if (isEnabled() !== enabled) {
+      enabled = isEnabled();
+      updateCursorLayer();
+    }
+  });
+
+  EventEmitter.subscribe('tangram:featuresupdate', () => {
+    if (highlightedLayer) updateCursorLayer(true);
+  });
+}
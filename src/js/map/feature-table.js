@@ -0,0 +1,104 @@
+/**
+ * Feature table
+ *
+ * Arranges features from tiles that the map has loaded (see
+ * `tile-features.js`) as rows of a table, with a column for each of their
+ * properties, which can be sorted and filtered (see `FeatureTablePanel`).
+ */
+
+// Properties that most features of Mapzen vector tiles have, which are the
+// first columns of the table. Other properties follow in alphabetical order.
+// (For more info: https://mapzen.com/documentation/vector-tiles/layers/)
+const FIRST_COLUMNS = ['name', 'kind', 'kind_detail'];
+
+// Column filters like `>10` or `<=2.5` compare numbers
+const COMPARISON_PATTERN = /^(>=|<=|>|<)\s*([-+]?(\d+\.?\d*|\.\d+))$/;
+
+/**
+ * Returns the names of the columns of a table of features: every property
+ * that any of them have.
+ *
+ * @param {Array} features - features, each with `properties`
+ * @returns {Array} names of properties
+ */
+export function getFeatureColumns(features) {
+  const found = {};
+  features.forEach((feature) => {
+    Object.keys(feature.properties || {}).forEach((key) => {
+      found[key] = true;
+    });
+  });
+
+  const first = FIRST_COLUMNS.filter(key => found[key]);
+  const others = Object.keys(found).filter(key => FIRST_COLUMNS.indexOf(key) === -1).sort();
+  return [...first, ...others];
+}
+
+/**
+ * Returns the features that have property values that match filters by
+ * column. Filters match values that contain them, ignoring case, or that
+ * are numbers that compare to them, e.g. `>= 10`.
+ *
+ * @param {Array} features - features, each with `properties`
+ * @param {Object} filters - filters, by column name. Empty filters are
+ *          ignored.
+ * @returns {Array} features that match every filter
+ */
+export function filterFeatures(features, filters) {
+  const tests = Object.keys(filters)
+    .filter(column => filters[column].trim() !== '')
+    .map((column) => {
+      const text = filters[column].trim();
+      const comparison = text.match(COMPARISON_PATTERN);
+
+      if (comparison) {
+        const operand = Number(comparison[2]);
+        const compare = {
+          '>': value => value > operand,
+          '<': value => value < operand,
+          '>=': value => value >= operand,
+          '<=': value => value <= operand,
+        }[comparison[1]];
+        return properties => typeof properties[column] === 'number' && compare(properties[column]);
+      }
+
+      const search = text.toLowerCase();
+      return properties => properties[column] !== undefined &&
+        String(properties[column]).toLowerCase().indexOf(search) > -1;
+    });
+
+  return features.filter((feature) => {
+    const properties = feature.properties || {};
+    return tests.every(test => test(properties));
+  });
+}
+
+// Orders values of a column: numbers before other values, and numbers and
+// text in their natural order
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'number') return -1;
+  if (typeof b === 'number') return 1;
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Sorts features by the value of a property. Features without the property
+ * are always last.
+ *
+ * @param {Array} features - features, each with `properties`
+ * @param {string} column - name of the property
+ * @param {Boolean} descending - whether to sort from high to low
+ * @returns {Array} a sorted copy of the features
+ */
+export function sortFeatures(features, column, descending = false) {
+  return features.slice().sort((a, b) => {
+    const valueA = (a.properties || {})[column];
+    const valueB = (b.properties || {})[column];
+    const missingA = valueA === undefined || valueA === null;
+    const missingB = valueB === undefined || valueB === null;
+
+    if (missingA || missingB) return missingA - missingB;
+    return descending ? compareValues(valueB, valueA) : compareValues(valueA, valueB);
+  });
+}
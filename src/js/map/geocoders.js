@@ -0,0 +1,322 @@
+/**
+ * Geocoders
+ *
+ * The location bar searches for places, and names the place at the center of
+ * the map, with a geocoder (see `SEARCH` in `config.js`). Each is an object
+ * of the signature:
+ *
+ *    {
+ *      id,           // String
+ *      autocomplete, // Function(query, focus) - Optional. Returns a Promise
+ *                    // resolved with places that match a partial query,
+ *                    // near the `{ lat, lng }` focus point first. Without
+ *                    // it, places are only searched for when the user
+ *                    // presses Enter.
+ *      search,       // Function(query, focus) - returns a Promise resolved
+ *                    // with places that match a query
+ *      reverse,      // Function(latlng) - returns a Promise resolved with
+ *                    // the place at a `{ lat, lng }` point, or null
+ *    }
+ *
+ * Places are GeoJSON point features with a `label` property, like the
+ * results of Pelias.
+ */
+import config from '../config';
+
+// Most places to suggest at a time
+const MAX_RESULTS = 10;
+
+// Farthest distance, in degrees, that a place in a gazetteer can be from a
+// point to be named as the place at that point
+const MAX_REVERSE_DISTANCE = 0.5;
+
+/**
+ * Makes a place, in the form of the results of Pelias.
+ *
+ * @param {string} label - name of the place
+ * @param {Number} lat
+ * @param {Number} lng
+ * @returns {Object} a GeoJSON point feature
+ */
+export function makePlace(label, lat, lng) {
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'Point',
+      coordinates: [lng, lat],
+    },
+    properties: { label },
+  };
+}
+
+function fetchJSON(url) {
+  return window.fetch(url)
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`The geocoder responded with error code ${response.status}.`);
+      }
+      return response.json();
+    });
+}
+
+// Adds a trailing slash to the URL of a geocoder's API
+function getBaseUrl(url) {
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+/* Pelias */
+
+function makePeliasRequest(endpoint, params) {
+  const { URL, API_KEY } = config.SEARCH.PELIAS;
+  if (!URL) {
+    return Promise.reject(new Error('No URL is configured for the Pelias geocoder.'));
+  }
+
+  const query = Object.keys(params)
+    .concat(API_KEY ? ['api_key'] : [])
+    .map(key => `${key}=${encodeURIComponent(key === 'api_key' ? API_KEY : params[key])}`)
+    .join('&');
+
+  return fetchJSON(`${getBaseUrl(URL)}${endpoint}?${query}`)
+    .then(response => response.features || []);
+}
+
+function searchPelias(endpoint, query, focus) {
+  return makePeliasRequest(endpoint, {
+    text: query,
+    'focus.point.lat': focus.lat,
+    'focus.point.lon': focus.lng,
+    layers: 'coarse',
+  });
+}
+
+const peliasGeocoder = {
+  id: 'PELIAS',
+  autocomplete: (query, focus) => searchPelias('autocomplete', query, focus),
+  search: (query, focus) => searchPelias('search', query, focus),
+  reverse: latlng => makePeliasRequest('reverse', {
+    'point.lat': latlng.lat,
+    'point.lon': latlng.lng,
+    size: 1,
+    layers: 'coarse',
+  })
+  .then(features => features[0] || null),
+};
+
+/* Nominatim */
+
+// Nominatim's usage policy does not allow autocomplete, so it only searches
+const nominatimGeocoder = {
+  id: 'NOMINATIM',
+  search(query, focus) {
+    const url = `${getBaseUrl(config.SEARCH.NOMINATIM.URL)}search?format=jsonv2&limit=${MAX_RESULTS}&q=${encodeURIComponent(query)}`;
+    return fetchJSON(url)
+      .then(results => results.map(result =>
+        makePlace(result.display_name, Number(result.lat), Number(result.lon))));
+  },
+  reverse(latlng) {
+    // Zoom 10 is about the size of a city, like Pelias' "coarse" layers
+    const url = `${getBaseUrl(config.SEARCH.NOMINATIM.URL)}reverse?format=jsonv2&zoom=10&lat=${latlng.lat}&lon=${latlng.lng}`;
+    return fetchJSON(url)
+      .then(result => (result.display_name
+        ? makePlace(result.display_name, Number(result.lat), Number(result.lon))
+        : null));
+  },
+};
+
+/* Gazetteer */
+
+/**
+ * Splits CSV text into rows of values. Values may be quoted, with quotes in
+ * them doubled.
+ *
+ * @param {string} text
+ * @returns {Array} rows, each an array of strings
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  return rows.filter(values => values.some(item => item.trim() !== ''));
+}
+
+/**
+ * Reads the places in a gazetteer: a GeoJSON file of points with a `name`
+ * (or `label`) property, or a CSV file with `name`, `lat` and `lng` (or
+ * `lon`) columns.
+ *
+ * @param {string} text - contents of the file
+ * @returns {Array} places
+ */
+export function parseGazetteer(text) {
+  if (/^\s*\{/.test(text)) {
+    const geojson = JSON.parse(text);
+    return (geojson.features || [])
+      .filter(feature => feature.geometry && feature.geometry.type === 'Point')
+      .map((feature) => {
+        const [lng, lat] = feature.geometry.coordinates;
+        const properties = feature.properties || {};
+        return makePlace(String(properties.name || properties.label || ''), lat, lng);
+      })
+      .filter(place => place.properties.label);
+  }
+
+  const [header, ...rows] = parseCSV(text);
+  const columns = header.map(name => name.trim().toLowerCase());
+  const nameIndex = columns.findIndex(name => name === 'name' || name === 'label');
+  const latIndex = columns.findIndex(name => name === 'lat' || name === 'latitude');
+  const lngIndex = columns.findIndex(name => ['lng', 'lon', 'long', 'longitude'].indexOf(name) > -1);
+
+  if (nameIndex === -1 || latIndex === -1 || lngIndex === -1) {
+    throw new Error('The gazetteer must have name, lat and lng columns.');
+  }
+
+  return rows
+    .map(row => makePlace((row[nameIndex] || '').trim(), parseFloat(row[latIndex]), parseFloat(row[lngIndex])))
+    .filter(place => place.properties.label &&
+      !isNaN(place.geometry.coordinates[0]) && !isNaN(place.geometry.coordinates[1]));
+}
+
+// Square of the distance in degrees, which is enough to compare distances
+function getDistanceSquared(place, latlng) {
+  const [lng, lat] = place.geometry.coordinates;
+  const dLat = lat - latlng.lat;
+  const dLng = lng - latlng.lng;
+  return (dLat * dLat) + (dLng * dLng);
+}
+
+/**
+ * Finds the places in a gazetteer whose names match a query. Places whose
+ * names start with the query come first, and then the places nearest the
+ * focus point.
+ *
+ * @param {Array} places - places in the gazetteer
+ * @param {string} query
+ * @param {Object} focus - `{ lat, lng }`
+ * @returns {Array} up to 10 places
+ */
+export function searchPlaces(places, query, focus) {
+  const text = query.trim().toLowerCase();
+  if (!text) return [];
+
+  return places
+    .map(place => ({
+      place,
+      index: place.properties.label.toLowerCase().indexOf(text),
+      distance: getDistanceSquared(place, focus),
+    }))
+    .filter(item => item.index > -1)
+    .sort((a, b) => {
+      if ((a.index === 0) !== (b.index === 0)) return (a.index === 0) ? -1 : 1;
+      return a.distance - b.distance;
+    })
+    .slice(0, MAX_RESULTS)
+    .map(item => item.place);
+}
+
+/**
+ * Finds the place in a gazetteer nearest a point, if any is near enough.
+ *
+ * @param {Array} places - places in the gazetteer
+ * @param {Object} latlng - `{ lat, lng }`
+ * @returns {Object|null} the place
+ */
+export function findNearestPlace(places, latlng) {
+  let nearest = null;
+  let nearestDistance = MAX_REVERSE_DISTANCE * MAX_REVERSE_DISTANCE;
+
+  places.forEach((place) => {
+    const distance = getDistanceSquared(place, latlng);
+    if (distance <= nearestDistance) {
+      nearest = place;
+      nearestDistance = distance;
+    }
+  });
+
+  return nearest;
+}
+
+// The gazetteer is only read once
+let gazetteerPlaces = null;
+
+function getGazetteerPlaces() {
+  if (!gazetteerPlaces) {
+    gazetteerPlaces = window.fetch(config.SEARCH.GAZETTEER.URL)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Unable to read the gazetteer (error code ${response.status}).`);
+        }
+        return response.text();
+      })
+      .then(parseGazetteer)
+      .catch((error) => {
+        // Try again next time
+        gazetteerPlaces = null;
+        throw error;
+      });
+  }
+  return gazetteerPlaces;
+}
+
+function searchGazetteer(query, focus) {
+  return getGazetteerPlaces().then(places => searchPlaces(places, query, focus));
+}
+
+// Places are found without requests, so it can autocomplete
+const gazetteerGeocoder = {
+  id: 'GAZETTEER',
+  autocomplete: searchGazetteer,
+  search: searchGazetteer,
+  reverse: latlng => getGazetteerPlaces().then(places => findNearestPlace(places, latlng)),
+};
+
+const GEOCODERS = {
+  PELIAS: peliasGeocoder,
+  NOMINATIM: nominatimGeocoder,
+  GAZETTEER: gazetteerGeocoder,
+};
+
+/**
+ * Returns a geocoder.
+ *
+ * @param {string} id - Optional. Id of the geocoder. By default, the one that
+ *          is configured (see `config.js`).
+ * @returns {Object} the geocoder
+ */
+export function getGeocoder(id = config.SEARCH.GEOCODER) {
+  return GEOCODERS[id];
+}
@@ -0,0 +1,181 @@
+/**
+ * Map highlights
+ *
+ * Outlines features on the map, e.g. a feature selected in the feature
+ * table. Tangram draws features itself, so highlights are drawn on a Leaflet
+ * layer above it: from a feature's geometry, if it is known, or otherwise a
+ * marker at the point where the feature was inspected.
+ *
+ * The features of a layer can also be emphasized, e.g. the layer at the
+ * cursor in the editor. This is separate from other highlights, and dims
+ * the rest of the map.
+ *
+ * The boundaries of a tile, and of the tiles around it, can be shown too,
+ * e.g. when a tile address is entered in the location bar.
+ */
+import L from 'leaflet';
+import { map } from './map';
+import { getTileBounds, getTileCount } from './locations';
+
+const HIGHLIGHT_STYLE = {
+  color: '#fc0',
+  weight: 3,
+  opacity: 0.9,
+  fillOpacity: 0.2,
+  radius: 8,
+  interactive: false,
+};
+
+const LAYER_HIGHLIGHT_STYLE = {
+  ...HIGHLIGHT_STYLE,
+  color: '#0cf',
+  weight: 2,
+  fillOpacity: 0.1,
+  radius: 6,
+};
+
+const DIM_STYLE = {
+  stroke: false,
+  fillColor: '#000',
+  fillOpacity: 0.35,
+  interactive: false,
+};
+
+const TILE_STYLE = {
+  ...HIGHLIGHT_STYLE,
+  fill: false,
+};
+
+const NEIGHBOR_TILE_STYLE = {
+  ...TILE_STYLE,
+  weight: 1,
+  opacity: 0.6,
+  dashArray: '4 4',
+};
+
+// Covers the world, and its copies either side
+const DIM_BOUNDS = [[-90, -540], [90, 540]];
+
+let highlightLayer = null;
+let layerHighlight = null;
+let tileHighlight = null;
+
+// Creates Leaflet layers for features
+function createFeatureLayers(features, style) {
+  return features.map((feature) => {
+    if (feature.geometry) {
+      return L.geoJSON(feature.geometry, {
+        style,
+        pointToLayer: (point, latlng) => L.circleMarker(latlng, style),
+      });
+    } else if (feature.latlng) {
+      return L.circleMarker(feature.latlng, style);
+    }
+    return null;
+  }).filter(Boolean);
+}
+
+/**
+ * Removes highlights from the map.
+ */
+export function clearMapHighlight() {
+  if (highlightLayer) {
+    map.removeLayer(highlightLayer);
+    highlightLayer = null;
+  }
+}
+
+/**
+ * Highlights features on the map, replacing any previous highlights.
+ *
+ * @param {Array} features - features, see `tile-features.js`
+ * @param {Boolean} pan - Optional. Whether to move the map to show the
+ *          features, if they are not already in view.
+ * @returns {Boolean} whether any of the features could be highlighted
+ */
+export function highlightFeaturesOnMap(features, pan = false) {
+  clearMapHighlight();
+
+  const layers = createFeatureLayers(features, HIGHLIGHT_STYLE);
+
+  if (layers.length === 0) return false;
+
+  highlightLayer = L.featureGroup(layers).addTo(map);
+
+  const bounds = highlightLayer.getBounds();
+  if (pan && !map.getBounds().contains(bounds)) {
+    map.fitBounds(bounds, { maxZoom: map.getZoom() });
+  }
+
+  return true;
+}
+
+/**
+ * Removes the highlight of a layer's features from the map.
+ */
+export function clearLayerHighlight() {
+  if (layerHighlight) {
+    map.removeLayer(layerHighlight);
+    layerHighlight = null;
+  }
+}
+
+/**
+ * Emphasizes the features of a layer on the map, by outlining them and
+ * dimming everything else. Replaces the previous layer highlight, but not
+ * other highlights.
+ *
+ * @param {Array} features - the layer's features, see `tile-features.js`
+ */
+export function highlightLayerOnMap(features) {
+  clearLayerHighlight();
+
+  const dim = L.rectangle(DIM_BOUNDS, DIM_STYLE);
+  layerHighlight = L.featureGroup([dim, ...createFeatureLayers(features, LAYER_HIGHLIGHT_STYLE)])
+    .addTo(map);
+
+  // Keep other highlights above the dimmed map
+  if (highlightLayer) {
+    highlightLayer.bringToFront();
+  }
+}
+
+/**
+ * Removes the boundaries of tiles from the map.
+ */
+export function clearTileHighlight() {
+  if (tileHighlight) {
+    map.removeLayer(tileHighlight);
+    tileHighlight = null;
+  }
+}
+
+/**
+ * Shows the boundaries of a tile on the map, labeled with its address, and
+ * of the tiles around it. Replaces the previous tile boundaries, but not
+ * other highlights.
+ *
+ * @param {Object} tile - `{ z, x, y }`
+ */
+export function highlightTileOnMap(tile) {
+  clearTileHighlight();
+
+  const layers = [];
+  const count = getTileCount(tile.z);
+  [-1, 0, 1].forEach((dx) => {
+    [-1, 0, 1].forEach((dy) => {
+      const x = tile.x + dx;
+      const y = tile.y + dy;
+      if ((dx === 0 && dy === 0) || x < 0 || y < 0 || x >= count || y >= count) return;
+
+      layers.push(L.rectangle(getTileBounds({ z: tile.z, x, y }), NEIGHBOR_TILE_STYLE));
+    });
+  });
+
+  const { z, x, y } = tile;
+  const outline = L.rectangle(getTileBounds(tile), TILE_STYLE)
+    .bindTooltip(`${z}/${x}/${y}`, { permanent: true, direction: 'center' });
+  layers.push(outline);
+
+  tileHighlight = L.featureGroup(layers).addTo(map);
+}
@@ -0,0 +1,90 @@
+/**
+ * Image diffs
+ *
+ * Compares two images of the same size pixel by pixel, e.g. screenshots of a
+ * scene before and after it was edited, and makes an image of the difference:
+ * changed pixels are drawn in a bright color, over a faded copy of the
+ * original so that it is easy to see where they are.
+ *
+ * Images are given as RGBA pixel data, like the `data` of an `ImageData`.
+ */
+
+// How much a color channel can differ, out of 255, before a pixel is counted
+// as changed. Rendering is not exactly the same every time, e.g. where
+// lines are antialiased, so tiny differences are ignored.
+export const PIXEL_TOLERANCE = 16;
+
+// Color of changed pixels in the diff image
+const CHANGED_COLOR = [255, 0, 102];
+
+// How much of the original shows through in the diff image, from 0 to 1
+const FADE = 0.25;
+
+/**
+ * Compares the pixels of two images.
+ *
+ * @param {Uint8ClampedArray} before - RGBA pixels of the first image
+ * @param {Uint8ClampedArray} after - RGBA pixels of the second image, which
+ *          must be the same size
+ * @param {Number} tolerance - Optional. See `PIXEL_TOLERANCE`.
+ * @returns {Object} an object of the signature
+ *          {
+ *            changed: // {Number} how many pixels changed
+ *            total:   // {Number} how many pixels there are
+ *            percent: // {Number} the percentage of pixels that changed
+ *            pixels:  // {Uint8ClampedArray} RGBA pixels of the diff image
+ *          }
+ */
+export function diffPixels(before, after, tolerance = PIXEL_TOLERANCE) {
+  if (before.length !== after.length) {
+    throw new Error('Images must be the same size to be compared.');
+  }
+
+  const pixels = new Uint8ClampedArray(before.length);
+  const total = before.length / 4;
+  let changed = 0;
+
+  for (let i = 0; i < before.length; i += 4) {
+    const delta = Math.max(
+      Math.abs(before[i] - after[i]),
+      Math.abs(before[i + 1] - after[i + 1]),
+      Math.abs(before[i + 2] - after[i + 2]),
+      Math.abs(before[i + 3] - after[i + 3])
+    );
+
+    if (delta > tolerance) {
+      changed += 1;
+      pixels[i] = CHANGED_COLOR[0];
+      pixels[i + 1] = CHANGED_COLOR[1];
+      pixels[i + 2] = CHANGED_COLOR[2];
+    } else {
+      // Faded grayscale of the original, blended with white
+      const gray = (0.299 * before[i]) + (0.587 * before[i + 1]) + (0.114 * before[i + 2]);
+      const faded = 255 - ((255 - gray) * FADE * (before[i + 3] / 255));
+      pixels[i] = faded;
+      pixels[i + 1] = faded;
+      pixels[i + 2] = faded;
+    }
+    pixels[i + 3] = 255;
+  }
+
+  return {
+    changed,
+    total,
+    percent: (total > 0) ? (changed / total) * 100 : 0,
+    pixels,
+  };
+}
+
+/**
+ * Whether an image has changed more than it is allowed to.
+ *
+ * @param {Number} percent - the percentage of pixels that changed, see
+ *          `diffPixels()`
+ * @param {Number|string} threshold - the percentage of pixels that may
+ *          change, e.g. as typed in an input
+ * @returns {Boolean}
+ */
+export function exceedsThreshold(percent, threshold) {
+  return percent > (parseFloat(threshold) || 0);
+}
@@ -11,6 +11,12 @@ import { editor } from '../editor/editor';
 import { getNodeAtKeyAddress } from '../editor/yaml-ast';
 import { highlightNode } from '../editor/highlight';
 import EventEmitter from '../components/event-emitter';
+import Icon from '../components/Icon';
+import { addFeature, getFilterContext } from './tile-features';
+
+// Redux
+import store from '../store';
+import { SET_APP_STATE, PIN_FEATURE } from '../store/actions';
 
 // Magic numbers
 // TODO: don't hardcode
@@ -39,8 +45,8 @@ function getMountNode() {
   return mountNode;
 }
 
-// This is shared between the hover and the popup
-class TangramInspectionHeader extends React.Component {
+// This is shared between the hover, the popup and pinned features
+export class TangramInspectionHeader extends React.Component {
   // eslint-disable-next-line class-methods-use-this
   determineKindValue(properties) {
     // Kind is usually present on properties in Mapzen vector tile service.
@@ -173,6 +179,8 @@ class TangramInspectionPopup extends React.Component {
     this.onMouseDownLayer = this.onMouseDownLayer.bind(this);
     this.onClickLayer = this.onClickLayer.bind(this);
     this.onClickClose = this.onClickClose.bind(this);
+    this.onClickPin = this.onClickPin.bind(this);
+    this.onClickTrace = this.onClickTrace.bind(this);
   }
 
   // eslint-disable-next-line class-methods-use-this
@@ -222,6 +230,44 @@ class TangramInspectionPopup extends React.Component {
     map.closePopup();
   }
 
+  // Explains how the feature is drawn (see `LayerTracePanel`), for the
+  // current zoom
+  onClickTrace() {
+    const feature = this.props.selection.feature;
+
+    store.dispatch({
+      type: SET_APP_STATE,
+      layerTrace: {
+        feature: {
+          properties: feature.properties,
+          source_name: feature.source_name,
+          source_layer: feature.source_layer,
+          layers: feature.layers,
+        },
+        context: getFilterContext(),
+      },
+    });
+  }
+
+  // Pins the feature to compare it with others (see `PinnedFeaturesPanel`),
+  // and closes the popup so another feature can be picked.
+  onClickPin(event) {
+    const { feature, leaflet_event: leafletEvent } = this.props.selection;
+
+    store.dispatch({
+      type: PIN_FEATURE,
+      feature: {
+        properties: feature.properties,
+        source_name: feature.source_name,
+        source_layer: feature.source_layer,
+        layers: feature.layers,
+        latlng: leafletEvent.latlng,
+      },
+    });
+
+    map.closePopup();
+  }
+
   // eslint-disable-next-line class-methods-use-this
   sortFeatureProperties(properties) {
     const sorted = [];
@@ -337,6 +383,16 @@ class TangramInspectionPopup extends React.Component {
             })}
           </div>
         </div>
+        <div
+          className="map-inspection-trace"
+          title="Why is this drawn like this?"
+          onClick={this.onClickTrace}
+        >
+          <Icon type="bt-question-circle" />
+        </div>
+        <div className="map-inspection-pin" title="Pin to compare" onClick={this.onClickPin}>
+          <Icon type="bt-push-pin" />
+        </div>
         <div className="map-inspection-close" onClick={this.onClickClose}>×</div>
       </div>
     );
@@ -346,6 +402,7 @@ class TangramInspectionPopup extends React.Component {
 TangramInspectionPopup.propTypes = {
   selection: PropTypes.shape({
     feature: PropTypes.object,
+    leaflet_event: PropTypes.object,
   }).isRequired,
 };
 
@@ -406,6 +463,9 @@ function showPopup(selection) {
 }
 
 export function handleInspectionHoverEvent(selection) {
+  // Inspected features are kept for the editor (see `tile-features.js`)
+  addFeature(selection.feature, selection.leaflet_event.latlng);
+
   // Do not show when global introspection is off, or if the
   // full popup is open already.
   if (globalIntrospectionState === false || isPopupOpen === true) {
@@ -416,6 +476,8 @@ export function handleInspectionHoverEvent(selection) {
 }
 
 export function handleInspectionClickEvent(selection) {
+  addFeature(selection.feature, selection.leaflet_event.latlng);
+
   // Only show popups when global introspection mode is on.
   if (globalIntrospectionState === false) {
     return;
@@ -0,0 +1,123 @@
+/**
+ * Locations typed in the location bar
+ *
+ * Besides the names of places, the location bar goes to coordinates and tile
+ * addresses typed or pasted in it, in any of the forms that Tangram Play
+ * writes them:
+ *
+ *    40.7128,-74.0060         lat,lng
+ *    40.7128,-74.0060,14      lat,lng,zoom
+ *    #14/40.7128/-74.0060     the URL hash (see `leaflet-hash.js`)
+ *    @14.0000&40.7128&-74.0060  from the file name of a screenshot (see
+ *                             `createFilenameSlug()` in `screenshot.js`)
+ *    14/4823/6160             a tile address, z/x/y
+ */
+
+// A number, e.g. "-74", "40.7128" or ".5"
+const NUMBER = '[-+]?(?:\\d+\\.?\\d*|\\.\\d+)';
+
+const LATLNG_PATTERN = new RegExp(`^(${NUMBER})\\s*[,\\s]\\s*(${NUMBER})(?:\\s*[,\\s]\\s*(${NUMBER}))?$`);
+const HASH_PATTERN = new RegExp(`^#?(${NUMBER})/(${NUMBER})/(${NUMBER})$`);
+const SLUG_PATTERN = new RegExp(`@(${NUMBER})&(${NUMBER})&(${NUMBER})`);
+const TILE_PATTERN = /^(\d+)\/(\d+)\/(\d+)$/;
+
+// Deepest zoom that tiles are addressed at
+const MAX_TILE_ZOOM = 30;
+
+function isValidLatLng(lat, lng) {
+  return lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+/**
+ * Returns the number of tiles across the world at a zoom.
+ *
+ * @param {Number} z - the zoom
+ * @returns {Number}
+ */
+export function getTileCount(z) {
+  // The exponentiation operator (**) is not transpiled in our pipeline, see
+  // `getMapChangeDelta()` in `MapPanelLocationBar.jsx`
+  // eslint-disable-next-line no-restricted-properties
+  return Math.pow(2, z);
+}
+
+function isValidTile(z, x, y) {
+  return z <= MAX_TILE_ZOOM && x < getTileCount(z) && y < getTileCount(z);
+}
+
+/**
+ * Returns the bounds of a tile, in the Web Mercator tiling scheme that
+ * Tangram uses.
+ *
+ * @param {Object} tile - `{ z, x, y }`
+ * @returns {Array} `[[south, west], [north, east]]`, like Leaflet bounds
+ */
+export function getTileBounds({ z, x, y }) {
+  const size = getTileCount(z);
+  const toLng = column => ((column / size) * 360) - 180;
+  const toLat = (row) => {
+    const n = Math.PI - ((2 * Math.PI * row) / size);
+    return (180 / Math.PI) * Math.atan(Math.sinh(n));
+  };
+
+  return [[toLat(y + 1), toLng(x)], [toLat(y), toLng(x + 1)]];
+}
+
+/**
+ * Reads a location from what the user typed in the location bar, if it is
+ * coordinates or a tile address.
+ *
+ * @param {string} text
+ * @returns {Object|null} `{ lat, lng, zoom }`, where `zoom` may be undefined,
+ *          and with a `tile` of the signature `{ z, x, y }` if the location is
+ *          a tile address; or null if the text is not a location
+ */
+export function parseLocation(text) {
+  const value = text.trim();
+  let match;
+
+  // Tile addresses are whole numbers, inside the range of their zoom. Other
+  // triples of numbers divided by slashes are URL hashes.
+  match = value.match(TILE_PATTERN);
+  if (match) {
+    const [z, x, y] = match.slice(1).map(Number);
+    if (isValidTile(z, x, y)) {
+      const [[south, west], [north, east]] = getTileBounds({ z, x, y });
+      return {
+        lat: (south + north) / 2,
+        lng: (west + east) / 2,
+        zoom: z,
+        tile: { z, x, y },
+      };
+    }
+  }
+
+  match = value.match(HASH_PATTERN) || value.match(SLUG_PATTERN);
+  if (match) {
+    const [zoom, lat, lng] = match.slice(1).map(Number);
+    return isValidLatLng(lat, lng) ? { lat, lng, zoom } : null;
+  }
+
+  match = value.match(LATLNG_PATTERN);
+  if (match) {
+    const [lat, lng] = match.slice(1, 3).map(Number);
+    const zoom = (match[3] !== undefined) ? Number(match[3]) : undefined;
+    return isValidLatLng(lat, lng) ? { lat, lng, zoom } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Describes a location for the location bar.
+ *
+ * @param {Object} location - see `parseLocation()`
+ * @returns {string} e.g. "Tile 14/4823/6160" or "40.7128, -74.0060"
+ */
+export function getLocationLabel(location) {
+  if (location.tile) {
+    const { z, x, y } = location.tile;
+    return `Tile ${z}/${x}/${y}`;
+  }
+  return `${location.lat.toFixed(4)}, ${location.lng.toFixed(4)}`;
+}
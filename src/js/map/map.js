@@ -1,4 +1,4 @@
-import { throttle } from 'lodash';
+import { throttle, isEqual } from 'lodash';
 import localforage from 'localforage';
 import L from 'leaflet';
 // eslint-disable-next-line import/no-extraneous-dependencies, import/no-unresolved, import/extensions
@@ -9,7 +9,12 @@ import EventEmitter from '../components/event-emitter';
 
 import { hideSceneLoadingIndicator } from './actions';
 import { handleInspectionHoverEvent, handleInspectionClickEvent } from './inspection';
+import { collectFeatures, clearFeatures } from './tile-features';
+import { initCursorLayerHighlight } from './cursor-layer';
+import { getSceneBookmarks } from './bookmarks';
+import { releasePreviousVirtualFiles } from '../file/virtual-files';
 import { injectAPIKey } from '../editor/api-keys';
+import { injectCredentials, getCredentials } from '../editor/credentials';
 import { showApiKeyWarningIfNecessary, removeApiKeyWarning } from '../editor/io';
 import { showGlobey } from '../store/actions/app';
 
@@ -61,6 +66,10 @@ function initTangram(pathToSceneFile, sceneBasePath) {
       // the object to be passed back, and will render with the mutated object.
       // eslint-disable-next-line no-param-reassign
       const didInjectKey = injectAPIKey(event.config, config.MAPZEN_API_KEY);
+      injectCredentials(event.config, getCredentials());
+
+      // Earlier versions of the scene will not be loaded from anymore
+      releasePreviousVirtualFiles();
 
       // Record in state whether a key was injected. This can be used to prompt
       // users to sign up for a key.
@@ -81,6 +90,15 @@ function initTangram(pathToSceneFile, sceneBasePath) {
         removeApiKeyWarning();
       }
 
+      // Bookmarks kept in the scene are listed with the user's own
+      const sceneBookmarks = getSceneBookmarks(event.config);
+      if (!isEqual(sceneBookmarks, store.getState().app.sceneBookmarks)) {
+        store.dispatch({
+          type: SET_APP_STATE,
+          sceneBookmarks,
+        });
+      }
+
       // Easter egg check
       if (event.config.globey && event.config.globey === true && store.getState().app.globey === false) {
         store.dispatch(showGlobey(true));
@@ -98,6 +116,9 @@ function initTangram(pathToSceneFile, sceneBasePath) {
       window.setTimeout(() => {
         hideSceneLoadingIndicator();
       }, 250);
+
+      // Features in tiles are used by the editor, e.g. to suggest layer names
+      collectFeatures(tangramLayer.scene);
     },
     /* eslint-enable camelcase */
   });
@@ -188,6 +209,12 @@ function setupEventListeners() {
   map.on('moveend', throttle((e) => {
     EventEmitter.dispatch('leaflet:moveend', {});
   }), 1000);
+
+  // Features found in tiles of a previous scene may not be in this one
+  EventEmitter.subscribe('tangram:sceneload', clearFeatures);
+
+  // Features of the layer at the cursor in the editor can be shown
+  initCursorLayerHighlight();
 }
 
 // Initializes Leaflet-based map
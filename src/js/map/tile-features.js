@@ -0,0 +1,138 @@
+/**
+ * Tile features
+ *
+ * Keeps the features in tiles that the map has actually loaded, which the
+ * editor uses for things that are not in the scene file. Vector tile sources
+ * group their features in layers, e.g. `roads` or `water`, which the layers
+ * of a scene select with `data: { layer: ... }`; names of these are
+ * suggested in the editor. Features are also matched against layer filters
+ * (see `editor/filters.js`), and listed in the feature table (see
+ * `FeatureTablePanel`).
+ */
+import EventEmitter from '../components/event-emitter';
+import { map } from './map';
+
+// Names of layers, by the name of the source they are in
+let sourceLayers = {};
+
+// Features, each an object of the signature
+// `{ properties, source_name, source_layer, geometry, latlng }`. Features
+// that are inspected have no geometry, but the point where they were
+// inspected, as `latlng`.
+let features = [];
+
+// Keys of features that have been added, so each is only kept once
+let featureKeys = {};
+
+// Features that are inspected are kept, up to this many
+const MAX_INSPECTED_FEATURES = 5000;
+
+function addSourceLayer(sourceName, layerName) {
+  if (!sourceName || !layerName) return;
+
+  const layers = sourceLayers[sourceName] || [];
+  if (layers.indexOf(layerName) === -1) {
+    sourceLayers[sourceName] = [...layers, layerName].sort();
+  }
+}
+
+/**
+ * Records a feature that is inspected on the map (see `map/inspection.js`).
+ *
+ * @param {Object} feature - the feature, from Tangram
+ * @param {Object} latlng - Optional. The point where it was inspected.
+ */
+export function addFeature(feature, latlng) {
+  if (!feature) return;
+
+  addSourceLayer(feature.source_name, feature.source_layer);
+
+  // The same feature is a different object each time it is inspected
+  const key = JSON.stringify([feature.source_name, feature.source_layer, feature.properties]);
+  if (featureKeys[key] || features.length >= MAX_INSPECTED_FEATURES) return;
+
+  featureKeys[key] = true;
+  features.push({ ...feature, latlng });
+}
+
+/**
+ * Returns the names of layers found in a data source so far.
+ *
+ * @param {string} sourceName - name of the source in the scene. If not
+ *          provided, names of layers in every source are returned.
+ * @returns {Array} layer names, sorted
+ */
+export function getSourceLayers(sourceName) {
+  if (sourceName) {
+    return sourceLayers[sourceName] || [];
+  }
+
+  const all = Object.keys(sourceLayers)
+    .reduce((names, name) => names.concat(sourceLayers[name]), []);
+  return all.filter((name, index) => all.indexOf(name) === index).sort();
+}
+
+/**
+ * Returns the features found so far.
+ *
+ * @param {string} sourceName - Optional. Only return features in this
+ *          data source of the scene.
+ * @returns {Array} features
+ */
+export function getFeatures(sourceName) {
+  if (sourceName) {
+    return features.filter(feature => feature.source_name === sourceName);
+  }
+  return features;
+}
+
+/**
+ * Returns the values of filter keywords that are the same for every feature
+ * in the map's current view, to match features against filters (see
+ * `editor/filters.js`).
+ *
+ * @returns {Object} an object of the signature `{ $zoom }`
+ */
+export function getFilterContext() {
+  return {
+    $zoom: map.getZoom(),
+  };
+}
+
+/**
+ * Forgets all features and layer names, e.g. when a different scene is
+ * opened.
+ */
+export function clearFeatures() {
+  sourceLayers = {};
+  features = [];
+  featureKeys = {};
+}
+
+/**
+ * Collects the features in tiles that the map has loaded, replacing the
+ * features collected before. Tangram can only be asked for these features
+ * from v0.15; with older versions, features are collected only as they are
+ * inspected (see `map/inspection.js`).
+ *
+ * @param {Tangram.Scene} scene - the scene in the map
+ * @returns {Promise} resolved when done
+ */
+export function collectFeatures(scene) {
+  if (!scene || typeof scene.queryFeatures !== 'function') {
+    return Promise.resolve();
+  }
+
+  return scene.queryFeatures({ geometry: true })
+    .then((result) => {
+      features = result;
+      featureKeys = {};
+      features.forEach((feature) => {
+        addSourceLayer(feature.source_name, feature.source_layer);
+      });
+      EventEmitter.dispatch('tangram:featuresupdate', {});
+    })
+    // Features are only used as suggestions and examples, so missing some
+    // is not an error
+    .catch(() => {});
+}
@@ -0,0 +1,376 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { saveAs } from 'file-saver';
+import Button from 'react-bootstrap/lib/Button';
+import Modal from './Modal';
+import Icon from '../components/Icon';
+import IconButton from '../components/IconButton';
+import { showErrorModal } from './ErrorModal';
+
+import EventEmitter from '../components/event-emitter';
+import { getFileContents, setFileContents } from '../editor/editor';
+import { suppressCredentials, getCredentials } from '../editor/credentials';
+import {
+  getLocationBookmarks,
+  updateLocationBookmark,
+  deleteLocationBookmark,
+  importLocationBookmarks,
+  parseBookmarks,
+  bookmarksToGeoJSON,
+  bookmarksToJSON,
+  getBookmarkFolders,
+  getSceneBookmarksChange,
+} from '../map/bookmarks';
+
+// Value of the folder filter that shows every bookmark
+const ALL_FOLDERS = '';
+
+// Reads a file that the user picked, as text
+function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.addEventListener('load', () => resolve(reader.result));
+    reader.addEventListener('error', () => reject(reader.error));
+    reader.readAsText(file);
+  });
+}
+
+class BookmarksModal extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      bookmarks: [],
+      folder: ALL_FOLDERS,
+      message: null,
+    };
+
+    this.onClickClose = this.onClickClose.bind(this);
+    this.onChangeFolder = this.onChangeFolder.bind(this);
+    this.onClickImport = this.onClickImport.bind(this);
+    this.onChangeImportFile = this.onChangeImportFile.bind(this);
+    this.onClickExportGeoJSON = this.onClickExportGeoJSON.bind(this);
+    this.onClickExportJSON = this.onClickExportJSON.bind(this);
+    this.onClickSaveToScene = this.onClickSaveToScene.bind(this);
+    this.onClickCopySceneBookmarks = this.onClickCopySceneBookmarks.bind(this);
+    this.updateBookmarks = this.updateBookmarks.bind(this);
+    this.unmountSelf = this.unmountSelf.bind(this);
+  }
+
+  componentDidMount() {
+    getLocationBookmarks().then(this.updateBookmarks);
+  }
+
+  onClickClose() {
+    this.unmountSelf();
+  }
+
+  onChangeFolder(event) {
+    this.setState({ folder: event.target.value, message: null });
+  }
+
+  // Edits are shown as they are typed, and saved when the input loses focus
+  onChangeBookmark(uid, property, value) {
+    const bookmarks = this.state.bookmarks.map(bookmark =>
+      ((bookmark.timestamp === uid) ? { ...bookmark, [property]: value } : bookmark));
+    this.setState({ bookmarks });
+  }
+
+  onBlurBookmark(uid, property, value) {
+    const trimmed = value.trim();
+
+    // Bookmarks must have a label
+    if (property === 'label' && !trimmed) {
+      getLocationBookmarks().then(this.updateBookmarks);
+      return;
+    }
+
+    this.saveBookmarks(updateLocationBookmark(uid, { [property]: trimmed }));
+  }
+
+  onClickRemove(uid) {
+    this.saveBookmarks(deleteLocationBookmark(uid));
+  }
+
+  onClickImport() {
+    this.fileInput.click();
+  }
+
+  onChangeImportFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    // Picking the same file again should import it again
+    this.fileInput.value = '';
+
+    readFileAsText(file)
+      .then(parseBookmarks)
+      .then((bookmarks) => {
+        if (bookmarks.length === 0) {
+          throw new Error('It does not have any locations.');
+        }
+
+        // Imported bookmarks go in the folder that is shown
+        const folder = this.state.folder;
+        const imported = folder ? bookmarks.map(bookmark => ({ ...bookmark, folder })) : bookmarks;
+        return this.saveBookmarks(importLocationBookmarks(imported),
+          `Imported ${imported.length} bookmarks from ${file.name}.`);
+      })
+      .catch((error) => {
+        showErrorModal(`Unable to import bookmarks from ${file.name}. ${error.message}`);
+      });
+  }
+
+  onClickExportGeoJSON() {
+    this.exportBookmarks(bookmarksToGeoJSON, 'application/geo+json', 'geojson');
+  }
+
+  onClickExportJSON() {
+    this.exportBookmarks(bookmarksToJSON, 'application/json', 'json');
+  }
+
+  /**
+   * Keeps the bookmarks that are shown in the scene file, replacing any that
+   * are already in it. The scene file is changed like any other edit, so
+   * the scene must be saved to share them.
+   */
+  onClickSaveToScene() {
+    const index = this.props.rootFileIndex;
+    const bookmarks = this.getShownBookmarks();
+    const contents = getFileContents(index);
+    const change = getSceneBookmarksChange(contents, bookmarks);
+
+    const updated = contents.slice(0, change.from) + change.text + contents.slice(change.to);
+    setFileContents(index, updated);
+
+    this.setState({
+      message: `Kept ${bookmarks.length} bookmarks in the scene. Save the scene to share them.`,
+    });
+  }
+
+  onClickCopySceneBookmarks() {
+    const bookmarks = this.props.sceneBookmarks;
+    this.saveBookmarks(importLocationBookmarks(bookmarks),
+      `Added ${bookmarks.length} bookmarks from the scene to yours.`);
+  }
+
+  // Returns the bookmarks in the folder that is shown
+  getShownBookmarks() {
+    const folder = this.state.folder;
+    return this.state.bookmarks.filter(bookmark => !folder || bookmark.folder === folder);
+  }
+
+  // Other components, like the bookmarks list, are told about changes. The
+  // message, if any, is shown once the bookmarks are saved.
+  saveBookmarks(promise, message = null) {
+    return promise
+      .then((bookmarks) => {
+        this.updateBookmarks(bookmarks);
+        if (message) {
+          this.setState({ message });
+        }
+        EventEmitter.dispatch('bookmarks:updated', bookmarks);
+      })
+      .catch((error) => {
+        showErrorModal(`Unable to save your bookmarks. ${error.message}`);
+      });
+  }
+
+  // Managed keys and tokens are left out, e.g. from URLs in labels
+  exportBookmarks(format, type, extension) {
+    const folder = this.state.folder;
+    const text = suppressCredentials(format(this.getShownBookmarks()), getCredentials());
+    const blob = new Blob([text], { type });
+    saveAs(blob, `${folder || 'bookmarks'}.${extension}`);
+  }
+
+  updateBookmarks(bookmarks) {
+    const folders = getBookmarkFolders(bookmarks);
+
+    // The folder that is shown may have been emptied
+    this.setState({
+      bookmarks,
+      folder: (folders.indexOf(this.state.folder) > -1) ? this.state.folder : ALL_FOLDERS,
+    });
+  }
+
+  unmountSelf() {
+    this.props.dispatch({
+      type: 'HIDE_MODAL',
+      id: this.props.modalId,
+    });
+  }
+
+  renderBookmark(bookmark) {
+    const uid = bookmark.timestamp;
+    const onChange = property => (event) => {
+      this.onChangeBookmark(uid, property, event.target.value);
+    };
+    const onBlur = property => (event) => {
+      this.onBlurBookmark(uid, property, event.target.value);
+    };
+
+    return (
+      <tr key={uid}>
+        <td>
+          <input type="text" value={bookmark.label} onChange={onChange('label')} onBlur={onBlur('label')} />
+        </td>
+        <td>
+          <input
+            type="text"
+            list="bookmarks-folders"
+            placeholder="No folder"
+            value={bookmark.folder || ''}
+            onChange={onChange('folder')}
+            onBlur={onBlur('folder')}
+          />
+        </td>
+        <td className="bookmarks-location">
+          {bookmark.lat.toFixed(4)}, {bookmark.lng.toFixed(4)}, z{bookmark.zoom.toFixed(1)}
+        </td>
+        <td>
+          <IconButton
+            icon="bt-times"
+            tooltip="Remove"
+            onClick={() => { this.onClickRemove(uid); }}
+          />
+        </td>
+      </tr>
+    );
+  }
+
+  render() {
+    const folders = getBookmarkFolders(this.state.bookmarks);
+    const shown = this.getShownBookmarks();
+    const sceneBookmarks = this.props.sceneBookmarks;
+    const canSaveToScene = this.props.rootFileIndex !== null && !this.props.readOnly;
+
+    return (
+      <Modal
+        className="modal-alt bookmarks-modal"
+        cancelFunction={this.onClickClose}
+        confirmFunction={this.onClickClose}
+      >
+        <div className="modal-text">
+          <h4>Location bookmarks</h4>
+          <p>
+            Your bookmarks are kept in this browser. Organize them in folders,
+            export them to share with others, or keep them in the scene so
+            everyone who opens it has the same locations.
+          </p>
+          {(() => {
+            if (sceneBookmarks.length === 0) return null;
+            return (
+              <p>This scene has {sceneBookmarks.length} bookmarks, listed with yours.</p>
+            );
+          })()}
+        </div>
+
+        <hr />
+
+        <div className="modal-content">
+          <div className="bookmarks-folder">
+            <label htmlFor="bookmarks-folder-select">Show</label>
+            <select
+              id="bookmarks-folder-select"
+              value={this.state.folder}
+              onChange={this.onChangeFolder}
+            >
+              <option value={ALL_FOLDERS}>All bookmarks</option>
+              {folders.map(folder => <option key={folder} value={folder}>{folder}</option>)}
+            </select>
+          </div>
+
+          <table className="bookmarks-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Folder</th>
+                <th>Location</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map(bookmark => this.renderBookmark(bookmark))}
+            </tbody>
+          </table>
+          <datalist id="bookmarks-folders">
+            {folders.map(folder => <option key={folder} value={folder} />)}
+          </datalist>
+
+          {(() => {
+            if (shown.length > 0) return null;
+            return <p className="bookmarks-none">No locations bookmarked!</p>;
+          })()}
+
+          <input
+            type="file"
+            accept=".geojson,.json,application/geo+json,application/json"
+            style={{ display: 'none' }}
+            ref={(ref) => { this.fileInput = ref; }}
+            onChange={this.onChangeImportFile}
+          />
+          <div className="bookmarks-actions">
+            <Button onClick={this.onClickImport}>
+              <Icon type="bt-upload" /> Import…
+            </Button>
+            <Button onClick={this.onClickExportGeoJSON} disabled={shown.length === 0}>
+              <Icon type="bt-download" /> Export GeoJSON
+            </Button>
+            <Button onClick={this.onClickExportJSON} disabled={shown.length === 0}>
+              <Icon type="bt-download" /> Export JSON
+            </Button>
+            <Button onClick={this.onClickSaveToScene} disabled={!canSaveToScene}>
+              <Icon type="bt-file" /> Keep in scene
+            </Button>
+            {(() => {
+              if (sceneBookmarks.length === 0) return null;
+              return (
+                <Button onClick={this.onClickCopySceneBookmarks}>
+                  <Icon type="bt-plus" /> Add the scene’s bookmarks to yours
+                </Button>
+              );
+            })()}
+          </div>
+          {(() => {
+            if (!this.state.message) return null;
+            return <p className="bookmarks-message">{this.state.message}</p>;
+          })()}
+        </div>
+
+        <div className="modal-buttons">
+          <Button className="button-confirm" onClick={this.onClickClose}>
+            <Icon type="bt-check" /> Done
+          </Button>
+        </div>
+      </Modal>
+    );
+  }
+}
+
+BookmarksModal.propTypes = {
+  dispatch: PropTypes.func.isRequired,
+  modalId: PropTypes.number.isRequired,
+  sceneBookmarks: PropTypes.arrayOf(PropTypes.object).isRequired,
+  rootFileIndex: PropTypes.number,
+  readOnly: PropTypes.bool,
+};
+
+BookmarksModal.defaultProps = {
+  rootFileIndex: null,
+  readOnly: false,
+};
+
+function mapStateToProps(state) {
+  const { files, rootFileIndex } = state.scene;
+  const rootFile = (rootFileIndex !== null) ? files[rootFileIndex] : null;
+
+  return {
+    sceneBookmarks: state.app.sceneBookmarks,
+    rootFileIndex: rootFile ? rootFileIndex : null,
+    readOnly: Boolean(rootFile && rootFile.readOnly),
+  };
+}
+
+export default connect(mapStateToProps)(BookmarksModal);
@@ -0,0 +1,439 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { uniqBy } from 'lodash';
+import Button from 'react-bootstrap/lib/Button';
+import Modal from './Modal';
+import Icon from '../components/Icon';
+import LoadingSpinner from './LoadingSpinner';
+import { showErrorModal } from './ErrorModal';
+
+import { getLocationBookmarks, getBookmarkFolders } from '../map/bookmarks';
+import {
+  getViewKey,
+  getBaselineCaptureSet,
+  saveBaselineCaptureSet,
+  updateBaselineViews,
+  captureViews,
+  compareCapture,
+} from '../map/captures';
+import { exceedsThreshold } from '../map/image-diff';
+
+// Values of the views select, besides folders of bookmarks
+const ALL_BOOKMARKS = '';
+const SCENE_BOOKMARKS = ':scene';
+
+// Saves changes to views in the baseline, see `updateBaselineViews()`
+function saveBaselineChanges(changes) {
+  updateBaselineViews(changes)
+    .catch((error) => {
+      showErrorModal(`Unable to save the baseline. ${error.message}`);
+    });
+}
+
+// Whether a view changed more than its threshold allows
+function isViewChanged(result) {
+  return result.sizeChanged || exceedsThreshold(result.percent, result.threshold);
+}
+
+class CaptureSetModal extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      bookmarks: [],
+      source: ALL_BOOKMARKS,
+      baseline: null,
+      results: null, // Comparisons with the baseline, see `compareCapture()`
+      progress: null, // `{ done, total }` while capturing
+      showChangedOnly: false,
+    };
+
+    // Object URLs of screenshots that are displayed, by Blob
+    this.urls = new Map();
+
+    this.onClickClose = this.onClickClose.bind(this);
+    this.onChangeSource = this.onChangeSource.bind(this);
+    this.onChangeShowChangedOnly = this.onChangeShowChangedOnly.bind(this);
+    this.onClickCaptureBaseline = this.onClickCaptureBaseline.bind(this);
+    this.onClickCompare = this.onClickCompare.bind(this);
+    this.onClickAcceptAll = this.onClickAcceptAll.bind(this);
+    this.unmountSelf = this.unmountSelf.bind(this);
+  }
+
+  componentDidMount() {
+    getLocationBookmarks().then((bookmarks) => {
+      this.setState({ bookmarks });
+    });
+    getBaselineCaptureSet().then((baseline) => {
+      this.setState({ baseline });
+    });
+  }
+
+  componentWillUnmount() {
+    this.urls.forEach(url => window.URL.revokeObjectURL(url));
+  }
+
+  onClickClose() {
+    this.unmountSelf();
+  }
+
+  onChangeSource(event) {
+    this.setState({ source: event.target.value });
+  }
+
+  onChangeShowChangedOnly(event) {
+    this.setState({ showChangedOnly: event.target.checked });
+  }
+
+  /**
+   * Captures the views that are selected, and keeps them as the baseline.
+   * Thresholds of views that were already in the baseline are kept. Views
+   * at the same location are only captured once.
+   */
+  onClickCaptureBaseline() {
+    const previous = this.state.baseline ? this.state.baseline.views : [];
+    const views = uniqBy(this.getSelectedViews(), getViewKey).map((view) => {
+      const existing = previous.find(item => item.key === getViewKey(view));
+      return existing ? { ...view, threshold: existing.threshold } : view;
+    });
+
+    this.capture(views)
+      .then(saveBaselineCaptureSet)
+      .then((baseline) => {
+        this.setState({ baseline, results: null, progress: null });
+      })
+      .catch((error) => {
+        this.setState({ progress: null });
+        showErrorModal(`Unable to capture the views. ${error.message}`);
+      });
+  }
+
+  /**
+   * Captures the views of the baseline again, and compares each with the
+   * baseline. Views are compared one at a time, since each comparison reads
+   * every pixel of two screenshots.
+   */
+  onClickCompare() {
+    const baseline = this.state.baseline.views;
+
+    this.capture(baseline)
+      .then((captures) => {
+        const results = [];
+        return captures.reduce((promise, capture, index) => promise
+          .then(() => compareCapture(baseline[index], capture))
+          .then((result) => { results.push(result); }), Promise.resolve())
+          .then(() => results);
+      })
+      .then((results) => {
+        this.setState({ results, progress: null });
+      })
+      .catch((error) => {
+        this.setState({ progress: null });
+        showErrorModal(`Unable to compare the views. ${error.message}`);
+      });
+  }
+
+  onChangeThreshold(key, value) {
+    this.updateViews({ [key]: { threshold: value } });
+  }
+
+  // Thresholds are saved once they are typed
+  onBlurThreshold(key, value) {
+    const threshold = Math.max(0, parseFloat(value) || 0);
+    const changes = { [key]: { threshold } };
+
+    this.updateViews(changes);
+    saveBaselineChanges(changes);
+  }
+
+  // Keeps the new capture of a view as its baseline
+  onClickAccept(key) {
+    const result = this.state.results.find(item => item.key === key);
+    this.acceptResults([result]);
+  }
+
+  onClickAcceptAll() {
+    const changed = this.state.results.filter(isViewChanged);
+    this.acceptResults(changed);
+  }
+
+  // Returns the views to capture for the baseline, from the bookmarks that
+  // are selected
+  getSelectedViews() {
+    const source = this.state.source;
+    if (source === SCENE_BOOKMARKS) {
+      return this.props.sceneBookmarks;
+    }
+    return this.state.bookmarks.filter(bookmark => !source || bookmark.folder === source);
+  }
+
+  getUrl(blob) {
+    if (!this.urls.has(blob)) {
+      this.urls.set(blob, window.URL.createObjectURL(blob));
+    }
+    return this.urls.get(blob);
+  }
+
+  capture(views) {
+    this.setState({ progress: { done: 0, total: views.length } });
+    return captureViews(views, (done) => {
+      this.setState({ progress: { done, total: views.length } });
+    });
+  }
+
+  acceptResults(results) {
+    const changes = {};
+    results.forEach((result) => {
+      changes[result.key] = { blob: result.after };
+    });
+
+    const baseline = this.state.baseline;
+    saveBaselineChanges(changes);
+    this.setState({
+      baseline: {
+        ...baseline,
+        views: baseline.views.map(view =>
+          (changes[view.key] ? { ...view, ...changes[view.key] } : view)),
+      },
+      results: this.state.results.map((result) => {
+        if (!changes[result.key]) return result;
+        return { ...result, before: result.after, diff: null, percent: 0, sizeChanged: false };
+      }),
+    });
+  }
+
+  // Changes views in the baseline and in the results that are displayed
+  updateViews(changes) {
+    const update = item => (changes[item.key] ? { ...item, ...changes[item.key] } : item);
+    const baseline = this.state.baseline;
+
+    this.setState({
+      baseline: baseline && { ...baseline, views: baseline.views.map(update) },
+      results: this.state.results && this.state.results.map(update),
+    });
+  }
+
+  unmountSelf() {
+    this.props.dispatch({
+      type: 'HIDE_MODAL',
+      id: this.props.modalId,
+    });
+  }
+
+  renderThreshold(view) {
+    return (
+      <label className="capture-set-threshold" htmlFor={`capture-set-threshold-${view.key}`}>
+        Threshold
+        <input
+          id={`capture-set-threshold-${view.key}`}
+          type="number"
+          min="0"
+          max="100"
+          step="0.1"
+          value={view.threshold}
+          disabled={this.state.progress !== null}
+          onChange={(event) => { this.onChangeThreshold(view.key, event.target.value); }}
+          onBlur={(event) => { this.onBlurThreshold(view.key, event.target.value); }}
+        />
+        %
+      </label>
+    );
+  }
+
+  renderImage(blob, caption) {
+    return (
+      <figure>
+        <a href={this.getUrl(blob)} target="_blank" rel="noopener noreferrer">
+          <img src={this.getUrl(blob)} alt={caption} />
+        </a>
+        <figcaption>{caption}</figcaption>
+      </figure>
+    );
+  }
+
+  renderResult(result) {
+    const changed = isViewChanged(result);
+    let status = `${result.percent.toFixed(2)}% of pixels changed`;
+    if (result.sizeChanged) {
+      status = 'The map was a different size';
+    } else if (result.percent === 0) {
+      status = 'Unchanged';
+    }
+
+    return (
+      <div
+        key={result.key}
+        className={changed ? 'capture-set-item capture-set-item-changed' : 'capture-set-item'}
+      >
+        <div className="capture-set-item-header">
+          <div className="capture-set-item-label">
+            <Icon type={changed ? 'bt-flag' : 'bt-check'} /> {result.label}
+            <span className="capture-set-item-status">{status}</span>
+          </div>
+          {this.renderThreshold(result)}
+          {(() => {
+            if (!changed) return null;
+            return (
+              <Button onClick={() => { this.onClickAccept(result.key); }}>
+                <Icon type="bt-check" /> Accept
+              </Button>
+            );
+          })()}
+        </div>
+        <div className="capture-set-item-images">
+          {this.renderImage(result.before, 'Baseline')}
+          {this.renderImage(result.after, 'Now')}
+          {result.diff ? this.renderImage(result.diff, 'Difference') : null}
+        </div>
+      </div>
+    );
+  }
+
+  renderBaselineView(view) {
+    return (
+      <div key={view.key} className="capture-set-item">
+        <div className="capture-set-item-header">
+          <div className="capture-set-item-label">
+            <Icon type="bt-map-marker" /> {view.label}
+          </div>
+          {this.renderThreshold(view)}
+        </div>
+        <div className="capture-set-item-images">
+          {this.renderImage(view.blob, 'Baseline')}
+        </div>
+      </div>
+    );
+  }
+
+  renderGallery() {
+    const { baseline, results, showChangedOnly } = this.state;
+
+    if (results) {
+      const changed = results.filter(isViewChanged);
+      const shown = showChangedOnly ? changed : results;
+
+      return (
+        <div>
+          <div className="capture-set-summary">
+            <span>{changed.length} of {results.length} views changed.</span>
+            <label htmlFor="capture-set-changed-only">
+              <input
+                id="capture-set-changed-only"
+                type="checkbox"
+                checked={showChangedOnly}
+                onChange={this.onChangeShowChangedOnly}
+              />
+              Only show changed views
+            </label>
+            <Button onClick={this.onClickAcceptAll} disabled={changed.length === 0}>
+              <Icon type="bt-check" /> Accept all
+            </Button>
+          </div>
+          <div className="capture-set-gallery">
+            {shown.map(result => this.renderResult(result))}
+          </div>
+        </div>
+      );
+    }
+
+    if (baseline) {
+      return (
+        <div className="capture-set-gallery">
+          {baseline.views.map(view => this.renderBaselineView(view))}
+        </div>
+      );
+    }
+
+    return null;
+  }
+
+  render() {
+    const { bookmarks, baseline, progress } = this.state;
+    const sceneBookmarks = this.props.sceneBookmarks;
+    const folders = getBookmarkFolders(bookmarks);
+    const capturing = progress !== null;
+
+    return (
+      <Modal
+        className="modal-alt capture-set-modal"
+        disableEsc={capturing}
+        cancelFunction={this.onClickClose}
+        confirmFunction={this.onClickClose}
+      >
+        <div className="modal-text">
+          <h4>Capture set</h4>
+          <p>
+            Takes a screenshot of the scene at each of your bookmarked views.
+            Capture a baseline, edit the scene, then compare to see what
+            changed at every view. The map should stay the same size.
+          </p>
+          <p>
+            {baseline
+              ? `The baseline has ${baseline.views.length} views, captured ${new Date(baseline.timestamp).toLocaleString()}.`
+              : 'There is no baseline yet.'}
+          </p>
+        </div>
+
+        <hr />
+
+        <div className="modal-content">
+          <div className="capture-set-controls">
+            <select value={this.state.source} onChange={this.onChangeSource} disabled={capturing}>
+              <option value={ALL_BOOKMARKS}>All bookmarks ({bookmarks.length})</option>
+              {folders.map(folder => <option key={folder} value={folder}>{folder}</option>)}
+              {(() => {
+                if (sceneBookmarks.length === 0) return null;
+                return (
+                  <option value={SCENE_BOOKMARKS}>
+                    This scene’s bookmarks ({sceneBookmarks.length})
+                  </option>
+                );
+              })()}
+            </select>
+            <Button
+              onClick={this.onClickCaptureBaseline}
+              disabled={capturing || this.getSelectedViews().length === 0}
+            >
+              <Icon type="bt-camera" /> Capture baseline
+            </Button>
+            <Button onClick={this.onClickCompare} disabled={capturing || !baseline}>
+              <Icon type="bt-th" /> Compare with baseline
+            </Button>
+            {(() => {
+              if (!capturing) return null;
+              return (
+                <span className="capture-set-progress">
+                  Capturing view {Math.min(progress.done + 1, progress.total)} of {progress.total}…
+                </span>
+              );
+            })()}
+          </div>
+
+          {capturing ? null : this.renderGallery()}
+        </div>
+
+        <div className="modal-buttons">
+          <LoadingSpinner on={capturing} />
+          <Button className="button-confirm" disabled={capturing} onClick={this.onClickClose}>
+            <Icon type="bt-check" /> Done
+          </Button>
+        </div>
+      </Modal>
+    );
+  }
+}
+
+CaptureSetModal.propTypes = {
+  dispatch: PropTypes.func.isRequired,
+  modalId: PropTypes.number.isRequired,
+  sceneBookmarks: PropTypes.arrayOf(PropTypes.object).isRequired,
+};
+
+function mapStateToProps(state) {
+  return {
+    sceneBookmarks: state.app.sceneBookmarks,
+  };
+}
+
+export default connect(mapStateToProps)(CaptureSetModal);
@@ -0,0 +1,94 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import Button from 'react-bootstrap/lib/Button';
+import Modal from './Modal';
+import Icon from '../components/Icon';
+
+import { openWorkspaceScene } from '../file/workspace';
+
+/**
+ * Asks which scene file to open, when a folder that is opened as a workspace
+ * has several that could be its scene (see `openWorkspace()`). Other scene
+ * files can be opened as the scene from the folder panel later.
+ */
+class ChooseSceneFileModal extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      selected: props.paths[0],
+    };
+
+    this.onClickConfirm = this.onClickConfirm.bind(this);
+    this.onClickCancel = this.onClickCancel.bind(this);
+    this.onChangeSelected = this.onChangeSelected.bind(this);
+    this.unmountSelf = this.unmountSelf.bind(this);
+  }
+
+  onClickConfirm() {
+    this.unmountSelf();
+    openWorkspaceScene(this.state.selected);
+  }
+
+  onClickCancel() {
+    this.unmountSelf();
+  }
+
+  onChangeSelected(event) {
+    this.setState({ selected: event.target.value });
+  }
+
+  unmountSelf() {
+    this.props.dispatch({
+      type: 'HIDE_MODAL',
+      id: this.props.modalId,
+    });
+  }
+
+  render() {
+    return (
+      <Modal
+        className="modal-alt choose-scene-file-modal"
+        cancelFunction={this.onClickCancel}
+        confirmFunction={this.onClickConfirm}
+      >
+        <h4>Which scene do you want to open?</h4>
+
+        <div className="modal-content">
+          <p>This folder has more than one scene file.</p>
+          {this.props.paths.map(path => (
+            <label key={path} className="choose-scene-file" htmlFor={`choose-scene-file-${path}`}>
+              <input
+                type="radio"
+                id={`choose-scene-file-${path}`}
+                name="choose-scene-file"
+                value={path}
+                checked={this.state.selected === path}
+                onChange={this.onChangeSelected}
+              />
+              {path}
+            </label>
+          ))}
+        </div>
+
+        <div className="modal-buttons">
+          <Button className="button-cancel" onClick={this.onClickCancel}>
+            <Icon type="bt-times" /> Cancel
+          </Button>
+          <Button className="button-confirm" onClick={this.onClickConfirm}>
+            <Icon type="bt-check" /> Open
+          </Button>
+        </div>
+      </Modal>
+    );
+  }
+}
+
+ChooseSceneFileModal.propTypes = {
+  dispatch: PropTypes.func.isRequired,
+  modalId: PropTypes.number.isRequired,
+  paths: PropTypes.arrayOf(PropTypes.string).isRequired,
+};
+
+export default connect()(ChooseSceneFileModal);
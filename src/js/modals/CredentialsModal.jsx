@@ -0,0 +1,215 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import Button from 'react-bootstrap/lib/Button';
+import Modal from './Modal';
+import Icon from '../components/Icon';
+import IconButton from '../components/IconButton';
+import LoadingSpinner from './LoadingSpinner';
+import { showErrorModal } from './ErrorModal';
+
+import { debouncedUpdateContent } from '../editor/editor';
+import { getCredentialPattern, getSavedCredentials, saveCredentials } from '../editor/credentials';
+import config from '../config';
+
+const NEW_CREDENTIAL = {
+  name: '',
+  pattern: '',
+  param: 'api_key',
+  value: '',
+};
+
+class CredentialsModal extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      thinking: false,
+      credentials: getSavedCredentials().map(credential => ({ ...credential })),
+    };
+
+    this.onClickConfirm = this.onClickConfirm.bind(this);
+    this.onClickCancel = this.onClickCancel.bind(this);
+    this.onClickAdd = this.onClickAdd.bind(this);
+    this.unmountSelf = this.unmountSelf.bind(this);
+  }
+
+  onClickConfirm() {
+    // Rows that were left empty are not kept
+    const credentials = this.state.credentials
+      .filter(credential => credential.pattern.trim() && credential.value.trim())
+      .map(credential => ({
+        name: credential.name.trim() || credential.pattern.trim(),
+        pattern: credential.pattern.trim(),
+        param: credential.param.trim() || NEW_CREDENTIAL.param,
+        value: credential.value.trim(),
+      }));
+
+    // Waiting state
+    this.setState({
+      thinking: true,
+    });
+
+    saveCredentials(credentials)
+      .then(() => {
+        this.unmountSelf();
+
+        // Reload the map, so the keys are used
+        debouncedUpdateContent();
+      })
+      .catch((error) => {
+        this.unmountSelf();
+        showErrorModal(`Unable to save your API keys and tokens. ${error.message}`);
+      });
+  }
+
+  onClickCancel(event) {
+    this.unmountSelf();
+  }
+
+  onClickAdd() {
+    this.setState({
+      credentials: [...this.state.credentials, { ...NEW_CREDENTIAL }],
+    });
+  }
+
+  onChangeCredential(index, property, value) {
+    const credentials = this.state.credentials.slice();
+    credentials[index] = { ...credentials[index], [property]: value };
+    this.setState({ credentials });
+  }
+
+  onClickRemove(index) {
+    const credentials = this.state.credentials.slice();
+    credentials.splice(index, 1);
+    this.setState({ credentials });
+  }
+
+  isValid() {
+    return this.state.credentials.every(credential => getCredentialPattern(credential));
+  }
+
+  unmountSelf() {
+    this.props.dispatch({
+      type: 'HIDE_MODAL',
+      id: this.props.modalId,
+    });
+  }
+
+  renderCredential(credential, index) {
+    const onChange = property => (event) => {
+      this.onChangeCredential(index, property, event.target.value);
+    };
+    const className = getCredentialPattern(credential)
+      ? 'credentials-row'
+      : 'credentials-row credentials-row-invalid';
+
+    return (
+      // Rows do not have ids, and can be edited into the same values
+      // eslint-disable-next-line react/no-array-index-key
+      <tr className={className} key={index}>
+        <td>
+          <input type="text" placeholder="Nextzen" value={credential.name} onChange={onChange('name')} />
+        </td>
+        <td>
+          <input
+            type="text"
+            placeholder="tile\.nextzen\.org"
+            spellCheck="false"
+            value={credential.pattern}
+            onChange={onChange('pattern')}
+          />
+        </td>
+        <td>
+          <input type="text" spellCheck="false" value={credential.param} onChange={onChange('param')} />
+        </td>
+        <td>
+          <input type="password" value={credential.value} onChange={onChange('value')} />
+        </td>
+        <td>
+          <IconButton
+            icon="bt-times"
+            tooltip="Remove"
+            onClick={() => { this.onClickRemove(index); }}
+          />
+        </td>
+      </tr>
+    );
+  }
+
+  render() {
+    const configured = config.TILES.CREDENTIALS.map(credential => credential.name);
+
+    return (
+      <Modal
+        className="modal-alt credentials-modal"
+        disableEsc={this.state.thinking}
+        cancelFunction={this.onClickCancel}
+        confirmFunction={this.onClickConfirm}
+      >
+        <div className="modal-text">
+          <h4>API keys and tokens</h4>
+          <p>
+            Keys and tokens for tile services are added to the sources with
+            matching URLs when a scene is loaded, so you don’t need to write
+            them in your scene. They are only kept in this browser.
+          </p>
+          {(() => {
+            if (configured.length > 0) {
+              return <p>Tangram Play also has keys for: {configured.join(', ')}.</p>;
+            }
+            return null;
+          })()}
+        </div>
+
+        <hr />
+
+        <div className="modal-content">
+          <table className="credentials-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>URL pattern</th>
+                <th>Parameter</th>
+                <th>Key or token</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {this.state.credentials.map((credential, index) =>
+                this.renderCredential(credential, index))}
+            </tbody>
+          </table>
+          <Button onClick={this.onClickAdd} disabled={this.state.thinking}>
+            <Icon type="bt-plus" /> Add a key or token
+          </Button>
+        </div>
+
+        <div className="modal-buttons">
+          <LoadingSpinner on={this.state.thinking} />
+          <Button
+            className="button-cancel"
+            disabled={this.state.thinking}
+            onClick={this.onClickCancel}
+          >
+            <Icon type="bt-times" /> Cancel
+          </Button>
+          <Button
+            className="button-confirm"
+            disabled={!this.isValid() || this.state.thinking}
+            onClick={this.onClickConfirm}
+          >
+            <Icon type="bt-check" /> Save
+          </Button>
+        </div>
+      </Modal>
+    );
+  }
+}
+
+CredentialsModal.propTypes = {
+  dispatch: PropTypes.func.isRequired,
+  modalId: PropTypes.number.isRequired,
+};
+
+export default connect()(CredentialsModal);
@@ -0,0 +1,259 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import Button from 'react-bootstrap/lib/Button';
+import Modal from './Modal';
+import Icon from '../components/Icon';
+import LoadingSpinner from './LoadingSpinner';
+
+import { showErrorModal } from './ErrorModal';
+import { writeWorkspaceFiles } from '../file/workspace';
+import {
+  getRepositoryChanges,
+  commitAndPush,
+  hasCredentials,
+  setCredentials,
+  getLastAuthor,
+  rememberAuthor,
+} from '../storage/git';
+
+class GitCommitModal extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      changes: null,
+      message: '',
+      branch: props.repository.branch || '',
+      name: '',
+      email: '',
+      // Only asked for if they were not given when the repository was cloned
+      askCredentials: !hasCredentials(props.repository.url),
+      username: '',
+      password: '',
+      thinking: true,
+    };
+
+    this.onClickConfirm = this.onClickConfirm.bind(this);
+    this.onClickCancel = this.onClickCancel.bind(this);
+    this.onChangeInput = this.onChangeInput.bind(this);
+    this.unmountSelf = this.unmountSelf.bind(this);
+  }
+
+  componentDidMount() {
+    getLastAuthor()
+      .then(({ name, email }) => {
+        this.setState({ name, email });
+      });
+
+    // Edits are saved to the clone first, so that they are committed
+    writeWorkspaceFiles()
+      .then(getRepositoryChanges)
+      .then((changes) => {
+        this.setState({ changes, thinking: false });
+        this.messageInput.focus();
+      })
+      .catch((error) => {
+        this.unmountSelf();
+        showErrorModal(`Unable to save the changes to commit. ${error.message}`);
+      });
+  }
+
+  onClickConfirm() {
+    const message = this.state.message.trim();
+    const author = {
+      name: this.state.name.trim(),
+      email: this.state.email.trim(),
+    };
+
+    // Bail if there is nothing to commit
+    if (!this.canCommit()) return;
+
+    // Waiting state
+    this.setState({
+      thinking: true,
+    });
+
+    if (this.state.askCredentials && (this.state.username || this.state.password)) {
+      setCredentials(this.props.repository.url, {
+        username: this.state.username.trim(),
+        password: this.state.password,
+      });
+    }
+
+    rememberAuthor(author);
+
+    commitAndPush({
+      message,
+      author,
+      branch: this.state.branch.trim(),
+    })
+      .then(this.unmountSelf)
+      .catch((error) => {
+        this.unmountSelf();
+        showErrorModal(`Unable to commit and push the changes. ${error.message}`);
+      });
+  }
+
+  onClickCancel(event) {
+    this.unmountSelf();
+  }
+
+  onChangeInput(event) {
+    this.setState({ [event.target.name]: event.target.value });
+  }
+
+  canCommit() {
+    return Boolean(this.state.changes && this.state.changes.length > 0 &&
+      this.state.message.trim() && this.state.name.trim() && this.state.email.trim());
+  }
+
+  unmountSelf() {
+    this.props.dispatch({
+      type: 'HIDE_MODAL',
+      id: this.props.modalId,
+    });
+  }
+
+  renderChanges() {
+    if (!this.state.changes) return null;
+
+    if (this.state.changes.length === 0) {
+      return <p className="git-commit-no-changes">Nothing has changed since the last commit.</p>;
+    }
+
+    return (
+      <ul className="git-commit-changes">
+        {this.state.changes.map(change => (
+          <li key={change.path} className={`git-commit-change-${change.status}`}>
+            <span className="git-commit-change-status">{change.status}</span>
+            {change.path}
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  renderCredentials() {
+    if (!this.state.askCredentials) return null;
+
+    return (
+      <div>
+        <label htmlFor="git-commit-username">Username</label>
+        <input
+          type="text"
+          id="git-commit-username"
+          name="username"
+          spellCheck="false"
+          value={this.state.username}
+          onChange={this.onChangeInput}
+        />
+        <label htmlFor="git-commit-password">Password or access token</label>
+        <input
+          type="password"
+          id="git-commit-password"
+          name="password"
+          value={this.state.password}
+          onChange={this.onChangeInput}
+        />
+      </div>
+    );
+  }
+
+  render() {
+    return (
+      <Modal
+        className="modal-alt git-commit-modal"
+        disableEsc={this.state.thinking}
+        cancelFunction={this.onClickCancel}
+        confirmFunction={this.onClickConfirm}
+      >
+        <div className="modal-text">
+          <h4>Commit changes to {this.props.name}</h4>
+        </div>
+
+        {this.renderChanges()}
+
+        <hr />
+
+        <div className="modal-content">
+          <label htmlFor="git-commit-message">Commit message</label>
+          <textarea
+            id="git-commit-message"
+            name="message"
+            rows="3"
+            value={this.state.message}
+            ref={(ref) => { this.messageInput = ref; }}
+            onChange={this.onChangeInput}
+          />
+          <label htmlFor="git-commit-branch">Branch</label>
+          <input
+            type="text"
+            id="git-commit-branch"
+            name="branch"
+            spellCheck="false"
+            value={this.state.branch}
+            onChange={this.onChangeInput}
+          />
+          <p className="git-commit-note">
+            Enter a new branch name to commit to a new branch.
+          </p>
+          <label htmlFor="git-commit-name">Your name</label>
+          <input
+            type="text"
+            id="git-commit-name"
+            name="name"
+            value={this.state.name}
+            onChange={this.onChangeInput}
+          />
+          <label htmlFor="git-commit-email">Your email</label>
+          <input
+            type="email"
+            id="git-commit-email"
+            name="email"
+            value={this.state.email}
+            onChange={this.onChangeInput}
+          />
+          {this.renderCredentials()}
+        </div>
+
+        <div className="modal-buttons">
+          <LoadingSpinner on={this.state.thinking} />
+          <Button
+            className="button-cancel"
+            disabled={this.state.thinking}
+            onClick={this.onClickCancel}
+          >
+            <Icon type="bt-times" /> Cancel
+          </Button>
+          <Button
+            className="button-confirm"
+            disabled={!this.canCommit() || this.state.thinking}
+            onClick={this.onClickConfirm}
+          >
+            <Icon type="bt-check" /> Commit and push
+          </Button>
+        </div>
+      </Modal>
+    );
+  }
+}
+
+GitCommitModal.propTypes = {
+  dispatch: PropTypes.func.isRequired,
+  modalId: PropTypes.number.isRequired,
+  name: PropTypes.string.isRequired,
+  repository: PropTypes.shape({
+    url: PropTypes.string,
+    branch: PropTypes.string,
+  }).isRequired,
+};
+
+function mapStateToProps(state) {
+  return {
+    name: state.app.workspace.name,
+    repository: state.app.workspace.repository,
+  };
+}
+
+export default connect(mapStateToProps)(GitCommitModal);
@@ -8,11 +8,21 @@ import WelcomeModal from './WelcomeModal';
 import WhatsNewModal from './WhatsNewModal';
 import SupportModal from './SupportModal';
 import ConfirmDialogModal from './ConfirmDialogModal';
+import CredentialsModal from './CredentialsModal';
+import BookmarksModal from './BookmarksModal';
+import CaptureSetModal from './CaptureSetModal';
+import ChooseSceneFileModal from './ChooseSceneFileModal';
 import ErrorModal from './ErrorModal';
 import ExamplesModal from './ExamplesModal';
+import GitCommitModal from './GitCommitModal';
 import OpenFromCloudModal from './OpenFromCloudModal';
 import OpenGistModal from './OpenGistModal'; // LEGACY.
+import OpenGitRepositoryModal from './OpenGitRepositoryModal';
 import OpenUrlModal from './OpenUrlModal';
+import RecoverSceneModal from './RecoverSceneModal';
+import RenameSymbolModal from './RenameSymbolModal';
+import SaveBundleModal from './SaveBundleModal';
+import SceneHistoryModal from './SceneHistoryModal';
 import SaveToCloudModal from './SaveToCloudModal';
 import SaveExistingToCloudModal from './SaveExistingToCloudModal';
 import SaveGistModal from './SaveGistModal'; // LEGACY.
@@ -26,11 +36,21 @@ const MODAL_COMPONENTS = {
   WHATS_NEW: WhatsNewModal,
   SUPPORT: SupportModal,
   CONFIRM_DIALOG: ConfirmDialogModal,
+  CREDENTIALS: CredentialsModal,
+  BOOKMARKS: BookmarksModal,
+  CAPTURE_SET: CaptureSetModal,
+  CHOOSE_SCENE_FILE: ChooseSceneFileModal,
   ERROR: ErrorModal,
   OPEN_EXAMPLE: ExamplesModal,
+  GIT_COMMIT: GitCommitModal,
   OPEN_FROM_CLOUD: OpenFromCloudModal,
   OPEN_GIST: OpenGistModal, // LEGACY.
+  OPEN_GIT_REPOSITORY: OpenGitRepositoryModal,
   OPEN_URL: OpenUrlModal,
+  RECOVER_SCENE: RecoverSceneModal,
+  RENAME_SYMBOL: RenameSymbolModal,
+  SAVE_BUNDLE: SaveBundleModal,
+  SCENE_HISTORY: SceneHistoryModal,
   SAVE_TO_CLOUD: SaveToCloudModal,
   SAVE_EXISTING_TO_CLOUD: SaveExistingToCloudModal,
   SAVE_GIST: SaveGistModal, // LEGACY.
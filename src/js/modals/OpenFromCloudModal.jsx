@@ -2,29 +2,38 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import SceneSelectModal from './SceneSelectModal';
 
+import { showErrorModal } from './ErrorModal';
 import { load } from '../tangram-play';
-import { fetchSceneList, deleteScene } from '../storage/mapzen';
+import { getStorageProvider } from '../storage/providers';
 
-function confirmHandler(selected) {
-  if (!selected) return;
+export default function OpenFromCloudModal(props) {
+  const provider = getStorageProvider();
 
-  load({
-    url: selected.entrypoint_url,
-    data: selected,
-    source: 'MAPZEN',
-  });
-}
+  function confirmHandler(selected) {
+    if (!selected) return;
+
+    provider.open(selected)
+      .then((url) => {
+        load({
+          url,
+          data: selected,
+          source: provider.id,
+        });
+      })
+      .catch((error) => {
+        showErrorModal(`Could not open the scene. ${error.message}`);
+      });
+  }
 
-export default function OpenFromCloudModal(props) {
   return (
     <SceneSelectModal
       modalId={props.modalId}
-      title="Open a saved scene from your Mapzen account"
+      title={`Open a saved scene from your ${provider.name}`}
       emptyListMessage="No scenes have been saved!"
-      sceneLoader={fetchSceneList}
+      sceneLoader={provider.list}
       confirmHandler={confirmHandler}
-      deleteHandler={deleteScene}
-      allowDelete
+      deleteHandler={provider.delete}
+      allowDelete={Boolean(provider.delete)}
     />
   );
 }
@@ -4,8 +4,8 @@ import SceneSelectModal from './SceneSelectModal';
 
 import { showErrorModal } from './ErrorModal';
 import { load } from '../tangram-play';
-import { getSceneURLFromGistAPI } from '../tools/gist-url';
-import { getGists, removeNonexistentGistFromLocalStorage } from '../storage/gist';
+import { removeNonexistentGistFromLocalStorage } from '../storage/gist';
+import { getStorageProvider } from '../storage/providers';
 
 /**
  * If opening a URL is not successful
@@ -37,12 +37,13 @@ function handleError(error, value) {
 function confirmHandler(selected) {
   if (!selected) return;
 
-  getSceneURLFromGistAPI(selected.url)
+  const provider = getStorageProvider('GIST');
+  provider.open(selected)
     .then((url) => {
       load({
         url,
         data: selected,
-        source: 'GIST',
+        source: provider.id,
       });
     })
     .catch((error) => {
@@ -56,7 +57,7 @@ export default function OpenGistModal(props) {
       modalId={props.modalId}
       title="Open a previously saved Gist"
       emptyListMessage="No gists have been saved!"
-      sceneLoader={getGists}
+      sceneLoader={getStorageProvider('GIST').list}
       confirmHandler={confirmHandler}
     />
   );
@@ -0,0 +1,172 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import Button from 'react-bootstrap/lib/Button';
+import Modal from './Modal';
+import Icon from '../components/Icon';
+import LoadingSpinner from './LoadingSpinner';
+
+import { showErrorModal } from './ErrorModal';
+import { cloneRepository } from '../storage/git';
+import { openWorkspace } from '../file/workspace';
+
+// Remember what was entered, except the password, for the next time
+let lastAttemptedInput = {
+  url: '',
+  branch: '',
+  username: '',
+};
+
+class OpenGitRepositoryModal extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      ...lastAttemptedInput,
+      password: '',
+      thinking: false,
+    };
+
+    this.onClickConfirm = this.onClickConfirm.bind(this);
+    this.onClickCancel = this.onClickCancel.bind(this);
+    this.onChangeInput = this.onChangeInput.bind(this);
+    this.unmountSelf = this.unmountSelf.bind(this);
+  }
+
+  componentDidMount() {
+    this.urlInput.select();
+    this.urlInput.focus();
+  }
+
+  onClickConfirm() {
+    const url = this.state.url.trim();
+
+    // Bail if no input
+    if (!url) return;
+
+    // Waiting state
+    this.setState({
+      thinking: true,
+    });
+
+    lastAttemptedInput = {
+      url,
+      branch: this.state.branch.trim(),
+      username: this.state.username.trim(),
+    };
+
+    cloneRepository({ ...lastAttemptedInput, password: this.state.password })
+      .then((provider) => {
+        this.unmountSelf();
+        return openWorkspace(provider);
+      })
+      .catch((error) => {
+        this.unmountSelf();
+        showErrorModal(`Unable to clone the repository. ${error.message}`);
+      });
+  }
+
+  onClickCancel(event) {
+    this.unmountSelf();
+  }
+
+  onChangeInput(event) {
+    this.setState({ [event.target.name]: event.target.value });
+  }
+
+  unmountSelf() {
+    this.props.dispatch({
+      type: 'HIDE_MODAL',
+      id: this.props.modalId,
+    });
+  }
+
+  render() {
+    return (
+      <Modal
+        className="modal-alt git-repository-modal"
+        disableEsc={this.state.thinking}
+        cancelFunction={this.onClickCancel}
+        confirmFunction={this.onClickConfirm}
+      >
+        <div className="modal-text">
+          <h4>Open a scene from a git repository</h4>
+          <p>
+            This clones the repository into your browser, and opens the scene
+            in it. Edits can be committed and pushed back to the repository.
+          </p>
+        </div>
+
+        <hr />
+
+        <div className="modal-content">
+          <label htmlFor="git-repository-url">Repository URL</label>
+          <input
+            type="text"
+            id="git-repository-url"
+            name="url"
+            placeholder="https://"
+            spellCheck="false"
+            value={this.state.url}
+            ref={(ref) => { this.urlInput = ref; }}
+            onChange={this.onChangeInput}
+          />
+          <label htmlFor="git-repository-branch">Branch</label>
+          <input
+            type="text"
+            id="git-repository-branch"
+            name="branch"
+            placeholder="(default branch)"
+            spellCheck="false"
+            value={this.state.branch}
+            onChange={this.onChangeInput}
+          />
+          <label htmlFor="git-repository-username">Username</label>
+          <input
+            type="text"
+            id="git-repository-username"
+            name="username"
+            placeholder="(optional, to push or clone a private repository)"
+            spellCheck="false"
+            value={this.state.username}
+            onChange={this.onChangeInput}
+          />
+          <label htmlFor="git-repository-password">Password or access token</label>
+          <input
+            type="password"
+            id="git-repository-password"
+            name="password"
+            placeholder="(optional)"
+            value={this.state.password}
+            onChange={this.onChangeInput}
+          />
+        </div>
+
+        <div className="modal-buttons">
+          <LoadingSpinner on={this.state.thinking} msg="Cloning..." />
+          <Button
+            className="button-cancel"
+            disabled={this.state.thinking}
+            onClick={this.onClickCancel}
+          >
+            <Icon type="bt-times" /> Cancel
+          </Button>
+          <Button
+            className="button-confirm"
+            disabled={Boolean(!this.state.url) || this.state.thinking}
+            onClick={this.onClickConfirm}
+          >
+            <Icon type="bt-check" /> Open
+          </Button>
+        </div>
+      </Modal>
+    );
+  }
+}
+
+OpenGitRepositoryModal.propTypes = {
+  dispatch: PropTypes.func.isRequired,
+  modalId: PropTypes.number.isRequired,
+};
+
+export default connect()(OpenGitRepositoryModal);
@@ -0,0 +1,112 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import Button from 'react-bootstrap/lib/Button';
+import Modal from './Modal';
+import Icon from '../components/Icon';
+
+import store from '../store';
+import { SHOW_MODAL } from '../store/actions';
+
+class RecoverSceneModal extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.onClickDiscard = this.onClickDiscard.bind(this);
+    this.onClickRestore = this.onClickRestore.bind(this);
+  }
+
+  onClickDiscard() {
+    this.unmountSelf();
+    this.props.discardCallback();
+  }
+
+  onClickRestore() {
+    this.unmountSelf();
+    this.props.restoreCallback();
+  }
+
+  unmountSelf() {
+    this.props.dispatch({
+      type: 'HIDE_MODAL',
+      id: this.props.modalId,
+    });
+  }
+
+  render() {
+    return (
+      <Modal
+        className="modal-alt recover-scene-modal"
+        disableEsc
+        confirmFunction={this.onClickRestore}
+      >
+        <div className="modal-text">
+          <h4>Recover unsaved changes?</h4>
+          <p>
+            Tangram Play was closed before changes to {this.props.name || 'the scene'} were
+            saved. These files have unsaved changes:
+          </p>
+          <ul className="recover-scene-files">
+            {this.props.files.map((file, index) => (
+              // eslint-disable-next-line react/no-array-index-key
+              <li key={index}>{file.filename || 'untitled'}</li>
+            ))}
+          </ul>
+          <p>
+            If you discard them, you can still find them in the history of
+            the scene (“Open an earlier version…”).
+          </p>
+        </div>
+
+        <div className="modal-buttons">
+          <Button className="button-cancel" onClick={this.onClickDiscard}>
+            <Icon type="bt-times" /> Discard
+          </Button>
+          <Button className="button-confirm" onClick={this.onClickRestore}>
+            <Icon type="bt-check" /> Restore
+          </Button>
+        </div>
+      </Modal>
+    );
+  }
+}
+
+RecoverSceneModal.propTypes = {
+  dispatch: PropTypes.func.isRequired,
+  modalId: PropTypes.number.isRequired,
+  name: PropTypes.string,
+  files: PropTypes.arrayOf(PropTypes.shape({
+    filename: PropTypes.string,
+  })).isRequired,
+  restoreCallback: PropTypes.func.isRequired,
+  discardCallback: PropTypes.func.isRequired,
+};
+
+RecoverSceneModal.defaultProps = {
+  name: null,
+};
+
+export default connect()(RecoverSceneModal);
+
+/**
+ * A convenience function for displaying the RecoverSceneModal.
+ *
+ * @param {Object} scene - the scene state object that was recovered
+ * @param {Array} files - the files of the scene with unsaved changes
+ * @param {Function} restoreCallback - called to open the scene with its
+ *          unsaved changes
+ * @param {Function} discardCallback - called to open a scene without them
+ */
+export function showRecoverSceneModal(scene, files, restoreCallback, discardCallback) {
+  store.dispatch({
+    type: SHOW_MODAL,
+    modalType: 'RECOVER_SCENE',
+    priority: 100, // Display above other modals shown on start
+    modalProps: {
+      name: scene.name,
+      files,
+      restoreCallback,
+      discardCallback,
+    },
+  });
+}
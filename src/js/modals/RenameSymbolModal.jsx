@@ -0,0 +1,145 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import Button from 'react-bootstrap/lib/Button';
+import Modal from './Modal';
+import Icon from '../components/Icon';
+
+import { getRenamePlan, applyRenamePlan } from '../editor/rename';
+import { describeSymbol, getSymbolKey } from '../editor/symbols';
+
+class RenameSymbolModal extends React.Component {
+  constructor(props) {
+    super(props);
+
+    const key = getSymbolKey(props.target);
+
+    this.state = {
+      key,
+      input: key,
+      plan: getRenamePlan(props.target, key),
+    };
+
+    this.onClickConfirm = this.onClickConfirm.bind(this);
+    this.onClickCancel = this.onClickCancel.bind(this);
+    this.onChangeInput = this.onChangeInput.bind(this);
+    this.unmountSelf = this.unmountSelf.bind(this);
+  }
+
+  componentDidMount() {
+    this.input.select();
+    this.input.focus();
+  }
+
+  onClickConfirm() {
+    if (!this.canRename()) return;
+
+    applyRenamePlan(this.state.plan);
+    this.unmountSelf();
+  }
+
+  onClickCancel(event) {
+    this.unmountSelf();
+  }
+
+  onChangeInput(event) {
+    const input = event.target.value;
+    this.setState({
+      input,
+      plan: getRenamePlan(this.props.target, input.trim()),
+    });
+  }
+
+  canRename() {
+    const { input, key, plan } = this.state;
+    return input.trim() !== key && !plan.error && plan.files.length > 0;
+  }
+
+  unmountSelf() {
+    this.props.dispatch({
+      type: 'HIDE_MODAL',
+      id: this.props.modalId,
+    });
+  }
+
+  renderPreview() {
+    const plan = this.state.plan;
+
+    if (plan.error) {
+      return <div className="rename-symbol-error">{plan.error}</div>;
+    }
+
+    // Nothing to preview until there is a new name
+    if (this.state.input.trim() === this.state.key) return null;
+
+    return (
+      <div className="rename-symbol-preview">
+        {plan.files.map(file => (
+          <div className="rename-symbol-file" key={file.fileIndex}>
+            <div className="rename-symbol-filename">{file.filename || 'untitled'}</div>
+            {file.lines.map(item => (
+              <div className="rename-symbol-line" key={item.line}>
+                <span className="rename-symbol-line-number">{item.line + 1}</span>
+                <div className="rename-symbol-before">{item.before.trim()}</div>
+                <div className="rename-symbol-after">{item.after.trim()}</div>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  render() {
+    return (
+      <Modal
+        className="modal-alt rename-symbol-modal"
+        cancelFunction={this.onClickCancel}
+        confirmFunction={this.onClickConfirm}
+      >
+        <div className="modal-text">
+          <h4>Rename {describeSymbol(this.props.target)}</h4>
+          <p>
+            This renames it, and changes everything that refers to it, in
+            all of the open files of the scene.
+          </p>
+        </div>
+
+        <div className="modal-content rename-symbol-input">
+          <input
+            type="text"
+            spellCheck="false"
+            value={this.state.input}
+            ref={(ref) => { this.input = ref; }}
+            onChange={this.onChangeInput}
+          />
+          {this.renderPreview()}
+        </div>
+
+        <div className="modal-buttons">
+          <Button className="button-cancel" onClick={this.onClickCancel}>
+            <Icon type="bt-times" /> Cancel
+          </Button>
+          <Button
+            className="button-confirm"
+            disabled={!this.canRename()}
+            onClick={this.onClickConfirm}
+          >
+            <Icon type="bt-check" /> Rename
+          </Button>
+        </div>
+      </Modal>
+    );
+  }
+}
+
+RenameSymbolModal.propTypes = {
+  dispatch: PropTypes.func.isRequired,
+  modalId: PropTypes.number.isRequired,
+  target: PropTypes.shape({
+    type: PropTypes.string,
+    name: PropTypes.string,
+  }).isRequired,
+};
+
+export default connect()(RenameSymbolModal);
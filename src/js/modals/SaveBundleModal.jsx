@@ -0,0 +1,114 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import Button from 'react-bootstrap/lib/Button';
+import Modal from './Modal';
+import Icon from '../components/Icon';
+import LoadingSpinner from './LoadingSpinner';
+import { showErrorModal } from './ErrorModal';
+
+import { exportSceneBundle } from '../editor/io';
+
+class SaveBundleModal extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      thinking: false,
+      includeResources: false,
+    };
+
+    this.onClickConfirm = this.onClickConfirm.bind(this);
+    this.onClickCancel = this.onClickCancel.bind(this);
+    this.onChangeIncludeResources = this.onChangeIncludeResources.bind(this);
+    this.unmountSelf = this.unmountSelf.bind(this);
+  }
+
+  onClickConfirm() {
+    // Waiting state, since imports and textures may need to be fetched
+    this.setState({
+      thinking: true,
+    });
+
+    exportSceneBundle({ includeResources: this.state.includeResources })
+      .then(this.unmountSelf)
+      .catch((error) => {
+        this.unmountSelf();
+        showErrorModal(`Uh oh! We tried to save your scene bundle but something went wrong. ${error.message}`);
+      });
+  }
+
+  onClickCancel(event) {
+    this.unmountSelf();
+  }
+
+  onChangeIncludeResources(event) {
+    this.setState({ includeResources: event.target.checked });
+  }
+
+  unmountSelf() {
+    this.props.dispatch({
+      type: 'HIDE_MODAL',
+      id: this.props.modalId,
+    });
+  }
+
+  render() {
+    return (
+      <Modal
+        className="modal-alt save-bundle-modal"
+        disableEsc={this.state.thinking}
+        cancelFunction={this.onClickCancel}
+        confirmFunction={this.onClickConfirm}
+      >
+        <div className="modal-text">
+          <h4>Download scene bundle</h4>
+          <p>
+            This downloads your scene file and all of the files it imports
+            as a single .zip file, which you can open again in Tangram Play.
+          </p>
+        </div>
+
+        <hr />
+
+        <div className="modal-content">
+          <input
+            type="checkbox"
+            id="save-bundle-include-resources"
+            checked={this.state.includeResources}
+            disabled={this.state.thinking}
+            onChange={this.onChangeIncludeResources}
+          />
+          <label htmlFor="save-bundle-include-resources">
+            Include textures and fonts from other websites
+          </label>
+        </div>
+
+        <div className="modal-buttons">
+          <LoadingSpinner on={this.state.thinking} />
+          <Button
+            className="button-cancel"
+            disabled={this.state.thinking}
+            onClick={this.onClickCancel}
+          >
+            <Icon type="bt-times" /> Cancel
+          </Button>
+          <Button
+            className="button-confirm"
+            disabled={this.state.thinking}
+            onClick={this.onClickConfirm}
+          >
+            <Icon type="bt-check" /> Download
+          </Button>
+        </div>
+      </Modal>
+    );
+  }
+}
+
+SaveBundleModal.propTypes = {
+  dispatch: PropTypes.func.isRequired,
+  modalId: PropTypes.number.isRequired,
+};
+
+export default connect()(SaveBundleModal);
@@ -1,5 +1,6 @@
 /**
- * Confirmation dialog box for saving over a existing scene to the Mapzen Scene API.
+ * Confirmation dialog box for saving over a existing scene with the storage
+ * provider it was saved with.
  */
 import React from 'react';
 import PropTypes from 'prop-types';
@@ -11,10 +12,9 @@ import SceneItem from './SceneItem';
 import LoadingSpinner from './LoadingSpinner';
 
 import { showErrorModal } from './ErrorModal';
-import { getEditorContent } from '../editor/editor';
 import { markSceneSaved } from '../editor/io';
-import { putFile, replaceThumbnail } from '../storage/mapzen';
-import { MAPZEN_SAVE_SCENE } from '../store/actions';
+import { getStorageProvider, saveSceneToStorage } from '../storage/providers';
+import { CLOUD_SAVE_SCENE } from '../store/actions';
 
 const SAVE_TIMEOUT = 20000; // ms before we assume saving is failure
 
@@ -45,16 +45,8 @@ class SaveExistingToCloudModal extends React.Component {
       thinking: true,
     });
 
-    // This is a single YAML file for now - whatever's in the current editor.
-    // TODO: get only root scene file
-    const content = getEditorContent();
-
-    // And it saves to the root entry point
-    const overwriteFile = putFile(content, this.props.scene.entrypoint_url);
-    const overwriteThumbnail = replaceThumbnail(this.props.scene.id);
-
-    // Create a new thumbnail
-    Promise.all([overwriteThumbnail, overwriteFile])
+    // Saves over the scene, with a new thumbnail
+    saveSceneToStorage(getStorageProvider(this.props.saveLocation), {}, this.props.scene)
       .then(this.handleSaveSuccess)
       .catch(this.handleSaveError);
 
@@ -82,8 +74,9 @@ class SaveExistingToCloudModal extends React.Component {
     this.unmountSelf();
 
     markSceneSaved({
-      type: MAPZEN_SAVE_SCENE,
-      data: data[0],
+      type: CLOUD_SAVE_SCENE,
+      location: this.props.saveLocation,
+      data,
     });
   }
 
@@ -158,14 +151,16 @@ SaveExistingToCloudModal.propTypes = {
   dispatch: PropTypes.func.isRequired,
   modalId: PropTypes.number.isRequired,
   scene: PropTypes.shape({
-    id: PropTypes.number,
+    id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
     entrypoint_url: PropTypes.string,
   }).isRequired,
+  saveLocation: PropTypes.string.isRequired,
 };
 
 function mapStateToProps(state) {
   return {
     scene: state.scene.sourceData,
+    saveLocation: state.scene.saveLocation,
   };
 }
 
@@ -2,13 +2,12 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 import Button from 'react-bootstrap/lib/Button';
-import localforage from 'localforage';
 
 import Modal from './Modal';
 import Icon from '../components/Icon';
 import LoadingSpinner from './LoadingSpinner';
 import { showErrorModal } from './ErrorModal';
-import { saveToGist } from '../storage/gist';
+import { getStorageProvider, saveSceneToStorage } from '../storage/providers';
 import { editor } from '../editor/editor';
 import { replaceHistoryState } from '../tools/url-state';
 
@@ -20,7 +19,6 @@ const DEFAULT_GIST_SCENE_NAME = 'Tangram scene';
 const DEFAULT_GIST_SCENE_FILENAME = 'scene.yaml';
 const DEFAULT_GIST_DESCRIPTION = 'This is a Tangram scene, made with Tangram Play.';
 
-const STORAGE_SAVED_GISTS = 'gists';
 const SAVE_TIMEOUT = 20000; // ms before we assume saving is failure
 
 class SaveGistModal extends React.Component {
@@ -77,12 +75,14 @@ class SaveGistModal extends React.Component {
       description = `${this.descriptionInput.value} [${DEFAULT_GIST_DESCRIPTION}]`;
     }
 
-    saveToGist({
-      sceneName,
+    saveSceneToStorage(getStorageProvider('GIST'), {
+      name: sceneName,
       filename,
       description,
-      isPublic: this.publicCheckbox.checked,
-    }, this.handleSaveSuccess, this.handleSaveError);
+      public: this.publicCheckbox.checked,
+    })
+    .then(this.handleSaveSuccess)
+    .catch(this.handleSaveError);
 
     // Start save timeout
     // TODO: This does not cancel the request if it is in progress
@@ -123,38 +123,9 @@ class SaveGistModal extends React.Component {
 
   // If successful, turn off wait state,
   // mark as clean state in the editor,
-  // remember the success response,
-  // and display a helpful message
-  handleSaveSuccess(data) {
-    const gist = data.gist;
-
-    // Create storage object
-    const saveData = {
-      name: data.metadata.name,
-      description: data.gist.description,
-      view: data.metadata.view,
-      user: data.gist.user,
-      url: data.gist.url,
-      public: data.gist.public,
-      /* eslint-disable camelcase */
-      created_at: data.gist.created_at,
-      updated_at: data.gist.updated_at,
-      /* eslint-enable camelcase */
-      thumbnail: data.thumbnail,
-    };
-
-    // Store response in localstorage
-    // This is stored as an array of saveData
-    localforage.getItem(STORAGE_SAVED_GISTS)
-      .then((gists) => {
-        if (Array.isArray(gists)) {
-          gists.push(saveData);
-        } else {
-          gists = [];
-        }
-        localforage.setItem(STORAGE_SAVED_GISTS, gists);
-      });
-
+  // and display a helpful message.
+  // The gist is remembered in local memory by the storage provider.
+  handleSaveSuccess(gist) {
     // Close the modal
     this.unmountSelf();
 
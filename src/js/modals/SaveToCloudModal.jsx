@@ -7,12 +7,12 @@ import Icon from '../components/Icon';
 import LoadingSpinner from './LoadingSpinner';
 
 import { showErrorModal } from './ErrorModal';
-import { saveToMapzenUserAccount } from '../storage/mapzen';
-import { getRootFileName, markSceneSaved } from '../editor/io';
+import { getStorageProvider, saveSceneToStorage } from '../storage/providers';
+import { markSceneSaved } from '../editor/io';
 import { replaceHistoryState } from '../tools/url-state';
 
 // Redux
-import { SHOW_MODAL, MAPZEN_SAVE_SCENE } from '../store/actions';
+import { SHOW_MODAL, CLOUD_SAVE_SCENE } from '../store/actions';
 
 // Default values in UI
 const DEFAULT_SCENE_NAME = 'Untitled scene';
@@ -28,6 +28,7 @@ class SaveToCloudModal extends React.Component {
     super(props);
 
     this.timeout = null;
+    this.provider = getStorageProvider();
 
     this.state = {
       ...DEFAULT_VALUES,
@@ -85,10 +86,9 @@ class SaveToCloudModal extends React.Component {
       name,
       description,
       public: this.state.sceneIsPublic,
-      entrypoint: getRootFileName(),
     };
 
-    saveToMapzenUserAccount(data)
+    saveSceneToStorage(this.provider, data)
       .then(this.handleSaveSuccess)
       .catch(this.handleSaveError);
 
@@ -134,7 +134,8 @@ class SaveToCloudModal extends React.Component {
     this.unmountSelf();
 
     markSceneSaved({
-      type: MAPZEN_SAVE_SCENE,
+      type: CLOUD_SAVE_SCENE,
+      location: this.provider.id,
       data,
     });
 
@@ -182,10 +183,10 @@ class SaveToCloudModal extends React.Component {
         confirmFunction={this.onClickConfirm}
       >
         <div className="modal-text">
-          <h4>Save this scene to your Mapzen account</h4>
+          <h4>Save this scene to your {this.provider.name}</h4>
           <p>
-            This uploads your Tangram scene file to your Mapzen
-            account, so you’ll have a permanent link to share publicly.
+            This uploads your Tangram scene file to your {this.provider.name},
+            so you’ll have a permanent link to share publicly.
           </p>
         </div>
 
@@ -0,0 +1,264 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import CodeMirror from 'codemirror';
+import Button from 'react-bootstrap/lib/Button';
+import Modal from './Modal';
+import Icon from '../components/Icon';
+
+import { getFileContents, setFileContents } from '../editor/editor';
+import { getSceneFileIndex, restoreSnapshot } from '../editor/snapshots';
+import { getSnapshots, deleteSnapshot } from '../storage/snapshots';
+
+const SNAPSHOT_REASONS = {
+  load: 'Opened',
+  save: 'Saved',
+  edit: 'Edited',
+  discard: 'Discarded',
+};
+
+class SceneHistoryModal extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      loaded: false,
+      snapshots: [],
+      selected: null, // Timestamp of the selected snapshot
+      fileIndex: 0, // Index of the compared file in the selected snapshot
+    };
+
+    this.onClickClose = this.onClickClose.bind(this);
+    this.onClickRestore = this.onClickRestore.bind(this);
+    this.onClickApply = this.onClickApply.bind(this);
+    this.onChangeFile = this.onChangeFile.bind(this);
+    this.unmountSelf = this.unmountSelf.bind(this);
+  }
+
+  componentDidMount() {
+    getSnapshots()
+      .then((snapshots) => {
+        this.setState({
+          loaded: true,
+          snapshots,
+          selected: snapshots.length > 0 ? snapshots[0].timestamp : null,
+        });
+      });
+  }
+
+  componentDidUpdate(prevProps, prevState) {
+    if (this.state.selected !== prevState.selected ||
+      this.state.fileIndex !== prevState.fileIndex) {
+      this.createMergeView();
+    }
+  }
+
+  onClickClose() {
+    this.unmountSelf();
+  }
+
+  onClickSnapshot(snapshot) {
+    this.setState({
+      selected: snapshot.timestamp,
+      fileIndex: 0,
+    });
+  }
+
+  onClickDelete(event, snapshot) {
+    // Don't select the snapshot that is deleted
+    event.stopPropagation();
+
+    deleteSnapshot(snapshot.timestamp)
+      .then((snapshots) => {
+        const selected = (this.state.selected === snapshot.timestamp)
+          ? null
+          : this.state.selected;
+
+        this.setState({ snapshots, selected });
+      });
+  }
+
+  onChangeFile(event) {
+    this.setState({ fileIndex: Number(event.target.value) });
+  }
+
+  // Restores every file of the snapshot
+  onClickRestore() {
+    restoreSnapshot(this.getSelectedSnapshot());
+    this.unmountSelf();
+  }
+
+  // Applies the compared file as it is in the merge view, with the changes
+  // that were brought back from the snapshot
+  onClickApply() {
+    const fileIndex = getSceneFileIndex(this.getSelectedSnapshot(), this.state.fileIndex);
+    const contents = this.mergeView.editor().getValue();
+
+    if (contents !== getFileContents(fileIndex)) {
+      setFileContents(fileIndex, contents);
+    }
+    this.unmountSelf();
+  }
+
+  getSelectedSnapshot() {
+    return this.state.snapshots.find(snapshot => snapshot.timestamp === this.state.selected);
+  }
+
+  /**
+   * Compares the selected file of the selected snapshot with the file as it
+   * is now, side by side. The arrows between them bring back single changes
+   * from the snapshot.
+   */
+  createMergeView() {
+    this.mergeEl.innerHTML = '';
+    this.mergeView = null;
+
+    const snapshot = this.getSelectedSnapshot();
+    if (!snapshot) return;
+
+    const fileIndex = getSceneFileIndex(snapshot, this.state.fileIndex);
+    if (fileIndex === -1) return;
+
+    this.mergeView = CodeMirror.MergeView(this.mergeEl, {
+      value: getFileContents(fileIndex) || '',
+      orig: snapshot.files[this.state.fileIndex].contents,
+      mode: 'text/x-yaml-tangram',
+      theme: 'tangram',
+      lineNumbers: true,
+      revertButtons: true,
+      collapseIdentical: 3,
+    });
+  }
+
+  unmountSelf() {
+    this.props.dispatch({
+      type: 'HIDE_MODAL',
+      id: this.props.modalId,
+    });
+  }
+
+  renderList() {
+    if (!this.state.loaded) return null;
+
+    if (this.state.snapshots.length === 0) {
+      return <div className="scene-history-empty">No versions have been kept yet.</div>;
+    }
+
+    return (
+      <div className="scene-history-list">
+        {this.state.snapshots.map((snapshot) => {
+          const className = (snapshot.timestamp === this.state.selected)
+            ? 'scene-history-item scene-history-selected'
+            : 'scene-history-item';
+
+          return (
+            // eslint-disable-next-line jsx-a11y/no-static-element-interactions
+            <div
+              key={snapshot.timestamp}
+              className={className}
+              onClick={() => { this.onClickSnapshot(snapshot); }}
+            >
+              <div className="scene-history-item-date">
+                {new Date(snapshot.timestamp).toLocaleString()}
+              </div>
+              <div className="scene-history-item-name">
+                {SNAPSHOT_REASONS[snapshot.reason]} · {snapshot.name}
+              </div>
+              <button
+                className="scene-history-item-delete"
+                title="Delete this version"
+                onClick={(event) => { this.onClickDelete(event, snapshot); }}
+              >
+                <Icon type="bt-times" />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    );
+  }
+
+  renderCompare() {
+    const snapshot = this.getSelectedSnapshot();
+    if (!snapshot) return null;
+
+    const isOpen = getSceneFileIndex(snapshot, this.state.fileIndex) > -1;
+
+    return (
+      <div className="scene-history-compare-header">
+        {(snapshot.files.length > 1)
+          ? (
+            <select value={this.state.fileIndex} onChange={this.onChangeFile}>
+              {snapshot.files.map((file, index) => (
+                // eslint-disable-next-line react/no-array-index-key
+                <option key={index} value={index}>{file.filename || 'untitled'}</option>
+              ))}
+            </select>
+          )
+          : <span>{snapshot.files[0].filename || 'untitled'}</span>}
+        <span className="scene-history-compare-labels">
+          {isOpen
+            ? 'Now (left) and this version (right). Use the arrows to bring back single changes.'
+            : 'This file is not open in the current scene.'}
+        </span>
+      </div>
+    );
+  }
+
+  render() {
+    const snapshot = this.getSelectedSnapshot();
+    const canApply = Boolean(snapshot) &&
+      getSceneFileIndex(snapshot, this.state.fileIndex) > -1;
+    const canRestore = Boolean(snapshot) &&
+      snapshot.files.some((file, index) => getSceneFileIndex(snapshot, index) > -1);
+
+    return (
+      <Modal
+        className="modal-alt scene-history-modal"
+        cancelFunction={this.onClickClose}
+      >
+        <div className="modal-text">
+          <h4>Scene history</h4>
+        </div>
+
+        <div className="modal-content scene-history-content">
+          {this.renderList()}
+          <div className="scene-history-compare">
+            {this.renderCompare()}
+            <div
+              className="scene-history-merge"
+              ref={(ref) => { this.mergeEl = ref; }}
+            />
+          </div>
+        </div>
+
+        <div className="modal-buttons">
+          <Button className="button-cancel" onClick={this.onClickClose}>
+            <Icon type="bt-times" /> Close
+          </Button>
+          <Button
+            className="button-confirm"
+            disabled={!canRestore}
+            onClick={this.onClickRestore}
+          >
+            <Icon type="bt-undo" /> Restore this version
+          </Button>
+          <Button
+            className="button-confirm"
+            disabled={!canApply}
+            onClick={this.onClickApply}
+          >
+            <Icon type="bt-check" /> Apply changes
+          </Button>
+        </div>
+      </Modal>
+    );
+  }
+}
+
+SceneHistoryModal.propTypes = {
+  dispatch: PropTypes.func.isRequired,
+  modalId: PropTypes.number.isRequired,
+};
+
+export default connect()(SceneHistoryModal);
@@ -37,8 +37,11 @@ class SceneSelectModal extends React.Component {
             loaded: true,
             scenes,
           });
+        })
+        .catch((error) => {
+          this.setState({ loaded: true });
+          showErrorModal(`Could not get the list of scenes. ${error.message}`);
         });
-      // Handle errors
     } else {
       // If scenes are provided; set state.loaded to true immediately.
       this.setState({ loaded: true });
@@ -46,26 +49,26 @@ class SceneSelectModal extends React.Component {
   }
 
   onClickSceneItem(event, item) {
-    if (this.state.beingDeleted !== item.id) {
+    if (this.state.beingDeleted !== item) {
       this.setState({ selected: item });
     }
   }
 
   onDoubleClickSceneItem(event, item) {
-    if (this.state.beingDeleted !== item.id) {
+    if (this.state.beingDeleted !== item) {
       this.onClickConfirm();
     }
   }
 
-  onClickDeleteScene(event, sceneId) {
+  onClickDeleteScene(event, scene) {
     event.stopPropagation();
 
     this.setState({
-      beingDeleted: sceneId,
+      beingDeleted: scene,
       selected: null, // Prevent the deleted scene from being selected
     });
 
-    this.props.deleteHandler(sceneId)
+    this.props.deleteHandler(scene)
       .then(() => {
         this.props.sceneLoader()
           .then((scenes) => {
@@ -76,6 +79,7 @@ class SceneSelectModal extends React.Component {
           });
       })
       .catch((error) => {
+        this.setState({ beingDeleted: null });
         showErrorModal('Could not delete the scene.');
       });
   }
@@ -113,14 +117,14 @@ class SceneSelectModal extends React.Component {
 
       let deleteButtonText = 'Delete';
 
-      if (this.state.beingDeleted && this.state.beingDeleted === item.id) {
+      if (this.state.beingDeleted && this.state.beingDeleted === item) {
         classString += ' open-scene-deleting';
         deleteButtonText = 'Deleting...';
       }
 
       const deleteButton = (this.props.allowDelete) ? (
         <button
-          onClick={(e) => { this.onClickDeleteScene(e, item.id); }}
+          onClick={(e) => { this.onClickDeleteScene(e, item); }}
           disabled={this.state.beingDeleted !== null}
         >
           {deleteButtonText}
@@ -1,18 +1,10 @@
-import L from 'leaflet';
 import localforage from 'localforage';
 import { reverse, reject } from 'lodash';
 
-import { getEditorContent } from '../editor/editor';
-import { map } from '../map/map';
-import { getScreenshotData } from '../map/screenshot';
-// TODO: implement now that move to react has changed this
-// import { getLocationLabel } from '../map/search';
-import { createThumbnail } from '../tools/thumbnail';
+import { getSceneURLFromGistAPI } from '../tools/gist-url';
 import { getCachedUserSignInData } from '../user/sign-in';
 
 const STORAGE_SAVED_GISTS = 'gists';
-const THUMBNAIL_WIDTH = 144;
-const THUMBNAIL_HEIGHT = 81;
 
 /**
  * Get gists from localstorage
@@ -48,9 +40,32 @@ export function getGists() {
     });
 }
 
-export function saveToGist(data, successCallback, errorCallback) {
-  const { sceneName, description, isPublic } = data;
-  let { filename } = data;
+/**
+ * Remembers a saved gist in local memory, so that it can be opened again.
+ *
+ * @param {Object} saveData - the saved scene
+ * @returns {Promise} - resolved with the saved scene
+ */
+function rememberGist(saveData) {
+  // This is stored as an array of saveData
+  return localforage.getItem(STORAGE_SAVED_GISTS)
+    .then((gists) => {
+      const data = Array.isArray(gists) ? [...gists, saveData] : [saveData];
+      return localforage.setItem(STORAGE_SAVED_GISTS, data);
+    })
+    .then(() => saveData);
+}
+
+/**
+ * Saves the scene as an anonymous gist.
+ *
+ * @param {Object} data - the scene, see `saveSceneToStorage()` in
+ *          `providers.js`, with a `filename` for the scene file
+ * @returns {Promise} - resolved with the saved scene
+ */
+export function saveToGist(data) {
+  const { name, description, thumbnail } = data;
+  let filename = data.filename || data.entrypoint;
 
   // Append ".yaml" to the end of a filename if it does not
   // end with either ".yaml" or ".yml". GitHub Gist needs this
@@ -61,87 +76,74 @@ export function saveToGist(data, successCallback, errorCallback) {
     filename += '.yaml';
   }
 
-  // Package up the data we want to post to gist
-  // The first step is to grab a screenshot from the map and
-  // convert it to a thumbnail at a fixed dimension. This
-  // makes file sizes and layout more predictable.
-  getScreenshotData()
-    .then(screenshot =>
-      createThumbnail(screenshot.url, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, true, false))
-    .then((thumbnail) => {
-      const files = {};
-      const cachedUserData = getCachedUserSignInData();
-      const metadata = {
-        name: sceneName,
-        view: {
-          // label: getLocationLabel(), // TODO: change now that search component is React
-          label: '',
-          lat: map.getCenter().lat,
-          lng: map.getCenter().lng,
-          zoom: map.getZoom(),
-        },
-        date: new Date().toJSON(),
-        versions: {
-          tangram: window.Tangram.version,
-          leaflet: L.version,
-        },
-        user: cachedUserData ? cachedUserData.nickname : null,
-      };
-
-      // This is a single YAML file
-      // The key is its filename and it takes a content property
-      // We cannot specify MIME type here so filename should have the
-      // correct extension (see above)
-      files[filename] = {
-        content: getEditorContent(),
-      };
-
-      // GitHub Gist does not appear to have a limit on filesize,
-      // but this thumbnail image should clock in at around ~90kb to ~120kb
-      // (unoptimized, but that's the limitations of our thumbnail function)
-      // We cannot store binary data over this API - this is stored as a data URL.
-      files['thumbnail.png'] = {
-        content: thumbnail,
-      };
-
-      // Store metadata
-      files['.tangramplay'] = {
-        content: JSON.stringify(metadata),
-      };
-
-      const postData = {
-        description,
-        public: isPublic,
-        files,
-      };
-
-      // Make the post
-      window.fetch('https://api.github.com/gists', {
-        method: 'POST',
-        // POSTing to /gists API requires a JSON blob of
-        // MIME-type 'application/json'
-        body: JSON.stringify(postData),
-      }).then((response) => {
-        switch (response.status) {
-          case 201:
-            return response.json();
-          case 403:
-            // eslint-disable-next-line max-len
-            throw new Error('It looks like somebody (probably not you) was asking GitHub’s servers to do too many things so we’re not allowed to ask them to save your scene right now. Try again a little later when things cool down a bit.');
-          default:
-            // eslint-disable-next-line max-len
-            throw new Error(`We got a ${response.status} code back from GitHub’s servers and don’t know what to do about it. Sorry, it’s a programmer error!`);
-        }
-      }).then((gist) => {
-        successCallback({
-          metadata,
-          gist,
-          thumbnail,
-        });
-      }).catch((error) => {
-        errorCallback(error);
-      });
-    });
+  const files = {};
+  const cachedUserData = getCachedUserSignInData();
+  const metadata = {
+    name,
+    view: data.view,
+    date: new Date().toJSON(),
+    versions: data.versions,
+    user: cachedUserData ? cachedUserData.nickname : null,
+  };
+
+  // This is a single YAML file
+  // The key is its filename and it takes a content property
+  // We cannot specify MIME type here so filename should have the
+  // correct extension (see above)
+  files[filename] = {
+    content: data.contents,
+  };
+
+  // GitHub Gist does not appear to have a limit on filesize,
+  // but this thumbnail image should clock in at around ~90kb to ~120kb
+  // (unoptimized, but that's the limitations of our thumbnail function)
+  // We cannot store binary data over this API - this is stored as a data URL.
+  files['thumbnail.png'] = {
+    content: thumbnail,
+  };
+
+  // Store metadata
+  files['.tangramplay'] = {
+    content: JSON.stringify(metadata),
+  };
+
+  const postData = {
+    description,
+    public: data.public,
+    files,
+  };
+
+  // Make the post
+  return window.fetch('https://api.github.com/gists', {
+    method: 'POST',
+    // POSTing to /gists API requires a JSON blob of
+    // MIME-type 'application/json'
+    body: JSON.stringify(postData),
+  }).then((response) => {
+    switch (response.status) {
+      case 201:
+        return response.json();
+      case 403:
+        // eslint-disable-next-line max-len
+        throw new Error('It looks like somebody (probably not you) was asking GitHub’s servers to do too many things so we’re not allowed to ask them to save your scene right now. Try again a little later when things cool down a bit.');
+      default:
+        // eslint-disable-next-line max-len
+        throw new Error(`We got a ${response.status} code back from GitHub’s servers and don’t know what to do about it. Sorry, it’s a programmer error!`);
+    }
+  }).then(gist => rememberGist({
+    id: gist.url,
+    name: metadata.name,
+    description: gist.description,
+    view: metadata.view,
+    user: gist.user,
+    url: gist.url,
+    public: gist.public,
+    /* eslint-disable camelcase */
+    created_at: gist.created_at,
+    updated_at: gist.updated_at,
+    /* eslint-enable camelcase */
+    thumbnail,
+  }));
 }
 
 /**
@@ -157,3 +159,18 @@ export function removeNonexistentGistFromLocalStorage(url) {
       localforage.setItem(STORAGE_SAVED_GISTS, data);
     });
 }
+
+/**
+ * Storage provider for anonymous gists (see `providers.js`). Gists cannot be
+ * listed, replaced or deleted anonymously, so gists that were saved are
+ * remembered in local memory.
+ */
+export const gistStorage = {
+  id: 'GIST',
+  name: 'GitHub Gist',
+  requiresSignIn: false,
+  isAvailable: () => true,
+  list: getGists,
+  open: scene => getSceneURLFromGistAPI(scene.url),
+  save: data => saveToGist(data),
+};
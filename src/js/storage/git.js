@@ -0,0 +1,329 @@
+/**
+ * Git repositories
+ *
+ * A scene kept in a git repository can be cloned over HTTP into the browser's
+ * storage (IndexedDB), and edited there as a workspace (see `workspace.js`):
+ * saving writes edited files to the clone, and edits are then committed and
+ * pushed back to the repository with a message from the user.
+ *
+ * Most git hosts do not allow requests from other origins, so requests go
+ * through a CORS proxy (see `STORAGE.GIT` in `config.js`). There is no
+ * default proxy, since credentials are sent through it: a self-hosted one
+ * must be configured.
+ *
+ * The git libraries are not part of the app's bundle: they are written in
+ * newer JavaScript than the bundler can read. Their prebuilt browser builds
+ * are copied next to the app by the build (see the `vendor` task in
+ * `gulpfile.js`), and only loaded once a repository is used.
+ */
+import localforage from 'localforage';
+
+import { isIgnoredPath } from '../file/workspace-providers';
+import store from '../store';
+import { SET_APP_STATE } from '../store/actions';
+import config from '../config';
+
+// Name of the IndexedDB database that clones are kept in
+const FILE_SYSTEM_NAME = 'tangram-play-git';
+
+// Where the name and email that commits are made with are remembered
+const STORAGE_GIT_AUTHOR_KEY = 'git-author';
+
+// Browser builds of isomorphic-git, its HTTP client and the file system that
+// clones are kept in, and the globals that each of them defines
+const LIBRARIES = [
+  { src: 'scripts/vendor/@isomorphic-git/lightning-fs/dist/lightning-fs.min.js', global: 'LightningFS' },
+  { src: 'scripts/vendor/isomorphic-git/index.umd.min.js', global: 'git' },
+  { src: 'scripts/vendor/isomorphic-git/http/web/index.umd.js', global: 'GitHttp' },
+];
+
+// The libraries are only loaded once
+let libraries = null;
+
+function loadScript(src) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.addEventListener('load', resolve);
+    script.addEventListener('error', () => {
+      reject(new Error('Unable to load git support.'));
+    });
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Loads the git libraries, and opens the file system that clones are kept in.
+ *
+ * @returns {Promise} resolved with `{ git, http, fs }`, the modules to call
+ *          isomorphic-git with
+ */
+function loadGit() {
+  if (!libraries) {
+    libraries = LIBRARIES.reduce((promise, library) => promise
+      .then(() => (window[library.global] ? null : loadScript(library.src))), Promise.resolve())
+      .then(() => ({
+        git: window.git,
+        http: window.GitHttp,
+        fs: new window.LightningFS(FILE_SYSTEM_NAME),
+      }))
+      .catch((error) => {
+        // Try again next time
+        libraries = null;
+        throw error;
+      });
+  }
+  return libraries;
+}
+
+// Credentials for pushing, by repository URL. These are only kept until the
+// page is closed.
+const credentials = {};
+
+/**
+ * Returns a name for a repository from its URL, e.g. "tangram-scene" for
+ * "https://github.com/user/tangram-scene.git".
+ *
+ * @param {string} url - URL of the repository
+ * @returns {string}
+ */
+export function getRepositoryName(url) {
+  return url.replace(/\/+$/, '').split('/').pop().replace(/\.git$/, '') || 'repository';
+}
+
+/**
+ * Lists the files that have changed since the last commit, from the status
+ * matrix of a repository (see `git.statusMatrix()` in isomorphic-git). Each
+ * row of it is `[path, head, workdir, stage]`, where `head` is 0 if the file
+ * is not in the last commit, and `workdir` is 0 if the file was deleted, 1 if
+ * it is the same as in the last commit and 2 if it is not.
+ *
+ * @param {Array} matrix - the status matrix
+ * @returns {Array} changes of the signature `{ path, status }`, where `status`
+ *          is 'added', 'modified' or 'deleted'
+ */
+export function getChangedFiles(matrix) {
+  const changes = [];
+
+  matrix.forEach(([path, head, workdir]) => {
+    if (head === 0 && workdir !== 0) {
+      changes.push({ path, status: 'added' });
+    } else if (head === 1 && workdir === 0) {
+      changes.push({ path, status: 'deleted' });
+    } else if (head === 1 && workdir === 2) {
+      changes.push({ path, status: 'modified' });
+    }
+  });
+
+  return changes;
+}
+
+// Each repository is cloned into a folder of its own
+// Loads the git libraries for requests to a repository, which go through
+// the CORS proxy. Rejected if no proxy is configured.
+function loadGitWithProxy() {
+  const corsProxy = config.STORAGE.GIT.CORS_PROXY;
+  if (!corsProxy) {
+    return Promise.reject(new Error('No CORS proxy is configured for git repositories (`STORAGE.GIT.CORS_PROXY` in config.js). Repositories can only be opened through a proxy that you host yourself.'));
+  }
+  return loadGit().then(libs => ({ ...libs, corsProxy }));
+}
+
+function getRepositoryDir(url) {
+  return `/${encodeURIComponent(url.replace(/^\w+:\/\//, ''))}`;
+}
+
+function getAuth(url) {
+  return () => credentials[url] || { cancel: true };
+}
+
+function getFullPath(dir, path) {
+  return `${dir}/${path}`;
+}
+
+function readFile(fs, dir, path, encoding) {
+  const options = encoding ? { encoding } : undefined;
+  return fs.promises.readFile(getFullPath(dir, path), options);
+}
+
+/**
+ * Creates a workspace provider (see `workspace-providers.js`) for a clone of
+ * a repository. It also has a `repository` property, of the signature `{ url,
+ * branch }`, so that the app can offer to commit to it.
+ *
+ * @param {Object} libraries - see `loadGit()`
+ * @param {string} url - URL of the repository
+ * @param {string} branch - the branch that is checked out
+ * @returns {Object} a provider
+ */
+function createGitProvider({ git, fs }, url, branch) {
+  const dir = getRepositoryDir(url);
+
+  return {
+    name: getRepositoryName(url),
+    writable: true,
+    repository: { url, branch },
+    listFiles() {
+      return git.statusMatrix({ fs, dir })
+        .then(matrix => matrix
+          .filter(([path, head, workdir]) => workdir !== 0 && !isIgnoredPath(path))
+          .map(([path]) => path));
+    },
+    readText(path) {
+      return readFile(fs, dir, path, 'utf8');
+    },
+    getResourceUrl(path) {
+      return readFile(fs, dir, path).then(data => URL.createObjectURL(new Blob([data])));
+    },
+    writeText(path, contents) {
+      return fs.promises.writeFile(getFullPath(dir, path), contents, { encoding: 'utf8' });
+    },
+  };
+}
+
+/**
+ * Clones a repository into the browser's storage, or, if it was cloned
+ * before, brings the clone up to date with the repository. Changes in the
+ * clone that were not committed are kept, unless they conflict.
+ *
+ * @param {Object} options - `{ url, branch, username, password }`. The branch
+ *          is optional (the default branch of the repository if not given),
+ *          and so are the username and password, which are only needed to
+ *          clone a private repository or to push.
+ * @returns {Promise} resolved with a workspace provider for the clone
+ */
+export function cloneRepository({ url, branch, username, password }) {
+  const dir = getRepositoryDir(url);
+
+  return loadGitWithProxy().then((libs) => {
+    const { git, http, fs, corsProxy } = libs;
+
+    if (username || password) {
+      credentials[url] = { username, password };
+    }
+
+    const options = {
+      fs,
+      http,
+      dir,
+      url,
+      corsProxy,
+      singleBranch: true,
+      onAuth: getAuth(url),
+    };
+
+    return git.resolveRef({ fs, dir, ref: 'HEAD' })
+      .then(
+        // Cloned before
+        () => (branch ? git.checkout({ fs, dir, ref: branch }) : Promise.resolve())
+          .catch(() => git.fetch({ ...options, ref: branch })
+            .then(() => git.checkout({ fs, dir, ref: branch })))
+          .then(() => git.currentBranch({ fs, dir }))
+          .then(ref => git.fastForward({ ...options, ref })),
+        // Not cloned yet
+        () => git.clone({ ...options, ref: branch || undefined }))
+      .then(() => git.currentBranch({ fs, dir }))
+      .then(ref => createGitProvider(libs, url, ref));
+  });
+}
+
+/**
+ * Lists the files in the clone of the open repository that have changed
+ * since the last commit. Edited files must be saved to the clone first (see
+ * `saveWorkspaceFiles()` in `workspace.js`).
+ *
+ * @returns {Promise} resolved with changes, see `getChangedFiles()`
+ */
+export function getRepositoryChanges() {
+  const { url } = store.getState().app.workspace.repository;
+  return loadGit()
+    .then(({ git, fs }) => git.statusMatrix({ fs, dir: getRepositoryDir(url) }))
+    .then(getChangedFiles);
+}
+
+/**
+ * Commits every change in the clone of the open repository, and pushes the
+ * commit. If a branch other than the one that is checked out is given, the
+ * branch is created and checked out first, so the commit is pushed to it.
+ *
+ * @param {Object} options - `{ message, author, branch }`, where `author` is
+ *          `{ name, email }`
+ * @returns {Promise} resolved with the id of the commit, when it is pushed
+ */
+export function commitAndPush({ message, author, branch }) {
+  const { url } = store.getState().app.workspace.repository;
+  const dir = getRepositoryDir(url);
+
+  return loadGitWithProxy().then(({ git, http, fs, corsProxy }) => git.currentBranch({ fs, dir })
+    .then((current) => {
+      if (!branch || branch === current) return current;
+      return git.branch({ fs, dir, ref: branch, checkout: true }).then(() => branch);
+    })
+    .then(ref => getRepositoryChanges()
+      // One at a time, since each change is written to the index
+      .then(changes => changes.reduce((previous, { path, status }) => previous.then(() => (
+        status === 'deleted' ? git.remove({ fs, dir, filepath: path }) : git.add({ fs, dir, filepath: path })
+      )), Promise.resolve()))
+      .then(() => git.commit({ fs, dir, message, author }))
+      .then(oid => git.push({
+        fs,
+        http,
+        dir,
+        ref,
+        corsProxy,
+        onAuth: getAuth(url),
+      })
+      .then(() => {
+        // The branch may be new
+        const workspace = store.getState().app.workspace;
+        store.dispatch({
+          type: SET_APP_STATE,
+          workspace: {
+            ...workspace,
+            repository: { ...workspace.repository, branch: ref },
+          },
+        });
+        return oid;
+      }))));
+}
+
+/**
+ * Whether there are credentials to push to a repository with, i.e. whether
+ * the user gave them when the repository was cloned.
+ *
+ * @param {string} url - URL of the repository
+ * @returns {Boolean}
+ */
+export function hasCredentials(url) {
+  return Boolean(credentials[url]);
+}
+
+/**
+ * Sets the credentials to push to a repository with.
+ *
+ * @param {string} url - URL of the repository
+ * @param {Object} auth - `{ username, password }`
+ */
+export function setCredentials(url, auth) {
+  credentials[url] = auth;
+}
+
+/**
+ * Returns the name and email that the user last made a commit with.
+ *
+ * @returns {Promise} resolved with `{ name, email }`
+ */
+export function getLastAuthor() {
+  return localforage.getItem(STORAGE_GIT_AUTHOR_KEY)
+    .then(author => author || { name: '', email: '' });
+}
+
+/**
+ * Remembers the name and email that the user made a commit with.
+ *
+ * @param {Object} author - `{ name, email }`
+ * @returns {Promise} resolved when it is remembered
+ */
+export function rememberAuthor(author) {
+  return localforage.setItem(STORAGE_GIT_AUTHOR_KEY, author);
+}
@@ -1,17 +1,8 @@
-import L from 'leaflet';
 import { reverse, sortBy } from 'lodash';
 
-import { getEditorContent } from '../editor/editor';
-import { map } from '../map/map';
-import { getScreenshotData } from '../map/screenshot';
-import { createThumbnail } from '../tools/thumbnail';
-
 import store from '../store';
 import config from '../config';
 
-const THUMBNAIL_WIDTH = 144;
-const THUMBNAIL_HEIGHT = 81;
-
 // We only need the user-id for the API (plus, I assume, cookie credentials).
 // This is for retrieving just the user ID from Redux store. Maybe this goes
 // elsewhere eventually.
@@ -56,63 +47,46 @@ function makeMapzenAPIRequest(path, options = {}) {
 }
 
 /**
- * Create a thumbnail image of the current map scene as a Data-URI (which is
- * currently the format accepted by the Mapzen scene API).
+ * Replaces a thumbnail image.
  *
- * @returns {Promise} - fulfilled with the screenshot as a Data-URI.
+ * @param {Number} sceneId - id of the scene
+ * @param {string} thumbnail - the new thumbnail, as a Data-URI
+ * @returns {Promise} - resolved with the updated scene data
  */
-function makeThumbnail() {
-  // Grab a screenshot from the map and convert it to a thumbnail at a fixed
-  // dimension. This makes file sizes and layout more predictable.
-  return getScreenshotData()
-    // At this size, thumbnail image should clock in at around ~90kb
-    // to ~120kb (unoptimized, but that's the limitations of our
-    // thumbnail function)
-    .then(screenshot =>
-      createThumbnail(screenshot.blob, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, true, false));
-}
+export function replaceThumbnail(sceneId, thumbnail) {
+  const userId = getUserId();
+  const requestOptions = {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ thumbnail }),
+  };
 
-/**
- * Replaces a thumbnail image.
- * TODO: refactor
- */
-export function replaceThumbnail(sceneId) {
-  return makeThumbnail()
-    .then((screenshotData) => {
-      const userId = getUserId();
-      const requestOptions = {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          thumbnail: screenshotData,
-        }),
-      };
-
-      return makeMapzenAPIRequest(`${userId}/${sceneId}`, requestOptions);
-    });
+  return makeMapzenAPIRequest(`${userId}/${sceneId}`, requestOptions);
 }
 
 /**
- * Creates additional metadata information about the current scene.
+ * Creates the metadata of a scene for the Scene API.
  *
  * @params {Object} data - data passed to saveToMapzenUserAccount()
- * @returns {Object} metadata - additional metadata for the Scene API
+ * @returns {Object} metadata - metadata for the Scene API
  */
 function addMetadata(data) {
-  // Add some additional view information to the metadata.
-  const mapLabel = store.getState().map.label;
-  const metadata = Object.assign({}, data, {
-    view_label: mapLabel || '',
-    view_lat: map.getCenter().lat,
-    view_lng: map.getCenter().lng,
-    view_zoom: map.getZoom(),
-    versions_leaflet: L.version,
-    versions_tangram: window.Tangram.version,
-  });
-
-  return metadata;
+  /* eslint-disable camelcase */
+  return {
+    name: data.name,
+    description: data.description,
+    public: data.public,
+    entrypoint: data.entrypoint,
+    thumbnail: data.thumbnail,
+    view_label: data.view.label,
+    view_lat: data.view.lat,
+    view_lng: data.view.lng,
+    view_zoom: data.view.zoom,
+    versions_leaflet: data.versions.leaflet,
+    versions_tangram: data.versions.tangram,
+  };
+  /* eslint-enable camelcase */
 }
-
 /**
  * Retrieve scene list from Mapzen scene API. Returns a Promise, resolved with
  * its contents in the form of an Array. This array is empty if there are no
@@ -147,34 +121,27 @@ export function putFile(content, location, contentType = 'text/x-yaml') {
   });
 }
 
+/**
+ * Saves a new scene to the Mapzen scene API.
+ *
+ * @param {Object} data - the scene, see `saveSceneToStorage()` in
+ *          `providers.js`
+ * @returns {Promise} - resolved with the saved scene data
+ */
 export function saveToMapzenUserAccount(data) {
   const userId = getUserId();
-
-  // Add other data - here, or provided upstream?
-  const metadata = addMetadata(data);
-
-  // This is a single YAML file for now - whatever's in the current editor.
-  // TODO: get only root scene file
-  const content = getEditorContent();
+  const requestOptions = {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(addMetadata(data)),
+  };
 
   // POST a new scene.
-  return makeThumbnail()
-    .then((screenshotData) => {
-      // Add thumbnail as data-URI to payload
-      metadata.thumbnail = screenshotData;
-
-      const requestOptions = {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(metadata),
-      };
-
-      return makeMapzenAPIRequest(`${userId}`, requestOptions);
-    })
+  return makeMapzenAPIRequest(`${userId}`, requestOptions)
     // The returned `sceneData` will contain the `id` and
     // `resources_url` needed to POST each of our scene resources.
     // temp: to deal with this not needing url concatenation
-    .then(sceneData => putFile(content, sceneData.entrypoint_url)
+    .then(sceneData => putFile(data.contents, sceneData.entrypoint_url)
       .then((response) => {
         // There may be errors
         if (!response.ok) {
@@ -192,3 +159,27 @@ export function deleteScene(sceneId) {
   const userId = getUserId();
   return makeMapzenAPIRequest(`${userId}/${sceneId}`, { method: 'DELETE' });
 }
+
+/**
+ * Storage provider for the Mapzen scene API (see `providers.js`).
+ */
+export const mapzenStorage = {
+  id: 'MAPZEN',
+  name: 'Mapzen account',
+  requiresSignIn: true,
+  isAvailable: state => Boolean(state.system.mapzen),
+  list: fetchSceneList,
+  open: scene => Promise.resolve(scene.entrypoint_url),
+  save(data, scene) {
+    if (!scene) return saveToMapzenUserAccount(data);
+
+    // Saves over the root entry point, and replaces the thumbnail
+    return Promise.all([
+      replaceThumbnail(scene.id, data.thumbnail),
+      putFile(data.contents, scene.entrypoint_url),
+    ])
+    .then(results => results[0]);
+  },
+  delete: scene => deleteScene(scene.id),
+  saveThumbnail: (scene, thumbnail) => replaceThumbnail(scene.id, thumbnail),
+};
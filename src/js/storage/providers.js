@@ -0,0 +1,119 @@
+/**
+ * Storage providers
+ *
+ * Scenes can be saved to, and opened from, remote storage: the Mapzen scene
+ * API, GitHub gists (legacy), or a self-hosted WebDAV server. Each is a
+ * provider, an object of the signature:
+ *
+ *    {
+ *      id,             // String - also where a scene is saved, see
+ *                      // `saveLocation` in the scene reducer
+ *      name,           // String - shown in the UI, e.g. "Mapzen account"
+ *      requiresSignIn, // Boolean - whether the user must sign in to Mapzen
+ *      isAvailable,    // Function(state) - whether it can be used, given
+ *                      // the state of the Redux store
+ *      list,           // Function - returns a Promise resolved with an
+ *                      // array of saved scenes, the most recent first
+ *      open,           // Function(scene) - returns a Promise resolved with
+ *                      // the URL of the scene's root file
+ *      save,           // Function(data, scene) - saves the scene (see
+ *                      // `saveSceneToStorage()`), replacing `scene` if given.
+ *                      // Returns a Promise resolved with the saved scene.
+ *      delete,         // Function(scene) - Optional. Returns a Promise
+ *                      // resolved when the scene is deleted.
+ *      saveThumbnail,  // Function(scene, thumbnail) - Optional. Returns a
+ *                      // Promise resolved when the thumbnail is replaced.
+ *    }
+ *
+ * Saved scenes are objects of the signature `{ id, name, description,
+ * thumbnail, entrypoint_url, updated_at }`, like scenes in the Mapzen scene
+ * API, and may have other properties particular to each provider.
+ */
+import L from 'leaflet';
+
+import { getRootFileName, getEditedImportedFiles, getFileContentsForExport } from '../editor/io';
+import { map } from '../map/map';
+import { getScreenshotData } from '../map/screenshot';
+import { createThumbnail } from '../tools/thumbnail';
+import { mapzenStorage } from './mapzen';
+import { gistStorage } from './gist';
+import { webdavStorage } from './webdav';
+
+import store from '../store';
+import config from '../config';
+
+const THUMBNAIL_WIDTH = 144;
+const THUMBNAIL_HEIGHT = 81;
+
+const STORAGE_PROVIDERS = {
+  MAPZEN: mapzenStorage,
+  GIST: gistStorage, // LEGACY.
+  WEBDAV: webdavStorage,
+};
+
+/**
+ * Returns a storage provider.
+ *
+ * @param {string} id - Optional. Id of the provider. By default, the one
+ *          that is configured for saving scenes (see `config.js`).
+ * @returns {Object} the provider
+ */
+export function getStorageProvider(id = config.STORAGE.PROVIDER) {
+  return STORAGE_PROVIDERS[id];
+}
+
+/**
+ * Create a thumbnail image of the current map scene as a Data-URI.
+ *
+ * @returns {Promise} - fulfilled with the screenshot as a Data-URI.
+ */
+export function makeThumbnail() {
+  // Grab a screenshot from the map and convert it to a thumbnail at a fixed
+  // dimension. This makes file sizes and layout more predictable.
+  return getScreenshotData()
+    // At this size, thumbnail image should clock in at around ~90kb
+    // to ~120kb (unoptimized, but that's the limitations of our
+    // thumbnail function)
+    .then(screenshot =>
+      createThumbnail(screenshot.blob, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, true, false));
+}
+
+/**
+ * Saves the scene that is open with a storage provider. This is a single
+ * YAML file for now - the root scene file - with a thumbnail of the map.
+ * Edits to other files in the scene would be lost, so the scene is not
+ * saved while there are any.
+ *
+ * @param {Object} provider - the storage provider
+ * @param {Object} data - what the user entered about the scene: `{ name,
+ *          description, public }`
+ * @param {Object} scene - Optional. A saved scene to replace.
+ * @returns {Promise} resolved with the saved scene
+ */
+export function saveSceneToStorage(provider, data, scene) {
+  const rootFileIndex = store.getState().scene.rootFileIndex;
+  const editedFiles = getEditedImportedFiles();
+
+  if (editedFiles.length > 0) {
+    const names = editedFiles.map(file => file.filename || file.key).join(', ');
+    return Promise.reject(new Error(`Only the main scene file can be saved here, but other files have unsaved edits: ${names}. Save the scene as a bundle, or to a folder, to keep them.`));
+  }
+
+  return makeThumbnail()
+    .then(thumbnail => provider.save({
+      ...data,
+      entrypoint: getRootFileName(),
+      contents: getFileContentsForExport(rootFileIndex),
+      thumbnail,
+      view: {
+        label: store.getState().map.label || '',
+        lat: map.getCenter().lat,
+        lng: map.getCenter().lng,
+        zoom: map.getZoom(),
+      },
+      versions: {
+        tangram: window.Tangram.version,
+        leaflet: L.version,
+      },
+    }, scene));
+}
@@ -0,0 +1,164 @@
+/**
+ * Scene snapshots
+ *
+ * Timestamped copies of the files of a scene, kept in local memory, so that
+ * earlier versions of a scene can be compared with it and restored. Unlike
+ * the last editor state (see `updateLocalMemory()` in `editor/editor.js`),
+ * snapshots are not overwritten; only the oldest are dropped.
+ *
+ * Each snapshot is stored under a key of its own, so that taking one does not
+ * rewrite the others. A small index of the snapshots, without their files,
+ * is stored too, newest first.
+ */
+import localforage from 'localforage';
+import { isEqual } from 'lodash';
+
+const STORAGE_SNAPSHOTS_INDEX_KEY = 'scene-snapshots-index';
+const STORAGE_SNAPSHOT_KEY_PREFIX = 'scene-snapshot:';
+
+// Number of snapshots to keep, across all scenes
+export const MAX_SNAPSHOTS = 50;
+
+// Total size of the files of the snapshots to keep, in characters, across
+// all scenes. The newest snapshot is kept even if it is larger.
+export const MAX_SNAPSHOTS_SIZE = 5 * 1024 * 1024;
+
+function getSnapshotKey(uid) {
+  return `${STORAGE_SNAPSHOT_KEY_PREFIX}${uid}`;
+}
+
+function getSnapshotIndex() {
+  return localforage.getItem(STORAGE_SNAPSHOTS_INDEX_KEY)
+    // If not set previously, then this value is null, so return an
+    // empty array.
+    .then(index => index || []);
+}
+
+/**
+ * Returns the size of the files of a snapshot, in characters.
+ *
+ * @param {Object} snapshot - a snapshot, or an entry of the index of
+ *          snapshots, which has its size already
+ * @returns {Number} size
+ */
+export function getSnapshotSize(snapshot) {
+  if (typeof snapshot.size === 'number') return snapshot.size;
+
+  return snapshot.files.reduce((size, file) =>
+    size + (file.filename || '').length + (file.contents || '').length, 0);
+}
+
+// An entry of the index of snapshots: everything but the files
+function getIndexEntry(snapshot) {
+  return {
+    timestamp: snapshot.timestamp,
+    reason: snapshot.reason,
+    name: snapshot.name,
+    size: getSnapshotSize(snapshot),
+  };
+}
+
+/**
+ * Gets scene snapshots, the newest first.
+ * This is asynchronous and returns a Promise.
+ *
+ * @returns {Promise} - resolved value is an array of snapshots
+ */
+export function getSnapshots() {
+  return getSnapshotIndex()
+    .then(index => Promise.all(index.map(entry =>
+      localforage.getItem(getSnapshotKey(entry.timestamp)))))
+    // Snapshots that could not be read are left out
+    .then(snapshots => snapshots.filter(Boolean));
+}
+
+/**
+ * Adds a snapshot to a list of snapshots, newest first. A snapshot whose
+ * files are the same as the newest snapshot is not added, and the oldest
+ * snapshots are dropped to keep at most `max` snapshots, and at most
+ * `maxSize` characters of files.
+ *
+ * @param {Array} snapshots - existing snapshots, newest first. Other than
+ *          the newest, these may be entries of the index of snapshots.
+ * @param {Object} snapshot - the new snapshot, see `saveSnapshot()`
+ * @param {Number} max - Optional. Number of snapshots to keep.
+ * @param {Number} maxSize - Optional. Size of the snapshots to keep.
+ * @returns {Array} a new array of snapshots
+ */
+export function addSnapshot(snapshots, snapshot,
+  max = MAX_SNAPSHOTS, maxSize = MAX_SNAPSHOTS_SIZE) {
+  if (snapshots.length > 0 && isEqual(snapshots[0].files, snapshot.files)) {
+    return snapshots;
+  }
+
+  let size = 0;
+  return [snapshot, ...snapshots].slice(0, max).filter((item, index) => {
+    size += getSnapshotSize(item);
+    return index === 0 || size <= maxSize;
+  });
+}
+
+/**
+ * Saves a snapshot of a scene.
+ * This is asynchronous and returns a Promise.
+ *
+ * @param {Object} snapshot - an object having the following signature:
+ *      {
+            timestamp, // String - date string, also the snapshot's unique id
+            reason,    // String - why it was taken, e.g. "load" or "save"
+            name,      // String - name of the scene
+            files,     // Array - files of the scene: `{ filename, contents }`
+        }
+ * @returns {Promise} - resolved when the snapshot is saved
+ */
+export function saveSnapshot(snapshot) {
+  return getSnapshotIndex()
+    .then((index) => {
+      // Only the newest snapshot is read, to compare with
+      const newest = index.length > 0
+        ? localforage.getItem(getSnapshotKey(index[0].timestamp))
+        : Promise.resolve(null);
+
+      return newest.then((newestSnapshot) => {
+        const snapshots = newestSnapshot ? [newestSnapshot, ...index.slice(1)] : index;
+        const updated = addSnapshot(snapshots, snapshot);
+        if (updated === snapshots) return null;
+
+        const kept = updated.map(item => item.timestamp);
+        const dropped = index.filter(entry => kept.indexOf(entry.timestamp) === -1);
+
+        return localforage.setItem(getSnapshotKey(snapshot.timestamp), snapshot)
+          .then(() => localforage.setItem(STORAGE_SNAPSHOTS_INDEX_KEY, updated.map(getIndexEntry)))
+          .then(() => Promise.all(dropped.map(entry =>
+            localforage.removeItem(getSnapshotKey(entry.timestamp)))));
+      });
+    });
+}
+
+/**
+ * Delete only one snapshot, given its timestamp.
+ *
+ * @param {string} uid - timestamp of the snapshot
+ * @returns {Promise} - resolved value is current snapshots after delete
+ */
+export function deleteSnapshot(uid) {
+  return getSnapshotIndex()
+    .then((index) => {
+      const updatedIndex = index.filter(entry => entry.timestamp !== uid);
+      return localforage.setItem(STORAGE_SNAPSHOTS_INDEX_KEY, updatedIndex);
+    })
+    .then(() => localforage.removeItem(getSnapshotKey(uid)))
+    .then(getSnapshots);
+}
+
+/**
+ * Clear all snapshots.
+ *
+ * @returns {Promise} - resolved when they are cleared
+ */
+export function clearSnapshots() {
+  return getSnapshotIndex()
+    .then(index => localforage.setItem(STORAGE_SNAPSHOTS_INDEX_KEY, [])
+      .then(() => Promise.all(index.map(entry =>
+        localforage.removeItem(getSnapshotKey(entry.timestamp))))));
+}
@@ -0,0 +1,202 @@
+/**
+ * Self-hosted scene storage on a WebDAV server.
+ *
+ * Scenes are kept in a folder on the server (see `STORAGE.WEBDAV` in
+ * `config.js`). Each scene is a folder of its own with the root scene file,
+ * a `thumbnail.png` and a `scene.json` that describes the scene, like the
+ * scene data of the Mapzen scene API:
+ *
+ *    scenes/
+ *      my-scene-jb5mn2kc/
+ *        scene.json
+ *        scene.yaml
+ *        thumbnail.png
+ */
+import { reverse, sortBy } from 'lodash';
+
+import config from '../config';
+
+const SCENE_DATA_FILENAME = 'scene.json';
+const THUMBNAIL_FILENAME = 'thumbnail.png';
+
+// Namespace of WebDAV elements in PROPFIND responses
+const DAV_NAMESPACE = 'DAV:';
+
+function getBaseUrl() {
+  const url = config.STORAGE.WEBDAV.URL;
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+// Wraps fetch() for requests to the server, and throws an error if the
+// server does not respond with success.
+function makeWebDAVRequest(path, options = {}) {
+  return window.fetch(`${getBaseUrl()}${path}`, {
+    ...options,
+    credentials: config.STORAGE.WEBDAV.CREDENTIALS,
+  })
+  .then((response) => {
+    if (!response.ok) {
+      throw new Error(`The server responded with error code ${response.status}.`);
+    }
+    return response;
+  });
+}
+
+function putFile(path, body, contentType) {
+  return makeWebDAVRequest(path, {
+    method: 'PUT',
+    headers: { 'Content-Type': contentType },
+    body,
+  });
+}
+
+/**
+ * Creates an id for a new scene, also the name of its folder, from the name
+ * of the scene and the time it is saved, so that scenes with the same name
+ * do not replace each other.
+ *
+ * @param {string} name - name of the scene
+ * @param {Date} date - when the scene is saved
+ * @returns {string} the id, e.g. "my-scene-jb5mn2kc"
+ */
+export function makeSceneId(name, date) {
+  const slug = name.toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+
+  return `${slug || 'scene'}-${date.getTime().toString(36)}`;
+}
+
+/**
+ * Reads the names of the folders in a folder from the response to a
+ * PROPFIND request, which lists the folder itself as well.
+ *
+ * @param {string} xml - the multistatus response
+ * @param {string} url - URL of the folder that was requested
+ * @returns {Array} names of the folders in it
+ */
+export function parseFolderNames(xml, url) {
+  const doc = new window.DOMParser().parseFromString(xml, 'application/xml');
+  const folderPath = decodeURIComponent(new window.URL(url).pathname);
+  const names = [];
+
+  Array.prototype.forEach.call(doc.getElementsByTagNameNS(DAV_NAMESPACE, 'response'), (response) => {
+    const href = response.getElementsByTagNameNS(DAV_NAMESPACE, 'href')[0];
+    const isFolder = response.getElementsByTagNameNS(DAV_NAMESPACE, 'collection').length > 0;
+    if (!href || !isFolder) return;
+
+    // Hrefs may be absolute URLs or paths
+    const path = decodeURIComponent(new window.URL(href.textContent.trim(), url).pathname);
+    const name = path.slice(folderPath.length).replace(/\/$/, '');
+
+    if (path.startsWith(folderPath) && name.length > 0 && name.indexOf('/') === -1) {
+      names.push(name);
+    }
+  });
+
+  return names;
+}
+
+/**
+ * Retrieve the list of scenes on the server, the most recent first.
+ *
+ * @returns {Promise} - resolved with an array of saved scene data (or empty
+ *          array if nothing is saved yet)
+ */
+export function fetchSceneList() {
+  return makeWebDAVRequest('', {
+    method: 'PROPFIND',
+    headers: {
+      Depth: '1',
+      'Content-Type': 'application/xml',
+    },
+  })
+  .then(response => response.text())
+  .then(xml => Promise.all(parseFolderNames(xml, getBaseUrl()).map(name =>
+    makeWebDAVRequest(`${encodeURIComponent(name)}/${SCENE_DATA_FILENAME}`)
+      .then(response => response.json())
+      // Other folders are not scenes
+      .catch(() => null))))
+  .then(scenes => reverse(sortBy(scenes.filter(Boolean), 'updated_at')));
+}
+
+/**
+ * Saves a scene to the server, in a new folder, or over an existing scene.
+ *
+ * @param {Object} data - the scene, see `saveSceneToStorage()` in
+ *          `providers.js`
+ * @param {Object} scene - Optional. The saved scene data to replace.
+ * @returns {Promise} - resolved with the saved scene data
+ */
+export function saveScene(data, scene) {
+  const date = new Date();
+  const id = scene ? scene.id : makeSceneId(data.name, date);
+  const folder = `${encodeURIComponent(id)}/`;
+  const entrypoint = scene ? scene.entrypoint : data.entrypoint;
+
+  /* eslint-disable camelcase */
+  const sceneData = {
+    id,
+    name: scene ? scene.name : data.name,
+    description: scene ? scene.description : data.description,
+    entrypoint,
+    entrypoint_url: `${getBaseUrl()}${folder}${encodeURIComponent(entrypoint)}`,
+    thumbnail: `${getBaseUrl()}${folder}${THUMBNAIL_FILENAME}`,
+    view: data.view,
+    versions: data.versions,
+    created_at: scene ? scene.created_at : date.toISOString(),
+    updated_at: date.toISOString(),
+  };
+  /* eslint-enable camelcase */
+
+  // Thumbnails are Data-URIs, which fetch() turns into image data
+  const thumbnail = window.fetch(data.thumbnail).then(response => response.blob());
+
+  return (scene ? Promise.resolve() : makeWebDAVRequest(folder, { method: 'MKCOL' }))
+    .then(() => Promise.all([
+      putFile(`${folder}${encodeURIComponent(entrypoint)}`, data.contents, 'text/x-yaml'),
+      thumbnail.then(blob => putFile(`${folder}${THUMBNAIL_FILENAME}`, blob, 'image/png')),
+    ]))
+    // The scene is only listed once its files are saved
+    .then(() => putFile(`${folder}${SCENE_DATA_FILENAME}`, JSON.stringify(sceneData), 'application/json'))
+    .then(() => sceneData);
+}
+
+/**
+ * Replaces the thumbnail image of a scene on the server.
+ *
+ * @param {Object} scene - the saved scene data
+ * @param {string} thumbnail - the new thumbnail, as a Data-URI
+ * @returns {Promise} - resolved when the thumbnail is saved
+ */
+export function replaceThumbnail(scene, thumbnail) {
+  return window.fetch(thumbnail)
+    .then(response => response.blob())
+    .then(blob => putFile(`${encodeURIComponent(scene.id)}/${THUMBNAIL_FILENAME}`, blob, 'image/png'));
+}
+
+/**
+ * Deletes a scene, and its folder, from the server.
+ *
+ * @param {Object} scene - the saved scene data
+ * @returns {Promise} - resolved when the scene is deleted
+ */
+export function deleteScene(scene) {
+  return makeWebDAVRequest(`${encodeURIComponent(scene.id)}/`, { method: 'DELETE' });
+}
+
+/**
+ * Storage provider for a WebDAV server (see `providers.js`).
+ */
+export const webdavStorage = {
+  id: 'WEBDAV',
+  name: 'server',
+  requiresSignIn: false,
+  isAvailable: () => Boolean(config.STORAGE.WEBDAV.URL),
+  list: fetchSceneList,
+  open: scene => Promise.resolve(scene.entrypoint_url),
+  save: saveScene,
+  delete: deleteScene,
+  saveThumbnail: replaceThumbnail,
+};
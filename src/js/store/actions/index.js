@@ -59,6 +59,11 @@ export const SHOW_MODAL = 'SHOW_MODAL';
 export const HIDE_MODAL = 'HIDE_MODAL';
 export const CLEAR_MODALS = 'CLEAR_MODALS';
 
+/* pinned features */
+export const PIN_FEATURE = 'PIN_FEATURE';
+export const UNPIN_FEATURE = 'UNPIN_FEATURE';
+export const CLEAR_PINNED_FEATURES = 'CLEAR_PINNED_FEATURES';
+
 /* persistence */
 export const SET_PERSISTENCE = 'SET_PERSISTENCE';
 export const DISMISS_WELCOME_SCREEN = 'DISMISS_WELCOME_SCREEN';
@@ -78,7 +83,7 @@ export const MARK_FILE_CLEAN = 'MARK_FILE_CLEAN';
 export const MARK_FILE_DIRTY = 'MARK_FILE_DIRTY';
 export const STASH_DOCUMENT = 'STASH_DOCUMENT';
 export const SAVE_SCENE = 'SAVE_SCENE';
-export const MAPZEN_SAVE_SCENE = 'MAPZEN_SAVE_SCENE';
+export const CLOUD_SAVE_SCENE = 'CLOUD_SAVE_SCENE';
 
 /* settings */
 export const SET_SETTINGS = 'SET_SETTINGS';
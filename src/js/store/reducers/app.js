@@ -42,6 +42,36 @@ const initialState = {
   // Whether editor should display the tab bar. This is view-only.
   showEditorTabBar: true,
 
+  // Whether the scene outline panel is displayed.
+  showOutlinePanel: false,
+
+  // References found to a symbol in the scene, displayed in the references
+  // panel: `{ title, items }`, or `null` if the panel is closed.
+  references: null,
+
+  // Whether the table of features in loaded tiles is displayed.
+  showFeatureTable: false,
+
+  // Whether features of the layer at the cursor in the editor are
+  // emphasized on the map.
+  highlightCursorLayer: false,
+
+  // A feature inspected on the map, to explain how it is drawn in the
+  // layer trace panel: `{ feature, context }`, or `null` if the panel is
+  // closed.
+  layerTrace: null,
+
+  // The local folder open as a workspace, displayed in the folder panel:
+  // `{ name, paths, writable }`, or `null` if no folder is open.
+  workspace: null,
+
+  // Whether the files of the workspace are displayed in the folder panel.
+  showFolderPanel: false,
+
+  // Location bookmarks kept in the scene (see `bookmarks.js`), listed with
+  // the user's own bookmarks.
+  sceneBookmarks: [],
+
   // Easter egg.
   globey: false,
 };
@@ -4,6 +4,7 @@ import errors from './errors';
 import map from './map';
 import modals from './modals';
 import persistence from './persistence';
+import pinned from './pinned';
 import scene from './scene';
 import settings from './settings';
 import system from './system';
@@ -15,6 +16,7 @@ const reducers = combineReducers({
   map,
   modals,
   persistence,
+  pinned,
   scene,
   settings,
   system,
@@ -0,0 +1,38 @@
+/**
+ * For features that are pinned from the inspection popup, to compare them
+ */
+import { PIN_FEATURE, UNPIN_FEATURE, CLEAR_PINNED_FEATURES } from '../actions';
+
+const initialState = {
+  features: [],
+
+  // Identifies pinned features, which have no id of their own
+  nextId: 1,
+};
+
+const pinned = (state = initialState, action) => {
+  switch (action.type) {
+    // Pins a feature of the signature
+    // `{ properties, source_name, source_layer, layers, latlng }`
+    case PIN_FEATURE:
+      return {
+        ...state,
+        features: [...state.features, { ...action.feature, id: state.nextId }],
+        nextId: state.nextId + 1,
+      };
+    case UNPIN_FEATURE:
+      return {
+        ...state,
+        features: state.features.filter(feature => feature.id !== action.id),
+      };
+    case CLEAR_PINNED_FEATURES:
+      return {
+        ...state,
+        features: [],
+      };
+    default:
+      return state;
+  }
+};
+
+export default pinned;
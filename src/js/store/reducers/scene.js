@@ -9,7 +9,7 @@ import {
   MARK_FILE_DIRTY,
   STASH_DOCUMENT,
   SAVE_SCENE,
-  MAPZEN_SAVE_SCENE,
+  CLOUD_SAVE_SCENE,
 } from '../actions';
 import { getBasePathFromUrl } from '../../tools/helpers';
 
@@ -39,9 +39,11 @@ const initialState = {
   // Whether the scene was saved somewhere.
   saved: false,
   // Where the scene was saved last. Valid values are "LOCAL" (for local file
-  // system), "MAPZEN" (for Mapzen scene API), "ANON_GIST" (for Anonymous
-  // Gist, legacy use only), or `null` if not previously saved. This variable
-  // should be *set* if a file is first loaded from each of those locations.
+  // system), "FOLDER" (for a local folder workspace), the id of a storage
+  // provider, e.g. "MAPZEN" (for Mapzen scene API) or "WEBDAV" (for a
+  // self-hosted server), "ANON_GIST" (for Anonymous Gist, legacy use only),
+  // or `null` if not previously saved. This variable should be *set* if a file is
+  // first loaded from each of those locations.
   saveLocation: null,
   // When saved, record a timestamp.
   saveTimestamp: null,
@@ -61,8 +63,6 @@ What is a file object? A file object can contain the following properties:
         be renamed. Not required. A `null` or `undefined` value will be
         displayed as `untitled` in an editor tab, and when saved, a useful
         default should be provided (e.g. `scene.yaml` for root scene files).
-        NOTE: only main scene files can be renamed; imported scene files
-        are currently "read-only".
     - root (boolean)
         is `true` for the "main" or root scene file. Not required; non-root
         scene files do not require this property. Only one scene file should
@@ -72,6 +72,8 @@ What is a file object? A file object can contain the following properties:
         this if it's also too easy to have more than one root file accidentally.)
     - isClean (boolean)
         whether the file is "dirty" (not saved) or "clean" (has been saved).
+        Each file tracks this separately.
+        A file that has not been marked either way is considered clean.
         Unlike other editor state properties (see below), this is always updated
         so that UI can reflect this condition at all times. This should sync
         with CodeMirror state; however, when recovering application state it is
@@ -85,6 +87,11 @@ What is a file object? A file object can contain the following properties:
         the same file. For external resources, use a fully-qualified URL.
         For local resources, use an absolute file path. For "in-memory" resources,
         we still need to figure out something.
+    - bundlePath (string)
+        for files opened from a zipped scene bundle, the path of the file
+        inside the bundle, e.g. "layers/roads.yaml". Relative references
+        between files in a bundle are resolved with this path. Files opened
+        from a local folder workspace use their path in the folder.
 
     Editor state properties
     These properties are NOT guaranteed to sync with editor state, as that
@@ -112,6 +119,8 @@ What is a file object? A file object can contain the following properties:
     - selections (array)
         an array of all selections in the document, returned from
         `doc.listSelections()`
+    - foldedLines (array)
+        line numbers where code is folded, returned from `getFoldedLines()`
     - buffer (CodeMirror.Doc object)
         returned from `CodeMirror.getDoc()`. Editor buffer associated with a
         specific file. Used when operating between `.swapDoc()` operations.
@@ -273,15 +282,16 @@ const scene = (state = initialState, action) => {
         saveTimestamp: action.timestamp,
         // Do not overwrite data here.
       };
-    // Only for scenes saved in Mapzen Scenes API.
-    case MAPZEN_SAVE_SCENE:
+    // Only for scenes saved with a storage provider (see `storage/providers.js`).
+    // `location` is the id of the provider, e.g. "MAPZEN".
+    case CLOUD_SAVE_SCENE:
       return {
         ...state,
         justOpened: false,
         name: action.data.name,
         description: action.data.description,
         saved: true,
-        saveLocation: 'MAPZEN',
+        saveLocation: action.location,
         saveTimestamp: action.data.updated_at,
         sourceData: action.data,
       };
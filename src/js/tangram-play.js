@@ -11,8 +11,13 @@ import { initTextMarkers } from './editor/textmarkers';
 import { initSuggestions } from './editor/suggest';
 import { initContextSensitiveClickEvents } from './editor/imports';
 import { initErrorsManager, clearAllErrors } from './editor/errors';
+import { takeSnapshot } from './editor/snapshots';
+import { loadSavedCredentials } from './editor/credentials';
 import { initGlslPickers } from './components/glsl-pickers/glsl-pickers';
 import { showErrorModal } from './modals/ErrorModal';
+import { isZipFile, unpackSceneBundle, releaseSceneBundle } from './file/bundle';
+import { closeWorkspace, WORKSPACE_SAVE_LOCATION } from './file/workspace';
+import { recoverScene } from './file/recovery';
 
 // Import Utils
 import { prependProtocolToUrl, getFilenameFromUrl } from './tools/helpers';
@@ -53,8 +58,22 @@ function doLoadProcess(scene) {
   // Store our intial scene for use within embedded Tangram Play
   initialScene = scene;
 
+  // Resources from a previously opened scene bundle are no longer needed
+  // unless this scene is also a bundle.
+  if (!scene.files[0] || !scene.files[0].bundlePath) {
+    releaseSceneBundle();
+  }
+
+  // Likewise, a workspace is closed when a scene from elsewhere is opened.
+  if (scene.saveLocation !== WORKSPACE_SAVE_LOCATION) {
+    closeWorkspace();
+  }
+
   setSceneContentsInEditor(scene);
 
+  // Keep the loaded version in the scene's history
+  takeSnapshot('load', scene.files);
+
   // Update history
   // Don't push a new history state if we are loading a scene from the
   // initial load of Tangram Play.
@@ -169,8 +188,10 @@ function makeSceneStateObjectFromUrl(url) {
       const contentType = response.headers.get('Content-Type');
 
       // If content type exists, and it is a binary file of type application/zip,
-      // return an array buffer, which is what JSZip reads
-      if (contentType && contentType.startsWith('application/zip')) {
+      // return an array buffer, which is what JSZip reads. Some servers do
+      // not report the correct content type, so check the extension as well.
+      if ((contentType && isZipFile(contentType)) ||
+        sceneState.files[0].filename.toLowerCase().endsWith('.zip')) {
         return response.arrayBuffer();
       }
 
@@ -180,7 +201,11 @@ function makeSceneStateObjectFromUrl(url) {
     })
     .then((contents) => {
       if (contents instanceof ArrayBuffer) {
-        throw new Error('Tangram Play does not support zipped scene bundles right now.');
+        return unpackSceneBundle(contents)
+          .then((files) => {
+            sceneState.files = files;
+            return sceneState;
+          });
       }
 
       sceneState.files[0].contents = contents;
@@ -188,11 +213,28 @@ function makeSceneStateObjectFromUrl(url) {
     });
 }
 
+/**
+ * Given a zipped scene bundle from the user's file system, unpacks it and
+ * constructs a valid scene state object that is loaded into the editor.
+ *
+ * @param {Blob|File} bundle - the zip file
+ * @returns {Promise} a Promise resolved with the scene state object.
+ */
+function makeSceneStateObjectFromBundle(bundle) {
+  return unpackSceneBundle(bundle)
+    .then(files => ({
+      files,
+      saved: true,
+      saveLocation: 'FILE',
+    }));
+}
+
 /**
  * Determine what is the scene url and content to load during start-up.
  * It does it in this order:
  *  1) Is there something specified in the query string?
- *  2) Is there something in local memory? (via localforage)
+ *  2) Is there something in local memory? (via localforage) If it has
+ *     unsaved changes, offer to recover them.
  *  3) If neither of above, load the default scene file.
  *
  * Reading a remote URL or local memory is asynchronous, so this returns a Promise.
@@ -237,7 +279,12 @@ function determineScene() {
   return localforage.getItem(STORAGE_LAST_EDITOR_STATE)
     .then((sceneState) => {
       if (sceneState && sceneState.files && sceneState.files.length > 0) {
-        return doLoadProcess(sceneState);
+        return recoverScene(sceneState, {
+          loadScene: doLoadProcess,
+          loadSceneFromUrl: url => makeSceneStateObjectFromUrl(url).then(doLoadProcess),
+          defaultSceneUrl: DEFAULT_SCENE,
+          keepDiscardedChanges: files => takeSnapshot('discard', files),
+        });
       }
 
       // Else load the default scene file.
@@ -255,10 +302,15 @@ function determineScene() {
  * either a URL path (for remote / external scenes), or the contents
  * of a Tangram YAML file itself.
  *
- * @param {Object} scene - an object containing one of two properties:
+ * @param {Object} scene - an object containing one of three properties:
  *      scene.url - a URL path to load a scene from
  *      scene.contents - Tangram YAML as a text blob
- *      You should not pass in both! Currently `url` takes priority.
+ *      scene.bundle - a zipped scene bundle, as a Blob or File
+ *      scene.files - file objects of the scene, already read (e.g. from a
+ *        workspace, see `file/workspace.js`), with where the scene is saved
+ *        in `scene.saveLocation`
+ *      You should not pass in more than one! Currently `url` takes priority,
+ *      followed by `contents`.
  *
  *      A third property `data` may be present if the scene comes from the
  *      Mapzen Scenes API and it is an object containing scene metadata.
@@ -314,10 +366,25 @@ export function load(scene) {
       resolve();
     })
     .catch(onLoadError);
+  } else if (scene.bundle) {
+    return makeSceneStateObjectFromBundle(scene.bundle)
+      .then(doLoadProcess)
+      .catch(onLoadError);
+  } else if (scene.files) {
+    return new Promise((resolve) => {
+      doLoadProcess({
+        files: scene.files,
+        saved: true,
+        saveLocation: scene.saveLocation,
+      });
+      resolve();
+    })
+    .catch(onLoadError);
   }
 
-  // if neither `scene.url` or `scene.contents` is provided, throw an error
-  throw new Error('no scene url or contents provided');
+  // if none of `scene.url`, `scene.contents`, `scene.bundle` or `scene.files`
+  // is provided, throw an error
+  throw new Error('no scene url, contents, bundle or files provided');
 }
 
 export function initTangramPlay() {
@@ -344,7 +411,9 @@ export function initTangramPlay() {
   showSceneLoadingIndicator();
 
   // LOAD SCENE FILE
-  determineScene()
+  // Keys and tokens that the user registered are injected into the scene
+  loadSavedCredentials()
+    .then(determineScene)
     // Things we do after Tangram is finished initializing
     .then(() => {
       // Initialize addons after Tangram is done, because
@@ -31,6 +31,30 @@ export function countLeadingSpaces(str) {
   return str.search(/\S|$/);
 }
 
+/**
+ * Counts the number of single-character edits (insertions, deletions or
+ * substitutions) needed to change one string into another. This is the
+ * Levenshtein distance between the two strings.
+ *
+ * @param {string} a - first string
+ * @param {string} b - second string
+ * @returns {Number} number of edits
+ */
+export function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = (a[i - 1] === b[j - 1]) ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
 /**
  * Checks to see if a string is an absolute URI (fully-qualified) - that is,
  * not a relative path. It checks by seeing if the string begins with what
@@ -1,5 +1,6 @@
 import { assert } from 'chai';
-import { isValidMapzenApiKey, injectAPIKey, suppressAPIKeys } from '../src/js/editor/api-keys';
+import YAML from 'yaml-ast-parser';
+import { isValidMapzenApiKey, injectAPIKey, suppressAPIKeys, getAPIKeyFixes } from '../src/js/editor/api-keys';
 
 const TEST_API_KEY = 'mapzen-1234567';
 const TEST_SUPPRESSED_KEYS = [TEST_API_KEY, 'mapzen-abcdefg', 'mapzen-123abcd'];
@@ -396,4 +397,30 @@ describe('API keys for Mapzen vector tiles', () => {
     it('removes keys when the url is resolved from a global property');
     it('removes keys when the url is resolved from a YAML variable');
   });
+
+  describe('getAPIKeyFixes()', () => {
+    it('adds a placeholder key to Mapzen sources without keys', () => {
+      const document = `
+sources:
+    mapzen:
+        type: TopoJSON
+        url: "https://tile.mapzen.com/mapzen/vector/v1/all/{z}/{x}/{y}.topojson"
+    keyed:
+        type: MVT
+        url: https://tile.mapzen.com/mapzen/vector/v1/all/{z}/{x}/{y}.mvt
+        url_params:
+            api_key: ${TEST_API_KEY}
+    other:
+        type: MVT
+        url: https://example.tileservice.com/{z}/{x}/{y}.mvt
+`;
+      const fixes = getAPIKeyFixes(YAML.safeLoad(document));
+      assert.lengthOf(fixes, 1);
+
+      const change = fixes[0].changes[0];
+      const result = document.slice(0, change.from) + change.text + document.slice(change.to);
+      assert.include(result, '{y}.topojson?api_key=your-mapzen-api-key"');
+      assert.equal(result.slice(fixes[0].selection.from, fixes[0].selection.to), 'your-mapzen-api-key');
+    });
+  });
 });
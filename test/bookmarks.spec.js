@@ -0,0 +1,95 @@
+import { assert } from 'chai';
+import {
+  normalizeBookmark,
+  parseBookmarks,
+  bookmarksToGeoJSON,
+  bookmarksToJSON,
+  getBookmarkFolders,
+  getSceneBookmarks,
+  getSceneBookmarksChange,
+} from '../src/js/map/bookmarks';
+
+const BOOKMARKS = [
+  { label: 'Downtown', lat: 40.7128, lng: -74.006, zoom: 14, folder: 'Cities', timestamp: '2017-01-01T00:00:00.000Z' },
+  { label: 'Harbor', lat: 37.8, lng: -122.4, zoom: 12.5, timestamp: '2017-01-02T00:00:00.000Z' },
+];
+
+function applyChange(content, change) {
+  return content.slice(0, change.from) + change.text + content.slice(change.to);
+}
+
+describe('Location bookmarks', () => {
+  describe('normalizeBookmark()', () => {
+    it('reads coordinates from strings, and `lon` and `name`', () => {
+      const bookmark = normalizeBookmark({ name: 'Pier', lat: '40.5', lon: '-74.1', zoom: '16' });
+      assert.deepEqual(bookmark, { label: 'Pier', lat: 40.5, lng: -74.1, zoom: 16 });
+    });
+
+    it('rejects items without valid coordinates', () => {
+      assert.isNull(normalizeBookmark({ label: 'Nowhere' }));
+      assert.isNull(normalizeBookmark({ label: 'Too far', lat: 100, lng: 0 }));
+      assert.isNull(normalizeBookmark('40,-74'));
+    });
+  });
+
+  describe('parseBookmarks()', () => {
+    it('reads back exported GeoJSON and JSON lists', () => {
+      assert.deepEqual(parseBookmarks(bookmarksToGeoJSON(BOOKMARKS)), BOOKMARKS);
+      assert.deepEqual(parseBookmarks(bookmarksToJSON(BOOKMARKS)), BOOKMARKS);
+    });
+
+    it('skips features that are not points, and gives a default zoom', () => {
+      const geojson = JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] }, properties: {} },
+          { type: 'Feature', geometry: { type: 'Point', coordinates: [2.35, 48.86] }, properties: { name: 'Paris' } },
+        ],
+      });
+      assert.deepEqual(parseBookmarks(geojson), [{ label: 'Paris', lat: 48.86, lng: 2.35, zoom: 14 }]);
+    });
+
+    it('throws on files that are not bookmarks', () => {
+      assert.throws(() => parseBookmarks('label: Downtown'));
+      assert.throws(() => parseBookmarks('{ "type": "Feature" }'));
+    });
+  });
+
+  describe('getBookmarkFolders()', () => {
+    it('lists each folder once', () => {
+      const bookmarks = [...BOOKMARKS, { ...BOOKMARKS[1], folder: 'Bridges' }, { ...BOOKMARKS[0] }];
+      assert.deepEqual(getBookmarkFolders(bookmarks), ['Bridges', 'Cities']);
+    });
+  });
+
+  describe('getSceneBookmarks()', () => {
+    it('reads bookmarks from the meta block of a scene', () => {
+      const sceneConfig = { meta: { bookmarks: [BOOKMARKS[0], { label: 'Broken' }] } };
+      assert.deepEqual(getSceneBookmarks(sceneConfig), [
+        { label: 'Downtown', lat: 40.7128, lng: -74.006, zoom: 14, folder: 'Cities' },
+      ]);
+      assert.deepEqual(getSceneBookmarks({ meta: 'none' }), []);
+      assert.deepEqual(getSceneBookmarks({}), []);
+    });
+  });
+
+  describe('getSceneBookmarksChange()', () => {
+    it('adds a meta block to the end of a scene', () => {
+      const content = 'layers: {}';
+      assert.strictEqual(applyChange(content, getSceneBookmarksChange(content, [BOOKMARKS[1]])),
+        'layers: {}\n\nmeta:\n    bookmarks:\n        - { label: "Harbor", lat: 37.8, lng: -122.4, zoom: 12.5 }\n');
+    });
+
+    it('adds bookmarks to a meta block', () => {
+      const content = 'meta:\n  version: 2\nlayers: {}\n';
+      assert.strictEqual(applyChange(content, getSceneBookmarksChange(content, [])),
+        'meta:\n  bookmarks: []\n  version: 2\nlayers: {}\n');
+    });
+
+    it('replaces the bookmarks in a scene', () => {
+      const content = 'meta:\n    bookmarks:\n        - { label: "Old", lat: 1, lng: 2 }\n\n    version: 2\n';
+      assert.strictEqual(applyChange(content, getSceneBookmarksChange(content, [BOOKMARKS[0]])),
+        'meta:\n    bookmarks:\n        - { label: "Downtown", lat: 40.7128, lng: -74.006, zoom: 14, folder: "Cities" }\n\n    version: 2\n');
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import { assert } from 'chai';
+import JSZip from 'jszip';
+import {
+  isZipFile,
+  resolveBundlePath,
+  getRelativeBundlePath,
+  findRootScenePath,
+  findSceneFilePaths,
+  packSceneBundle,
+} from '../src/js/file/bundle';
+
+describe('Scene bundles', () => {
+  describe('isZipFile()', () => {
+    it('detects zip content-types', () => {
+      assert.isTrue(isZipFile('application/zip'));
+      assert.isTrue(isZipFile('application/x-zip-compressed'));
+      assert.isFalse(isZipFile('text/yaml'));
+    });
+
+    it('detects zip files without a type by extension', () => {
+      assert.isTrue(isZipFile({ type: '', name: 'scene.ZIP' }));
+      assert.isFalse(isZipFile({ type: '', name: 'scene.yaml' }));
+    });
+  });
+
+  describe('resolveBundlePath()', () => {
+    it('resolves paths relative to the referring file', () => {
+      assert.strictEqual(resolveBundlePath('roads.yaml', 'scene.yaml'), 'roads.yaml');
+      assert.strictEqual(resolveBundlePath('roads.yaml', 'layers/water.yaml'), 'layers/roads.yaml');
+      assert.strictEqual(resolveBundlePath('../img/icons.png', 'layers/water.yaml'), 'img/icons.png');
+      assert.strictEqual(resolveBundlePath('./img/icons.png?v=1', 'scene.yaml'), 'img/icons.png');
+    });
+
+    it('resolves a leading slash from the root of the bundle', () => {
+      assert.strictEqual(resolveBundlePath('/img/icons.png', 'layers/water.yaml'), 'img/icons.png');
+    });
+
+    it('returns null for paths outside the bundle', () => {
+      assert.isNull(resolveBundlePath('https://example.com/img/icons.png', 'scene.yaml'));
+      assert.isNull(resolveBundlePath('blob:http://localhost/f00', 'scene.yaml'));
+      assert.isNull(resolveBundlePath('../icons.png', 'scene.yaml'));
+      assert.isNull(resolveBundlePath('', 'scene.yaml'));
+    });
+  });
+
+  describe('findRootScenePath()', () => {
+    it('finds the YAML file at the top level', () => {
+      const paths = ['layers/roads.yaml', 'main.yaml', 'img/icons.png'];
+      assert.strictEqual(findRootScenePath(paths), 'main.yaml');
+    });
+
+    it('finds the shallowest YAML file when the bundle is a zipped folder', () => {
+      const paths = ['refill/layers/roads.yaml', 'refill/refill.yaml', 'refill/img/icons.png'];
+      assert.strictEqual(findRootScenePath(paths), 'refill/refill.yaml');
+    });
+
+    it('prefers scene.yaml when there are several candidates', () => {
+      const paths = ['a.yaml', 'scene.yaml', 'z.yml'];
+      assert.strictEqual(findRootScenePath(paths), 'scene.yaml');
+    });
+
+    it('returns null when there are no YAML files', () => {
+      assert.isNull(findRootScenePath(['img/icons.png']));
+    });
+  });
+
+  describe('findSceneFilePaths()', () => {
+    const scene = 'sources: {}\nlayers: {}';
+
+    it('only finds YAML files with top-level keys of scene files', () => {
+      const files = [
+        { path: '.travis.yml', contents: 'language: node_js' },
+        { path: 'main.yaml', contents: 'import: layers/roads.yaml' },
+        { path: 'layers/roads.yaml', contents: 'layers: {}' },
+      ];
+      assert.deepEqual(findSceneFilePaths(files), ['main.yaml']);
+      assert.deepEqual(findSceneFilePaths(files.slice(0, 1)), []);
+    });
+
+    it('finds every candidate, unless one is scene.yaml', () => {
+      const files = [{ path: 'b.yaml', contents: scene }, { path: 'a.yaml', contents: scene }];
+      assert.deepEqual(findSceneFilePaths(files), ['a.yaml', 'b.yaml']);
+      assert.deepEqual(findSceneFilePaths([...files, { path: 'scene.yaml', contents: scene }]), ['scene.yaml']);
+    });
+  });
+
+  describe('getRelativeBundlePath()', () => {
+    it('returns a path relative to a file in the same directory', () => {
+      assert.strictEqual(getRelativeBundlePath('layers/water.yaml', 'layers/roads.yaml'), 'water.yaml');
+    });
+
+    it('returns a path relative to a file in another directory', () => {
+      assert.strictEqual(getRelativeBundlePath('img/icons.png', 'layers/roads.yaml'), '../img/icons.png');
+      assert.strictEqual(getRelativeBundlePath('scene.yaml', 'a/b/c.yaml'), '../../scene.yaml');
+    });
+
+    it('is the opposite of resolveBundlePath()', () => {
+      const relative = getRelativeBundlePath('refill/img/icons.png', 'refill/layers/roads.yaml');
+      assert.strictEqual(resolveBundlePath(relative, 'refill/layers/roads.yaml'), 'refill/img/icons.png');
+    });
+  });
+
+  describe('packSceneBundle()', () => {
+    const originalFetch = window.fetch;
+    let requests;
+
+    // Imports are fetched; `missing.yaml` is not found, and `sources.yaml`
+    // has an API key in it
+    beforeEach(() => {
+      requests = [];
+      window.fetch = (url) => {
+        requests.push(url);
+        return new Promise((resolve) => {
+          window.setTimeout(() => {
+            const ok = url.indexOf('missing') === -1;
+            const text = (url.indexOf('sources') > -1)
+              ? 'sources: { tiles: { url: "https://tile.example.com/{z}/{x}/{y}.mvt?api_key=secret" } }'
+              : 'layers: {}';
+            resolve({ ok, status: ok ? 200 : 404, text: () => Promise.resolve(text) });
+          }, 10);
+        });
+      };
+    });
+
+    afterEach(() => {
+      window.fetch = originalFetch;
+    });
+
+    function packScene(contents, options) {
+      const files = [{ contents, filename: 'scene.yaml', root: true, url: 'https://example.com/scene.yaml' }];
+      return packSceneBundle(files, options)
+        .then(JSZip.loadAsync)
+        .then(zip => zip.file('scene.yaml').async('string')
+          .then(scene => ({ zip, scene, paths: Object.keys(zip.files) })));
+    }
+
+    it('fetches an import once, for every reference to it', () =>
+      packScene('import: [roads.yaml, ./roads.yaml]')
+        .then(({ scene, paths }) => {
+          assert.deepEqual(requests, ['https://example.com/roads.yaml']);
+          assert.deepEqual(paths.sort(), ['roads.yaml', 'scene.yaml']);
+          assert.strictEqual(scene, 'import: [roads.yaml, roads.yaml]');
+        }));
+
+    it('leaves every reference to an import that cannot be fetched as a URL', () =>
+      packScene('import: [missing.yaml, ./missing.yaml]')
+        .then(({ scene, paths }) => {
+          assert.deepEqual(paths, ['scene.yaml']);
+          assert.strictEqual(scene, 'import: [https://example.com/missing.yaml, https://example.com/missing.yaml]');
+        }));
+
+    it('leaves credentials out of every scene file', () => {
+      const credentials = [{ name: 'Example', pattern: 'tile\\.example\\.com', param: 'api_key', value: 'secret' }];
+      const contents = 'import: sources.yaml\nsources:\n    more:\n        url: https://tile.example.com/more.mvt\n        url_params:\n            api_key: secret\n';
+
+      return packScene(contents, { credentials })
+        .then(({ zip, scene }) => zip.file('sources.yaml').async('string')
+          .then((sources) => {
+            assert.strictEqual(scene, 'import: sources.yaml\nsources:\n    more:\n        url: https://tile.example.com/more.mvt\n        url_params:\n');
+            assert.strictEqual(sources, 'sources: { tiles: { url: "https://tile.example.com/{z}/{x}/{y}.mvt" } }');
+          }));
+    });
+  });
+});
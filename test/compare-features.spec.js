@@ -0,0 +1,32 @@
+import { assert } from 'chai';
+import { compareFeatureProperties, getLayerTree, getDifferentLayers } from '../src/js/map/compare-features';
+
+describe('Compare features', () => {
+  const features = [
+    { properties: { kind: 'major_road', name: 'Main St', lanes: 2 }, layers: ['roads', 'roads:major'] },
+    { properties: { kind: 'major_road', lanes: 4 }, layers: ['roads', 'roads:major', 'roads:major:wide'] },
+  ];
+
+  it('lines up the properties of features', () => {
+    assert.deepEqual(compareFeatureProperties(features), [
+      { key: 'kind', values: ['major_road', 'major_road'], differs: false },
+      { key: 'lanes', values: [2, 4], differs: true },
+      { key: 'name', values: ['Main St', undefined], differs: true },
+    ]);
+  });
+
+  it('arranges layers as a tree', () => {
+    assert.deepEqual(getLayerTree(['roads:major', 'roads', 'water']), [
+      {
+        name: 'roads',
+        address: 'layers:roads',
+        children: [{ name: 'major', address: 'layers:roads:major', children: [] }],
+      },
+      { name: 'water', address: 'layers:water', children: [] },
+    ]);
+  });
+
+  it('finds layers that only some features are in', () => {
+    assert.deepEqual(getDifferentLayers(features), ['roads:major:wide']);
+  });
+});
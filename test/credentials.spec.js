@@ -0,0 +1,88 @@
+import { assert } from 'chai';
+import {
+  findCredentialForUrl,
+  injectCredentials,
+  suppressCredentials,
+  findEmbeddedCredentials,
+} from '../src/js/editor/credentials';
+
+const CREDENTIALS = [
+  { name: 'Nextzen', pattern: 'tile\\.nextzen\\.org', param: 'api_key', value: 'nz-abc123' },
+  { name: 'Satellite', pattern: '^https://sat\\.example\\.com/', param: 'access_token', value: 'pk.secret' },
+];
+
+describe('Tile service credentials', () => {
+  describe('findCredentialForUrl()', () => {
+    it('finds the credential registered for a URL', () => {
+      const credential = findCredentialForUrl('https://tile.nextzen.org/tilezen/vector/v1/all/{z}/{x}/{y}.mvt', CREDENTIALS);
+      assert.strictEqual(credential.name, 'Nextzen');
+      assert.isUndefined(findCredentialForUrl('https://example.com/{z}/{x}/{y}.png', CREDENTIALS));
+    });
+
+    it('ignores credentials with patterns that are not valid', () => {
+      assert.isUndefined(findCredentialForUrl('https://example.com/(', [{ pattern: '(', param: 'key', value: 'x' }]));
+    });
+  });
+
+  describe('injectCredentials()', () => {
+    it('adds a credential to the url_params of matching sources', () => {
+      const config = {
+        sources: {
+          mapzen: { url: 'https://tile.nextzen.org/tilezen/vector/v1/all/{z}/{x}/{y}.mvt', url_params: { foo: 'bar' } },
+          satellite: { url: 'https://sat.example.com/{z}/{x}/{y}.jpg' },
+          other: { url: 'https://example.com/{z}/{x}/{y}.png' },
+        },
+      };
+
+      assert.deepEqual(injectCredentials(config, CREDENTIALS), ['mapzen', 'satellite']);
+      assert.deepEqual(config.sources.mapzen.url_params, { foo: 'bar', api_key: 'nz-abc123' });
+      assert.deepEqual(config.sources.satellite.url_params, { access_token: 'pk.secret' });
+      assert.isUndefined(config.sources.other.url_params);
+    });
+
+    it('does not replace a value that the scene has', () => {
+      const config = {
+        sources: {
+          params: { url: 'https://tile.nextzen.org/{z}/{x}/{y}.mvt', url_params: { api_key: 'mine' } },
+          query: { url: 'https://tile.nextzen.org/{z}/{x}/{y}.mvt?api_key=mine' },
+        },
+      };
+
+      assert.deepEqual(injectCredentials(config, CREDENTIALS), []);
+      assert.strictEqual(config.sources.params.url_params.api_key, 'mine');
+    });
+  });
+
+  describe('suppressCredentials()', () => {
+    it('removes credentials from URL query strings', () => {
+      const content = [
+        'url: https://tile.nextzen.org/{z}/{x}/{y}.mvt?api_key=nz-abc123',
+        'url: https://tile.nextzen.org/{z}/{x}/{y}.mvt?api_key=nz-abc123&foo=bar',
+        'url: "https://sat.example.com/{z}/{x}/{y}.jpg?foo=bar&access_token=pk.secret"',
+      ].join('\n');
+
+      assert.strictEqual(suppressCredentials(content, CREDENTIALS), [
+        'url: https://tile.nextzen.org/{z}/{x}/{y}.mvt',
+        'url: https://tile.nextzen.org/{z}/{x}/{y}.mvt?foo=bar',
+        'url: "https://sat.example.com/{z}/{x}/{y}.jpg?foo=bar"',
+      ].join('\n'));
+    });
+
+    it('removes credentials from url_params', () => {
+      const content = 'url_params:\n    api_key: \'nz-abc123\'\n    foo: bar\n';
+      assert.strictEqual(suppressCredentials(content, CREDENTIALS), 'url_params:\n    foo: bar\n');
+    });
+
+    it('does not remove other values', () => {
+      const content = 'url: https://tile.nextzen.org/{z}/{x}/{y}.mvt?api_key=nz-abc1234';
+      assert.strictEqual(suppressCredentials(content, CREDENTIALS), content);
+    });
+  });
+
+  describe('findEmbeddedCredentials()', () => {
+    it('finds credentials written anywhere in a scene', () => {
+      const content = 'global:\n    token: pk.secret\n';
+      assert.deepEqual(findEmbeddedCredentials(content, CREDENTIALS).map(c => c.name), ['Satellite']);
+    });
+  });
+});
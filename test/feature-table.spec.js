@@ -0,0 +1,27 @@
+import { assert } from 'chai';
+import { getFeatureColumns, filterFeatures, sortFeatures } from '../src/js/map/feature-table';
+
+describe('Feature table', () => {
+  const features = [
+    { properties: { kind: 'park', area: 1200, name: 'Dolores Park' } },
+    { properties: { kind: 'forest', area: 90 } },
+    { properties: { kind: 'Park', area: 35.5, operator: 'City' } },
+  ];
+
+  it('has a column for each property', () => {
+    assert.deepEqual(getFeatureColumns(features), ['name', 'kind', 'area', 'operator']);
+  });
+
+  it('filters features by column', () => {
+    assert.deepEqual(filterFeatures(features, { kind: 'PARK' }), [features[0], features[2]]);
+    assert.deepEqual(filterFeatures(features, { kind: 'park', area: '< 100' }), [features[2]]);
+    assert.deepEqual(filterFeatures(features, { name: ' ', area: '>=90' }), [features[0], features[1]]);
+    assert.deepEqual(filterFeatures(features, { operator: 'x' }), []);
+  });
+
+  it('sorts features by column', () => {
+    assert.deepEqual(sortFeatures(features, 'area'), [features[2], features[1], features[0]]);
+    assert.deepEqual(sortFeatures(features, 'area', true), [features[0], features[1], features[2]]);
+    assert.deepEqual(sortFeatures(features, 'name', true), [features[0], features[1], features[2]]);
+  });
+});
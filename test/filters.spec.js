@@ -0,0 +1,175 @@
+import { assert } from 'chai';
+import YAML from 'yaml-ast-parser';
+import {
+  getFilterValue,
+  validateFilter,
+  matchFilter,
+  hasFilterFunction,
+  countMatchingFeatures,
+  getFilterMappingsInRange,
+  getLayerData,
+  getLayerFeatures,
+  getMatchingLayers,
+  getLayerAddress,
+  getFeaturesInLayer,
+  stringifyFilter,
+} from '../src/js/editor/filters';
+
+// Parses the value of `filter` in a document
+function parseFilter(filter) {
+  const ast = YAML.safeLoad(`filter: ${filter}`);
+  return ast.mappings[0].value;
+}
+
+function getMessages(filter) {
+  return validateFilter(parseFilter(filter)).map(problem => problem.message);
+}
+
+describe('Layer filters', () => {
+  describe('getFilterValue()', () => {
+    it('converts unquoted numbers and booleans', () => {
+      const filter = getFilterValue(parseFilter('{ kind: [major_road, "1"], min_zoom: 12, name: true, $zoom: { min: 4.5 } }'));
+      assert.deepEqual(filter, {
+        kind: ['major_road', '1'],
+        min_zoom: 12,
+        name: true,
+        $zoom: { min: 4.5 },
+      });
+    });
+  });
+
+  describe('validateFilter()', () => {
+    it('accepts valid filters', () => {
+      assert.deepEqual(getMessages('{ kind: highway, $geometry: line, $zoom: { min: 10, max: 14 } }'), []);
+      assert.deepEqual(getMessages('[{ kind: water }, { not: { name: true } }]'), []);
+      assert.deepEqual(getMessages('{ any: [{ kind: park }, { landuse: [forest, wood] }] }'), []);
+      assert.deepEqual(getMessages('function() { return feature.kind === "park"; }'), []);
+    });
+
+    it('reports mistakes', () => {
+      assert.deepEqual(getMessages('{ $geometry: lines, $zom: 3, $zoom: { min: 14, max: 10, mni: 1 } }'), [
+        '"lines" is not a valid value for "$geometry". Valid values are: point, line, polygon.',
+        'Unknown filter keyword "$zom". Valid keywords are: $zoom, $geometry, $layer, $source, $meters_per_pixel.',
+        'Unknown parameter "mni" in the range for "$zoom". Ranges have a "min", a "max", or both.',
+        'The range for "$zoom" is empty: "min" must be less than "max".',
+      ]);
+      assert.deepEqual(getMessages('{ any: water, kind: [] }'), [
+        '"any" must be a list of filters, or a map of conditions.',
+        'The list of values for "kind" is empty, so no features match it.',
+      ]);
+    });
+
+    it('does not check filter functions, which would mean running them', () => {
+      assert.deepEqual(getMessages('function() { return feature.kind === ; }'), []);
+    });
+  });
+
+  describe('matchFilter()', () => {
+    const properties = { kind: 'major_road', name: 'Main Street', sort_rank: 5 };
+
+    it('matches conditions the way Tangram does', () => {
+      assert.isTrue(matchFilter({ kind: 'major_road' }, properties));
+      assert.isTrue(matchFilter({ kind: ['minor_road', 'major_road'], name: true }, properties));
+      assert.isFalse(matchFilter({ kind: 'major_road', ref: true }, properties));
+      assert.isTrue(matchFilter({ sort_rank: { min: 5, max: 6 } }, properties));
+      assert.isFalse(matchFilter({ sort_rank: { max: 5 } }, properties));
+      assert.isTrue(matchFilter([{ kind: 'path' }, { $zoom: { min: 14 } }], properties, { $zoom: 15 }));
+      assert.isTrue(matchFilter({ not: { kind: 'path' }, none: [{ name: false }] }, properties));
+    });
+
+    it('does not evaluate filter functions', () => {
+      const source = 'function() { window.evaluated = true; return true; }';
+      window.evaluated = false;
+
+      assert.isTrue(hasFilterFunction(source));
+      assert.isTrue(hasFilterFunction({ any: [{ kind: 'path' }, { not: source }] }));
+      assert.isFalse(hasFilterFunction({ kind: 'function() {}' }));
+      assert.isNull(matchFilter(source, properties));
+      assert.isNull(matchFilter([{ kind: 'major_road' }, source], properties));
+      assert.deepEqual(countMatchingFeatures({ all: [source] }, [{ properties }]),
+        { matched: 0, checked: 0, total: 1 });
+      assert.isFalse(window.evaluated);
+    });
+
+    it('counts matching features', () => {
+      const features = [
+        { properties: { kind: 'park' }, geometry: { type: 'Polygon' } },
+        { properties: { kind: 'park' }, geometry: { type: 'Point' } },
+        { properties: { kind: 'park' } },
+      ];
+      assert.deepEqual(countMatchingFeatures({ kind: 'park' }, features), { matched: 3, checked: 3, total: 3 });
+      assert.deepEqual(countMatchingFeatures({ $geometry: 'polygon' }, features), { matched: 1, checked: 2, total: 3 });
+    });
+  });
+
+  describe('layers', () => {
+    const document = `
+layers:
+    roads:
+        data: { source: mapzen }
+        filter: { not: { kind: ferry } }
+        highway:
+            filter:
+                kind: highway
+    water:
+        data: { source: mapzen, layer: [water, ocean] }
+`;
+    const ast = YAML.safeLoad(document);
+
+    it('finds filters in a range', () => {
+      const found = getFilterMappingsInRange(ast, document.indexOf('highway'), document.length);
+      assert.deepEqual(found.map(item => item.address), ['layers:roads:highway:filter']);
+      assert.equal(found[0].mapping.value.startPosition, document.indexOf('kind: highway'));
+    });
+
+    it('finds the features a layer is for', () => {
+      const data = getLayerData(ast, 'layers:roads:highway:filter');
+      assert.deepEqual(data, { source: 'mapzen', layers: ['roads'], parentFilters: [{ not: { kind: 'ferry' } }] });
+      assert.deepEqual(getLayerData(ast, 'layers:water:filter').layers, ['water', 'ocean']);
+
+      const features = [
+        { source_name: 'mapzen', source_layer: 'roads', properties: { kind: 'highway' } },
+        { source_name: 'mapzen', source_layer: 'roads', properties: { kind: 'ferry' } },
+        { source_name: 'osm', source_layer: 'roads', properties: { kind: 'highway' } },
+        { source_name: 'mapzen', source_layer: 'water', properties: { kind: 'lake' } },
+      ];
+      assert.deepEqual(getLayerFeatures(features, data), [features[0]]);
+    });
+
+    it('finds the layers a feature is in', () => {
+      const highway = { source_name: 'mapzen', source_layer: 'roads', properties: { kind: 'highway' } };
+      const ferry = { source_name: 'mapzen', source_layer: 'roads', properties: { kind: 'ferry' } };
+      const ocean = { source_name: 'mapzen', source_layer: 'ocean', properties: {} };
+
+      assert.deepEqual(getMatchingLayers(ast, highway), ['layers:roads', 'layers:roads:highway']);
+      assert.deepEqual(getMatchingLayers(ast, ferry), []);
+      assert.deepEqual(getMatchingLayers(ast, ocean), ['layers:water']);
+    });
+
+    it('finds the layer at a key address, and the features in it', () => {
+      const highway = { source_name: 'mapzen', source_layer: 'roads', properties: { kind: 'highway' } };
+      const ferry = { source_name: 'mapzen', source_layer: 'roads', properties: { kind: 'ferry' } };
+
+      assert.equal(getLayerAddress('layers:roads:highway:draw:lines:color'), 'layers:roads:highway');
+      assert.equal(getLayerAddress('layers:roads'), 'layers:roads');
+      assert.isNull(getLayerAddress('layers'));
+      assert.isNull(getLayerAddress('styles:lines'));
+      assert.deepEqual(getFeaturesInLayer(ast, 'layers:roads:highway', [highway, ferry]), [highway]);
+    });
+  });
+
+  describe('stringifyFilter()', () => {
+    it('writes filters that read back the same', () => {
+      const filter = {
+        kind: ['major_road', 'true', '12'],
+        name: true,
+        'addr:street': 'Main Street',
+        $zoom: { min: 12 },
+        any: [{ ref: 'A 1' }],
+      };
+      const text = stringifyFilter(filter);
+      assert.equal(text, '{ kind: [major_road, "true", "12"], name: true, "addr:street": Main Street, $zoom: { min: 12 }, any: [{ ref: A 1 }] }');
+      assert.deepEqual(getFilterValue(parseFilter(text)), filter);
+    });
+  });
+});
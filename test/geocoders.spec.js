@@ -0,0 +1,62 @@
+import { assert } from 'chai';
+import { parseGazetteer, searchPlaces, findNearestPlace, getGeocoder } from '../src/js/map/geocoders';
+
+const PLACES = parseGazetteer(`name,lat,lng
+"Portland, Oregon",45.52,-122.68
+"Portland, Maine",43.66,-70.26
+Port Moresby,-9.44,147.18
+Newport,41.49,-71.31
+`);
+
+describe('Geocoders', () => {
+  describe('parseGazetteer()', () => {
+    it('reads places from CSV', () => {
+      assert.strictEqual(PLACES.length, 4);
+      assert.strictEqual(PLACES[0].properties.label, 'Portland, Oregon');
+      assert.deepEqual(PLACES[0].geometry.coordinates, [-122.68, 45.52]);
+    });
+
+    it('reads places from GeoJSON', () => {
+      const places = parseGazetteer(JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', geometry: { type: 'Point', coordinates: [2.35, 48.86] }, properties: { name: 'Paris' } },
+          { type: 'Feature', geometry: { type: 'LineString', coordinates: [] }, properties: { name: 'Seine' } },
+        ],
+      }));
+
+      assert.deepEqual(places.map(place => place.properties.label), ['Paris']);
+    });
+
+    it('requires name and coordinate columns', () => {
+      assert.throws(() => parseGazetteer('title,x,y\nParis,2.35,48.86'));
+    });
+  });
+
+  describe('searchPlaces()', () => {
+    it('finds places that start with the query first, nearest the focus first', () => {
+      const results = searchPlaces(PLACES, 'port', { lat: 44, lng: -70 });
+      assert.deepEqual(results.map(place => place.properties.label),
+        ['Portland, Maine', 'Portland, Oregon', 'Port Moresby', 'Newport']);
+    });
+  });
+
+  describe('findNearestPlace()', () => {
+    it('finds the nearest place, if it is near enough', () => {
+      assert.strictEqual(findNearestPlace(PLACES, { lat: 45.5, lng: -122.6 }).properties.label, 'Portland, Oregon');
+      assert.isNull(findNearestPlace(PLACES, { lat: 0, lng: 0 }));
+    });
+  });
+
+  describe('getGeocoder()', () => {
+    it('uses a geocoder that works without configuring one', () => {
+      assert.strictEqual(getGeocoder().id, 'NOMINATIM');
+    });
+
+    it('does not search with Pelias unless it is configured', () =>
+      getGeocoder('PELIAS').search('Portland', { lat: 44, lng: -70 })
+        .then(() => assert.fail('Pelias should not have searched'), (error) => {
+          assert.match(error.message, /No URL is configured/);
+        }));
+  });
+});
@@ -0,0 +1,42 @@
+import { assert } from 'chai';
+import { getRepositoryName, getChangedFiles, cloneRepository, hasCredentials } from '../src/js/storage/git';
+
+describe('Git repositories', () => {
+  describe('getRepositoryName()', () => {
+    it('names a repository after the last part of its URL', () => {
+      assert.strictEqual(getRepositoryName('https://github.com/user/tangram-scene.git'), 'tangram-scene');
+      assert.strictEqual(getRepositoryName('https://example.com/git/scenes/'), 'scenes');
+    });
+  });
+
+  describe('getChangedFiles()', () => {
+    it('lists added, modified and deleted files', () => {
+      const matrix = [
+        ['scene.yaml', 1, 2, 1],
+        ['layers/roads.yaml', 1, 1, 1],
+        ['layers/water.yaml', 0, 2, 0],
+        ['img/icons.png', 1, 0, 1],
+        ['layers/staged.yaml', 1, 2, 2],
+      ];
+
+      assert.deepEqual(getChangedFiles(matrix), [
+        { path: 'scene.yaml', status: 'modified' },
+        { path: 'layers/water.yaml', status: 'added' },
+        { path: 'img/icons.png', status: 'deleted' },
+        { path: 'layers/staged.yaml', status: 'modified' },
+      ]);
+    });
+  });
+
+  describe('cloneRepository()', () => {
+    it('does not send credentials anywhere unless a CORS proxy is configured', () => {
+      const url = 'https://github.com/user/tangram-scene.git';
+
+      return cloneRepository({ url, username: 'user', password: 'secret' })
+        .then(() => assert.fail('cloneRepository should have rejected'), (error) => {
+          assert.match(error.message, /No CORS proxy is configured/);
+          assert.isFalse(hasCredentials(url));
+        });
+    });
+  });
+});
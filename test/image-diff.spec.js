@@ -0,0 +1,55 @@
+import { assert } from 'chai';
+import { diffPixels, exceedsThreshold, PIXEL_TOLERANCE } from '../src/js/map/image-diff';
+
+// Makes RGBA pixel data from a list of `[r, g, b, a]` colors
+function makePixels(colors) {
+  return new Uint8ClampedArray([].concat(...colors));
+}
+
+describe('Image diffs', () => {
+  describe('diffPixels()', () => {
+    it('counts the pixels that changed', () => {
+      const before = makePixels([
+        [0, 0, 0, 255], [255, 255, 255, 255], [10, 20, 30, 255], [0, 0, 0, 0],
+      ]);
+      const after = makePixels([
+        [0, 0, 0, 255], [0, 0, 0, 255], [10, 20, 30, 255], [0, 0, 0, 255],
+      ]);
+      const result = diffPixels(before, after);
+
+      assert.strictEqual(result.changed, 2);
+      assert.strictEqual(result.total, 4);
+      assert.strictEqual(result.percent, 50);
+    });
+
+    it('ignores differences within the tolerance', () => {
+      const before = makePixels([[100, 100, 100, 255]]);
+      const after = makePixels([[100 + PIXEL_TOLERANCE, 100 - PIXEL_TOLERANCE, 100, 255]]);
+      assert.strictEqual(diffPixels(before, after).changed, 0);
+      assert.strictEqual(diffPixels(before, after, 0).changed, 1);
+    });
+
+    it('draws changed pixels in color over a faded original', () => {
+      const before = makePixels([[0, 0, 0, 255], [0, 0, 0, 255]]);
+      const after = makePixels([[0, 0, 0, 255], [255, 255, 255, 255]]);
+      const pixels = Array.from(diffPixels(before, after).pixels);
+
+      // Black fades to light gray
+      assert.deepEqual(pixels.slice(0, 4), [191, 191, 191, 255]);
+      assert.deepEqual(pixels.slice(4), [255, 0, 102, 255]);
+    });
+
+    it('throws on images of different sizes', () => {
+      assert.throws(() => diffPixels(makePixels([[0, 0, 0, 255]]), makePixels([])));
+    });
+  });
+
+  describe('exceedsThreshold()', () => {
+    it('compares with thresholds as numbers or as typed', () => {
+      assert.isTrue(exceedsThreshold(0.5, 0));
+      assert.isFalse(exceedsThreshold(0, 0));
+      assert.isFalse(exceedsThreshold(0.5, '1.5'));
+      assert.isTrue(exceedsThreshold(0.5, ''));
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import { assert } from 'chai';
+import YAML from 'yaml-ast-parser';
+import { traceLayers } from '../src/js/editor/layer-trace';
+
+const DOCUMENT = `
+layers:
+    roads:
+        data: { source: mapzen }
+        draw:
+            lines:
+                color: gray
+                width: 2px
+                outline:
+                    color: black
+        highway:
+            filter: { kind: highway }
+            draw:
+                lines:
+                    color: orange
+        minor:
+            filter: { all: [{ kind: minor_road }, { $zoom: { min: 14 } }] }
+            draw:
+                lines:
+                    width: 1px
+    water:
+        data: { source: mapzen }
+`;
+
+describe('Layer trace', () => {
+  const ast = YAML.safeLoad(DOCUMENT);
+  const feature = { source_name: 'mapzen', source_layer: 'roads', properties: { kind: 'highway' } };
+
+  it('traces the layers that a feature is in, and why not', () => {
+    const trace = traceLayers(ast, feature, { $zoom: 12 });
+
+    assert.lengthOf(trace.layers, 1);
+    assert.isTrue(trace.layers[0].matched);
+    assert.deepEqual(trace.layers[0].children.map(layer => [layer.name, layer.matched]), [
+      ['highway', true],
+      ['minor', false],
+    ]);
+    assert.deepEqual(trace.layers[0].children[1].failing, {
+      condition: 'kind: minor_road',
+      property: 'kind',
+    });
+  });
+
+  it('combines draw parameters of the layers that match', () => {
+    const draw = traceLayers(ast, feature).draw;
+
+    assert.deepEqual(draw.map(item => [item.parameter, item.node.value, item.layer]), [
+      ['color', 'orange', 'layers:roads:highway'],
+      ['width', '2px', 'layers:roads'],
+      ['outline:color', 'black', 'layers:roads'],
+    ]);
+    assert.equal(draw[0].address, 'layers:roads:highway:draw:lines:color');
+  });
+
+  it('does not evaluate filter functions', () => {
+    const document = `
+layers:
+    roads:
+        data: { source: mapzen }
+        scripted:
+            filter: function() { return feature.kind === 'highway'; }
+`;
+    const layer = traceLayers(YAML.safeLoad(document), feature).layers[0].children[0];
+
+    assert.deepEqual([layer.matched, layer.evaluated, layer.failing], [false, false, null]);
+  });
+
+  it('uses the layers that Tangram reports, if there are any', () => {
+    const trace = traceLayers(ast, { ...feature, layers: ['roads', 'roads:minor'] });
+    assert.deepEqual(trace.layers[0].children.map(layer => layer.matched), [false, true]);
+  });
+});
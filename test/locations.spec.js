@@ -0,0 +1,56 @@
+import { assert } from 'chai';
+import { parseLocation, getTileBounds, getLocationLabel } from '../src/js/map/locations';
+
+describe('Locations', () => {
+  describe('parseLocation()', () => {
+    it('reads coordinates, with or without a zoom', () => {
+      assert.deepEqual(parseLocation('40.7128,-74.0060'), { lat: 40.7128, lng: -74.006, zoom: undefined });
+      assert.deepEqual(parseLocation(' 40.7128, -74.0060, 14 '), { lat: 40.7128, lng: -74.006, zoom: 14 });
+      assert.deepEqual(parseLocation('40.7128 -74.0060'), { lat: 40.7128, lng: -74.006, zoom: undefined });
+    });
+
+    it('reads URL hashes', () => {
+      assert.deepEqual(parseLocation('#14.5/40.7128/-74.0060'), { lat: 40.7128, lng: -74.006, zoom: 14.5 });
+    });
+
+    it('reads screenshot file names', () => {
+      assert.deepEqual(parseLocation('tangram-@8.7067&76.2119&-60.8138_2016-07-29_12.59.16.png'),
+        { lat: 76.2119, lng: -60.8138, zoom: 8.7067 });
+    });
+
+    it('reads tile addresses', () => {
+      const location = parseLocation('14/4823/6160');
+      assert.deepEqual(location.tile, { z: 14, x: 4823, y: 6160 });
+      assert.strictEqual(location.zoom, 14);
+      assert.closeTo(location.lat, 40.71, 0.01);
+      assert.closeTo(location.lng, -74.02, 0.01);
+    });
+
+    it('reads slashed numbers outside the range of a tile as a URL hash', () => {
+      assert.deepEqual(parseLocation('3/40/-74'), { lat: 40, lng: -74, zoom: 3 });
+    });
+
+    it('does not read place names or coordinates out of range', () => {
+      assert.isNull(parseLocation('New York'));
+      assert.isNull(parseLocation('95,10'));
+      assert.isNull(parseLocation('#3/10/200'));
+    });
+  });
+
+  describe('getTileBounds()', () => {
+    it('returns the bounds of a tile', () => {
+      const [[south, west], [north, east]] = getTileBounds({ z: 1, x: 1, y: 0 });
+      assert.closeTo(south, 0, 1e-9);
+      assert.closeTo(west, 0, 1e-9);
+      assert.closeTo(north, 85.0511, 1e-4);
+      assert.closeTo(east, 180, 1e-9);
+    });
+  });
+
+  describe('getLocationLabel()', () => {
+    it('describes tiles and coordinates', () => {
+      assert.strictEqual(getLocationLabel(parseLocation('14/4823/6160')), 'Tile 14/4823/6160');
+      assert.strictEqual(getLocationLabel(parseLocation('40.71283,-74')), '40.7128, -74.0000');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { assert } from 'chai';
+import YAML from 'yaml-ast-parser';
+import { getSceneOutline, filterOutline, getOutlineItemAtIndex } from '../src/js/editor/outline';
+
+const TEST_DOCUMENT = `
+cameras:
+    perspective:
+        type: perspective
+
+styles:
+    dashed:
+        base: lines
+
+sources:
+    mapzen:
+        type: TopoJSON
+
+layers:
+    roads:
+        data: { source: mapzen }
+        draw:
+            lines:
+                color: white
+        highway:
+            filter: { kind: highway }
+            draw:
+                lines:
+                    color: orange
+            link:
+                filter: { is_link: true }
+    water:
+        data: { source: mapzen }
+`;
+
+describe('Scene outline', () => {
+  let outline;
+
+  before(() => {
+    outline = getSceneOutline(YAML.safeLoad(TEST_DOCUMENT));
+  });
+
+  describe('getSceneOutline()', () => {
+    it('lists sections in order', () => {
+      assert.deepEqual(outline.map(item => item.name), ['sources', 'layers', 'styles', 'cameras']);
+    });
+
+    it('lists named items in each section', () => {
+      assert.deepEqual(outline[0].children.map(item => item.name), ['mapzen']);
+      assert.deepEqual(outline[1].children.map(item => item.name), ['roads', 'water']);
+    });
+
+    it('lists sublayers, but not layer parameters', () => {
+      const roads = outline[1].children[0];
+      assert.deepEqual(roads.children.map(item => item.name), ['highway']);
+      assert.strictEqual(roads.children[0].address, 'layers:roads:highway');
+      assert.strictEqual(roads.children[0].children[0].address, 'layers:roads:highway:link');
+    });
+
+    it('does not list the contents of other items', () => {
+      assert.lengthOf(outline[2].children[0].children, 0);
+    });
+  });
+
+  describe('filterOutline()', () => {
+    it('keeps items that match, and their ancestors', () => {
+      const filtered = filterOutline(outline, 'LINK');
+      assert.lengthOf(filtered, 1);
+      assert.strictEqual(filtered[0].children[0].children[0].children[0].name, 'link');
+    });
+
+    it('returns the outline as-is without a query', () => {
+      assert.strictEqual(filterOutline(outline, ' '), outline);
+    });
+  });
+
+  describe('getOutlineItemAtIndex()', () => {
+    it('returns the most deeply nested item at an index', () => {
+      const index = TEST_DOCUMENT.indexOf('orange');
+      assert.strictEqual(getOutlineItemAtIndex(outline, index).address, 'layers:roads:highway');
+    });
+
+    it('returns null outside of the outline', () => {
+      assert.isNull(getOutlineItemAtIndex(outline, 0));
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import { assert } from 'chai';
+import store from '../src/js/store';
+import { CLEAR_MODALS } from '../src/js/store/actions';
+import { recoverScene } from '../src/js/file/recovery';
+
+describe('Recovering unsaved changes', () => {
+  const DEFAULT_SCENE = 'data/scenes/basic.yaml';
+  let loaded;
+  let failingUrls;
+  let discarded;
+
+  const options = {
+    loadScene: (sceneState) => {
+      loaded.push(sceneState);
+      return Promise.resolve(sceneState);
+    },
+    loadSceneFromUrl: (url) => {
+      if (failingUrls.indexOf(url) > -1) {
+        return Promise.reject(new Error(`Could not open ${url}`));
+      }
+      loaded.push(url);
+      return Promise.resolve(url);
+    },
+    defaultSceneUrl: DEFAULT_SCENE,
+    keepDiscardedChanges: (files) => {
+      discarded.push(files);
+    },
+  };
+
+  function makeSceneState(originalUrl) {
+    return {
+      originalUrl,
+      files: [
+        { filename: 'scene.yaml', contents: 'import: roads.yaml', isClean: true },
+        { filename: 'roads.yaml', contents: 'layers: {}', isClean: false },
+      ],
+    };
+  }
+
+  // Answers the recover scene modal, once it is shown
+  function choose(choice) {
+    const modal = store.getState().modals.stack.find(item => item.modalType === 'RECOVER_SCENE');
+    modal.modalProps[`${choice}Callback`]();
+  }
+
+  beforeEach(() => {
+    loaded = [];
+    failingUrls = [];
+    discarded = [];
+    store.dispatch({ type: CLEAR_MODALS });
+  });
+
+  it('opens scenes without unsaved changes without asking', () => {
+    const sceneState = makeSceneState('https://example.com/scene.yaml');
+    sceneState.files[1].isClean = true;
+
+    return recoverScene(sceneState, options)
+      .then(() => {
+        assert.deepEqual(store.getState().modals.stack, []);
+        assert.deepEqual(loaded, [sceneState]);
+        assert.deepEqual(discarded, []);
+      });
+  });
+
+  it('opens the scene with its unsaved changes if they are restored', () => {
+    const sceneState = makeSceneState('https://example.com/scene.yaml');
+    const recovered = recoverScene(sceneState, options);
+
+    const modal = store.getState().modals.stack[0];
+    assert.strictEqual(modal.modalType, 'RECOVER_SCENE');
+    assert.deepEqual(modal.modalProps.files, [sceneState.files[1]]);
+
+    choose('restore');
+    return recovered.then(() => {
+      assert.deepEqual(loaded, [sceneState]);
+      assert.deepEqual(discarded, []);
+    });
+  });
+
+  it('opens the scene again from where it came from if changes are discarded', () => {
+    const sceneState = makeSceneState('https://example.com/scene.yaml');
+    const recovered = recoverScene(sceneState, options);
+
+    choose('discard');
+    return recovered.then(() => {
+      assert.deepEqual(discarded, [sceneState.files]);
+      assert.deepEqual(loaded, ['https://example.com/scene.yaml']);
+    });
+  });
+
+  it('opens the default scene if changes are discarded from a scene in memory', () => {
+    const recovered = recoverScene(makeSceneState('blob:http://localhost/1'), options);
+
+    choose('discard');
+    return recovered.then(() => {
+      assert.deepEqual(loaded, [DEFAULT_SCENE]);
+    });
+  });
+
+  it('opens the default scene if the scene can not be opened again', () => {
+    failingUrls = ['https://example.com/scene.yaml'];
+    const recovered = recoverScene(makeSceneState('https://example.com/scene.yaml'), options);
+
+    choose('discard');
+    return recovered.then(() => {
+      assert.deepEqual(loaded, [DEFAULT_SCENE]);
+    });
+  });
+
+  it('rejects if no scene can be opened after changes are discarded', () => {
+    failingUrls = ['https://example.com/scene.yaml', DEFAULT_SCENE];
+    const recovered = recoverScene(makeSceneState('https://example.com/scene.yaml'), options);
+
+    choose('discard');
+    return recovered.then(
+      () => assert.fail('recoverScene should have rejected'),
+      (error) => {
+        assert.strictEqual(error.message, `Could not open ${DEFAULT_SCENE}`);
+      });
+  });
+});
@@ -0,0 +1,48 @@
+import { assert } from 'chai';
+import store from '../src/js/store';
+import { OPEN_SCENE, ADD_FILE, MARK_FILE_DIRTY, CLEAR_MODALS } from '../src/js/store/actions';
+import { checkSaveStateOfDocumentThen } from '../src/js/editor/save-state';
+
+describe('Save state', () => {
+  describe('checkSaveStateOfDocumentThen()', () => {
+    let closed;
+
+    // A scene with an imported file open in a tab, as it is when an import
+    // is opened from the editor
+    beforeEach(() => {
+      closed = false;
+      store.dispatch({ type: CLEAR_MODALS });
+      store.dispatch({
+        type: OPEN_SCENE,
+        files: [{ filename: 'scene.yaml', contents: 'import: roads.yaml' }],
+      });
+      store.dispatch({
+        type: ADD_FILE,
+        file: {
+          key: 'https://example.com/roads.yaml',
+          filename: 'roads.yaml',
+          contents: 'layers: {}',
+        },
+      });
+    });
+
+    function closeTab() {
+      checkSaveStateOfDocumentThen(1, () => {
+        closed = true;
+      });
+    }
+
+    it('closes an imported tab that has not been edited without asking', () => {
+      closeTab();
+      assert.isTrue(closed);
+      assert.deepEqual(store.getState().modals.stack, []);
+    });
+
+    it('asks before closing an imported tab that has been edited', () => {
+      store.dispatch({ type: MARK_FILE_DIRTY, fileIndex: 1 });
+      closeTab();
+      assert.isFalse(closed);
+      assert.strictEqual(store.getState().modals.stack[0].modalType, 'CONFIRM_DIALOG');
+    });
+  });
+});
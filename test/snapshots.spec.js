@@ -0,0 +1,40 @@
+import { assert } from 'chai';
+import { addSnapshot, getSnapshotSize } from '../src/js/storage/snapshots';
+
+describe('Scene snapshots', () => {
+  const files = [{ filename: 'scene.yaml', contents: 'layers: {}' }];
+  const snapshot = { timestamp: '2017-07-01T12:00:00.000Z', reason: 'load', name: 'scene.yaml', files };
+
+  it('keeps the newest snapshots first', () => {
+    const newer = { ...snapshot, timestamp: '2017-07-01T12:05:00.000Z', files: [{ ...files[0], contents: 'layers: { water: {} }' }] };
+    const snapshots = addSnapshot(addSnapshot([], snapshot), newer);
+    assert.deepEqual(snapshots.map(item => item.timestamp), [newer.timestamp, snapshot.timestamp]);
+  });
+
+  it('does not keep a snapshot that is the same as the last one', () => {
+    const same = { ...snapshot, timestamp: '2017-07-01T12:05:00.000Z', reason: 'save' };
+    assert.lengthOf(addSnapshot([snapshot], same), 1);
+  });
+
+  it('drops the oldest snapshots', () => {
+    let snapshots = [];
+    for (let i = 0; i < 5; i++) {
+      const next = { ...snapshot, timestamp: String(i), files: [{ contents: String(i) }] };
+      snapshots = addSnapshot(snapshots, next, 3);
+    }
+    assert.deepEqual(snapshots.map(item => item.timestamp), ['4', '3', '2']);
+  });
+
+  it('drops the oldest snapshots to keep their size down, but not the newest', () => {
+    const entries = [
+      { timestamp: '2', reason: 'edit', name: 'scene.yaml', size: 4 },
+      { timestamp: '1', reason: 'edit', name: 'scene.yaml', size: 4 },
+    ];
+    const next = { ...snapshot, timestamp: '3', files: [{ contents: '1234' }] };
+    const large = { ...snapshot, timestamp: '4', files: [{ filename: 'a.yaml', contents: '1234' }] };
+
+    assert.strictEqual(getSnapshotSize(next), 4);
+    assert.deepEqual(addSnapshot(entries, next, 10, 8).map(item => item.timestamp), ['3', '2']);
+    assert.deepEqual(addSnapshot(entries, large, 10, 8).map(item => item.timestamp), ['4']);
+  });
+});
@@ -0,0 +1,128 @@
+import { assert } from 'chai';
+import YAML from 'yaml-ast-parser';
+import {
+  getSceneSymbols,
+  getSymbolAtIndex,
+  findSymbolDefinition,
+  findSymbolReferences,
+  checkNewSymbolKey,
+  getRenameChanges,
+} from '../src/js/editor/symbols';
+
+const TEST_DOCUMENT = `
+global:
+    road_color: '#fff'
+    sdk:
+        language: en
+
+sources:
+    mapzen:
+        type: MVT
+
+styles:
+    dashed:
+        base: lines
+    dotted:
+        base: lines
+        mix: [dashed]
+
+layers:
+    roads:
+        data: { source: mapzen }
+        draw:
+            dashed:
+                color: global.road_color
+            lines:
+                style: dotted
+                text_source: function() { return feature['name:' + global.sdk.language]; }
+`;
+
+describe('Scene symbols', () => {
+  let symbols;
+
+  before(() => {
+    symbols = getSceneSymbols(YAML.safeLoad(TEST_DOCUMENT), TEST_DOCUMENT);
+  });
+
+  function textOf(symbol) {
+    return TEST_DOCUMENT.slice(symbol.startPosition, symbol.endPosition);
+  }
+
+  it('finds definitions', () => {
+    const definitions = symbols.filter(symbol => symbol.definition)
+      .map(symbol => `${symbol.type} ${symbol.name}`);
+
+    assert.deepEqual(definitions, [
+      'global road_color',
+      'global sdk',
+      'global sdk.language',
+      'source mapzen',
+      'style dashed',
+      'style dotted',
+      'layer roads',
+    ]);
+  });
+
+  it('finds references to styles and sources', () => {
+    const styles = findSymbolReferences(symbols, { type: 'style', name: 'dashed' });
+    assert.deepEqual(styles.map(textOf), ['dashed', 'dashed']);
+    assert.equal(styles[1].startPosition, TEST_DOCUMENT.indexOf('dashed:\n                color'));
+
+    const sources = findSymbolReferences(symbols, { type: 'source', name: 'mapzen' });
+    assert.deepEqual(sources.map(textOf), ['mapzen']);
+  });
+
+  it('does not treat a draw group with a style as a reference to its name', () => {
+    const references = findSymbolReferences(symbols, { type: 'style', name: 'lines' });
+    assert.lengthOf(references, 0);
+  });
+
+  it('finds references to global properties', () => {
+    const references = findSymbolReferences(symbols, { type: 'global', name: 'sdk' });
+    assert.deepEqual(references.map(textOf), ['global.sdk.language']);
+
+    const definition = findSymbolDefinition(symbols, references[0]);
+    assert.equal(definition.name, 'sdk.language');
+  });
+
+  it('finds the symbol at a position', () => {
+    const symbol = getSymbolAtIndex(symbols, TEST_DOCUMENT.indexOf('dotted\n') + 2);
+    assert.include(symbol, { type: 'style', name: 'dotted', definition: false });
+
+    const definition = findSymbolDefinition(symbols, symbol);
+    assert.equal(textOf(definition), 'dotted');
+    assert.isTrue(definition.definition);
+  });
+
+  function rename(target, newKey) {
+    const changes = getRenameChanges(symbols, TEST_DOCUMENT, target, newKey);
+    return changes.slice().reverse().reduce((text, change) =>
+      text.slice(0, change.from) + change.text + text.slice(change.to), TEST_DOCUMENT);
+  }
+
+  it('renames a style and its references', () => {
+    const renamed = rename({ type: 'style', name: 'dashed' }, 'striped');
+
+    assert.notInclude(renamed, 'dashed');
+    assert.include(renamed, '    striped:\n        base: lines');
+    assert.include(renamed, 'mix: [striped]');
+    assert.include(renamed, '            striped:\n                color');
+    assert.include(renamed, 'style: dotted');
+  });
+
+  it('renames a nested global property in references', () => {
+    const renamed = rename({ type: 'global', name: 'sdk' }, 'api');
+
+    assert.include(renamed, '    api:\n        language: en');
+    assert.include(renamed, "feature['name:' + global.api.language]");
+    assert.include(renamed, 'color: global.road_color');
+  });
+
+  it('does not rename to an invalid or existing name', () => {
+    assert.isUndefined(checkNewSymbolKey(symbols, { type: 'style', name: 'dashed' }, 'striped'));
+    assert.equal(checkNewSymbolKey(symbols, { type: 'style', name: 'dashed' }, 'dotted'),
+      'style "dotted" already exists.');
+    assert.isUndefined(checkNewSymbolKey(symbols, { type: 'global', name: 'sdk.language' }, 'sdk'));
+    assert.match(checkNewSymbolKey(symbols, { type: 'source', name: 'mapzen' }, 'my source'), /^Names can only/);
+  });
+});
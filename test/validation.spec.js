@@ -0,0 +1,144 @@
+import { assert } from 'chai';
+import YAML from 'yaml-ast-parser';
+import { collectDefinedKeys, validateScene, findClosestKey } from '../src/js/editor/validation';
+
+const VALID_DOCUMENT = `
+sources:
+    mapzen:
+        type: TopoJSON
+        url: https://tile.mapzen.com/mapzen/vector/v1/all/{z}/{x}/{y}.topojson
+        max_zoom: 16
+
+styles:
+    dashed:
+        base: lines
+        blend: overlay
+        mix: [outlined]
+    outlined:
+        base: lines
+
+layers:
+    roads:
+        data: { source: mapzen }
+        draw:
+            lines:
+                color: white
+                width: 2px
+                order: function() { return feature.sort_rank; }
+        highway:
+            filter: { kind: highway }
+            visible: true
+            draw:
+                highway-lines:
+                    style: dashed
+                    interactive: true
+`;
+
+function validate(document, withDefinitions = true) {
+  const ast = YAML.safeLoad(document);
+  const definedKeys = withDefinitions ? collectDefinedKeys(ast) : undefined;
+  return validateScene(ast, definedKeys);
+}
+
+describe('Scene validation', () => {
+  it('finds no problems in a valid scene', () => {
+    assert.deepEqual(validate(VALID_DOCUMENT), []);
+  });
+
+  it('reports unknown parameters', () => {
+    const document = 'foo: bar\nsources:\n    mapzen:\n        type: MVT\n        url: a.mvt\n        maxzoom: 16\n';
+    const problems = validate(document);
+
+    assert.lengthOf(problems, 2);
+    assert.equal(problems[0].message, 'Unknown parameter "foo".');
+    assert.equal(problems[1].message, 'Unknown parameter "maxzoom" in "sources:mapzen".');
+    assert.equal(problems[1].type, 'warning');
+    assert.equal(problems[1].startPosition, document.indexOf('maxzoom'));
+  });
+
+  it('offers to rename misspelled parameters', () => {
+    const document = 'sources:\n    mapzen:\n        tyep: MVT\n        url: a.mvt\n        blah: 1\n';
+    const problems = validate(document);
+
+    assert.lengthOf(problems, 3);
+    assert.deepEqual(problems[0].fixes, [{
+      label: 'Rename to "type"',
+      changes: [{ from: document.indexOf('tyep'), to: document.indexOf('tyep') + 4, text: 'type' }],
+    }]);
+    assert.deepEqual(problems[1].fixes, []);
+    assert.equal(problems[2].message, '"sources:mapzen" is missing the required parameter "type".');
+  });
+
+  it('reports invalid options and types', () => {
+    const document = 'styles:\n    a:\n        base: line\n        blend: inlay\n        texcoords: yes please\n';
+    const problems = validate(document);
+
+    assert.lengthOf(problems, 2);
+    assert.equal(problems[0].type, 'error');
+    assert.equal(problems[0].address, 'styles:a:base');
+    assert.match(problems[0].message, /^"line" is not a valid value for "base"/);
+    assert.equal(problems[1].type, 'warning');
+    assert.equal(problems[1].message, '"yes please" is not a valid value for "texcoords": expected a boolean.');
+  });
+
+  it('reports problems in layer filters', () => {
+    const document = 'layers:\n    water:\n        filter: { $geometry: polygons }\n';
+    const problems = validate(document, false);
+
+    assert.lengthOf(problems, 1);
+    assert.equal(problems[0].address, 'layers:water:filter');
+    assert.equal(problems[0].startPosition, document.indexOf('polygons'));
+  });
+
+  it('reports missing required parameters', () => {
+    const problems = validate('sources:\n    mapzen:\n        type: MVT\n');
+
+    assert.lengthOf(problems, 1);
+    assert.equal(problems[0].message, '"sources:mapzen" is missing the required parameter "url".');
+    assert.equal(problems[0].startPosition, 13);
+  });
+
+  it('reports references to undefined sources and styles', () => {
+    const document = `
+layers:
+    roads:
+        data: { source: osm }
+        draw:
+            dotted:
+                color: red
+            lines:
+                style: dashed
+`;
+    const messages = validate(document).map(problem => problem.message);
+
+    assert.deepEqual(messages, [
+      'Source "osm" is not defined.',
+      'Style "dotted" is not defined.',
+      'Style "dashed" is not defined.',
+    ]);
+  });
+
+  it('does not check references without the definitions of the scene', () => {
+    const document = 'sources:\n    mapzen:\n        type: MVT\nlayers:\n    roads:\n        data: { source: osm }\n';
+
+    assert.deepEqual(validate(document, false), []);
+  });
+
+  it('collects definitions from more than one file', () => {
+    const definedKeys = collectDefinedKeys(YAML.safeLoad('sources:\n    mapzen:\n        url: a.mvt\n'));
+    const ast = YAML.safeLoad('sources:\n    mapzen:\n        type: MVT\nlayers:\n    roads:\n        data: { source: mapzen }\n');
+    collectDefinedKeys(ast, definedKeys);
+
+    assert.deepEqual(definedKeys['sources:mapzen'], ['url', 'type']);
+    assert.deepEqual(validateScene(ast, definedKeys), []);
+  });
+
+  it('finds the closest valid key', () => {
+    const keys = ['type', 'url', 'max_zoom', 'style', 'size'];
+
+    assert.equal(findClosestKey('maxzoom', keys), 'max_zoom');
+    assert.equal(findClosestKey('URL', keys), 'url');
+    assert.equal(findClosestKey('styl', keys), 'style');
+    assert.isUndefined(findClosestKey('color', keys));
+  });
+});
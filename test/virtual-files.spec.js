@@ -0,0 +1,109 @@
+import { assert } from 'chai';
+import store from '../src/js/store';
+import { OPEN_SCENE } from '../src/js/store/actions';
+import {
+  createSceneBlobUrl,
+  findImportedFile,
+  releasePreviousVirtualFiles,
+  releaseVirtualFiles,
+} from '../src/js/file/virtual-files';
+import { setWorkspaceFiles, clearWorkspaceFiles } from '../src/js/file/workspace-files';
+
+describe('Virtual files', () => {
+  const originalCreateObjectURL = URL.createObjectURL;
+  const originalRevokeObjectURL = URL.revokeObjectURL;
+  let blobs;
+  let revoked;
+
+  // Blob URLs are numbered, and their contents kept, to look at them
+  beforeEach(() => {
+    blobs = [];
+    revoked = [];
+    URL.createObjectURL = (blob) => {
+      blobs.push(blob);
+      return `blob:${blobs.length}`;
+    };
+    URL.revokeObjectURL = (url) => {
+      revoked.push(url);
+    };
+
+    store.dispatch({
+      type: OPEN_SCENE,
+      originalUrl: 'https://example.com/scene/scene.yaml',
+      files: [
+        { filename: 'scene.yaml', contents: 'import: layers/roads.yaml\ntextures: { icons: { url: img/icons.png } }' },
+        { key: 'https://example.com/scene/layers/roads.yaml', basePath: 'https://example.com/scene/layers/', contents: 'textures: { road: { url: road.png } }' },
+      ],
+    });
+  });
+
+  afterEach(() => {
+    releaseVirtualFiles();
+    URL.createObjectURL = originalCreateObjectURL;
+    URL.revokeObjectURL = originalRevokeObjectURL;
+  });
+
+  function readBlob(blob) {
+    return new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.addEventListener('load', () => resolve(reader.result));
+      reader.readAsText(blob);
+    });
+  }
+
+  it('finds open files that are imported', () => {
+    const scene = store.getState().scene;
+    assert.strictEqual(findImportedFile(scene.files[0], 'layers/roads.yaml', scene), scene.files[1]);
+    assert.isUndefined(findImportedFile(scene.files[0], 'layers/water.yaml', scene));
+  });
+
+  it('loads imported files that are open from Blob URLs', () => {
+    const url = createSceneBlobUrl();
+
+    assert.strictEqual(url, 'blob:2');
+    return Promise.all(blobs.map(readBlob))
+      .then(([roads, scene]) => {
+        // References in imported files are made absolute; the root file is
+        // loaded with its own base path
+        assert.strictEqual(roads, 'textures: { road: { url: https://example.com/scene/layers/road.png } }');
+        assert.strictEqual(scene, 'import: blob:1\ntextures: { icons: { url: img/icons.png } }');
+      });
+  });
+
+  it('only replaces values of files in a workspace that refer to other files', () => {
+    setWorkspaceFiles([
+      { path: 'scene.yaml', contents: '' },
+      { path: 'layers/roads.yaml', contents: 'layers: {}' },
+      { path: 'img/icons.png', url: 'https://example.com/icons.png' },
+    ]);
+    store.dispatch({
+      type: OPEN_SCENE,
+      files: [{
+        key: 'scene.yaml',
+        bundlePath: 'scene.yaml',
+        filename: 'scene.yaml',
+        contents: 'import: layers/roads.yaml\ntextures: { icons: { url: img/icons.png } }\nglobal: { file: layers/roads.yaml, icon: img/icons.png }',
+      }],
+    });
+
+    createSceneBlobUrl();
+    clearWorkspaceFiles();
+
+    return readBlob(blobs[1])
+      .then((scene) => {
+        assert.strictEqual(scene, 'import: blob:1\ntextures: { icons: { url: https://example.com/icons.png } }\nglobal: { file: layers/roads.yaml, icon: img/icons.png }');
+      });
+  });
+
+  it('releases Blob URLs only once a newer version of the scene has loaded', () => {
+    createSceneBlobUrl();
+    createSceneBlobUrl();
+    assert.deepEqual(revoked, []);
+
+    releasePreviousVirtualFiles();
+    assert.deepEqual(revoked, ['blob:1', 'blob:2']);
+
+    releaseVirtualFiles();
+    assert.deepEqual(revoked, ['blob:1', 'blob:2', 'blob:3', 'blob:4']);
+  });
+});
@@ -0,0 +1,34 @@
+import { assert } from 'chai';
+import { makeSceneId, parseFolderNames } from '../src/js/storage/webdav';
+
+describe('WebDAV storage', () => {
+  describe('makeSceneId()', () => {
+    it('makes an id from the scene name and date', () => {
+      const date = new Date(1500000000000);
+      assert.strictEqual(makeSceneId('My Scene!', date), `my-scene-${date.getTime().toString(36)}`);
+      assert.strictEqual(makeSceneId('???', date), `scene-${date.getTime().toString(36)}`);
+    });
+  });
+
+  describe('parseFolderNames()', () => {
+    it('lists the folders in a folder, but not the folder itself or files', () => {
+      const xml = `<?xml version="1.0"?>
+        <d:multistatus xmlns:d="DAV:">
+          <d:response>
+            <d:href>/dav/scenes/</d:href>
+            <d:propstat><d:prop><d:resourcetype><d:collection/></d:resourcetype></d:prop></d:propstat>
+          </d:response>
+          <d:response>
+            <d:href>https://example.com/dav/scenes/my%20scene/</d:href>
+            <d:propstat><d:prop><d:resourcetype><d:collection/></d:resourcetype></d:prop></d:propstat>
+          </d:response>
+          <d:response>
+            <d:href>/dav/scenes/notes.txt</d:href>
+            <d:propstat><d:prop><d:resourcetype/></d:prop></d:propstat>
+          </d:response>
+        </d:multistatus>`;
+
+      assert.deepEqual(parseFolderNames(xml, 'https://example.com/dav/scenes/'), ['my scene']);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { assert } from 'chai';
+import { isIgnoredPath, getFileTree, createNodeFileSystemProvider } from '../src/js/file/workspace-providers';
+
+describe('Workspace providers', () => {
+  describe('isIgnoredPath()', () => {
+    it('ignores hidden files and folders', () => {
+      assert.isTrue(isIgnoredPath('.git'));
+      assert.isTrue(isIgnoredPath('layers/.DS_Store'));
+      assert.isFalse(isIgnoredPath('layers/roads.yaml'));
+    });
+
+    it('ignores installed packages', () => {
+      assert.isTrue(isIgnoredPath('node_modules/tangram/package.json'));
+    });
+  });
+
+  describe('getFileTree()', () => {
+    it('arranges paths as folders and files, folders first', () => {
+      const tree = getFileTree(['scene.yaml', 'layers/water.yaml', 'img/icons.png', 'layers/roads.yaml']);
+
+      assert.deepEqual(tree.map(item => item.name), ['img', 'layers', 'scene.yaml']);
+      assert.isNull(tree[2].children);
+      assert.deepEqual(tree[1].children.map(item => item.path), ['layers/roads.yaml', 'layers/water.yaml']);
+    });
+  });
+
+  describe('createNodeFileSystemProvider()', () => {
+    const folder = { path: '/home/user/scene', name: 'scene' };
+    const directories = {
+      '': [{ name: 'scene.yaml', isDirectory: false }, { name: 'layers', isDirectory: true }, { name: '.git', isDirectory: true }],
+      'layers/': [{ name: 'roads.yaml', isDirectory: false }],
+    };
+
+    // Answers requests like `electron-preload.js` does
+    function answer(event) {
+      const request = event.data;
+      if (!request || request.localFolders !== 'request') return;
+
+      const response = { localFolders: 'response', id: request.id };
+      if (request.method === 'listDirectory') {
+        response.result = directories[request.args[1]];
+      } else {
+        response.error = `${request.args[1]} is not in the folder.`;
+      }
+      // jsdom's postMessage() does not tell where messages come from
+      window.setTimeout(() => {
+        window.dispatchEvent(new window.MessageEvent('message', { data: response, source: window }));
+      }, 0);
+    }
+
+    beforeEach(() => {
+      window.addEventListener('message', answer);
+    });
+
+    afterEach(() => {
+      window.removeEventListener('message', answer);
+    });
+
+    it('lists the files of a folder through the preload script', () =>
+      createNodeFileSystemProvider(folder).listFiles()
+        .then((paths) => {
+          assert.deepEqual(paths, ['scene.yaml', 'layers/roads.yaml']);
+        }));
+
+    it('rejects with the errors of the preload script', () =>
+      createNodeFileSystemProvider(folder).readText('../secrets.txt')
+        .then(() => assert.fail('readText should have rejected'), (error) => {
+          assert.strictEqual(error.message, '../secrets.txt is not in the folder.');
+        }));
+  });
+});